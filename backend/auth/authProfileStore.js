@@ -0,0 +1,366 @@
+/**
+ * Auth Profile Store - Logged-in sessions shared across test executions
+ *
+ * PURPOSE:
+ * Logging in through the UI in every test is slow and flaky. An auth profile
+ * logs in once with its setup steps, keeps the resulting Playwright
+ * storageState (cookies + localStorage), and tests with useAuth: "<profile>"
+ * start from that state. The setup runs again when the session is stale.
+ *
+ * PROFILE FORMAT:
+ * {
+ *   "id": "admin",
+ *   "name": "Admin",
+ *   "steps": [{ "action": "navigate", "target": "https://app.example.com/login" }, ...],  // or
+ *   "flow": "login-as-admin", "params": { "username": "admin@example.com" },          // a stored flow
+ *   "check": { "url": "https://app.example.com/account", "condition": { "type": "element_visible", "target": "#logout" } },
+ *   "sessionCookie": "sid",      // stale once this cookie is missing or expired
+ *   "maxAgeMinutes": 720         // stale after this long (0 = no limit)
+ * }
+ *
+ * FEATURES:
+ * - One JSON file per profile next to the suites (phase6/test-suites/auth)
+ * - Saved state encrypted at rest (AES-256-GCM) with owner-only file permissions;
+ *   key from AUTH_STATE_KEY, otherwise a generated key file in the same folder
+ * - Profiles carry state metadata only (saved at, cookie count), never cookies or tokens
+ * - Per-profile lock so parallel executions log in one at a time
+ *
+ * CONNECTIONS:
+ * - Used by: phase2/executor.js (setupBrowser, ensureAuthenticated), phase2/server.js (validation),
+ *   phase6/server.js (/api/auth-profiles)
+ * - Uses: actionRegistry.js (setup step validation)
+ * - Storage: AUTH_PROFILES_DIR or phase6/test-suites/auth
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateStepParams, CONDITION_TYPES } from '../executor/actionRegistry.js';
+import { flowIdFromName } from '../flows/flowStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'phase6', 'test-suites', 'auth');
+
+const DEFAULT_MAX_AGE_MINUTES = 720;
+const KEY_FILE = '.state-key';
+const CIPHER = 'aes-256-gcm';
+
+// Locks are per process; Phase 2 is the only process that logs in
+const locks = new Map();
+
+export class AuthProfileStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.AUTH_PROFILES_DIR || DEFAULT_DIR;
+    this.key = null;
+  }
+
+  /**
+   * All profiles with their state metadata, sorted by name
+   */
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch {
+      return [];
+    }
+
+    const profiles = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const profile = await this.read(file.replace(/\.json$/, ''));
+      if (profile) {
+        profiles.push({ ...profile, freshness: this.freshness(profile) });
+      }
+    }
+
+    return profiles.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Profile by ID or name, or null
+   */
+  async get(idOrName) {
+    const byId = await this.read(flowIdFromName(idOrName));
+    if (byId) {
+      return byId;
+    }
+
+    const wanted = String(idOrName || '').toLowerCase().trim();
+    return (await this.list()).find(profile => profile.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Create or replace a profile (a saved state is kept unless the setup changed)
+   *
+   * @param {Object} profile - See header
+   * @returns {Promise<Object>} Saved profile
+   * @throws {Error} - Missing name / setup, invalid steps or check
+   */
+  async save(profile) {
+    if (!profile?.name) {
+      throw new Error('Auth profile needs a name');
+    }
+
+    const errors = validateProfile(profile);
+    if (errors.length > 0) {
+      throw new Error(`Invalid auth profile:\n${errors.join('\n')}`);
+    }
+
+    const id = flowIdFromName(profile.id || profile.name);
+    if (!id) {
+      throw new Error(`Invalid auth profile name "${profile.name}"`);
+    }
+
+    const existing = await this.read(id);
+    const saved = {
+      id,
+      name: profile.name,
+      description: profile.description || '',
+      ...(profile.flow ? { flow: profile.flow, params: profile.params || {} } : { steps: profile.steps }),
+      check: profile.check || null,
+      sessionCookie: profile.sessionCookie || null,
+      maxAgeMinutes: profile.maxAgeMinutes != null ? Number(profile.maxAgeMinutes) : DEFAULT_MAX_AGE_MINUTES,
+      state: existing?.state || null,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    // WHY: A session from different login steps may belong to another user
+    if (existing && JSON.stringify(setupSteps(existing)) !== JSON.stringify(setupSteps(saved))) {
+      await this.clearState(id);
+      saved.state = null;
+    }
+
+    await this.write(saved);
+    return saved;
+  }
+
+  /**
+   * Delete a profile and its saved state
+   *
+   * @returns {Promise<boolean>} false if it did not exist
+   */
+  async delete(id) {
+    const profileId = flowIdFromName(id);
+    try {
+      await fs.unlink(path.join(this.dir, `${profileId}.json`));
+    } catch {
+      return false;
+    }
+    await fs.rm(this.statePath(profileId), { force: true });
+    return true;
+  }
+
+  async read(id) {
+    if (!id) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, `${id}.json`), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async write(profile) {
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(path.join(this.dir, `${profile.id}.json`), JSON.stringify(profile, null, 2));
+  }
+
+  statePath(id) {
+    return path.join(this.dir, `${id}.state`);
+  }
+
+  /**
+   * Whether the saved session can be reused without logging in
+   *
+   * @returns {Object} { fresh, reason } reason says why it is stale
+   */
+  freshness(profile, now = Date.now()) {
+    const state = profile.state;
+    if (!state?.savedAt) {
+      return { fresh: false, reason: 'no saved session' };
+    }
+
+    const ageMinutes = (now - new Date(state.savedAt).getTime()) / 60000;
+    if (profile.maxAgeMinutes > 0 && ageMinutes > profile.maxAgeMinutes) {
+      return { fresh: false, reason: `session is ${Math.round(ageMinutes)} min old (max ${profile.maxAgeMinutes})` };
+    }
+
+    if (profile.sessionCookie) {
+      const expires = state.sessionCookieExpires;
+      if (expires === undefined || expires === null) {
+        return { fresh: false, reason: `cookie "${profile.sessionCookie}" was not set by the login` };
+      }
+      // -1: browser-session cookie, valid as long as the state is
+      if (expires > 0 && expires * 1000 <= now) {
+        return { fresh: false, reason: `cookie "${profile.sessionCookie}" expired` };
+      }
+    }
+
+    return { fresh: true, reason: null };
+  }
+
+  /**
+   * Decrypted storageState, or null when none is saved or it can't be read
+   */
+  async loadState(id) {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(this.statePath(id), 'utf-8'));
+    } catch {
+      return null;
+    }
+
+    try {
+      const key = await this.getKey();
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(content.iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(content.tag, 'hex'));
+      const json = Buffer.concat([decipher.update(Buffer.from(content.data, 'hex')), decipher.final()]).toString('utf8');
+      return JSON.parse(json);
+    } catch (error) {
+      // Wrong key or tampered file: treat as no session, the next run logs in again
+      console.error(`⚠️  Auth state for "${id}" could not be decrypted: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Encrypt and store a storageState, and record its metadata on the profile
+   *
+   * @param {string} id - Profile ID
+   * @param {Object} storageState - context.storageState() output
+   * @returns {Promise<Object>} Updated profile
+   */
+  async saveState(id, storageState) {
+    const profile = await this.read(id);
+    if (!profile) {
+      throw new Error(`Auth profile "${id}" not found`);
+    }
+
+    const key = await this.getKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(storageState), 'utf8'), cipher.final()]);
+
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(
+      this.statePath(id),
+      JSON.stringify({ iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'), data: data.toString('hex') }),
+      { mode: 0o600 }
+    );
+
+    const cookies = storageState.cookies || [];
+    const sessionCookie = profile.sessionCookie && cookies.find(cookie => cookie.name === profile.sessionCookie);
+    profile.state = {
+      savedAt: new Date().toISOString(),
+      cookies: cookies.length,
+      origins: (storageState.origins || []).map(origin => origin.origin),
+      ...(sessionCookie ? { sessionCookieExpires: sessionCookie.expires } : {})
+    };
+    await this.write(profile);
+
+    return profile;
+  }
+
+  /**
+   * Forget the saved session (the next test using the profile logs in again)
+   */
+  async clearState(id) {
+    await fs.rm(this.statePath(id), { force: true });
+    const profile = await this.read(id);
+    if (profile?.state) {
+      profile.state = null;
+      await this.write(profile);
+    }
+    return profile;
+  }
+
+  /**
+   * Run fn while holding the profile's lock
+   */
+  async withLock(id, fn) {
+    const previous = locks.get(id) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+    const chained = previous.then(() => current);
+    locks.set(id, chained);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (locks.get(id) === chained) {
+        locks.delete(id);
+      }
+    }
+  }
+
+  /**
+   * 32-byte key: AUTH_STATE_KEY (any string, hashed) or a generated key file
+   */
+  async getKey() {
+    if (this.key) {
+      return this.key;
+    }
+    if (process.env.AUTH_STATE_KEY) {
+      this.key = crypto.createHash('sha256').update(process.env.AUTH_STATE_KEY).digest();
+      return this.key;
+    }
+
+    const keyPath = path.join(this.dir, KEY_FILE);
+    try {
+      this.key = Buffer.from((await fs.readFile(keyPath, 'utf-8')).trim(), 'hex');
+    } catch {
+      await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+      const generated = crypto.randomBytes(32);
+      try {
+        // 'wx': another process may have created it meanwhile; then use theirs
+        await fs.writeFile(keyPath, generated.toString('hex'), { mode: 0o600, flag: 'wx' });
+        this.key = generated;
+      } catch {
+        this.key = Buffer.from((await fs.readFile(keyPath, 'utf-8')).trim(), 'hex');
+      }
+    }
+    return this.key;
+  }
+}
+
+/**
+ * Steps that log in: the profile's own steps or a callFlow step for its flow
+ */
+export function setupSteps(profile) {
+  return profile.flow
+    ? [{ action: 'callFlow', flow: profile.flow, params: profile.params || {}, description: `Log in (${profile.flow})` }]
+    : profile.steps || [];
+}
+
+function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile.flow && (!Array.isArray(profile.steps) || profile.steps.length === 0)) {
+    errors.push('Needs login "steps" or a "flow"');
+  }
+  setupSteps(profile).forEach((step, index) => {
+    validateStepParams(step).forEach(error => errors.push(`Step ${index + 1}: ${error}`));
+  });
+
+  if (profile.check) {
+    if (typeof profile.check !== 'object' || !profile.check.condition) {
+      errors.push('"check" must be { url?, condition: { type, ... } }');
+    } else if (!CONDITION_TYPES.includes(profile.check.condition.type)) {
+      errors.push(`Unknown check condition type '${profile.check.condition.type}'. Supported: ${CONDITION_TYPES.join(', ')}`);
+    }
+  }
+  if (profile.maxAgeMinutes != null && !(Number(profile.maxAgeMinutes) >= 0)) {
+    errors.push('"maxAgeMinutes" must be a number >= 0');
+  }
+
+  return errors;
+}
+
+export default AuthProfileStore;
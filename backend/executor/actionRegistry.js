@@ -0,0 +1,760 @@
+/**
+ * Action Registry - The step vocabulary shared by every phase
+ *
+ * PURPOSE:
+ * One definition per step action: what it does, which step fields it uses,
+ * and how Playwright performs it. The converter prompt, step validation,
+ * the executors and the step editor UI all read from here, so adding an
+ * action is a single change.
+ *
+ * FEATURES:
+ * - Declared parameters per action, mapped onto the existing step fields
+ *   (target, data, expected) with required flags, descriptions and examples;
+ *   extract adds its own (variable, from, attribute, pattern)
+ * - run() may return a value (extract returns the captured string)
+ * - Element kind per action (clickable / input / any / none): drives Phase 3's
+ *   element matching and whether Phase 2 may correct a failing selector
+ * - Default timeouts per action
+ * - Serializable listing for APIs and UIs (GET /api/actions)
+ * - Failure policies shared by all steps and assertions (onFailure: stop / continue / warn)
+ * - Control-flow steps (if, repeat, forEach, callFlow): declared here for validation,
+ *   prompts and editors; phase2/executor.js runs their nested steps
+ * - Network steps (mock_route, delay_route, abort_route, unroute, expect_request):
+ *   run() receives the executor's network helper (phase2/networkMocker.js);
+ *   visual_match receives its baseline comparator (phase2/visualRegression.js),
+ *   a11y_scan its accessibility auditor (phase2/accessibilityAudit.js),
+ *   http its API client (phase2/apiClient.js), assert the executor's assertion checks
+ *
+ * CONNECTIONS:
+ * - Used by: phase1/converter.js (prompt, validateSteps), phase1/server.js (/api/actions),
+ *   phase2/executor.js (performActionWithSelector), phase3/webReader.js (element filtering),
+ *   backend/executor/playwrightRunner.js
+ * - Pure module: receives the Playwright page, never imports Playwright itself
+ */
+
+const ELEMENT_TIMEOUT = 10000;
+const NAVIGATION_TIMEOUT = 30000;
+
+// Upper bound for repeat / forEach iterations (runaway loops)
+export const MAX_LOOP_ITERATIONS = 100;
+
+export const CONDITION_TYPES = ['element_visible', 'element_hidden', 'variable_equals', 'url_matches'];
+
+// What a failing step or assertion does to the rest of the test (onFailure; soft: true = warn)
+export const FAILURE_POLICIES = ['stop', 'continue', 'warn'];
+
+/**
+ * Split "a, b" into ['a', 'b'] (multi-select options, multiple upload files)
+ */
+function list(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Network, visual, accessibility, http and assert steps need a service of the Phase 2 executor
+ */
+function requireService(step, service, feature) {
+  if (!service) {
+    throw new Error(`'${step.action}' needs ${feature}, which only the Phase 2 executor provides`);
+  }
+  return service;
+}
+
+function pickDefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+export const ACTIONS = {
+  navigate: {
+    description: 'Go to a URL',
+    params: {
+      target: { required: true, description: 'URL', example: 'https://example.com/login' }
+    },
+    element: null,
+    timeout: NAVIGATION_TIMEOUT,
+    run: (page, step, { timeout }) => page.goto(step.target, { waitUntil: 'domcontentloaded', timeout }),
+    expectedBehavior: step => `Browser navigates to ${step.target}`
+  },
+
+  click: {
+    description: 'Click an element',
+    params: {
+      target: { required: true, description: 'Element selector or text', example: 'button[type=submit]' }
+    },
+    element: 'clickable',
+    run: (page, step, { timeout }) => page.locator(step.target).click({ timeout }),
+    expectedBehavior: step => `Element "${step.target}" is clicked`
+  },
+
+  double_click: {
+    description: 'Double-click an element',
+    params: {
+      target: { required: true, description: 'Element selector or text', example: '.file-row' }
+    },
+    element: 'clickable',
+    run: (page, step, { timeout }) => page.locator(step.target).dblclick({ timeout }),
+    expectedBehavior: step => `Element "${step.target}" is double-clicked`
+  },
+
+  right_click: {
+    description: 'Right-click an element (context menu)',
+    params: {
+      target: { required: true, description: 'Element selector or text', example: '.file-row' }
+    },
+    element: 'clickable',
+    run: (page, step, { timeout }) => page.locator(step.target).click({ button: 'right', timeout }),
+    expectedBehavior: step => `Element "${step.target}" is right-clicked`
+  },
+
+  type: {
+    description: 'Type text into a field (replaces its value)',
+    params: {
+      target: { required: true, description: 'Input selector', example: '#email' },
+      data: { required: true, description: 'Text to enter', example: 'user@example.com' }
+    },
+    element: 'input',
+    run: (page, step, { timeout }) => page.locator(step.target).fill(String(step.data), { timeout }),
+    expectedBehavior: step => `Text "${step.data}" is entered in "${step.target}"`
+  },
+
+  clear: {
+    description: 'Clear a field',
+    params: {
+      target: { required: true, description: 'Input selector', example: '#search' }
+    },
+    element: 'input',
+    run: (page, step, { timeout }) => page.locator(step.target).clear({ timeout }),
+    expectedBehavior: step => `Field "${step.target}" is empty`
+  },
+
+  select: {
+    description: 'Choose option(s) in a dropdown',
+    params: {
+      target: { required: true, description: 'Select element selector', example: '#country' },
+      data: { required: true, description: 'Option value or label (comma-separated for multiple)', example: 'United States' }
+    },
+    element: 'input',
+    // Playwright matches each string against option values and labels
+    run: (page, step, { timeout }) => page.locator(step.target).selectOption(list(step.data), { timeout }),
+    expectedBehavior: step => `Option "${step.data}" is selected in "${step.target}"`
+  },
+
+  check: {
+    description: 'Check a checkbox or radio button',
+    params: {
+      target: { required: true, description: 'Checkbox/radio selector', example: '#remember-me' }
+    },
+    element: 'input',
+    run: (page, step, { timeout }) => page.locator(step.target).check({ timeout }),
+    expectedBehavior: step => `"${step.target}" is checked`
+  },
+
+  uncheck: {
+    description: 'Uncheck a checkbox',
+    params: {
+      target: { required: true, description: 'Checkbox selector', example: '#newsletter' }
+    },
+    element: 'input',
+    run: (page, step, { timeout }) => page.locator(step.target).uncheck({ timeout }),
+    expectedBehavior: step => `"${step.target}" is unchecked`
+  },
+
+  press: {
+    description: 'Press a key or key combination',
+    params: {
+      data: { required: true, description: 'Key (Enter, Tab, Escape, Control+A, ...)', example: 'Enter' },
+      target: { required: false, description: 'Element to focus first (default: focused element)', example: '#search' }
+    },
+    element: 'any',
+    run: (page, step, { timeout }) => (step.target
+      ? page.locator(step.target).press(step.data, { timeout })
+      : page.keyboard.press(step.data)),
+    expectedBehavior: step => `Key "${step.data}" is pressed${step.target ? ` in "${step.target}"` : ''}`
+  },
+
+  hover: {
+    description: 'Move the mouse over an element',
+    params: {
+      target: { required: true, description: 'Element selector or text', example: '.menu-products' }
+    },
+    element: 'any',
+    run: (page, step, { timeout }) => page.locator(step.target).hover({ timeout }),
+    expectedBehavior: step => `Mouse is over "${step.target}"`
+  },
+
+  focus: {
+    description: 'Focus an element',
+    params: {
+      target: { required: true, description: 'Element selector', example: '#email' }
+    },
+    element: 'any',
+    run: (page, step, { timeout }) => page.locator(step.target).focus({ timeout }),
+    expectedBehavior: step => `"${step.target}" has focus`
+  },
+
+  blur: {
+    description: 'Remove focus from an element (triggers blur validation)',
+    params: {
+      target: { required: true, description: 'Element selector', example: '#email' }
+    },
+    element: 'any',
+    run: (page, step, { timeout }) => page.locator(step.target).blur({ timeout }),
+    expectedBehavior: step => `"${step.target}" lost focus`
+  },
+
+  upload: {
+    description: 'Attach file(s) to a file input',
+    params: {
+      target: { required: true, description: 'File input selector', example: 'input[type=file]' },
+      data: { required: true, description: 'File path(s), comma-separated, relative to the working directory', example: 'fixtures/avatar.png' }
+    },
+    element: 'input',
+    run: (page, step, { timeout }) => page.locator(step.target).setInputFiles(list(step.data), { timeout }),
+    expectedBehavior: step => `File(s) "${step.data}" attached to "${step.target}"`
+  },
+
+  drag: {
+    description: 'Drag an element onto another',
+    params: {
+      target: { required: true, description: 'Element to drag', example: '#card-1' },
+      data: { required: true, description: 'Drop target selector', example: '#column-done' }
+    },
+    element: 'any',
+    run: (page, step, { timeout }) => page.locator(step.target).dragTo(page.locator(step.data), { timeout }),
+    expectedBehavior: step => `"${step.target}" is dropped on "${step.data}"`
+  },
+
+  scroll: {
+    description: 'Scroll an element into view, or the page',
+    params: {
+      target: { required: false, description: 'Element to scroll into view', example: '#footer' },
+      data: { required: false, description: 'Without target: top, bottom (default) or pixels "x,y"', example: 'bottom' }
+    },
+    element: 'any',
+    run: async (page, step, { timeout }) => {
+      if (step.target) {
+        return page.locator(step.target).scrollIntoViewIfNeeded({ timeout });
+      }
+
+      const where = String(step.data || 'bottom').trim().toLowerCase();
+      if (where === 'top') {
+        return page.evaluate(() => window.scrollTo(0, 0));
+      }
+      if (where === 'bottom') {
+        return page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      }
+
+      const [x, y] = where.includes(',') ? list(where).map(Number) : [0, Number(where)];
+      if (Number.isNaN(x) || Number.isNaN(y)) {
+        throw new Error(`Invalid scroll amount "${step.data}" (use top, bottom or "x,y")`);
+      }
+      return page.evaluate(([dx, dy]) => window.scrollBy(dx, dy), [x, y]);
+    },
+    expectedBehavior: step => (step.target ? `"${step.target}" is scrolled into view` : `Page is scrolled to ${step.data || 'bottom'}`)
+  },
+
+  verify: {
+    description: 'Check an element exists / is visible',
+    params: {
+      target: { required: true, description: 'Element selector or text', example: '.dashboard' },
+      expected: { required: true, description: 'What should be true', example: 'element visible' }
+    },
+    element: 'any',
+    run: (page, step, { timeout }) => page.locator(step.target).waitFor({ state: 'visible', timeout }),
+    expectedBehavior: step => step.expected || `Element "${step.target}" exists on page`
+  },
+
+  extract: {
+    description: 'Store a value in a test variable, reused later as ${name}',
+    params: {
+      variable: { required: true, description: 'Variable name', example: 'orderId' },
+      from: { required: false, description: 'text (default with target), value, attribute, url, literal (default with data)', example: 'text' },
+      target: { required: false, description: 'Element to read (text / value / attribute)', example: '.order-number' },
+      attribute: { required: false, description: 'Attribute name (from: attribute)', example: 'href' },
+      pattern: { required: false, description: 'Regex applied to the value; keeps the first capture group', example: 'Order #(\\d+)' },
+      data: { required: false, description: 'Value to store (from: literal); may use ${generators}', example: '${email}' }
+    },
+    element: 'any',
+    run: async (page, step, { timeout }) => {
+      const from = String(step.from || (step.target ? 'text' : step.data != null && step.data !== '' ? 'literal' : 'url')).toLowerCase();
+      let value;
+
+      switch (from) {
+        case 'text':
+          value = await page.locator(step.target).innerText({ timeout });
+          break;
+        case 'value':
+          value = await page.locator(step.target).inputValue({ timeout });
+          break;
+        case 'attribute':
+          if (!step.attribute) {
+            throw new Error('extract from attribute requires \'attribute\'');
+          }
+          value = await page.locator(step.target).getAttribute(step.attribute, { timeout });
+          if (value === null) {
+            throw new Error(`Element "${step.target}" has no "${step.attribute}" attribute`);
+          }
+          break;
+        case 'url':
+          value = page.url();
+          break;
+        case 'literal':
+          value = step.data ?? '';
+          break;
+        default:
+          throw new Error(`Unknown extract source "${step.from}" (use text, value, attribute, url or literal)`);
+      }
+
+      value = String(value).trim();
+
+      if (step.pattern) {
+        const match = value.match(new RegExp(step.pattern));
+        if (!match) {
+          throw new Error(`Pattern /${step.pattern}/ did not match "${value.substring(0, 100)}"`);
+        }
+        const named = match.groups && Object.values(match.groups).find(group => group !== undefined);
+        value = named ?? match[1] ?? match[0];
+      }
+
+      return value;
+    },
+    expectedBehavior: step => `Value ${step.target ? `of "${step.target}" ` : ''}is stored in \${${step.variable}}`
+  },
+
+  wait: {
+    description: 'Wait for an element to appear, or a fixed time',
+    params: {
+      target: { required: false, description: 'Element selector or text to wait for', example: '.results' },
+      data: { required: false, description: 'Without target: milliseconds to wait', example: '1000' }
+    },
+    element: 'any',
+    run: (page, step, { timeout }) => (step.target
+      ? page.locator(step.target).waitFor({ state: 'visible', timeout })
+      : page.waitForTimeout(Number(step.data) || 1000)),
+    expectedBehavior: step => (step.target ? `Element "${step.target}" appears on page` : `${Number(step.data) || 1000}ms pass`)
+  },
+
+  wait_for_navigation: {
+    description: 'Wait until the page navigates (optionally to a matching URL)',
+    params: {
+      target: { required: false, description: 'URL substring or glob (**/dashboard) to wait for', example: '/dashboard' }
+    },
+    element: null,
+    timeout: NAVIGATION_TIMEOUT,
+    run: (page, step, { timeout }) => {
+      if (!step.target) {
+        return page.waitForLoadState('load', { timeout });
+      }
+      const matcher = step.target.includes('*') ? step.target : url => url.href.includes(step.target);
+      return page.waitForURL(matcher, { timeout });
+    },
+    expectedBehavior: step => (step.target ? `Page URL matches "${step.target}"` : 'Page finishes loading')
+  },
+
+  wait_for_network_idle: {
+    description: 'Wait until there are no network requests for 500ms',
+    params: {},
+    element: null,
+    timeout: NAVIGATION_TIMEOUT,
+    run: (page, step, { timeout }) => page.waitForLoadState('networkidle', { timeout }),
+    expectedBehavior: () => 'Network is idle'
+  },
+
+  // Network: routes and the request log live in the Phase 2 executor (phase2/networkMocker.js)
+  mock_route: {
+    description: 'Answer matching requests with a stubbed response',
+    params: {
+      target: { required: true, description: 'URL glob (**/api/orders*) or URL substring', example: '**/api/orders*' },
+      method: { required: false, description: 'HTTP method (default: any)', example: 'GET' },
+      status: { required: false, description: 'Response status (default 200)', example: '500' },
+      data: { required: false, description: 'Response body; JSON is served as application/json', example: '{ "error": "Internal error" }' },
+      fixture: { required: false, description: 'File to serve instead of data', example: 'fixtures/orders.json' },
+      headers: { required: false, type: 'object', description: 'Response headers', example: '{ "x-request-id": "test" }' },
+      contentType: { required: false, description: 'Content type (default from the body)', example: 'text/html' },
+      delay: { required: false, description: 'Milliseconds before answering', example: '2000' },
+      times: { required: false, description: 'Only the first N matching requests', example: '1' }
+    },
+    element: null,
+    network: true,
+    run: (page, step, { network }) => requireService(step, network, 'network mocking').addRoute(pickDefined({
+      url: step.target,
+      method: step.method,
+      status: step.status || 200,
+      body: step.data,
+      fixture: step.fixture,
+      headers: step.headers,
+      contentType: step.contentType,
+      delay: step.delay,
+      times: step.times
+    })),
+    expectedBehavior: step => `Requests to "${step.target}"${step.method ? ` (${step.method})` : ''} are answered with ${step.status || 200}`
+  },
+
+  delay_route: {
+    description: 'Delay matching requests (the real response arrives late)',
+    params: {
+      target: { required: true, description: 'URL glob or URL substring', example: '**/api/search*' },
+      data: { required: true, description: 'Delay in milliseconds', example: '3000' },
+      method: { required: false, description: 'HTTP method (default: any)', example: 'GET' },
+      times: { required: false, description: 'Only the first N matching requests', example: '1' }
+    },
+    element: null,
+    network: true,
+    run: (page, step, { network }) => requireService(step, network, 'network mocking').addRoute(pickDefined({
+      url: step.target,
+      method: step.method,
+      delay: Number(step.data),
+      times: step.times
+    })),
+    expectedBehavior: step => `Requests to "${step.target}" are delayed by ${step.data}ms`
+  },
+
+  abort_route: {
+    description: 'Fail matching requests as if the network broke',
+    params: {
+      target: { required: true, description: 'URL glob or URL substring', example: '**/api/checkout' },
+      data: { required: false, description: 'Error: failed (default), timedout, connectionrefused, internetdisconnected, ...', example: 'timedout' },
+      method: { required: false, description: 'HTTP method (default: any)', example: 'POST' },
+      times: { required: false, description: 'Only the first N matching requests', example: '1' }
+    },
+    element: null,
+    network: true,
+    run: (page, step, { network }) => requireService(step, network, 'network mocking').addRoute(pickDefined({
+      url: step.target,
+      method: step.method,
+      abort: step.data || true,
+      times: step.times
+    })),
+    expectedBehavior: step => `Requests to "${step.target}" fail (${step.data || 'failed'})`
+  },
+
+  unroute: {
+    description: 'Remove mocks so requests reach the real backend again',
+    params: {
+      target: { required: false, description: 'URL pattern of the mocks to remove (default: all)', example: '**/api/orders*' }
+    },
+    element: null,
+    network: true,
+    run: (page, step, { network }) => requireService(step, network, 'network mocking').removeRoutes(step.target),
+    expectedBehavior: step => (step.target ? `Mocks for "${step.target}" are removed` : 'All mocks are removed')
+  },
+
+  expect_request: {
+    description: 'Check the page sent a request (optionally with a payload), waiting for it if needed',
+    params: {
+      target: { required: true, description: 'URL glob or URL substring', example: '/api/orders' },
+      method: { required: false, description: 'HTTP method', example: 'POST' },
+      expected: { required: false, description: 'Payload: JSON fields the body must contain, or text it must include', example: '{ "quantity": 2 }' }
+    },
+    element: null,
+    network: true,
+    run: (page, step, { timeout, network }) => requireService(step, network, 'network mocking').expectRequest(
+      { url: step.target, method: step.method, payload: step.expected },
+      timeout
+    ),
+    expectedBehavior: step => `A ${step.method ? `${step.method} ` : ''}request to "${step.target}" is sent${step.expected ? ` with ${typeof step.expected === 'string' ? step.expected : JSON.stringify(step.expected)}` : ''}`
+  },
+
+  visual_match: {
+    description: 'Compare a screenshot of the page or an element with its stored baseline',
+    params: {
+      target: { required: false, description: 'Element to capture (default: the viewport)', example: '.pricing-table' },
+      name: { required: false, description: 'Baseline name (default: the step position)', example: 'pricing-table' },
+      mask: { required: false, description: 'Selectors to hide (comma-separated) or a list with { x, y, width, height } regions', example: '.clock, .ad-banner' },
+      threshold: { required: false, description: 'Share of pixels allowed to differ (default 0.001)', example: '0.01' },
+      pixelThreshold: { required: false, description: 'Per-pixel color sensitivity 0-1 (default 0.1)', example: '0.2' },
+      fullPage: { required: false, description: 'Capture the whole scrollable page', example: 'true' }
+    },
+    // WHY: A mismatch is not a broken selector, so no selector correction
+    element: null,
+    visual: true,
+    run: (page, step, { visual }) => requireService(step, visual, 'visual baselines').match(page, step),
+    expectedBehavior: step => `${step.target ? `"${step.target}"` : 'Page'} matches its baseline screenshot`
+  },
+
+  a11y_scan: {
+    description: 'Check the page (or one element) for accessibility violations',
+    params: {
+      target: { required: false, description: 'Element to scan (default: the whole page)', example: 'form#checkout' },
+      failOn: { required: false, description: 'Lowest impact that fails: minor, moderate, serious (default) or critical', example: 'critical' },
+      exclude: { required: false, description: 'Rule IDs to skip (comma-separated)', example: 'color-contrast' },
+      ignore: { required: false, description: 'Selectors of elements to leave out (comma-separated)', example: '#chat-widget' }
+    },
+    element: null,
+    a11y: true,
+    run: (page, step, { a11y }) => requireService(step, a11y, 'accessibility rules').scan(page, step),
+    expectedBehavior: step => `${step.target ? `"${step.target}"` : 'Page'} has no accessibility violations at or above "${step.failOn || 'serious'}"`
+  },
+
+  // Assertions between steps: any type of the assertions list (phase2/assertionLibrary.js)
+  assert: {
+    description: 'Check an assertion now, between steps; page checks wait until they hold or time out',
+    params: {
+      type: { required: true, description: 'Assertion type: text_contains, text_matches, element_enabled, number_compare, url_matches, cookie_equals, table_cell_equals, request_made, ...', example: 'text_contains' },
+      target: { required: false, description: 'What to check (selector, URL, cookie name, "table::row::column", ...)', example: '.cart-count' },
+      expected: { required: false, description: 'Expected value, number ("> 0") or /regex/', example: '3 items' },
+      not: { required: false, description: 'true: the assertion must not hold', example: 'true' },
+      timeout: { required: false, description: 'Milliseconds to keep checking (default 5000)', example: '10000' }
+    },
+    // WHY: A failed check is a finding, not a broken selector to correct
+    element: null,
+    assertion: true,
+    run: (page, step, { assert }) => requireService(step, assert, 'the assertion checks').check(step),
+    expectedBehavior: step => `${step.type}${step.not ? ' (negated)' : ''} holds${step.target ? ` for "${step.target}"` : ''}${step.expected ? `: ${step.expected}` : ''}`
+  },
+
+  // API: requests share the browser context's cookies (phase2/apiClient.js)
+  http: {
+    description: 'Send an API request, e.g. to create test data before the UI steps; shares cookies with the page',
+    params: {
+      method: { required: false, description: 'GET (default), POST, PUT, PATCH, DELETE, HEAD or OPTIONS', example: 'POST' },
+      target: { required: true, description: 'URL; relative URLs resolve against the current page', example: '/api/users' },
+      headers: { required: false, type: 'object', description: 'Request headers', example: '{ "X-Tenant": "acme" }' },
+      data: { required: false, description: 'Request body: JSON object or text (may use ${variables})', example: '{ "email": "${email}" }' },
+      auth: { required: false, description: 'Bearer token, or { type: "basic", username, password }', example: '${apiToken}' },
+      expected: { required: false, description: 'Expected status: 201, 2xx or "200, 204" (default 2xx)', example: '201' },
+      extract: { required: false, type: 'object', description: 'Variables from the JSON response: { name: JSON path }', example: '{ "userId": "$.id" }' }
+    },
+    element: null,
+    http: true,
+    timeout: NAVIGATION_TIMEOUT,
+    run: (page, step, { timeout, http }) => requireService(step, http, 'an API request context').send(page, step, timeout),
+    expectedBehavior: step => `${String(step.method || 'GET').toUpperCase()} ${step.target} answers ${step.expected || '2xx'}${step.extract ? ` and \${${Object.keys(step.extract).join('}, ${')}} are stored` : ''}`
+  },
+
+  // Control flow: performed by the Phase 2 executor (nested steps, variables, flows), not run()
+  if: {
+    description: 'Run steps only when a condition holds',
+    params: {
+      condition: {
+        required: true,
+        type: 'object',
+        description: '{ type: element_visible | element_hidden | variable_equals | url_matches, target | variable + value | pattern, not?, timeout? }',
+        example: '{ "type": "element_visible", "target": "#cookie-accept" }'
+      },
+      then: { required: true, type: 'steps', description: 'Steps when the condition holds', example: '[{ "action": "click", "target": "#cookie-accept" }]' },
+      else: { required: false, type: 'steps', description: 'Steps when it does not', example: '[]' }
+    },
+    element: null,
+    control: true,
+    expectedBehavior: step => `Steps run if ${describeCondition(step.condition)}`
+  },
+
+  repeat: {
+    description: 'Run steps a fixed number of times (optionally until a condition holds)',
+    params: {
+      times: { required: true, description: `Iterations (max ${MAX_LOOP_ITERATIONS})`, example: '3' },
+      steps: { required: true, type: 'steps', description: 'Steps to repeat; ${index} is the iteration (1-based)', example: '[{ "action": "click", "target": "text=Load more" }]' },
+      until: { required: false, type: 'object', description: 'Condition checked after each iteration; stops the loop when it holds', example: '{ "type": "element_visible", "target": ".end-of-list" }' }
+    },
+    element: null,
+    control: true,
+    expectedBehavior: step => `Steps repeat ${step.times} time(s)${step.until ? ` or until ${describeCondition(step.until)}` : ''}`
+  },
+
+  forEach: {
+    description: 'Run steps once per item',
+    params: {
+      items: { required: true, description: 'Array or comma-separated list (may use ${variables})', example: '["books", "music"]' },
+      variable: { required: false, description: 'Variable holding the current item (default: item)', example: 'category' },
+      steps: { required: true, type: 'steps', description: 'Steps per item; ${item} and ${index} are bound', example: '[{ "action": "click", "target": "text=${item}" }]' }
+    },
+    element: null,
+    control: true,
+    expectedBehavior: step => `Steps run for each of: ${Array.isArray(step.items) ? step.items.join(', ') : step.items}`
+  },
+
+  callFlow: {
+    description: 'Run a named reusable flow (e.g. "login as admin")',
+    params: {
+      flow: { required: true, description: 'Flow ID or name', example: 'login-as-admin' },
+      params: { required: false, type: 'object', description: 'Flow parameters, available as ${name} inside the flow', example: '{ "username": "admin@example.com" }' }
+    },
+    element: null,
+    control: true,
+    expectedBehavior: step => `Flow "${step.flow}" completes`
+  }
+};
+
+/**
+ * "element "#x" is visible" - for reports
+ */
+export function describeCondition(condition = {}) {
+  const negate = condition.not ? 'not ' : '';
+  switch (condition.type) {
+    case 'element_visible':
+      return `element "${condition.target}" is ${negate}visible`;
+    case 'element_hidden':
+      return `element "${condition.target}" is ${negate}hidden`;
+    case 'variable_equals':
+      return `\${${condition.variable}} ${condition.not ? '!=' : '=='} "${condition.value}"`;
+    case 'url_matches':
+      return `URL ${condition.not ? 'does not match' : 'matches'} /${condition.pattern}/`;
+    default:
+      return `unknown condition "${condition.type}"`;
+  }
+}
+
+/**
+ * Definition for an action, or null
+ */
+export function getAction(name) {
+  return Object.prototype.hasOwnProperty.call(ACTIONS, name) ? ACTIONS[name] : null;
+}
+
+export function getActionNames() {
+  return Object.keys(ACTIONS);
+}
+
+/**
+ * Serializable action list for APIs and UIs
+ */
+export function listActions() {
+  return Object.entries(ACTIONS).map(([name, action]) => ({
+    name,
+    description: action.description,
+    params: action.params,
+    element: action.element,
+    control: Boolean(action.control)
+  }));
+}
+
+/**
+ * Whether the step is a control-flow step (if / repeat / forEach / callFlow)
+ */
+export function isControlStep(step) {
+  return Boolean(getAction(step?.action)?.control);
+}
+
+/**
+ * Failure policy of a step or assertion
+ *
+ * stop: fail the test and skip what follows; continue: fail the test but keep going;
+ * warn: a soft failure, reported as a warning without failing the test
+ *
+ * @param {Object} item - Step or assertion ({ onFailure?, soft? })
+ * @param {string} fallback - Policy when the item declares none
+ * @returns {string} stop | continue | warn
+ * @throws {Error} - Unknown onFailure value
+ */
+export function getFailurePolicy(item, fallback = 'stop') {
+  if (item?.soft === true || item?.soft === 'true') {
+    return 'warn';
+  }
+  const policy = item?.onFailure;
+  if (policy === undefined || policy === null || policy === '') {
+    return fallback;
+  }
+  if (!FAILURE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown onFailure '${policy}'. Supported: ${FAILURE_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Problems with a step's action and parameters
+ *
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateStepParams(step) {
+  const action = getAction(step?.action);
+  if (!action) {
+    return [`Unsupported action '${step?.action}'. Supported: ${getActionNames().join(', ')}`];
+  }
+
+  const errors = Object.entries(action.params)
+    .filter(([field, param]) => param.required && (step[field] === undefined || step[field] === null || step[field] === ''))
+    .map(([field, param]) => `'${step.action}' action requires '${field}' (${param.description})`);
+
+  // Nested steps (then / else / steps) and conditions are validated too
+  for (const [field, param] of Object.entries(action.params)) {
+    const value = step[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (param.type === 'steps') {
+      if (!Array.isArray(value)) {
+        errors.push(`'${step.action}' ${field} must be an array of steps`);
+        continue;
+      }
+      value.forEach((child, index) => {
+        validateStepParams(child).forEach(error => errors.push(`${field}[${index + 1}]: ${error}`));
+      });
+    }
+    if (param.type === 'object' && typeof value !== 'object') {
+      errors.push(`'${step.action}' ${field} must be an object`);
+    }
+  }
+
+  try {
+    getFailurePolicy(step);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  for (const field of ['condition', 'until']) {
+    if (action.params[field] && step[field] && typeof step[field] === 'object' && !CONDITION_TYPES.includes(step[field].type)) {
+      errors.push(`Unknown ${field} type '${step[field].type}'. Supported: ${CONDITION_TYPES.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a failing selector for this step may be corrected (RAG / AI lookup)
+ */
+export function usesElement(step) {
+  const action = getAction(step.action);
+  return Boolean(action?.element && step.target);
+}
+
+/**
+ * Perform a step on a Playwright page
+ *
+ * @param {Page} page - Playwright page
+ * @param {Object} step - { action, target, data, expected }
+ * @param {Object} options - { timeout, network, visual, a11y, http, assert } timeout defaults to the action's;
+ *   network / visual / a11y / http / assert: Phase 2 executor services for the network, visual_match,
+ *   a11y_scan, http and assert steps
+ */
+export async function runAction(page, step, options = {}) {
+  const action = getAction(step.action);
+  if (!action) {
+    throw new Error(`Unsupported action: ${step.action}`);
+  }
+  if (action.control) {
+    throw new Error(`'${step.action}' is a control-flow step; it runs in the Phase 2 executor`);
+  }
+
+  return action.run(page, step, {
+    timeout: options.timeout ?? action.timeout ?? ELEMENT_TIMEOUT,
+    network: options.network,
+    visual: options.visual,
+    a11y: options.a11y,
+    http: options.http,
+    assert: options.assert
+  });
+}
+
+/**
+ * Human-readable expectation for reports
+ */
+export function describeExpectedBehavior(step) {
+  const action = getAction(step.action);
+  return action ? action.expectedBehavior(step) : `Action "${step.action}" executes successfully`;
+}
+
+/**
+ * Action reference for LLM prompts
+ */
+export function describeActionsForPrompt() {
+  return Object.entries(ACTIONS).map(([name, action]) => {
+    const params = Object.entries(action.params)
+      .map(([field, param]) => `${field}${param.required ? '' : '?'}: ${param.description}`)
+      .join('; ');
+    return `- ${name}: ${action.description}${params ? ` (${params})` : ''}`;
+  }).join('\n');
+}
+
+export default ACTIONS;
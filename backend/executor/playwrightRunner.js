@@ -10,6 +10,7 @@ import { chromium, firefox, webkit } from 'playwright';
 import fs from 'fs/promises';
 import path from 'path';
 import { ensureDirectoryExists } from '../utils/helpers.js';
+import { runAction } from './actionRegistry.js';
 
 class PlaywrightRunner {
   constructor(config) {
@@ -181,54 +182,18 @@ class PlaywrightRunner {
    * @param {Object} step - Test step
    */
   async performAction(step) {
-    const { action, target, data, assertion } = step;
-    
-    switch (action) {
-      case 'navigate':
-        await this.page.goto(target, { 
-          waitUntil: 'domcontentloaded',
-          timeout: step.timeout 
-        });
-        break;
-        
-      case 'click':
-        await this.page.click(target, { timeout: step.timeout });
-        break;
-        
-      case 'type':
-        await this.page.fill(target, data, { timeout: step.timeout });
-        break;
-        
-      case 'wait':
-        if (target) {
-          await this.page.waitForSelector(target, { 
-            timeout: step.timeout,
-            state: 'visible'
-          });
-        } else {
-          await this.page.waitForTimeout(data || 1000);
-        }
-        break;
-        
-      case 'verify':
-        await this.performVerification(target, assertion, step.timeout);
-        break;
-        
-      case 'hover':
-        await this.page.hover(target, { timeout: step.timeout });
-        break;
-        
-      case 'select':
-        await this.page.selectOption(target, data, { timeout: step.timeout });
-        break;
-        
-      case 'press':
-        await this.page.keyboard.press(data || target);
-        break;
-        
-      default:
-        throw new Error(`Unsupported action type: ${action}`);
+    // verify keeps its assertion-aware checks; everything else comes from the shared registry
+    if (step.action === 'verify') {
+      await this.performVerification(step.target, step.assertion, step.timeout);
+      return;
     }
+    
+    // Older plans put the key of a press step in target
+    const normalized = step.action === 'press' && !step.data
+      ? { ...step, data: step.target, target: null }
+      : step;
+    
+    await runAction(this.page, normalized, { timeout: step.timeout });
   }
 
   /**
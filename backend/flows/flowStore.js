@@ -0,0 +1,154 @@
+/**
+ * Flow Store - Reusable sub-flows for step JSON
+ *
+ * PURPOSE:
+ * Keep named step sequences ("login as admin", "accept cookies") that tests
+ * invoke with a callFlow step instead of repeating the steps in every test.
+ *
+ * FLOW FORMAT:
+ * {
+ *   "id": "login-as-admin",
+ *   "name": "Login as admin",
+ *   "description": "...",
+ *   "params": { "username": "admin@example.com", "password": null },  // name -> default (null = required)
+ *   "steps": [{ "action": "type", "target": "#email", "data": "${username}" }, ...]
+ * }
+ *
+ * FEATURES:
+ * - One JSON file per flow, stored alongside the suites (phase6/test-suites/flows)
+ * - Lookup by ID or by name (case-insensitive)
+ * - Steps validated against the action registry on save (nested steps included)
+ *
+ * CONNECTIONS:
+ * - Used by: phase2/executor.js (callFlow steps), phase6/server.js (/api/flows)
+ * - Uses: actionRegistry.js (step validation)
+ * - Storage: FLOWS_DIR or phase6/test-suites/flows
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateStepParams } from '../executor/actionRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'phase6', 'test-suites', 'flows');
+
+/**
+ * "Login as Admin" -> "login-as-admin"
+ */
+export function flowIdFromName(name) {
+  return String(name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+export class FlowStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.FLOWS_DIR || DEFAULT_DIR;
+  }
+
+  /**
+   * All flows, sorted by name
+   */
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch {
+      return [];
+    }
+
+    const flows = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const flow = await this.read(file.replace(/\.json$/, ''));
+      if (flow) {
+        flows.push(flow);
+      }
+    }
+
+    return flows.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Flow by ID or name, or null
+   */
+  async get(idOrName) {
+    const byId = await this.read(flowIdFromName(idOrName));
+    if (byId) {
+      return byId;
+    }
+
+    const wanted = String(idOrName || '').toLowerCase().trim();
+    return (await this.list()).find(flow => flow.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Create or replace a flow
+   *
+   * @param {Object} flow - { id?, name, description?, params?, steps }
+   * @returns {Promise<Object>} Saved flow
+   * @throws {Error} - Missing name/steps or invalid steps
+   */
+  async save(flow) {
+    if (!flow?.name) {
+      throw new Error('Flow needs a name');
+    }
+    if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+      throw new Error('Flow needs at least one step');
+    }
+
+    const errors = flow.steps.flatMap((step, index) =>
+      validateStepParams(step).map(error => `Step ${index + 1}: ${error}`)
+    );
+    if (errors.length > 0) {
+      throw new Error(`Invalid flow steps:\n${errors.join('\n')}`);
+    }
+
+    const id = flowIdFromName(flow.id || flow.name);
+    if (!id) {
+      throw new Error(`Invalid flow name "${flow.name}"`);
+    }
+
+    const existing = await this.read(id);
+    const saved = {
+      id,
+      name: flow.name,
+      description: flow.description || '',
+      params: flow.params || {},
+      steps: flow.steps,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify(saved, null, 2));
+
+    return saved;
+  }
+
+  /**
+   * Delete a flow
+   *
+   * @returns {Promise<boolean>} false if it did not exist
+   */
+  async delete(id) {
+    try {
+      await fs.unlink(path.join(this.dir, `${flowIdFromName(id)}.json`));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async read(id) {
+    if (!id) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, `${id}.json`), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default FlowStore;
@@ -1,33 +1,28 @@
 /**
  * Intent Parser - Converts natural language test cases into structured test steps
  * 
- * This module uses LLM (OpenAI GPT or Anthropic Claude) to parse user-provided
- * test intentions and convert them into actionable, structured test steps.
+ * This module uses the configured LLM (OpenAI, Anthropic or a local OpenAI-compatible
+ * server, see llmProvider.js) to parse user-provided test intentions and convert
+ * them into actionable, structured test steps.
  * 
  * All interactions with the LLM are logged for transparency and debugging.
  */
 
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs/promises';
 import path from 'path';
+import { createLLMClient } from './llmProvider.js';
+import { describeActionsForPrompt } from '../executor/actionRegistry.js';
 import { maskSensitiveData, ensureDirectoryExists } from '../utils/helpers.js';
 
 class IntentParser {
   constructor(config) {
     this.config = config;
-    this.provider = config.llm.provider;
     
-    // Initialize LLM client based on provider
-    if (this.provider === 'openai') {
-      this.client = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-    } else if (this.provider === 'anthropic') {
-      this.client = new Anthropic({
-        apiKey: process.env.ANTHROPIC_API_KEY
-      });
-    }
+    // Provider, model and credentials are resolved by the shared provider layer
+    this.llm = createLLMClient('backend', { config: config.llm });
+    const settings = this.llm.resolveSettings();
+    this.provider = settings.provider;
+    this.model = settings.model;
     
     this.logsDir = path.join(process.cwd(), 'logs', 'ai_interactions');
   }
@@ -72,7 +67,7 @@ class IntentParser {
         steps: parsedSteps.steps,
         metadata: {
           parsedAt: new Date().toISOString(),
-          model: this.config.llm.model,
+          model: this.model,
           provider: this.provider
         }
       };
@@ -108,11 +103,14 @@ ${intentText}
 TASK:
 1. Break down the intent into clear, executable test steps
 2. For each step, identify:
-   - action type (navigate, click, type, verify, wait, etc.)
+   - action type (one of the supported actions below)
    - target element (CSS selector, text, or description)
    - expected outcome (for assertions)
    - any data or parameters needed
 
+SUPPORTED ACTIONS (fields marked ? are optional):
+${describeActionsForPrompt()}
+
 3. If any critical information is missing (like URL, credentials, or specific element identifiers), set "needsClarification": true and ask a specific question.
 
 OUTPUT FORMAT (JSON only, no other text):
@@ -160,47 +158,15 @@ IMPORTANT:
    * @returns {Promise<string>} LLM response
    */
   async callLLM(prompt) {
-    const startTime = Date.now();
-    
     try {
-      if (this.provider === 'openai') {
-        const completion = await this.client.chat.completions.create({
-          model: this.config.llm.model,
-          messages: [
-            { 
-              role: 'system', 
-              content: 'You are a test automation expert. Always respond with valid JSON only.' 
-            },
-            { role: 'user', content: prompt }
-          ],
-          temperature: this.config.llm.temperature,
-          max_tokens: this.config.llm.maxTokens
-        });
-        
-        const response = completion.choices[0].message.content;
-        const duration = Date.now() - startTime;
-        
-        console.log(`⏱️  LLM response received in ${duration}ms`);
-        return response;
-        
-      } else if (this.provider === 'anthropic') {
-        const message = await this.client.messages.create({
-          model: this.config.llm.model,
-          max_tokens: this.config.llm.maxTokens,
-          temperature: this.config.llm.temperature,
-          messages: [
-            { role: 'user', content: prompt }
-          ]
-        });
-        
-        const response = message.content[0].text;
-        const duration = Date.now() - startTime;
-        
-        console.log(`⏱️  LLM response received in ${duration}ms`);
-        return response;
-      }
+      const completion = await this.llm.complete({
+        system: 'You are a test automation expert. Always respond with valid JSON only.',
+        prompt,
+        feature: 'conversion'
+      });
       
-      throw new Error(`Unsupported LLM provider: ${this.provider}`);
+      console.log(`⏱️  LLM response received in ${completion.duration}ms`);
+      return completion.text;
       
     } catch (error) {
       console.error('❌ LLM API error:', error.message);
@@ -265,7 +231,7 @@ IMPORTANT:
       const logData = {
         timestamp: new Date().toISOString(),
         provider: this.provider,
-        model: this.config.llm.model,
+        model: this.model,
         input: maskSensitiveData(input, this.config.security.sensitiveFields),
         output: maskSensitiveData(output, this.config.security.sensitiveFields),
         masked: this.config.security.maskSensitiveData
@@ -294,7 +260,7 @@ IMPORTANT:
 ║  Process:                                                      ║
 ║  1. Receive user's test case description                      ║
 ║  2. Build a structured prompt with examples                   ║
-║  3. Send to LLM (OpenAI GPT or Anthropic Claude)             ║
+║  3. Send to LLM (OpenAI, Anthropic or local server)          ║
 ║  4. Parse JSON response into test steps                       ║
 ║  5. Validate and return structured data                       ║
 ║                                                                ║
@@ -0,0 +1,149 @@
+/**
+ * LLM Cassette
+ *
+ * PURPOSE:
+ * Record model responses once and replay them later, so pipelines are
+ * reproducible and the platform can run offline (CI, demos, debugging).
+ *
+ * FEATURES:
+ * - Modes: off | record (always call the model, save the answer) |
+ *   replay (answer from the cassette; cache misses call the model and are recorded)
+ * - Strict mode: a replay cache miss fails instead of calling the model
+ * - Keys are SHA-256 hashes of the normalized request (system prompt, messages,
+ *   JSON flag); timestamps, UUIDs and epoch millis are masked and whitespace is
+ *   collapsed, so run-specific noise does not cause misses
+ * - Provider and model are not part of the key: a cassette recorded against
+ *   OpenAI replays under any provider configuration
+ * - One JSON file per entry (cassettes/<name>/<hash>.json) for readable diffs
+ *
+ * CONNECTIONS:
+ * - Used by: llmProvider.js (LLMClient.complete / embed)
+ * - Config: config.json → llm.cassette, or LLM_CASSETTE_MODE / LLM_CASSETTE_STRICT /
+ *   LLM_CASSETTE_DIR / LLM_CASSETTE env
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+const MODES = ['off', 'record', 'replay'];
+
+/**
+ * Mask run-specific values and collapse whitespace
+ */
+export function normalizePrompt(text) {
+  return String(text ?? '')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z?/g, '<timestamp>')
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+    .replace(/\b\d{13}\b/g, '<epoch>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export class LLMCassette {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - off | record | replay
+   * @param {boolean} options.strict - Fail on replay cache misses
+   * @param {string} options.dir - Cassette root (relative paths resolve from the repo root)
+   * @param {string} options.name - Cassette name (subdirectory)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'off';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Invalid LLM cassette mode: ${this.mode} (expected ${MODES.join(', ')})`);
+    }
+
+    this.strict = options.strict || false;
+    this.name = options.name || 'default';
+    this.dir = path.resolve(REPO_ROOT, options.dir || 'cassettes', this.name);
+  }
+
+  /**
+   * Build a cassette from the "llm" config section; the environment wins
+   */
+  static fromConfig(llmConfig = {}) {
+    const config = llmConfig.cassette || {};
+
+    return new LLMCassette({
+      mode: process.env.LLM_CASSETTE_MODE || config.mode,
+      strict: process.env.LLM_CASSETTE_STRICT !== undefined
+        ? process.env.LLM_CASSETTE_STRICT === 'true'
+        : config.strict,
+      dir: process.env.LLM_CASSETTE_DIR || config.dir,
+      name: process.env.LLM_CASSETTE || config.name
+    });
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Hash key for a request
+   *
+   * @param {string} kind - 'chat' | 'embedding'
+   * @param {Object} request - { system, messages, json } or { input }
+   */
+  keyFor(kind, request) {
+    const normalized = kind === 'embedding'
+      ? { kind, input: normalizePrompt(request.input) }
+      : {
+        kind,
+        system: normalizePrompt(request.system),
+        messages: (request.messages || []).map(message => ({
+          role: message.role,
+          content: normalizePrompt(message.content)
+        })),
+        json: Boolean(request.json)
+      };
+
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Recorded entry for a key, or null
+   *
+   * Only consulted in replay mode (record mode always refreshes).
+   */
+  async lookup(key) {
+    if (this.mode !== 'replay') {
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(path.join(this.dir, `${key}.json`), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`   ⚠️ Unreadable cassette entry ${key.substring(0, 12)}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Whether a live result should be written back
+   */
+  shouldRecord() {
+    return this.mode === 'record' || (this.mode === 'replay' && !this.strict);
+  }
+
+  /**
+   * Save a prompt/response pair
+   */
+  async record(key, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.dir, `${key}.json`),
+      JSON.stringify({ key, recordedAt: new Date().toISOString(), ...entry }, null, 2)
+    );
+    console.log(`   📼 Recorded LLM response ${key.substring(0, 12)} (${this.name})`);
+  }
+}
+
+export default LLMCassette;
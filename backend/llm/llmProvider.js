@@ -0,0 +1,652 @@
+/**
+ * LLM Provider Layer
+ *
+ * PURPOSE:
+ * One client for every phase that talks to a language model, so the provider
+ * and model can be switched per environment in config.json instead of in code.
+ *
+ * FEATURES:
+ * - Providers:
+ *   - openai:    OpenAI chat completions + embeddings
+ *   - anthropic: Anthropic messages API
+ *   - local:     Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp server)
+ * - Settings from config.json "llm", with per-phase overrides (llm.phases.<phase>
+ *   or <PHASE>_MODEL / <PHASE>_PROVIDER env) and per-call model selection
+ * - Timeouts (AbortController) and retries with exponential backoff on
+ *   rate limits, 5xx responses and network errors
+ * - completeJSON(): native JSON mode where the provider has one, plus
+ *   markdown-fence stripping and parsing for every provider
+ * - embed(): embeddings through OpenAI or an OpenAI-compatible endpoint
+ * - Record/replay cassettes for deterministic offline runs (see llmCassette.js)
+ * - Usage accounting: every call is recorded with tokens, latency and estimated
+ *   cost, attributed to phase, feature and test/suite/run context (see usageLedger.js)
+ * - Per-run budgets: context.budget { maxCostUsd, maxTokens } is a hard cap -
+ *   calls fail with code 'budget_exceeded' once the run has spent it
+ *
+ * CONNECTIONS:
+ * - Used by: phase1/converter.js, phase2/executor.js, phase3/webReader.js,
+ *   phase4/learningEngine.js, phase4.5/ragEngine.js, phase5/codeGenerator.js,
+ *   backend/llm/intentParser.js
+ * - Uses: llmCassette.js, usageLedger.js
+ * - Config: config.json → llm
+ *
+ * USAGE:
+ *   const llm = createLLMClient('phase1');
+ *   const { text } = await llm.complete({ system: '...', prompt: '...', maxTokens: 500 });
+ *   const { data } = await llm.completeJSON({ prompt: '...', expect: 'object' });
+ *   const runLLM = llm.withContext({ testId, suiteId, runId, budget: { maxCostUsd: 0.5 } });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LLMCassette } from './llmCassette.js';
+import { UsageLedger, estimateCost } from './usageLedger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = path.join(__dirname, '..', '..', 'config.json');
+
+// Used when neither config.json nor the environment names a model
+const DEFAULT_MODELS = {
+  openai: 'gpt-4-turbo-preview',
+  anthropic: 'claude-3-5-sonnet-20241022',
+  local: null
+};
+
+const DEFAULT_PROVIDERS = {
+  openai: { baseUrl: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY', jsonMode: true },
+  anthropic: { baseUrl: 'https://api.anthropic.com/v1', apiKeyEnv: 'ANTHROPIC_API_KEY', version: '2023-06-01' },
+  local: { baseUrl: 'http://localhost:11434/v1', apiKeyEnv: 'LOCAL_LLM_API_KEY', jsonMode: false }
+};
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY = 1000;
+
+// Appended to the system prompt for JSON calls (providers without a native JSON mode rely on it)
+const JSON_INSTRUCTION = 'Respond with valid JSON only. No markdown, no explanations.';
+
+let cachedConfig = null;
+
+// One ledger per process so the incremental run index is shared by all clients
+const sharedLedger = new UsageLedger();
+
+/**
+ * Error raised by the provider layer
+ */
+export class LLMError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = details.provider || null;
+    this.status = details.status || null;
+    this.code = details.code || null;
+    this.retryable = details.retryable || false;
+  }
+}
+
+/**
+ * Read the "llm" section of config.json (cached)
+ */
+export function loadLLMConfig() {
+  if (!cachedConfig) {
+    try {
+      cachedConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8')).llm || {};
+    } catch {
+      // WHY: A missing config.json must not stop a phase from starting; env + defaults still work
+      cachedConfig = {};
+    }
+  }
+
+  return cachedConfig;
+}
+
+/**
+ * Parse a model response as JSON
+ *
+ * Handles ```json fences and leading/trailing prose around the JSON value.
+ */
+export function parseJSONResponse(text) {
+  let jsonText = (text || '').trim();
+
+  if (jsonText.startsWith('```')) {
+    jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  }
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (error) {
+    // Fall back to the outermost object/array in the text
+    const start = jsonText.search(/[[{]/);
+    const end = Math.max(jsonText.lastIndexOf('}'), jsonText.lastIndexOf(']'));
+
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(jsonText.slice(start, end + 1));
+      } catch {
+        // Report the original error below
+      }
+    }
+
+    throw new LLMError(`Invalid JSON response: ${error.message}`, { code: 'invalid_json' });
+  }
+}
+
+/**
+ * Environment variable prefix for a phase ('phase4.5' → 'PHASE4_5')
+ */
+function envPrefix(phase) {
+  return phase.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * LLM Client
+ * Resolves provider settings for one phase and performs the HTTP calls
+ */
+export class LLMClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.phase - Phase name for per-phase overrides (e.g. 'phase1')
+   * @param {Object} options.config - "llm" config section (defaults to config.json)
+   * @param {LLMCassette} options.cassette - Record/replay store (defaults to llm.cassette config)
+   * @param {UsageLedger} options.ledger - Usage store (defaults to the process-wide ledger)
+   * @param {Object} options.context - Attribution { testId, suiteId, runId, reportId, budget }
+   */
+  constructor(options = {}) {
+    this.phase = options.phase || 'default';
+    this.config = options.config || loadLLMConfig();
+    this.cassette = options.cassette || LLMCassette.fromConfig(this.config);
+    this.ledger = options.ledger || sharedLedger;
+    this.context = options.context || {};
+  }
+
+  /**
+   * Client for the same phase with extra attribution context
+   *
+   * @param {Object} context - { testId, suiteId, runId, reportId, budget }
+   */
+  withContext(context = {}) {
+    return new LLMClient({
+      phase: this.phase,
+      config: this.config,
+      cassette: this.cassette,
+      ledger: this.ledger,
+      context: { ...this.context, ...context }
+    });
+  }
+
+  /**
+   * Resolve provider, model and connection settings for a call
+   *
+   * Precedence: call options → phase env → llm.phases.<phase> → LLM_PROVIDER/LLM_MODEL env → llm
+   */
+  resolveSettings(options = {}) {
+    const prefix = envPrefix(this.phase);
+    const phaseConfig = this.config.phases?.[this.phase] || {};
+    const phaseModel = process.env[`${prefix}_MODEL`] || phaseConfig.model;
+
+    // WHY: PHASE1_MODEL=claude-... without a provider should just work
+    const inferredProvider = phaseModel?.startsWith('claude') ? 'anthropic' : null;
+
+    const provider = options.provider
+      || process.env[`${prefix}_PROVIDER`]
+      || phaseConfig.provider
+      || inferredProvider
+      || process.env.LLM_PROVIDER
+      || this.config.provider
+      || 'openai';
+
+    if (!DEFAULT_PROVIDERS[provider]) {
+      throw new LLMError(`Unsupported LLM provider: ${provider}`, { provider, code: 'unsupported_provider' });
+    }
+
+    const providerConfig = { ...DEFAULT_PROVIDERS[provider], ...(this.config.providers?.[provider] || {}) };
+
+    // The global model only applies to the provider it was written for
+    const globalModel = process.env.LLM_MODEL || (provider === (this.config.provider || 'openai') ? this.config.model : null);
+
+    const model = options.model || phaseModel || globalModel || providerConfig.model || DEFAULT_MODELS[provider];
+    if (!model) {
+      throw new LLMError(`No model configured for provider ${provider} (set llm.providers.${provider}.model)`, { provider, code: 'no_model' });
+    }
+
+    return {
+      provider,
+      model,
+      baseUrl: (provider === 'local' && process.env.LOCAL_LLM_BASE_URL) || providerConfig.baseUrl,
+      apiKey: process.env[providerConfig.apiKeyEnv] || providerConfig.apiKey || null,
+      providerConfig,
+      temperature: options.temperature ?? phaseConfig.temperature ?? this.config.temperature ?? 0.3,
+      maxTokens: options.maxTokens ?? phaseConfig.maxTokens ?? this.config.maxTokens ?? 2000,
+      timeout: options.timeout ?? phaseConfig.timeout ?? this.config.timeout ?? DEFAULT_TIMEOUT,
+      retries: options.retries ?? phaseConfig.retries ?? this.config.retries ?? DEFAULT_RETRIES
+    };
+  }
+
+  /**
+   * Whether the resolved provider has the credentials it needs
+   */
+  isConfigured(options = {}) {
+    // Replay answers from recordings (a strict miss still fails at call time)
+    if (this.cassette.mode === 'replay') {
+      return true;
+    }
+
+    try {
+      const settings = this.resolveSettings(options);
+      return settings.provider === 'local' || Boolean(settings.apiKey);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Run a chat completion
+   *
+   * @param {Object} options
+   * @param {string} options.system - System prompt
+   * @param {string} options.prompt - User prompt (or pass options.messages)
+   * @param {Object[]} options.messages - [{ role: 'user'|'assistant', content }]
+   * @param {string} options.model - Per-call model override
+   * @param {number} options.temperature
+   * @param {number} options.maxTokens
+   * @param {number} options.timeout - Per-attempt timeout (ms)
+   * @param {number} options.retries - Retries after the first attempt
+   * @param {boolean} options.json - Ask for a JSON object (native JSON mode where supported)
+   * @param {string} options.feature - Usage attribution: conversion | element_finding | failure_analysis | auto_fix | rag
+   * @param {Object} options.context - Per-call attribution, merged over the client context
+   * @returns {Promise<Object>} { text, provider, model, usage: { inputTokens, outputTokens }, duration, attempts, replayed }
+   */
+  async complete(options = {}) {
+    const messages = options.messages || [{ role: 'user', content: options.prompt }];
+    const context = { ...this.context, ...(options.context || {}) };
+
+    // WHY: Replay before resolving credentials so cassettes work without API keys
+    const cassetteKey = this.cassette.enabled
+      ? this.cassette.keyFor('chat', { system: options.system, messages, json: options.json })
+      : null;
+    const recorded = cassetteKey && await this.replay(cassetteKey);
+    if (recorded) {
+      const replayed = {
+        text: recorded.response.text,
+        usage: recorded.response.usage,
+        provider: recorded.provider,
+        model: recorded.model,
+        duration: 0,
+        attempts: 0,
+        replayed: true
+      };
+      await this.recordUsage('chat', replayed, options.feature, context);
+      return replayed;
+    }
+
+    const settings = this.resolveSettings(options);
+    await this.checkBudget(context);
+
+    if (settings.provider !== 'local' && !settings.apiKey) {
+      throw new LLMError(`${settings.provider} API key not configured (${settings.providerConfig.apiKeyEnv})`, {
+        provider: settings.provider,
+        code: 'invalid_api_key'
+      });
+    }
+
+    const request = settings.provider === 'anthropic'
+      ? this.buildAnthropicRequest(settings, options.system, messages)
+      : this.buildOpenAIRequest(settings, options.system, messages, options.json);
+
+    const startTime = Date.now();
+    const { body, attempts } = await this.sendWithRetry(settings, request);
+
+    const result = settings.provider === 'anthropic'
+      ? this.readAnthropicResponse(body)
+      : this.readOpenAIResponse(body);
+
+    const completion = {
+      ...result,
+      provider: settings.provider,
+      model: body.model || settings.model,
+      duration: Date.now() - startTime,
+      attempts,
+      replayed: false
+    };
+
+    if (cassetteKey && this.cassette.shouldRecord()) {
+      await this.cassette.record(cassetteKey, {
+        kind: 'chat',
+        phase: this.phase,
+        provider: completion.provider,
+        model: completion.model,
+        request: { system: options.system || null, messages, json: Boolean(options.json) },
+        response: { text: completion.text, usage: completion.usage }
+      });
+    }
+
+    await this.recordUsage('chat', completion, options.feature, context);
+
+    return completion;
+  }
+
+  /**
+   * Fail if the run in this context has used up its budget
+   */
+  async checkBudget(context) {
+    const budget = context.budget;
+    if (!budget || !context.runId || (budget.maxCostUsd == null && budget.maxTokens == null)) {
+      return;
+    }
+
+    const spent = await this.ledger.getRunTotals(context.runId);
+    const overCost = budget.maxCostUsd != null && spent.cost >= budget.maxCostUsd;
+    const overTokens = budget.maxTokens != null && spent.totalTokens >= budget.maxTokens;
+
+    if (overCost || overTokens) {
+      const detail = overCost
+        ? `$${spent.cost.toFixed(4)} of $${budget.maxCostUsd}`
+        : `${spent.totalTokens} of ${budget.maxTokens} tokens`;
+
+      throw new LLMError(`LLM budget exceeded for run ${context.runId} (${detail})`, { code: 'budget_exceeded' });
+    }
+  }
+
+  /**
+   * Append a usage record for a finished call
+   *
+   * Replayed calls are recorded with zero cost so dashboards still show the traffic.
+   */
+  async recordUsage(kind, result, feature, context) {
+    const { cost, priced } = result.replayed
+      ? { cost: 0, priced: true }
+      : estimateCost(result.provider, result.model, result.usage, this.config.pricing);
+
+    await this.ledger.record({
+      kind,
+      phase: this.phase,
+      feature: feature || null,
+      provider: result.provider,
+      model: result.model,
+      inputTokens: result.usage?.inputTokens || 0,
+      outputTokens: result.usage?.outputTokens || 0,
+      duration: result.duration,
+      cost,
+      priced,
+      replayed: result.replayed,
+      testId: context.testId || null,
+      suiteId: context.suiteId || null,
+      runId: context.runId || null,
+      reportId: context.reportId || null
+    });
+  }
+
+  /**
+   * Look up a cassette entry; a strict replay miss is an error
+   */
+  async replay(key) {
+    const entry = await this.cassette.lookup(key);
+
+    if (!entry && this.cassette.mode === 'replay' && this.cassette.strict) {
+      throw new LLMError(`No recorded LLM response for this request (cassette "${this.cassette.name}", key ${key.substring(0, 12)})`, {
+        code: 'cassette_miss'
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Run a completion and parse the answer as JSON
+   *
+   * @param {Object} options - Same as complete(), plus:
+   * @param {string} options.expect - 'object' | 'array' | 'any' (native JSON mode only forces objects)
+   * @returns {Promise<Object>} complete() result plus { data }
+   */
+  async completeJSON(options = {}) {
+    const expect = options.expect || 'any';
+    const system = options.system ? `${options.system}\n\n${JSON_INSTRUCTION}` : JSON_INSTRUCTION;
+
+    const result = await this.complete({ ...options, system, json: expect === 'object' });
+    const data = parseJSONResponse(result.text);
+
+    if (expect === 'array' && !Array.isArray(data)) {
+      throw new LLMError('Expected a JSON array in the response', { provider: result.provider, code: 'invalid_json' });
+    }
+    if (expect === 'object' && (typeof data !== 'object' || data === null || Array.isArray(data))) {
+      throw new LLMError('Expected a JSON object in the response', { provider: result.provider, code: 'invalid_json' });
+    }
+
+    return { ...result, data };
+  }
+
+  /**
+   * Create an embedding vector
+   *
+   * Uses llm.embeddings ({ provider, model }); Anthropic has no embeddings API.
+   */
+  async embed(input, options = {}) {
+    const context = { ...this.context, ...(options.context || {}) };
+    const feature = options.feature || 'rag';
+
+    const cassetteKey = this.cassette.enabled ? this.cassette.keyFor('embedding', { input }) : null;
+    const recorded = cassetteKey && await this.replay(cassetteKey);
+    if (recorded) {
+      await this.recordUsage('embedding', {
+        provider: recorded.provider,
+        model: recorded.model,
+        usage: { inputTokens: 0, outputTokens: 0 },
+        duration: 0,
+        replayed: true
+      }, feature, context);
+      return recorded.response.embedding;
+    }
+
+    const embeddingConfig = this.config.embeddings || {};
+    const settings = this.resolveSettings({
+      ...options,
+      provider: options.provider || embeddingConfig.provider || 'openai',
+      model: options.model || embeddingConfig.model || 'text-embedding-3-small'
+    });
+
+    if (settings.provider === 'anthropic') {
+      throw new LLMError('Anthropic does not provide embeddings; set llm.embeddings.provider to openai or local', {
+        provider: 'anthropic',
+        code: 'unsupported_operation'
+      });
+    }
+
+    await this.checkBudget(context);
+
+    const startTime = Date.now();
+    const { body } = await this.sendWithRetry(settings, {
+      url: `${settings.baseUrl}/embeddings`,
+      headers: this.openAIHeaders(settings),
+      payload: { model: settings.model, input }
+    });
+
+    const embedding = body.data[0].embedding;
+
+    if (cassetteKey && this.cassette.shouldRecord()) {
+      await this.cassette.record(cassetteKey, {
+        kind: 'embedding',
+        phase: this.phase,
+        provider: settings.provider,
+        model: settings.model,
+        request: { input },
+        response: { embedding }
+      });
+    }
+
+    await this.recordUsage('embedding', {
+      provider: settings.provider,
+      model: settings.model,
+      usage: { inputTokens: body.usage?.prompt_tokens || 0, outputTokens: 0 },
+      duration: Date.now() - startTime,
+      replayed: false
+    }, feature, context);
+
+    return embedding;
+  }
+
+  openAIHeaders(settings) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) {
+      headers.Authorization = `Bearer ${settings.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildOpenAIRequest(settings, system, messages, json) {
+    const payload = {
+      model: settings.model,
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+      temperature: settings.temperature,
+      max_tokens: settings.maxTokens
+    };
+
+    if (json && settings.providerConfig.jsonMode) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    return { url: `${settings.baseUrl}/chat/completions`, headers: this.openAIHeaders(settings), payload };
+  }
+
+  buildAnthropicRequest(settings, system, messages) {
+    const payload = {
+      model: settings.model,
+      max_tokens: settings.maxTokens,
+      temperature: settings.temperature,
+      messages
+    };
+
+    if (system) {
+      payload.system = system;
+    }
+
+    return {
+      url: `${settings.baseUrl}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': settings.apiKey,
+        'anthropic-version': settings.providerConfig.version
+      },
+      payload
+    };
+  }
+
+  readOpenAIResponse(body) {
+    return {
+      text: body.choices?.[0]?.message?.content ?? '',
+      usage: {
+        inputTokens: body.usage?.prompt_tokens || 0,
+        outputTokens: body.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  readAnthropicResponse(body) {
+    return {
+      text: (body.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: {
+        inputTokens: body.usage?.input_tokens || 0,
+        outputTokens: body.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * POST a request, retrying transient failures with exponential backoff
+   */
+  async sendWithRetry(settings, request) {
+    const maxAttempts = 1 + Math.max(0, settings.retries);
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const body = await this.send(settings, request);
+        return { body, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+
+        if (!error.retryable || attempt === maxAttempts) {
+          break;
+        }
+
+        const delay = error.retryAfter ?? RETRY_BASE_DELAY * Math.pow(2, attempt - 1);
+        console.warn(`   🔁 ${settings.provider} call failed (${error.message}), retrying in ${delay}ms...`);
+        await sleep(delay);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Single HTTP attempt with a timeout
+   */
+  async send(settings, request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeout);
+
+    let response;
+    let text;
+    try {
+      response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.payload),
+        signal: controller.signal
+      });
+      // WHY: The timeout covers the body too; a provider can stall after sending the headers
+      text = await response.text();
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      throw new LLMError(
+        timedOut ? `${settings.provider} request timed out after ${settings.timeout}ms` : `${settings.provider} request failed: ${error.message}`,
+        { provider: settings.provider, code: timedOut ? 'timeout' : 'network_error', retryable: true }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = {};
+    }
+
+    if (!response.ok) {
+      const apiError = body.error || {};
+      const error = new LLMError(apiError.message || `${settings.provider} API returned ${response.status}`, {
+        provider: settings.provider,
+        status: response.status,
+        code: apiError.code || apiError.type || null,
+        // WHY: insufficient_quota also comes back as 429 but will not succeed on retry
+        retryable: (response.status === 429 && apiError.code !== 'insufficient_quota') || response.status >= 500
+      });
+
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      if (retryAfter > 0) {
+        error.retryAfter = Math.min(retryAfter * 1000, 30000);
+      }
+
+      throw error;
+    }
+
+    return body;
+  }
+}
+
+/**
+ * Create a client for one phase
+ *
+ * @param {string} phase - 'phase1' | 'phase2' | 'phase3' | 'phase4' | 'phase4.5' | 'phase5' | 'backend'
+ * @param {Object} options - { config } to use instead of config.json
+ */
+export function createLLMClient(phase, options = {}) {
+  return new LLMClient({ ...options, phase });
+}
+
+export default LLMClient;
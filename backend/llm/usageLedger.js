@@ -0,0 +1,308 @@
+/**
+ * LLM Usage Ledger
+ *
+ * PURPOSE:
+ * Measure what the platform spends on language models: every chat and
+ * embedding call is recorded with tokens, latency and an estimated cost,
+ * attributed to phase, feature, test, suite and run.
+ *
+ * FEATURES:
+ * - Append-only JSON lines per day (logs/llm-usage/YYYY-MM-DD.jsonl), shared by
+ *   all phase processes
+ * - Cost estimates from a per-model price table (USD per 1M tokens), overridable
+ *   in config.json → llm.pricing; local models cost nothing
+ * - Run totals read incrementally (only bytes appended since the last check), so
+ *   budget checks before every call stay cheap; totals of finished and older runs
+ *   are dropped from memory
+ * - Summaries per day, suite, feature, phase and model for the Phase 6 dashboard
+ *
+ * CONNECTIONS:
+ * - Written by: llmProvider.js (LLMClient)
+ * - Read by: llmProvider.js (run budgets), phase6/runQueue.js (run budgets),
+ *   phase6/server.js (/api/llm-usage)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'logs', 'llm-usage');
+
+// WHY: Long-lived phase processes index every run they see; only the latest ones are ever asked about
+const MAX_TRACKED_RUNS = 200;
+
+// USD per 1M tokens; matched by longest model-name prefix
+const DEFAULT_PRICING = {
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4-0125-preview': { input: 10, output: 30 },
+  'gpt-4-1106-preview': { input: 10, output: 30 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+/**
+ * Estimated cost of a call in USD
+ *
+ * @returns {Object} { cost, priced } - priced is false for models without a price
+ */
+export function estimateCost(provider, model, usage, pricing = {}) {
+  if (provider === 'local') {
+    return { cost: 0, priced: true };
+  }
+
+  const table = { ...DEFAULT_PRICING, ...pricing };
+  const match = Object.keys(table)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!match) {
+    return { cost: 0, priced: false };
+  }
+
+  const price = table[match];
+  const cost = ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+
+  return { cost: Math.round(cost * 1e6) / 1e6, priced: true };
+}
+
+function dayOf(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, duration: 0, replayed: 0 };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls++;
+  totals.inputTokens += entry.inputTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.totalTokens += (entry.inputTokens || 0) + (entry.outputTokens || 0);
+  totals.cost = Math.round((totals.cost + (entry.cost || 0)) * 1e6) / 1e6;
+  totals.duration += entry.duration || 0;
+  if (entry.replayed) {
+    totals.replayed++;
+  }
+  return totals;
+}
+
+export class UsageLedger {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.LLM_USAGE_DIR || DEFAULT_DIR;
+
+    // Incremental run index: file -> bytes consumed; runId (and "runId:testId") -> totals
+    this.offsets = new Map();
+    this.runTotals = new Map();
+    this.maxTrackedRuns = options.maxTrackedRuns || MAX_TRACKED_RUNS;
+  }
+
+  /**
+   * Append one usage record
+   */
+  async record(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      // WHY: appendFile with one short line per call keeps concurrent phase processes from interleaving records
+      await fs.appendFile(path.join(this.dir, `${dayOf(new Date(record.timestamp))}.jsonl`), `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      // Accounting must never break a test run
+      console.warn(`   ⚠️ Failed to record LLM usage: ${error.message}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Totals for one run (all phases), including calls made by other processes
+   *
+   * Only today's and yesterday's files are scanned: runs do not last longer.
+   *
+   * @param {string} runId
+   * @param {string} testId - Optional: only calls attributed to this test within the run
+   */
+  async getRunTotals(runId, testId = null) {
+    const now = new Date();
+    const days = [dayOf(new Date(now.getTime() - 24 * 60 * 60 * 1000)), dayOf(now)];
+
+    for (const day of days) {
+      await this.indexFile(path.join(this.dir, `${day}.jsonl`));
+    }
+
+    const key = testId ? `${runId}:${testId}` : runId;
+    return { ...(this.runTotals.get(key) || emptyTotals()) };
+  }
+
+  /**
+   * Drop a finished run's totals (its records stay in the ledger files)
+   */
+  forgetRun(runId) {
+    this.runTotals.delete(runId);
+    for (const key of this.runTotals.keys()) {
+      if (key.startsWith(`${runId}:`)) {
+        this.runTotals.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Read lines appended to a file since the last call and update run totals
+   */
+  async indexFile(file) {
+    let handle;
+    try {
+      handle = await fs.open(file, 'r');
+    } catch {
+      return;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      const offset = this.offsets.get(file) || 0;
+      if (size <= offset) {
+        return;
+      }
+
+      const buffer = Buffer.alloc(size - offset);
+      await handle.read(buffer, 0, buffer.length, offset);
+
+      // Only consume complete lines; a half-written record is read next time
+      const text = buffer.toString('utf-8');
+      const complete = text.lastIndexOf('\n') + 1;
+      this.offsets.set(file, offset + Buffer.byteLength(text.substring(0, complete)));
+
+      for (const line of text.substring(0, complete).split('\n')) {
+        const entry = this.parseLine(line);
+        if (!entry?.runId) {
+          continue;
+        }
+
+        if (!this.runTotals.has(entry.runId)) {
+          this.evictOldestRuns();
+        }
+
+        const keys = entry.testId ? [entry.runId, `${entry.runId}:${entry.testId}`] : [entry.runId];
+        for (const key of keys) {
+          this.runTotals.set(key, addToTotals(this.runTotals.get(key) || emptyTotals(), entry));
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Make room for one more run: forget the runs seen first beyond maxTrackedRuns
+   */
+  evictOldestRuns() {
+    const runIds = [...this.runTotals.keys()].filter(key => !key.includes(':'));
+    for (const runId of runIds.slice(0, Math.max(0, runIds.length - this.maxTrackedRuns + 1))) {
+      this.forgetRun(runId);
+    }
+  }
+
+  parseLine(line) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Usage records matching filters
+   *
+   * @param {Object} filters - { from, to (YYYY-MM-DD), suiteId, runId, testId, phase, feature }
+   */
+  async query(filters = {}) {
+    let files;
+    try {
+      files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.jsonl')).sort();
+    } catch {
+      return [];
+    }
+
+    const from = filters.from || '0000-00-00';
+    const to = filters.to || '9999-99-99';
+    const entries = [];
+
+    for (const file of files) {
+      const day = file.replace('.jsonl', '');
+      if (day < from || day > to) {
+        continue;
+      }
+
+      const content = await fs.readFile(path.join(this.dir, file), 'utf-8');
+      for (const line of content.split('\n')) {
+        const entry = this.parseLine(line);
+        if (!entry) {
+          continue;
+        }
+
+        const matches = ['suiteId', 'runId', 'testId', 'phase', 'feature']
+          .every(field => !filters[field] || entry[field] === filters[field]);
+
+        if (matches) {
+          entries.push(entry);
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Aggregated spend for the dashboard
+   *
+   * @returns {Object} { totals, byDay, bySuite, byFeature, byPhase, byModel, unpricedModels }
+   */
+  async summarize(filters = {}) {
+    const entries = await this.query(filters);
+    const summary = {
+      totals: emptyTotals(),
+      byDay: {},
+      bySuite: {},
+      byFeature: {},
+      byPhase: {},
+      byModel: {},
+      unpricedModels: []
+    };
+
+    const group = (bucket, key, entry) => {
+      bucket[key] = addToTotals(bucket[key] || emptyTotals(), entry);
+    };
+
+    for (const entry of entries) {
+      addToTotals(summary.totals, entry);
+      group(summary.byDay, entry.timestamp.substring(0, 10), entry);
+      group(summary.bySuite, entry.suiteId || 'unassigned', entry);
+      group(summary.byFeature, entry.feature || 'other', entry);
+      group(summary.byPhase, entry.phase || 'unknown', entry);
+      group(summary.byModel, entry.model || 'unknown', entry);
+
+      if (entry.priced === false && !summary.unpricedModels.includes(entry.model)) {
+        summary.unpricedModels.push(entry.model);
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default UsageLedger;
@@ -7,15 +7,26 @@
  * 
  * CONNECTIONS:
  * - Used by: server.js (API endpoint)
- * - Uses: OpenAI API for parsing
+ * - Uses: Shared LLM provider layer (backend/llm/llmProvider.js) for parsing
+ * - Uses: ruleParser.js (offline grammar; fallback and first pass)
+ * - Uses: backend/executor/actionRegistry.js (supported actions and their parameters)
  * - Output: Structured JSON that feeds into Phase 2 (execution)
  * 
  * ARCHITECTURE:
- * Input (NL) → AI Parser → Structured Steps → Validator → Output (JSON)
+ * Input (NL) → AI Parser / Rule Parser → Structured Steps → Validator → Output (JSON)
+ * 
+ * PARSER MODES (options.parser, PHASE1_PARSER env):
+ * - auto (default): LLM; the rule parser takes over when the LLM is not
+ *   configured or the call fails
+ * - hybrid: rule parser first, LLM only for clauses it can't parse confidently
+ * - rules: rule parser only (offline, deterministic)
+ * - llm: LLM only
  */
 
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { createLLMClient } from '../backend/llm/llmProvider.js';
+import RuleBasedStepParser from './ruleParser.js';
+import { getActionNames, validateStepParams, describeActionsForPrompt } from '../backend/executor/actionRegistry.js';
 
 dotenv.config({ path: '../.env' });
 
@@ -25,58 +36,74 @@ dotenv.config({ path: '../.env' });
  */
 class NLToStepsConverter {
   constructor() {
-    // Initialize OpenAI client
-    // CONNECTION: This connects to OpenAI's API for natural language processing
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    // Initialize LLM client
+    // CONNECTION: Provider and model come from config.json (llm) or PHASE1_MODEL
+    this.llm = createLLMClient('phase1');
+    
+    // Initialize offline grammar
+    // WHY: Trivial inputs should convert without an API key, and cheaply
+    this.ruleParser = new RuleBasedStepParser();
+    this.parserModes = ['auto', 'hybrid', 'rules', 'llm'];
     
     // Define supported action types
     // WHY: These are the primitive actions our test system can execute
-    // FUTURE: Phase 3 will expand this based on AI web reading capabilities
-    this.supportedActions = [
-      'navigate',  // Go to a URL
-      'click',     // Click an element
-      'type',      // Type text into a field
-      'verify',    // Verify element/text exists
-      'wait'       // Wait for element to appear
-    ];
+    // CONNECTION: Shared registry, so Phase 2 can execute everything we produce
+    this.supportedActions = getActionNames();
   }
 
   /**
    * Main conversion method
    * 
    * FLOW:
-   * 1. Build AI prompt with examples
-   * 2. Call OpenAI API
+   * 1. Pick the parser (LLM, rules or both)
+   * 2. Convert: LLM call or rule parsing
    * 3. Parse and validate response
    * 4. Return structured steps
    * 
    * @param {string} naturalLanguage - User's test description
+   * @param {Object} context - Optional LLM usage attribution { testId, suiteId, runId }
+   * @param {Object} options - { parser: 'auto' | 'hybrid' | 'rules' | 'llm' }
    * @returns {Promise<Object>} - Structured test steps
    */
-  async convert(naturalLanguage) {
+  async convert(naturalLanguage, context = {}, options = {}) {
     console.log('\n🔄 Converting natural language to test steps...');
     console.log('Input:', naturalLanguage.substring(0, 100) + '...');
     
     try {
-      // STEP 1: Build the AI prompt
-      // WHY: Clear instructions help AI generate consistent output
-      const prompt = this.buildPrompt(naturalLanguage);
+      const mode = options.parser || process.env.PHASE1_PARSER || 'auto';
+      if (!this.parserModes.includes(mode)) {
+        throw new Error(`Unknown parser '${mode}'. Supported: ${this.parserModes.join(', ')}`);
+      }
       
-      // STEP 2: Call OpenAI API
-      // CONNECTION: This is where we use external AI service
-      const aiResponse = await this.callAI(prompt);
+      // STEP 1-3: Convert with the selected parser
+      let conversion;
+      if (mode === 'rules') {
+        conversion = this.convertWithRules(naturalLanguage);
+      } else if (mode === 'hybrid') {
+        conversion = await this.convertHybrid(naturalLanguage, context);
+      } else if (mode === 'auto' && !this.llm.isConfigured()) {
+        console.log('ℹ️  No LLM configured, using rule parser');
+        conversion = this.convertWithRules(naturalLanguage, 'LLM not configured');
+      } else {
+        try {
+          conversion = await this.convertWithLLM(naturalLanguage, context);
+        } catch (error) {
+          if (mode === 'llm') {
+            throw error;
+          }
+          // WHY: An outage or bad key should not block "go to X, click Y"
+          console.warn(`⚠️  LLM conversion failed (${error.message}), falling back to rule parser`);
+          conversion = this.convertWithRules(naturalLanguage, error.message);
+        }
+      }
       
-      // STEP 3: Parse the response into structured format
-      // WHY: AI might return markdown/text, we need pure JSON
-      const steps = this.parseAIResponse(aiResponse);
+      const { steps } = conversion;
       
       // STEP 4: Validate the structure
       // WHY: Ensure the output is usable by next phases
       this.validateSteps(steps);
       
-      console.log(`✅ Successfully converted to ${steps.length} steps`);
+      console.log(`✅ Successfully converted to ${steps.length} steps (${conversion.parser})`);
       
       // Return structured output
       // STRUCTURE: Array of step objects with action, target, data
@@ -86,7 +113,13 @@ class NLToStepsConverter {
         steps: steps,
         metadata: {
           convertedAt: new Date().toISOString(),
-          stepCount: steps.length
+          stepCount: steps.length,
+          parser: conversion.parser,
+          fallbackReason: conversion.fallbackReason || null,
+          unparsed: conversion.unparsed || [],
+          lowConfidenceSteps: steps
+            .filter(step => step.confidence != null && step.confidence < this.ruleParser.minConfidence)
+            .map(step => step.stepNumber)
         }
       };
       
@@ -103,6 +136,123 @@ class NLToStepsConverter {
     }
   }
 
+  /**
+   * Convert with the LLM only
+   * 
+   * @returns {Promise<Object>} { steps, parser: 'llm' }
+   */
+  async convertWithLLM(naturalLanguage, context = {}) {
+    // Build the AI prompt
+    // WHY: Clear instructions help AI generate consistent output
+    const prompt = this.buildPrompt(naturalLanguage);
+    
+    // Call the configured LLM
+    // CONNECTION: This is where we use external AI service
+    const aiResponse = await this.callAI(prompt, context);
+    
+    // Parse the response into structured format
+    // WHY: AI might return markdown/text, we need pure JSON
+    const steps = this.parseAIResponse(aiResponse)
+      .map(step => ({ ...step, confidence: null, source: 'llm' }));
+    
+    return { steps, parser: 'llm' };
+  }
+
+  /**
+   * Convert with the rule parser only
+   * 
+   * @param {string} fallbackReason - Why the LLM was not used (auto mode)
+   * @returns {Object} { steps, parser: 'rules', unparsed, fallbackReason }
+   */
+  convertWithRules(naturalLanguage, fallbackReason = null) {
+    console.log('📐 Parsing with rule-based grammar...');
+    const parsed = this.ruleParser.parse(naturalLanguage);
+    
+    if (parsed.unparsed.length > 0) {
+      console.log(`⚠️  ${parsed.unparsed.length} clause(s) not understood: ${parsed.unparsed.join(' | ')}`);
+    }
+    if (parsed.steps.length === 0 && fallbackReason) {
+      throw new Error(`${fallbackReason}. The rule parser could not understand the description either.`);
+    }
+    
+    return {
+      steps: parsed.steps,
+      parser: 'rules',
+      unparsed: parsed.unparsed,
+      fallbackReason
+    };
+  }
+
+  /**
+   * Rule parser first, LLM for the rest
+   * 
+   * WHY: Most clauses are simple; sending only the hard ones to the LLM keeps
+   * results deterministic and calls small. Consecutive hard clauses go to the
+   * LLM together so it keeps their context.
+   * 
+   * @returns {Promise<Object>} { steps, parser: 'hybrid', unparsed, fallbackReason }
+   */
+  async convertHybrid(naturalLanguage, context = {}) {
+    const parsed = this.ruleParser.parse(naturalLanguage);
+    const needsLLM = clause => !clause.step || clause.step.confidence < this.ruleParser.minConfidence;
+    
+    // Group consecutive clauses by whether the LLM must handle them
+    const segments = [];
+    for (const clause of parsed.clauses) {
+      const llm = needsLLM(clause);
+      const last = segments[segments.length - 1];
+      if (last && last.llm === llm) {
+        last.clauses.push(clause);
+      } else {
+        segments.push({ llm, clauses: [clause] });
+      }
+    }
+    
+    const llmSegments = segments.filter(segment => segment.llm);
+    if (llmSegments.length === 0 || !this.llm.isConfigured()) {
+      return {
+        ...this.convertWithRules(naturalLanguage, llmSegments.length > 0 ? 'LLM not configured' : null),
+        parser: 'hybrid'
+      };
+    }
+    
+    console.log(`📐 Rule parser handled ${parsed.clauses.length - llmSegments.reduce((n, s) => n + s.clauses.length, 0)}/${parsed.clauses.length} clauses, asking LLM for the rest`);
+    
+    const steps = [];
+    const unparsed = [];
+    let fallbackReason = null;
+    
+    for (const segment of segments) {
+      if (!segment.llm) {
+        steps.push(...segment.clauses.map(clause => clause.step));
+        continue;
+      }
+      
+      try {
+        const text = segment.clauses.map(clause => clause.text).join('. ');
+        const { steps: llmSteps } = await this.convertWithLLM(text, context);
+        steps.push(...llmSteps);
+      } catch (error) {
+        // Keep what the rules found; report the rest
+        console.warn(`⚠️  LLM failed for "${segment.clauses[0].text}...": ${error.message}`);
+        fallbackReason = error.message;
+        for (const clause of segment.clauses) {
+          if (clause.step) {
+            steps.push(clause.step);
+          } else {
+            unparsed.push(clause.text);
+          }
+        }
+      }
+    }
+    
+    steps.forEach((step, index) => {
+      step.stepNumber = index + 1;
+    });
+    
+    return { steps, parser: 'hybrid', unparsed, fallbackReason };
+  }
+
   /**
    * Build AI prompt with clear instructions and examples
    * 
@@ -119,16 +269,30 @@ USER INPUT:
 ${userInput}
 
 YOUR TASK:
-1. Identify each test action (navigate, click, type, verify, wait)
+1. Identify each test action
 2. Extract target elements (selectors, text, URLs)
-3. Identify data to input (for type actions)
+3. Identify data for actions that take it (text to type, option to select, key to press, ...)
 4. Identify assertions (for verify actions)
 
+SUPPORTED ACTIONS (fields marked ? are optional):
+${describeActionsForPrompt()}
+
 IMPORTANT RULES:
 - Output ONLY valid JSON (no markdown, no explanations)
-- Use simple, specific action types: navigate, click, type, verify, wait
+- Use only the action types listed above
 - For element targets, prefer CSS selectors or text descriptions
 - Be specific about what to verify
+- Put extra action fields (e.g. extract's "variable", "from", "pattern") on the step object itself
+- Reuse stored values as \${name} in target / data / expected; built-in values: \${uuid}, \${timestamp}, \${email}, \${firstName}, \${lastName}, \${randomInt(1,100)}
+- Optional UI ("click Accept if the cookie banner shows up") becomes an "if" step whose "then" holds the nested steps:
+  {"action": "if", "condition": {"type": "element_visible", "target": "#cookie-accept"}, "then": [{"action": "click", "target": "#cookie-accept", "description": "Accept cookies"}], "description": "Accept cookies if shown"}
+- Use repeat / forEach only for explicit repetition, and callFlow only for flows the user names
+- Backend work ("create a user via the API", "seed an order through the REST API", "call DELETE /api/carts/1") becomes an "http" step, not UI steps. Put the body in "data" as a JSON object, the required status in "expected", and store response values with "extract" (name -> JSON path) to reuse them as \${name}:
+  {"action": "http", "method": "POST", "target": "https://example.com/api/users", "data": {"email": "\${email}", "name": "\${fullName}"}, "expected": "201", "extract": {"userId": "$.id"}, "description": "Create a user via the API"}
+- Checks in the middle of a flow beyond "is visible" ("the cart shows 3 items", "the Pay button is disabled", "the spinner is gone", "the order number looks like #123456") become "assert" steps; "not": true negates a check:
+  {"action": "assert", "type": "element_disabled", "target": "#pay", "description": "Pay button is disabled until terms are accepted"}
+  {"action": "assert", "type": "element_visible", "target": ".spinner", "not": true, "description": "Loading finished"}
+- Add "onFailure": "warn" only to checks the user calls cosmetic, optional or non-blocking ("the logo should ideally be 120px wide"); they are reported as warnings without failing the test. Leave onFailure out otherwise
 
 OUTPUT FORMAT (JSON):
 [
@@ -170,56 +334,46 @@ Now convert the user input above into this format.`;
   }
 
   /**
-   * Call OpenAI API
+   * Call the configured LLM
    * 
-   * CONNECTION: External API call
-   * ERROR HANDLING: Network errors, API errors, rate limits
+   * CONNECTION: External API call (provider from config.json)
+   * ERROR HANDLING: Network errors, API errors, rate limits (retried by the provider layer)
    * 
    * @param {string} prompt - Formatted prompt
+   * @param {Object} context - LLM usage attribution
    * @returns {Promise<string>} - AI response text
    */
-  async callAI(prompt) {
-    console.log('📡 Calling OpenAI API...');
-    
-    const startTime = Date.now();
+  async callAI(prompt, context = {}) {
+    const settings = this.llm.resolveSettings();
+    console.log(`📡 Calling ${settings.provider} (${settings.model})...`);
     
     try {
-      // API call with specific parameters
       // WHY THESE SETTINGS:
-      // - gpt-4-turbo: Best for structured output
       // - temperature 0.3: Low randomness for consistency
-      // - max_tokens 2000: Enough for complex tests
-      const completion = await this.client.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a test automation expert. Output only valid JSON.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
+      // - maxTokens 2000: Enough for complex tests
+      const completion = await this.llm.complete({
+        system: 'You are a test automation expert. Output only valid JSON.',
+        prompt,
         temperature: 0.3,  // Low temperature = more consistent output
-        max_tokens: 2000
+        maxTokens: 2000,
+        feature: 'conversion',
+        context
       });
       
-      const duration = Date.now() - startTime;
-      console.log(`⏱️  API response in ${duration}ms`);
+      console.log(`⏱️  API response in ${completion.duration}ms`);
       
       // Extract the actual response text
-      return completion.choices[0].message.content;
+      return completion.text;
       
     } catch (error) {
       // Handle specific API errors
       // CONNECTION: Error handling flows to UI for user feedback
       if (error.code === 'insufficient_quota') {
-        throw new Error('OpenAI API quota exceeded. Please check your API key.');
-      } else if (error.code === 'invalid_api_key') {
-        throw new Error('Invalid OpenAI API key. Please check your configuration.');
+        throw new Error(`${settings.provider} API quota exceeded. Please check your API key.`);
+      } else if (error.code === 'invalid_api_key' || error.status === 401) {
+        throw new Error(`Invalid ${settings.provider} API key. Please check your configuration.`);
       } else {
-        throw new Error(`OpenAI API error: ${error.message}`);
+        throw new Error(`${settings.provider} API error: ${error.message}`);
       }
     }
   }
@@ -296,27 +450,11 @@ Now convert the user input above into this format.`;
         throw new Error(`Step ${stepNum}: Missing 'description' field`);
       }
       
-      // VALIDATE ACTION TYPE
-      // CONNECTION: These action types must match Phase 2's executor capabilities
-      if (!this.supportedActions.includes(step.action)) {
-        throw new Error(
-          `Step ${stepNum}: Unsupported action '${step.action}'. ` +
-          `Supported: ${this.supportedActions.join(', ')}`
-        );
-      }
-      
-      // ACTION-SPECIFIC VALIDATION
-      // WHY: Each action type has different requirements
-      if (step.action === 'navigate' && !step.target) {
-        throw new Error(`Step ${stepNum}: 'navigate' action requires 'target' URL`);
-      }
-      
-      if (step.action === 'type' && !step.data) {
-        throw new Error(`Step ${stepNum}: 'type' action requires 'data' field`);
-      }
-      
-      if (step.action === 'verify' && !step.expected) {
-        throw new Error(`Step ${stepNum}: 'verify' action requires 'expected' field`);
+      // VALIDATE ACTION TYPE AND PARAMETERS
+      // CONNECTION: The registry is what Phase 2's executor runs
+      const [problem] = validateStepParams(step);
+      if (problem) {
+        throw new Error(`Step ${stepNum}: ${problem}`);
       }
     });
     
@@ -0,0 +1,893 @@
+/**
+ * Phase 1: Rule-Based Step Parser
+ *
+ * PURPOSE:
+ * Deterministic, offline conversion of common test phrasings into structured
+ * steps. Used when no LLM is available, and as a first pass so the LLM only
+ * sees the sentences the grammar cannot handle.
+ *
+ * FEATURES:
+ * - Splits descriptions into clauses (numbered lists, bullets, sentences,
+ *   "then", commas and "and" before an action verb)
+ * - Quoted values, URLs/domains and email addresses are kept intact
+ * - Recognizes phrasings for every registry action (navigate, click, type, select,
+ *   check, press, hover, upload, drag, scroll, verify, waits, ...), including
+ *   "the user clicks ..." forms
+ * - Conditional steps: "if the cookie banner appears, click Accept",
+ *   "click Accept if it shows up", "if the URL contains /checkout, ..."
+ * - Every step carries a confidence (0-1); clauses that match no rule are
+ *   reported as unparsed instead of being guessed
+ * - Targets are Playwright selectors (text=..., CSS candidates for fields), so
+ *   Phase 2's selector correction can take over when a guess is wrong
+ *
+ * CONNECTIONS:
+ * - Uses: backend/executor/actionRegistry.js (action names)
+ * - Used by: converter.js (fallback / hybrid parsing),
+ *   phase6/csvTestSuiteHandler.js (CSV test_steps column)
+ * - Output: Same step shape as the LLM path ({ stepNumber, action, target, data,
+ *   expected, description }) plus confidence and source: 'rules'
+ */
+
+import { getAction } from '../backend/executor/actionRegistry.js';
+
+// Verb groups (with third-person / past forms, so "the user clicks" parses too)
+const NAV = String.raw`(?:(?:go(?:es)?|navigates?|navigated|browses?|heads?)\s+(?:back\s+)?to|opens?|opened|visits?|visited|loads?|launch(?:es)?)`;
+const CLICK = String.raw`(?:clicks?|clicked|taps?|tapped|press(?:es)?|pressed|hits?)(?:\s+on)?`;
+const TYPE = String.raw`(?:types?|typed|enters?|entered|inputs?|writes?|puts?)`;
+const FILL = String.raw`(?:fills?|filled)(?:\s+(?:in|out))?`;
+const SET = String.raw`(?:sets?)`;
+const VERIFY = String.raw`(?:verify|verifies|verified|checks?|checked|asserts?|ensures?|confirms?|validates?|make\s+sure|expects?)(?:\s+that)?`;
+const WAIT = String.raw`(?:waits?|waited)(?:\s+(?:for|until))?`;
+
+// Verbs that start a new clause after "and" or a comma
+const CLAUSE_START = String.raw`(?:go|navigate|browse|open|visit|load|launch|click|tap|press|hit|type|enter|input|fill|set|verify|check|assert|ensure|confirm|validate|make\s+sure|expect|see|wait|submit|double[-\s]?click|right[-\s]?click|hover|select|choose|pick|tick|uncheck|untick|upload|attach|drag|scroll|clear|focus|blur|store|remember|capture|extract|if)s?\b`;
+
+const VISIBLE = String.raw`(?:(?:is|are)\s+(?:now\s+)?(?:visible|displayed|shown|present|rendered|loaded)|appears?|exists?|loads?|shows?\s+up)`;
+// Conditions: "if the banner appears", "if it shows up", "if present"
+const SHOWN = String.raw`(?:${VISIBLE}|pops?\s+up|(?:is|are)\s+there)`;
+const NOT_SHOWN = String.raw`(?:(?:is|are)\s*(?:not|n't)\s+(?:visible|displayed|shown|present|there)|(?:does|do)\s*(?:not|n't)\s+(?:appear|exist|show\s+up)|(?:is|are)\s+(?:hidden|gone|absent|missing))`;
+const PRONOUN = /^(?:it|they|one|that)$/i;
+
+const SELECTOR_PATTERN = /^(?:[#.[]|\/\/|(?:text|css|xpath|id|data-testid)=|[a-z]+[#.[:][^\s]*$)/i;
+const KEY_NAMES = /^(?:enter|return|tab|escape|esc|space|backspace|delete|arrow\s*(?:up|down|left|right)|page\s*(?:up|down))(?:\s+key)?$/i;
+const NEGATION = /\b(?:not|no|never|isn't|doesn't|don't|aren't|without)\b/i;
+
+const ELEMENT_NOUNS = /\s+(?:button|link|tab|icon|menu\s+item|menu|option|element|item|heading|header|label|message|text|banner|section|image|logo)$/i;
+const FIELD_NOUNS = /\s+(?:input\s+field|text\s+field|text\s+box|textbox|textarea|input|field|box|area|drop-?down(?:\s+list)?|select|combo\s*box|list)$/i;
+const TOGGLE_NOUNS = String.raw`(?:checkbox|check\s*box|tick\s*box|radio(?:\s+button)?|option|toggle|switch|box)`;
+
+// Spoken key names → Playwright key names
+const KEYS = {
+  enter: 'Enter', return: 'Enter', tab: 'Tab', escape: 'Escape', esc: 'Escape', space: 'Space',
+  backspace: 'Backspace', delete: 'Delete', 'arrow up': 'ArrowUp', 'arrow down': 'ArrowDown',
+  'arrow left': 'ArrowLeft', 'arrow right': 'ArrowRight', 'page up': 'PageUp', 'page down': 'PageDown'
+};
+const MODIFIERS = { ctrl: 'Control', control: 'Control', cmd: 'Meta', command: 'Meta', meta: 'Meta', alt: 'Alt', shift: 'Shift' };
+
+/**
+ * Rule-based parser
+ */
+export class RuleBasedStepParser {
+  /**
+   * @param {Object} options
+   * @param {number} options.minConfidence - Below this, hybrid parsing asks the LLM instead (default 0.6)
+   */
+  constructor(options = {}) {
+    this.minConfidence = options.minConfidence ?? 0.6;
+  }
+
+  /**
+   * Parse a full description
+   *
+   * @param {string} text - Natural language test description
+   * @returns {Object} { steps, clauses: [{ index, text, step|null }], unparsed: [text], confidence }
+   */
+  parse(text) {
+    const clauses = this.splitClauses(text).map((clause, index) => ({
+      index,
+      text: clause.text,
+      step: this.parseClause(clause)
+    }));
+
+    const steps = clauses
+      .filter(clause => clause.step)
+      .map((clause, index) => ({ stepNumber: index + 1, ...clause.step }));
+
+    const confidence = steps.length > 0
+      ? Math.round((steps.reduce((sum, step) => sum + step.confidence, 0) / steps.length) * 100) / 100
+      : 0;
+
+    return {
+      steps,
+      clauses,
+      unparsed: clauses.filter(clause => !clause.step).map(clause => clause.text),
+      confidence
+    };
+  }
+
+  /**
+   * Split a description into clauses, one action each
+   *
+   * @returns {Array<Object>} [{ text, protected, tokens }] - protected text has quoted
+   *   values, URLs and emails replaced by placeholders
+   */
+  splitClauses(text) {
+    const tokens = [];
+    const protect = (raw, value, kind) => {
+      tokens.push({ raw, value, kind });
+      return `\u0001${tokens.length - 1}\u0001`;
+    };
+
+    // WHY: quoted values, URLs and emails contain ".", "," and "and" that must not split clauses
+    let working = String(text || '')
+      .replace(/"([^"]*)"|“([^”]*)”/g, (raw, a, b) => protect(raw, a ?? b, 'quoted'))
+      .replace(/(^|[\s(:])'([^']+)'(?=$|[\s.,;:!?)])/g, (match, lead, value) => lead + protect(`'${value}'`, value, 'quoted'))
+      .replace(/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, raw => protect(raw, raw, 'email'))
+      .replace(/\b(?:https?:\/\/[^\s,;]+|www\.[^\s,;]+|localhost(?::\d+)?(?:\/[^\s,;]*)?|(?:[a-z0-9-]+\.)+(?:com|org|net|io|dev|app|co|edu|gov|ai|in|uk|de|local)(?::\d+)?(?:\/[^\s,;]*)?)/gi, raw => {
+        // Sentence punctuation is not part of the URL
+        const trailing = raw.match(/[.)!?]+$/)?.[0] || '';
+        const url = raw.substring(0, raw.length - trailing.length);
+        return protect(url, url, 'url') + trailing;
+      });
+
+    // Headings are not steps: a leading "Test login flow" title line, "Steps:" lines
+    working = working
+      .replace(/^\s*(?:test(?:ing)?|scenario|feature|title)\b[^\n]*\n/i, '\n')
+      .replace(/^[^\n]*:[ \t]*$/gm, '');
+
+    working = working
+      .replace(/\bstep\s+\d+\s*[:.)-]\s*/gi, '\n')
+      .replace(/(^|\s)\d+[.)]\s+/g, '\n')
+      .replace(/^\s*[-*•]\s+/gm, '\n');
+
+    const delimiter = new RegExp(
+      String.raw`\n|;|[.!?](?:\s+|$)|,?\s+(?:and\s+)?then\s+|,\s*(?:and\s+)?(?=${CLAUSE_START})|\s+and\s+(?=${CLAUSE_START})`,
+      'gi'
+    );
+
+    const parts = working
+      .split(delimiter)
+      .map(part => this.stripFiller(part || ''))
+      .filter(part => part.length > 0);
+
+    return this.joinConditions(parts, tokens)
+      .map(part => ({
+        text: this.restore(part, tokens, 'raw'),
+        protected: part,
+        tokens
+      }));
+  }
+
+  /**
+   * Re-attach split-off conditions to the clause they guard
+   *
+   * WHY: "if the banner appears, click Accept" splits at ", click"; "click Accept,
+   * if it shows up" splits at ", if". A condition about "it" belongs to the clause
+   * before it, any other condition to the clause after it.
+   */
+  joinConditions(parts, tokens) {
+    const joined = [];
+
+    for (let i = 0; i < parts.length; i++) {
+      const condition = parts[i].match(/^if\s+(.+)$/i);
+      const parsed = condition && this.parseCondition(condition[1], { tokens });
+
+      if (parsed?.pronoun && joined.length > 0) {
+        joined[joined.length - 1] = `${joined[joined.length - 1]} ${parts[i]}`;
+      } else if (parsed && !parsed.pronoun && i + 1 < parts.length) {
+        joined.push(`${parts[i]}, ${parts[++i]}`);
+      } else {
+        joined.push(parts[i]);
+      }
+    }
+
+    return joined;
+  }
+
+  /**
+   * Remove sequencing words and subjects ("First, the user should ...")
+   */
+  stripFiller(part) {
+    let result = part.trim();
+    let previous;
+
+    do {
+      previous = result;
+      result = result
+        .replace(/^(?:first(?:ly)?|then|next|finally|after\s+that|afterwards|and|now|also|lastly)\s*,?\s+/i, '')
+        .replace(/^(?:the\s+)?(?:user|users|i|we|you)\s+(?=\S)/i, '')
+        .replace(/^(?:should|must|will|can|shall)\s+(?:be\s+able\s+to\s+)?/i, '')
+        .trim();
+    } while (result !== previous);
+
+    return result.replace(/[\s.,;:!?]+$/, '');
+  }
+
+  /**
+   * Put protected values back
+   *
+   * @param {string} mode - 'raw' keeps quotes (descriptions), 'value' unwraps them
+   */
+  restore(text, tokens, mode = 'value') {
+    return text.replace(/\u0001(\d+)\u0001/g, (match, index) => {
+      const token = tokens[Number(index)];
+      return mode === 'raw' ? token.raw : token.value;
+    });
+  }
+
+  /**
+   * Parse one clause into a step, or null if no rule matches
+   */
+  parseClause(clause) {
+    const text = clause.protected;
+    const rules = [
+      () => this.matchConditional(text, clause),
+      () => this.matchNavigate(text, clause),
+      () => this.matchExtract(text, clause),
+      () => this.matchPress(text, clause),
+      () => this.matchPointer(text, clause),
+      () => this.matchToggle(text, clause),
+      () => this.matchSelect(text, clause),
+      () => this.matchUpload(text, clause),
+      () => this.matchDrag(text, clause),
+      () => this.matchFieldAction(text, clause),
+      () => this.matchScroll(text, clause),
+      () => this.matchType(text, clause),
+      () => this.matchWait(text, clause),
+      () => this.matchVerify(text, clause),
+      () => this.matchClick(text, clause),
+      () => this.matchKeyword(text, clause)
+    ];
+
+    for (const rule of rules) {
+      const step = rule();
+      // WHY: The grammar may only produce actions the executor can run
+      if (step && getAction(step.action)) {
+        const { action, target, data, expected, confidence, ...params } = step;
+        return {
+          action,
+          target: target ?? null,
+          data: data ?? null,
+          expected: expected ?? null,
+          ...params,
+          description: clause.text.charAt(0).toUpperCase() + clause.text.slice(1),
+          confidence: Math.max(0, Math.min(1, Math.round(confidence * 100) / 100)),
+          source: 'rules'
+        };
+      }
+    }
+
+    return null;
+  }
+
+  matchNavigate(text, clause) {
+    const match = text.match(new RegExp(String.raw`^${NAV}\s+(?:the\s+)?(.+)$`, 'i'));
+    if (!match) {
+      return null;
+    }
+
+    const url = this.findToken(match[1], clause.tokens, 'url')
+      || this.findToken(match[1], clause.tokens, 'quoted', token => /^(?:https?:\/\/|www\.|localhost|\/)/i.test(token.value));
+    if (url) {
+      return { action: 'navigate', target: this.normalizeUrl(url.value), confidence: 0.95 };
+    }
+
+    // "go to the login page": a page name, not an address; keep it for the user to fix
+    return { action: 'navigate', target: this.restore(match[1], clause.tokens), confidence: 0.35 };
+  }
+
+  /**
+   * if the cookie banner appears, click Accept / click Accept if it shows up /
+   * if the URL contains /checkout, verify "Total" is visible
+   */
+  matchConditional(text, clause) {
+    const leading = text.match(/^if\s+(.+?)\s*,\s*(?:then\s+)?(.+)$/i);
+    const trailing = leading ? null : text.match(/^(.+?),?\s+(?:but\s+)?(?:only\s+)?if\s+(.+)$/i);
+    if (!leading && !trailing) {
+      return null;
+    }
+
+    const conditionText = leading ? leading[1] : trailing[2];
+    const bodyText = leading ? leading[2] : trailing[1];
+    const condition = this.parseCondition(conditionText, clause);
+    const body = this.parseClause({
+      protected: bodyText,
+      tokens: clause.tokens,
+      text: this.restore(bodyText, clause.tokens, 'raw')
+    });
+    if (!condition || !body) {
+      return null;
+    }
+
+    // "click Accept if it shows up": "it" is the element the step acts on
+    if (condition.pronoun) {
+      if (!body.target || body.action === 'navigate') {
+        return null;
+      }
+      condition.condition.target = body.target;
+    }
+
+    return {
+      action: 'if',
+      condition: condition.condition,
+      then: [body],
+      confidence: Math.min(body.confidence, condition.confidence)
+    };
+  }
+
+  /**
+   * "the cookie banner appears" / "it shows up" / "the URL contains /checkout" /
+   * "${role} is admin" -> { condition, confidence, pronoun }, or null
+   */
+  parseCondition(text, clause) {
+    const trimmed = text.trim().replace(/[\s.,;:!?]+$/, '');
+
+    const url = trimmed.match(/^(?:the\s+)?(?:current\s+|page\s+)?(?:url|address)\s+(does\s*(?:not|n't)\s+)?(contains?|includes?|matches|is)\s+(.+)$/i);
+    if (url) {
+      const value = this.slot(url[3], clause.tokens).text;
+      const pattern = url[2].toLowerCase() === 'matches' ? value : value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return {
+        condition: { type: 'url_matches', pattern: url[2].toLowerCase() === 'is' ? `^${pattern}$` : pattern, ...(url[1] ? { not: true } : {}) },
+        confidence: 0.85
+      };
+    }
+
+    const variable = trimmed.match(/^(?:(?:the\s+)?variable\s+([A-Za-z_][\w.-]*)|\$\{\s*([A-Za-z_][\w.-]*)\s*\})\s+(is\s+not|isn't|does\s*(?:not|n't)\s+equal|!=|is|equals|==?)\s+(.+)$/i);
+    if (variable) {
+      return {
+        condition: {
+          type: 'variable_equals',
+          variable: variable[1] || variable[2],
+          value: this.slot(variable[4], clause.tokens).text,
+          ...(/not|n't|!=/i.test(variable[3]) ? { not: true } : {})
+        },
+        confidence: 0.9
+      };
+    }
+
+    // "if present" / "if visible": about the step's own element
+    if (/^(?:present|visible|shown|displayed|there|available)$/i.test(trimmed)) {
+      return { condition: { type: 'element_visible' }, confidence: 0.8, pronoun: true };
+    }
+
+    const hidden = trimmed.match(new RegExp(String.raw`^(.+?)\s+${NOT_SHOWN}$`, 'i'));
+    const shown = hidden ? null : trimmed.match(new RegExp(String.raw`^(.+?)\s+${SHOWN}$`, 'i'));
+    const element = hidden || shown;
+    if (!element) {
+      return null;
+    }
+
+    const type = hidden ? 'element_hidden' : 'element_visible';
+    if (PRONOUN.test(element[1].trim())) {
+      return { condition: { type }, confidence: 0.8, pronoun: true };
+    }
+
+    const target = this.slot(element[1], clause.tokens);
+    return {
+      condition: { type, target: this.elementTarget(target) },
+      confidence: target.literal || target.selector ? 0.85 : 0.7
+    };
+  }
+
+  /**
+   * press Enter / hit Tab in the search box / press Ctrl+A
+   */
+  /**
+   * store the text of the order number as orderId / save the URL as checkoutUrl /
+   * capture the "href" attribute of the receipt link as receiptUrl
+   */
+  matchExtract(text, clause) {
+    const match = text.match(/^(?:stores?|stored|saves?|saved|remembers?|remembered|captures?|captured|extracts?|extracted|records?|recorded)\s+(?:the\s+)?(.+?)\s+(?:as|in|into)\s+(?:a\s+|the\s+)?(?:variable\s+)?(.+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const variable = this.restore(match[2], clause.tokens).replace(/^\$\{(.*)\}$/, '$1').trim();
+    if (!/^[A-Za-z_][\w.-]*$/.test(variable)) {
+      return null;
+    }
+
+    const what = match[1].trim();
+    if (/^(?:current\s+|page\s+)?url$/i.test(what)) {
+      return { action: 'extract', variable, from: 'url', confidence: 0.9 };
+    }
+
+    const attribute = what.match(/^(.+?)\s+attribute\s+of\s+(?:the\s+)?(.+)$/i);
+    if (attribute) {
+      const element = this.slot(attribute[2], clause.tokens);
+      return {
+        action: 'extract',
+        target: this.elementTarget(element),
+        variable,
+        from: 'attribute',
+        attribute: this.restore(attribute[1], clause.tokens),
+        confidence: element.literal || element.selector ? 0.85 : 0.7
+      };
+    }
+
+    const property = what.match(/^(text|value|contents?)\s+(?:of|in|from)\s+(?:the\s+)?(.+)$/i);
+    if (property) {
+      const element = this.slot(property[2], clause.tokens);
+      const isValue = property[1].toLowerCase() === 'value';
+      return {
+        action: 'extract',
+        target: isValue ? this.fieldTarget(element) : this.elementTarget(element),
+        variable,
+        from: isValue ? 'value' : 'text',
+        confidence: element.literal || element.selector ? 0.85 : 0.75
+      };
+    }
+
+    // "save "ACME-42" as code": a value, not an element
+    const element = this.slot(what, clause.tokens);
+    if (element.literal && !element.selector && /^\u0001\d+\u0001$/.test(what)) {
+      return { action: 'extract', variable, from: 'literal', data: element.text, confidence: 0.85 };
+    }
+
+    return {
+      action: 'extract',
+      target: this.elementTarget(element),
+      variable,
+      from: 'text',
+      confidence: element.selector ? 0.8 : 0.6
+    };
+  }
+
+  matchPress(text, clause) {
+    const match = text.match(/^(?:press(?:es)?|pressed|hits?)\s+(?:the\s+)?(.+?)(?:\s+key)?(?:\s+(?:in|on|inside)\s+(.+))?$/i);
+    if (!match) {
+      return null;
+    }
+
+    const key = this.keyName(this.slot(match[1], clause.tokens).text);
+    if (!key) {
+      return null;
+    }
+
+    const target = match[2] ? this.slot(match[2], clause.tokens) : null;
+    return {
+      action: 'press',
+      data: key,
+      target: target ? this.fieldTarget(target) : null,
+      confidence: 0.9
+    };
+  }
+
+  /**
+   * double-click / right-click / hover / focus / blur an element
+   */
+  matchPointer(text, clause) {
+    const forms = [
+      { action: 'double_click', pattern: /^(?:double[-\s]?click(?:s|ed)?|dbl[-\s]?click)\s+(?:on\s+)?(.+)$/i },
+      { action: 'right_click', pattern: /^right[-\s]?click(?:s|ed)?\s+(?:on\s+)?(.+)$/i },
+      { action: 'hover', pattern: /^(?:hover(?:s|ed)?|mouses?\s+over|move(?:s)?\s+(?:the\s+)?mouse\s+(?:over|to))\s+(?:over\s+|on\s+)?(.+)$/i },
+      { action: 'focus', pattern: /^focus(?:es|ed)?\s+(?:on\s+)?(.+)$/i },
+      { action: 'blur', pattern: /^(?:blur(?:s|red)?|unfocus(?:es|ed)?)\s+(.+)$/i }
+    ];
+
+    for (const form of forms) {
+      const match = text.match(form.pattern);
+      if (match) {
+        const target = this.slot(match[1], clause.tokens);
+        return {
+          action: form.action,
+          target: this.elementTarget(target),
+          confidence: target.literal || target.selector ? 0.9 : 0.75
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * check the "Remember me" checkbox / uncheck newsletter / tick the terms box
+   *
+   * WHY: "check" also means verify; without "un-" it needs a checkbox noun
+   */
+  matchToggle(text, clause) {
+    const uncheck = text.match(new RegExp(String.raw`^(?:uncheck(?:s|ed)?|untick(?:s|ed)?|deselect(?:s|ed)?)\s+(?:the\s+)?(.+?)(?:\s+${TOGGLE_NOUNS})?$`, 'i'));
+    const check = uncheck ? null : text.match(new RegExp(String.raw`^(?:check(?:s|ed)?|tick(?:s|ed)?|enable[sd]?)\s+(?:the\s+)?(.+?)\s+${TOGGLE_NOUNS}$`, 'i'));
+    const match = uncheck || check;
+    if (!match || NEGATION.test(text)) {
+      return null;
+    }
+
+    const target = this.slot(match[1], clause.tokens);
+    return {
+      action: uncheck ? 'uncheck' : 'check',
+      target: this.elementTarget(target),
+      confidence: target.literal || target.selector ? 0.85 : 0.75
+    };
+  }
+
+  /**
+   * select "US" from the country dropdown / choose Blue in color
+   */
+  matchSelect(text, clause) {
+    const match = text.match(/^(?:select(?:s|ed)?|choose[sd]?|chose|pick(?:s|ed)?)\s+(?:the\s+)?(?:option\s+)?(.+?)\s+(?:from|in|on)\s+(?:the\s+)?(.+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const value = this.slot(match[1], clause.tokens);
+    const field = this.slot(match[2], clause.tokens);
+    let confidence = 0.9;
+    if (!value.literal) confidence -= 0.1;
+    if (!field.literal && !field.selector) confidence -= 0.1;
+
+    return {
+      action: 'select',
+      target: this.fieldTarget(field),
+      data: value.text,
+      confidence
+    };
+  }
+
+  /**
+   * upload "avatar.png" to the profile picture input / attach "cv.pdf"
+   */
+  matchUpload(text, clause) {
+    const match = text.match(/^(?:upload(?:s|ed)?|attach(?:es|ed)?)\s+(?:the\s+)?(?:file\s+)?(.+?)(?:\s+(?:to|into|in|on|using|via)\s+(?:the\s+)?(.+))?$/i);
+    if (!match) {
+      return null;
+    }
+
+    const file = this.slot(match[1], clause.tokens);
+    if (!file.text) {
+      return null;
+    }
+
+    const field = match[2] ? this.slot(match[2], clause.tokens) : null;
+    return {
+      action: 'upload',
+      target: field?.selector ? field.text : 'input[type="file"]',
+      data: file.text,
+      confidence: file.literal ? 0.85 : 0.65
+    };
+  }
+
+  /**
+   * drag "Task 1" to the "Done" column
+   */
+  matchDrag(text, clause) {
+    const match = text.match(/^drag(?:s|ged)?\s+(?:and\s+drop\s+)?(?:the\s+)?(.+?)\s+(?:to|onto|into|over|on)\s+(?:the\s+)?(.+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const source = this.slot(match[1], clause.tokens);
+    const destination = this.slot(match[2], clause.tokens);
+    const literal = [source, destination].every(slot => slot.literal || slot.selector);
+
+    return {
+      action: 'drag',
+      target: this.elementTarget(source),
+      data: this.elementTarget(destination),
+      confidence: literal ? 0.85 : 0.7
+    };
+  }
+
+  /**
+   * clear the search field
+   */
+  matchFieldAction(text, clause) {
+    const match = text.match(/^(?:clear(?:s|ed)?|empt(?:y|ies|ied))\s+(?:the\s+)?(.+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const field = this.slot(match[1], clause.tokens);
+    return {
+      action: 'clear',
+      target: this.fieldTarget(field),
+      confidence: field.literal || field.selector ? 0.85 : 0.75
+    };
+  }
+
+  /**
+   * scroll down / scroll to the top / scroll to the footer
+   */
+  matchScroll(text, clause) {
+    const match = text.match(/^scroll(?:s|ed)?(?:\s+(down|up))?(?:\s+(?:to|until)\s+(?:the\s+)?(.+?))?(?:\s+of\s+the\s+page)?$/i);
+    if (!match) {
+      return null;
+    }
+
+    const where = (match[2] || '').toLowerCase();
+    if (!where || ['top', 'bottom', 'end', 'page top', 'page bottom'].includes(where)) {
+      const edge = where.includes('top') || (!where && match[1]?.toLowerCase() === 'up') ? 'top' : 'bottom';
+      return { action: 'scroll', data: edge, confidence: 0.85 };
+    }
+
+    const target = this.slot(match[2], clause.tokens);
+    return {
+      action: 'scroll',
+      target: this.elementTarget(target),
+      confidence: target.literal || target.selector ? 0.85 : 0.7
+    };
+  }
+
+  matchType(text, clause) {
+    const forms = [
+      // type "john" into the username field
+      { pattern: new RegExp(String.raw`^${TYPE}\s+(.+?)\s+(?:in|into|inside|on|for)\s+(.+)$`, 'i'), value: 1, field: 2 },
+      // fill (in) the username field with "john"
+      { pattern: new RegExp(String.raw`^${FILL}\s+(.+?)\s+(?:with|as|using)\s+(.+)$`, 'i'), field: 1, value: 2 },
+      // enter username as "john" / set email to "x" / fill password: "secret"
+      { pattern: new RegExp(String.raw`^(?:${TYPE}|${SET}|${FILL})\s+(.+?)\s*(?:\s(?:as|to)\s|=|:)\s*(.+)$`, 'i'), field: 1, value: 2 }
+    ];
+
+    for (const form of forms) {
+      const match = text.match(form.pattern);
+      if (!match) {
+        continue;
+      }
+
+      const value = this.slot(match[form.value], clause.tokens);
+      const field = this.slot(match[form.field], clause.tokens);
+      if (!value.text || !field.text) {
+        continue;
+      }
+
+      let confidence = 0.9;
+      if (!value.literal) confidence -= 0.1;
+      if (!field.literal && !field.selector) confidence -= 0.1;
+
+      return {
+        action: 'type',
+        target: this.fieldTarget(field),
+        data: value.text,
+        confidence
+      };
+    }
+
+    return null;
+  }
+
+  matchWait(text, clause) {
+    if (!new RegExp(String.raw`^${WAIT}\b`, 'i').test(text)) {
+      return null;
+    }
+
+    // wait for the network to be idle / wait until network idle
+    if (/\bnetwork\b.*\bidle\b|\bnetworkidle\b/i.test(text)) {
+      return { action: 'wait_for_network_idle', confidence: 0.9 };
+    }
+
+    // wait for the page to load / wait for navigation to /dashboard / wait until the URL contains "x"
+    const navigation = text.match(new RegExp(
+      String.raw`^${WAIT}\s+(?:the\s+)?(?:page\s+to\s+(?:load|navigate)|navigation|redirect|url)(?:\s+(?:to|contains?|matches|includes)\s+(.+))?$`,
+      'i'
+    ));
+    if (navigation) {
+      const url = navigation[1] ? this.slot(navigation[1], clause.tokens).text : null;
+      return { action: 'wait_for_navigation', target: url, confidence: 0.85 };
+    }
+
+    // wait 2 seconds / wait for 500ms
+    const delay = text.match(new RegExp(String.raw`^${WAIT}\s+(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?|minutes?)?$`, 'i'));
+    if (delay) {
+      const unit = (delay[2] || 's').toLowerCase();
+      const factor = unit.startsWith('min') ? 60000 : unit.startsWith('m') ? 1 : 1000;
+      return { action: 'wait', data: String(Math.round(Number(delay[1]) * factor)), confidence: 0.9 };
+    }
+
+    const match = text.match(new RegExp(
+      String.raw`^${WAIT}\s+(?:the\s+)?(.+?)(?:\s+(?:to\s+)?(?:appear|be\s+visible|be\s+displayed|load|show\s+up)|\s+${VISIBLE})?$`,
+      'i'
+    ));
+    if (!match || NEGATION.test(text)) {
+      return null;
+    }
+
+    const target = this.slot(match[1], clause.tokens);
+    return {
+      action: 'wait',
+      target: this.elementTarget(target),
+      confidence: target.literal || target.selector ? 0.85 : 0.7
+    };
+  }
+
+  matchVerify(text, clause) {
+    if (NEGATION.test(text)) {
+      // Only "is visible" style checks are supported; negative checks go to the LLM / user
+      return null;
+    }
+
+    // verify (that) the dashboard is visible / "Welcome" appears
+    let match = text.match(new RegExp(String.raw`^(?:${VERIFY}\s+)?(?:the\s+)?(.+?)\s+${VISIBLE}$`, 'i'));
+    if (match) {
+      const target = this.slot(match[1], clause.tokens);
+      const explicit = new RegExp(String.raw`^${VERIFY}\s`, 'i').test(text);
+      let confidence = explicit ? 0.9 : 0.8;
+      if (!target.literal && !target.selector) confidence -= 0.15;
+
+      return {
+        action: 'verify',
+        target: this.elementTarget(target),
+        expected: 'element visible',
+        confidence
+      };
+    }
+
+    // verify the page shows "Welcome back" / see "Welcome back"
+    match = text.match(new RegExp(
+      String.raw`^(?:(?:${VERIFY}\s+)?(?:the\s+)?(?:page|screen|it|site|app)\s+(?:shows?|displays?|contains?|has|says)|sees?|${VERIFY})\s+(?:the\s+)?(?:text|message)?\s*(.+)$`,
+      'i'
+    ));
+    if (match) {
+      const value = this.slot(match[1], clause.tokens);
+      if (!value.text) {
+        return null;
+      }
+
+      return {
+        action: 'verify',
+        target: value.selector ? value.text : `text=${this.stripNoun(value.text, ELEMENT_NOUNS)}`,
+        expected: value.selector ? 'element visible' : `text "${value.text}" visible`,
+        confidence: value.literal || value.selector ? 0.85 : 0.6
+      };
+    }
+
+    return null;
+  }
+
+  matchClick(text, clause) {
+    if (/^submit(?:s|ted)?\b/i.test(text)) {
+      return { action: 'click', target: '[type="submit"]', confidence: 0.7 };
+    }
+
+    // click the Login button / the Login button should be clicked
+    const match = text.match(new RegExp(String.raw`^${CLICK}\s+(?:the\s+)?(.+)$`, 'i'))
+      || text.match(/^(?:the\s+)?(.+?)\s+(?:should\s+be|is|gets?)\s+(?:clicked|tapped|pressed)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const target = this.slot(match[1], clause.tokens);
+    if (!target.text || (!target.literal && KEY_NAMES.test(target.text))) {
+      // "press Enter" is a key press, not a click
+      return null;
+    }
+
+    if (!target.literal && /^submit(?:\s+button)?$/i.test(target.text)) {
+      return { action: 'click', target: '[type="submit"]', confidence: 0.7 };
+    }
+
+    return {
+      action: 'click',
+      target: this.elementTarget(target),
+      confidence: target.literal || target.selector ? 0.9 : 0.75
+    };
+  }
+
+  /**
+   * Last resort: an action keyword anywhere in the clause
+   *
+   * WHY: Loose CSV phrasings ("Login button should be clicked") still produce a
+   * step; the low confidence marks it for review
+   */
+  matchKeyword(text, clause) {
+    const lower = text.toLowerCase();
+    const value = this.restore(text, clause.tokens);
+    const quoted = clause.tokens.filter((token, index) => text.includes(`\u0001${index}\u0001`));
+    const firstQuoted = quoted.find(token => token.kind === 'quoted');
+    const url = quoted.find(token => token.kind === 'url');
+
+    if (url && /\b(?:navigat|go|open|visit|url|page|site)/.test(lower)) {
+      return { action: 'navigate', target: this.normalizeUrl(url.value), confidence: 0.5 };
+    }
+
+    const named = firstQuoted?.value
+      || value.match(/([^\s,]+)\s+(?:button|link|field|input)\b/i)?.[1]
+      || value.match(/(?:button|link|field|input)\s+([^\s,]+)/i)?.[1];
+    if (!named || NEGATION.test(lower)) {
+      return null;
+    }
+
+    if (/\bclick/.test(lower)) {
+      return { action: 'click', target: `text=${named}`, confidence: 0.3 };
+    }
+    if (/\b(?:type|enter|fill)/.test(lower)) {
+      const data = value.match(/\b(?:with|as)\s+["']?([^"'\n]+?)["']?$/i)?.[1];
+      return data ? { action: 'type', target: this.fieldTarget({ text: named, literal: true }), data, confidence: 0.3 } : null;
+    }
+    if (/\b(?:verify|check|assert|visible|displayed)/.test(lower)) {
+      return { action: 'verify', target: `text=${named}`, expected: 'element visible', confidence: 0.3 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Playwright key name for "enter", "ctrl+a", "Control + Shift + K", or null
+   */
+  keyName(text) {
+    const parts = String(text).trim().toLowerCase().split(/\s*\+\s*/);
+    const last = parts.pop();
+    const key = KEYS[last] || (/^(?:[a-z0-9]|f\d{1,2})$/.test(last) && parts.length > 0 ? last.toUpperCase() : null);
+
+    if (!key || parts.some(part => !MODIFIERS[part])) {
+      return null;
+    }
+    return [...parts.map(part => MODIFIERS[part]), key].join('+');
+  }
+
+  /**
+   * Resolve a captured fragment
+   *
+   * @returns {Object} { text, literal (quoted/URL/email), selector (looks like a CSS/Playwright selector) }
+   */
+  slot(fragment, tokens) {
+    const trimmed = String(fragment || '').trim().replace(/^(?:the|a|an)\s+/i, '');
+    const only = trimmed.match(/^\u0001(\d+)\u0001$/);
+
+    if (only) {
+      const token = tokens[Number(only[1])];
+      return { text: token.value, literal: true, selector: SELECTOR_PATTERN.test(token.value) };
+    }
+
+    // 'the "Login" button': the quoted part names the element
+    const embedded = trimmed.match(/\u0001(\d+)\u0001/);
+    if (embedded && tokens[Number(embedded[1])].kind === 'quoted') {
+      return { text: tokens[Number(embedded[1])].value, literal: true, selector: false };
+    }
+
+    const text = this.restore(trimmed, tokens);
+    return { text, literal: false, selector: SELECTOR_PATTERN.test(text) };
+  }
+
+  stripNoun(text, nouns) {
+    const stripped = text.replace(nouns, '').trim();
+    return stripped || text;
+  }
+
+  /**
+   * Selector for clickable / visible elements
+   */
+  elementTarget(slot) {
+    if (slot.selector) {
+      return slot.text;
+    }
+    return `text=${slot.literal ? slot.text : this.stripNoun(slot.text, ELEMENT_NOUNS)}`;
+  }
+
+  /**
+   * Selector candidates for an input field named in prose ("email", "first name")
+   */
+  fieldTarget(slot) {
+    if (slot.selector) {
+      return slot.text;
+    }
+
+    const name = this.stripNoun(slot.text, FIELD_NOUNS).toLowerCase().replace(/"/g, '');
+    const compact = name.replace(/[^a-z0-9]+/g, '');
+    const candidates = [];
+
+    if (/^[a-z][\w-]*$/.test(name)) {
+      candidates.push(`#${name}`);
+    }
+    candidates.push(`[name="${compact}" i]`, `[placeholder*="${name}" i]`, `[aria-label*="${name}" i]`);
+    if (name.includes('email')) candidates.push('input[type="email"]');
+    if (name.includes('password')) candidates.push('input[type="password"]');
+
+    // WHY: several candidates may match different elements; Playwright locators must resolve to one
+    return `${candidates.join(', ')} >> nth=0`;
+  }
+
+  findToken(fragment, tokens, kind, predicate = () => true) {
+    const matches = [...fragment.matchAll(/\u0001(\d+)\u0001/g)].map(match => tokens[Number(match[1])]);
+    return matches.find(token => token.kind === kind && predicate(token)) || null;
+  }
+
+  normalizeUrl(url) {
+    if (url.startsWith('/')) {
+      // Relative path: resolved against the test's base URL by the caller
+      return url;
+    }
+    return /^https?:\/\//i.test(url) ? url : `${url.startsWith('localhost') ? 'http' : 'https'}://${url}`;
+  }
+}
+
+export default RuleBasedStepParser;
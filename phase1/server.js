@@ -10,7 +10,7 @@
  * - Exposes: REST API for conversion and editing
  * 
  * ARCHITECTURE:
- * Web UI → HTTP API → Converter → OpenAI → Structured Steps → Back to UI
+ * Web UI → HTTP API → Converter → LLM → Structured Steps → Back to UI
  */
 
 import express from 'express';
@@ -19,6 +19,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import NLToStepsConverter from './converter.js';
+import { listActions } from '../backend/executor/actionRegistry.js';
 
 // ES Module path helpers
 const __filename = fileURLToPath(import.meta.url);
@@ -41,14 +42,15 @@ const converter = new NLToStepsConverter();
  * API: Convert natural language to test steps
  * 
  * ENDPOINT: POST /api/convert
- * INPUT: { "naturalLanguage": "Test login flow..." }
+ * INPUT: { "naturalLanguage": "Test login flow...", "context": { "suiteId": "..." } (optional),
+ *         "parser": "auto" | "hybrid" | "rules" | "llm" (optional) }
  * OUTPUT: { "success": true, "steps": [...] }
  * 
  * PURPOSE: Main conversion endpoint
  */
 app.post('/api/convert', async (req, res) => {
   try {
-    const { naturalLanguage } = req.body;
+    const { naturalLanguage, context = {}, parser } = req.body;
     
     if (!naturalLanguage) {
       return res.status(400).json({
@@ -61,7 +63,7 @@ app.post('/api/convert', async (req, res) => {
     
     // Call converter
     // CONNECTION: This is where we use the converter module
-    const result = await converter.convert(naturalLanguage);
+    const result = await converter.convert(naturalLanguage, context, { parser });
     
     // Return result
     res.json(result);
@@ -182,6 +184,21 @@ app.post('/api/delete-step', async (req, res) => {
   }
 });
 
+/**
+ * API: Supported actions
+ * 
+ * ENDPOINT: GET /api/actions
+ * OUTPUT: { "success": true, "actions": [{ name, description, params, element }] }
+ * 
+ * PURPOSE: The step editor builds its action list and fields from the shared registry
+ */
+app.get('/api/actions', (req, res) => {
+  res.json({
+    success: true,
+    actions: listActions()
+  });
+});
+
 /**
  * Health check endpoint
  */
@@ -223,6 +240,7 @@ app.listen(PORT, () => {
 ║   POST /api/edit-step    - Edit a step                        ║
 ║   POST /api/add-step     - Add new step                       ║
 ║   POST /api/delete-step  - Delete a step                      ║
+║   GET  /api/actions      - Supported actions                  ║
 ║                                                                ║
 ║  Next: Test this phase before moving to Phase 2               ║
 ║                                                                ║
@@ -0,0 +1,427 @@
+/**
+ * Phase 2: Accessibility Audit
+ *
+ * PURPOSE:
+ * Catch WCAG violations inside the functional suites. An a11y_scan step or
+ * assertion checks the current page (or one element) against the bundled
+ * rules and fails on violations at or above a severity.
+ *
+ * RULES (impact as in axe-core: minor < moderate < serious < critical):
+ * - image-alt, label, button-name, link-name: missing text alternatives / accessible names
+ * - color-contrast: text below 4.5:1 (3:1 for large text)
+ * - document-title, html-has-lang, landmark-one-main, page-has-heading-one: page structure
+ * - heading-order: heading levels skip (h2 → h4)
+ * - tabindex: positive tabindex breaks the tab order
+ * - focus-trap: Tab keeps cycling through part of the page (outside a modal dialog)
+ * Hidden elements (display: none, visibility: hidden, aria-hidden) are not checked.
+ *
+ * OPTIONS (step / assertion fields; defaults from config.json executor.a11y):
+ * - failOn: lowest impact that fails the scan (default "serious"); lower ones are reported only
+ * - exclude: rule IDs to skip ("color-contrast, heading-order" or a list)
+ * - ignore: selectors of elements to leave out (third-party widgets)
+ * - target: scope the scan to one element; page-level rules are skipped then
+ *
+ * Offending elements carry the fields AIWebReader.extractPageInfo collects
+ * (phase3/webReader.js: tag, id, role, aria-label, text), a CSS path that
+ * selects them and their opening tag.
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (a11y_scan steps and assertions)
+ * - Runs in the page through Playwright's page.evaluate; focus-trap presses Tab
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+export const A11Y_RULES = {
+  'image-alt': { impact: 'critical', wcag: '1.1.1', description: 'Images need alternative text (alt="" for decorative ones)' },
+  label: { impact: 'critical', wcag: '1.3.1, 4.1.2', description: 'Form fields need a label' },
+  'button-name': { impact: 'critical', wcag: '4.1.2', description: 'Buttons need an accessible name' },
+  'link-name': { impact: 'serious', wcag: '2.4.4, 4.1.2', description: 'Links need an accessible name' },
+  'color-contrast': { impact: 'serious', wcag: '1.4.3', description: 'Text needs a contrast ratio of 4.5:1 (3:1 for large text)' },
+  'document-title': { impact: 'serious', wcag: '2.4.2', description: 'The page needs a title', page: true },
+  'html-has-lang': { impact: 'serious', wcag: '3.1.1', description: 'The <html> element needs a lang attribute', page: true },
+  'landmark-one-main': { impact: 'moderate', wcag: 'best practice', description: 'The page needs exactly one main landmark', page: true },
+  'page-has-heading-one': { impact: 'moderate', wcag: 'best practice', description: 'The page needs a level-one heading', page: true },
+  'heading-order': { impact: 'moderate', wcag: 'best practice', description: 'Heading levels should only increase by one' },
+  tabindex: { impact: 'serious', wcag: '2.4.3', description: 'Elements should not have a tabindex above 0' },
+  'focus-trap': { impact: 'critical', wcag: '2.1.2', description: 'Keyboard focus must be able to leave every part of the page' }
+};
+
+// Tab presses before giving up on finding a trap (long pages are only partly checked)
+const MAX_TAB_PRESSES = 100;
+
+// Offending elements listed per rule (the count is always complete)
+const MAX_NODES_PER_RULE = 20;
+
+function loadA11yDefaults() {
+  try {
+    const config = JSON.parse(fsSync.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf-8'));
+    return { failOn: 'serious', exclude: [], ...(config.executor?.a11y || {}) };
+  } catch {
+    return { failOn: 'serious', exclude: [] };
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Scan settings from a step / assertion over the config defaults
+ *
+ * @param {Object} spec - { target?, failOn?, exclude?, ignore? }
+ * @returns {Object} { scope, failOn, rules, ignore }
+ * @throws {Error} - Unknown impact or rule ID
+ */
+export function resolveScanOptions(spec = {}) {
+  const defaults = loadA11yDefaults();
+  const failOn = String(spec.failOn || defaults.failOn).toLowerCase();
+  if (!IMPACTS.includes(failOn)) {
+    throw new Error(`Invalid failOn "${failOn}". Supported: ${IMPACTS.join(', ')}`);
+  }
+
+  const exclude = [...toList(defaults.exclude), ...toList(spec.exclude)];
+  const unknown = exclude.filter(rule => !A11Y_RULES[rule]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown accessibility rule(s): ${unknown.join(', ')}. Supported: ${Object.keys(A11Y_RULES).join(', ')}`);
+  }
+
+  const scope = spec.target || null;
+  return {
+    scope,
+    failOn,
+    // WHY: Title, lang and landmarks belong to the page, not to a scoped element
+    rules: Object.keys(A11Y_RULES).filter(rule => !exclude.includes(rule) && !(scope && A11Y_RULES[rule].page)),
+    ignore: toList(spec.ignore)
+  };
+}
+
+export class AccessibilityAuditor {
+  /**
+   * Check the page against the bundled rules
+   *
+   * @param {Page} page - Playwright page
+   * @param {Object} spec - { target?, failOn?, exclude?, ignore? }
+   * @returns {Promise<Object>} { scope, failOn, rules, violations: [{ rule, impact, wcag, description, count, nodes }], counts, blocking }
+   * @throws {Error} - Violations at or above failOn (error.a11y holds the same result)
+   */
+  async scan(page, spec = {}) {
+    const options = resolveScanOptions(spec);
+    const checks = options.rules.filter(rule => rule !== 'focus-trap');
+
+    const found = await page.evaluate(inspectPage, { mode: 'rules', scope: options.scope, ignore: options.ignore, rules: checks });
+    if (options.rules.includes('focus-trap')) {
+      found['focus-trap'] = await this.findFocusTrap(page, options);
+    }
+
+    const violations = Object.entries(found)
+      .filter(([, nodes]) => nodes.length > 0)
+      .map(([rule, nodes]) => ({
+        rule,
+        impact: A11Y_RULES[rule].impact,
+        wcag: A11Y_RULES[rule].wcag,
+        description: A11Y_RULES[rule].description,
+        count: nodes.length,
+        nodes: nodes.slice(0, MAX_NODES_PER_RULE)
+      }))
+      .sort((a, b) => IMPACTS.indexOf(b.impact) - IMPACTS.indexOf(a.impact));
+
+    const counts = Object.fromEntries(IMPACTS.map(impact => [
+      impact,
+      violations.filter(violation => violation.impact === impact).reduce((sum, violation) => sum + violation.count, 0)
+    ]));
+    const failing = violations.filter(violation => IMPACTS.indexOf(violation.impact) >= IMPACTS.indexOf(options.failOn));
+
+    const result = {
+      scope: options.scope || 'page',
+      failOn: options.failOn,
+      rules: options.rules,
+      violations,
+      counts,
+      blocking: failing.reduce((sum, violation) => sum + violation.count, 0)
+    };
+
+    if (failing.length > 0) {
+      const error = new Error(
+        `${result.blocking} accessibility violation(s) at or above "${options.failOn}": ` +
+        failing.map(violation => `${violation.rule} (${violation.count})`).join(', ')
+      );
+      error.a11y = result;
+      throw error;
+    }
+
+    const reported = violations.reduce((sum, violation) => sum + violation.count, 0);
+    console.log(`   ♿ Accessibility scan passed (${options.rules.length} rules${reported > 0 ? `, ${reported} issue(s) below "${options.failOn}"` : ''})`);
+    return result;
+  }
+
+  /**
+   * Tab through the page and report focus that cannot move on
+   *
+   * WHY: A trap only shows up when the keyboard is used, not in the DOM
+   *
+   * @returns {Promise<Array>} Offending nodes ([] or the first element of the trap)
+   */
+  async findFocusTrap(page, options) {
+    const total = await page.evaluate(inspectPage, { mode: 'focusable', ignore: options.ignore });
+    if (total < 2) {
+      return [];
+    }
+
+    await page.evaluate(() => document.activeElement?.blur());
+    const visited = [];
+    let trap = null;
+
+    try {
+      for (let press = 0; press < Math.min(total + 2, MAX_TAB_PRESSES); press++) {
+        await page.keyboard.press('Tab');
+        const focused = await page.evaluate(inspectPage, { mode: 'focused', scope: options.scope, ignore: options.ignore });
+        if (!focused) {
+          // Focus left the document or went back to the body: no trap
+          return [];
+        }
+
+        const previous = visited[visited.length - 1];
+        if (previous && previous.selector === focused.selector) {
+          trap = { ...focused, detail: 'Tab does not move focus away from this element' };
+          break;
+        }
+
+        // WHY: Wrapping around to the first element visited is normal; a cycle that skips it is a trap
+        const seenAt = visited.findIndex(node => node.selector === focused.selector);
+        if (seenAt >= 0) {
+          const cycle = visited.slice(seenAt);
+          if (seenAt > 0 && !cycle.every(node => node.inModal)) {
+            trap = { ...cycle[0], detail: `Tab cycles through ${cycle.length} of ${total} focusable elements` };
+          }
+          break;
+        }
+        visited.push(focused);
+      }
+    } finally {
+      await page.evaluate(() => document.activeElement?.blur()).catch(() => {});
+    }
+
+    // A scoped scan only reports a trap inside its element
+    if (!trap || (options.scope && !trap.inScope)) {
+      return [];
+    }
+    const { inScope, inModal, ...node } = trap;
+    return [node];
+  }
+}
+
+/**
+ * Runs inside the page (serialized by page.evaluate, so it must not use outer variables)
+ *
+ * @param {Object} args - mode "rules": { scope, ignore, rules } -> { rule: [nodes] };
+ *   "focusable": { ignore } -> count; "focused": { scope, ignore } -> active element or null
+ */
+function inspectPage({ mode, scope, ignore = [], rules = [] }) {
+  const root = scope ? document.querySelector(scope) : document.documentElement;
+  if (!root) {
+    throw new Error(`Scan target "${scope}" not found`);
+  }
+  const ignored = ignore.length > 0 ? Array.from(document.querySelectorAll(ignore.join(','))) : [];
+
+  const isRendered = (element) => {
+    if (element.closest('[aria-hidden="true"]')) {
+      return false;
+    }
+    const style = getComputedStyle(element);
+    return style.display !== 'none' && style.visibility !== 'hidden' && element.getClientRects().length > 0;
+  };
+  const isIgnored = element => ignored.some(container => container.contains(element));
+  const within = selector => [root, ...root.querySelectorAll(selector)]
+    .filter(element => element.matches(selector) && !isIgnored(element) && isRendered(element));
+
+  const uniqueId = element => element.id && document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1;
+  const cssPath = (element) => {
+    const parts = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (uniqueId(node)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [];
+      if (siblings.length > 1) {
+        part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  };
+  // Same fields as AIWebReader.extractPageInfo's element info
+  const describe = (element, detail) => ({
+    selector: cssPath(element),
+    tag: element.tagName.toLowerCase(),
+    id: element.id || '',
+    role: element.getAttribute('role') || '',
+    ariaLabel: element.getAttribute('aria-label') || '',
+    text: element === document.documentElement ? '' : (element.textContent || '').trim().substring(0, 100),
+    html: (element.outerHTML.match(/^<[^>]*>/)?.[0] || element.tagName.toLowerCase()).substring(0, 200),
+    ...(detail ? { detail } : {})
+  });
+
+  const text = value => (value || '').replace(/\s+/g, ' ').trim();
+  const labelledBy = element => text((element.getAttribute('aria-labelledby') || '')
+    .split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' '));
+  const ownName = element => labelledBy(element) || text(element.getAttribute('aria-label'));
+  const contentName = element => ownName(element) ||
+    text(element.innerText || element.textContent) ||
+    Array.from(element.querySelectorAll('img[alt], svg title')).map(child => text(child.getAttribute('alt') || child.textContent)).join(' ').trim() ||
+    text(element.getAttribute('title'));
+  const fieldName = element => ownName(element) ||
+    text(Array.from(element.labels || []).map(label => label.textContent).join(' ')) ||
+    text(element.getAttribute('title')) ||
+    text(element.getAttribute('placeholder'));
+
+  const focusableSelector = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex], [contenteditable="true"]';
+  const isFocusable = element => !element.disabled && element.tabIndex >= 0 && !isIgnored(element) && isRendered(element);
+
+  if (mode === 'focusable') {
+    // Radio buttons of one group are a single tab stop
+    const stops = Array.from(document.querySelectorAll(focusableSelector)).filter(isFocusable)
+      .map(element => (element.type === 'radio' && element.name ? `radio:${element.name}` : element));
+    return new Set(stops).size;
+  }
+  if (mode === 'focused') {
+    const active = document.activeElement;
+    if (!active || active === document.body || active === document.documentElement) {
+      return null;
+    }
+    return {
+      ...describe(active),
+      inScope: root.contains(active),
+      inModal: Boolean(active.closest('[aria-modal="true"], dialog[open]'))
+    };
+  }
+
+  // Contrast helpers: colors as [r, g, b, a]
+  const parseColor = (value) => {
+    const match = value.match(/rgba?\(([^)]+)\)/);
+    if (!match) {
+      return null;
+    }
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return [r, g, b, a];
+  };
+  const blend = (top, bottom) => [0, 1, 2].map(i => top[i] * top[3] + bottom[i] * (1 - top[3])).concat(1);
+  const luminance = ([r, g, b]) => {
+    const [R, G, B] = [r, g, b].map((channel) => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  const background = (element) => {
+    const layers = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage !== 'none') {
+        return null;
+      }
+      const color = parseColor(style.backgroundColor);
+      if (color && color[3] > 0) {
+        layers.push(color);
+        if (color[3] === 1) {
+          break;
+        }
+      }
+    }
+    return layers.reduceRight((under, layer) => blend(layer, under), [255, 255, 255, 1]);
+  };
+  const hex = color => `#${color.slice(0, 3).map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+  const checks = {
+    'image-alt': () => within('img, [role="img"], input[type="image"]').filter((element) => {
+      if (['presentation', 'none'].includes(element.getAttribute('role')) || ownName(element)) {
+        return false;
+      }
+      if (element.tagName === 'IMG' || element.tagName === 'INPUT') {
+        return element.tagName === 'IMG' ? !element.hasAttribute('alt') : !text(element.getAttribute('alt'));
+      }
+      return !text(element.getAttribute('title'));
+    }).map(element => describe(element)),
+
+    label: () => within('input, select, textarea')
+      .filter(element => !['hidden', 'submit', 'reset', 'button', 'image'].includes(element.type) && !fieldName(element))
+      .map(element => describe(element)),
+
+    'button-name': () => within('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]')
+      .filter((element) => {
+        if (element.tagName === 'INPUT') {
+          // submit / reset have a default label
+          return element.type === 'button' && !text(element.value) && !ownName(element);
+        }
+        return !contentName(element);
+      })
+      .map(element => describe(element)),
+
+    'link-name': () => within('a[href]').filter(element => !contentName(element)).map(element => describe(element)),
+
+    'color-contrast': () => within('*').filter((element) => {
+      return !element.disabled &&
+        Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+    }).flatMap((element) => {
+      const style = getComputedStyle(element);
+      const foreground = parseColor(style.color);
+      const behind = background(element);
+      if (!foreground || !behind) {
+        return [];
+      }
+      const color = foreground[3] < 1 ? blend(foreground, behind) : foreground;
+      const [lighter, darker] = [luminance(color), luminance(behind)].sort((a, b) => b - a);
+      const ratio = (lighter + 0.05) / (darker + 0.05);
+
+      const size = parseFloat(style.fontSize);
+      const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+      const required = large ? 3 : 4.5;
+      return ratio < required
+        ? [describe(element, `Contrast ${ratio.toFixed(2)}:1 (needs ${required}:1): ${hex(color)} on ${hex(behind)}`)]
+        : [];
+    }),
+
+    'document-title': () => (text(document.title) ? [] : [describe(document.documentElement, 'No <title>')]),
+
+    'html-has-lang': () => (text(document.documentElement.getAttribute('lang')) ? [] : [describe(document.documentElement)]),
+
+    'landmark-one-main': () => {
+      const mains = Array.from(document.querySelectorAll('main, [role="main"]')).filter(isRendered);
+      return mains.length === 1 ? [] : [describe(document.documentElement, `${mains.length} main landmarks`)];
+    },
+
+    'page-has-heading-one': () => {
+      const headings = Array.from(document.querySelectorAll('h1, [role="heading"][aria-level="1"]')).filter(isRendered);
+      return headings.length > 0 ? [] : [describe(document.documentElement, 'No level-one heading')];
+    },
+
+    'heading-order': () => {
+      let previous = 0;
+      return within('h1, h2, h3, h4, h5, h6, [role="heading"]').flatMap((element) => {
+        const level = Number(element.getAttribute('aria-level')) || Number(element.tagName.substring(1)) || 2;
+        const skipped = previous > 0 && level > previous + 1;
+        const node = skipped ? [describe(element, `Level ${level} heading follows level ${previous}`)] : [];
+        previous = level;
+        return node;
+      });
+    },
+
+    tabindex: () => within('[tabindex]').filter(element => element.tabIndex > 0)
+      .map(element => describe(element, `tabindex="${element.getAttribute('tabindex')}"`))
+  };
+
+  return Object.fromEntries(rules.map(rule => [rule, checks[rule]()]));
+}
+
+export default AccessibilityAuditor;
@@ -0,0 +1,508 @@
+/**
+ * Phase 2: API Requests (http steps and response assertions)
+ *
+ * PURPOSE:
+ * Hybrid tests seed data through the REST API (create a user, an order) and
+ * then drive the UI. http steps send the request through the browser
+ * context's request API, so they share cookies with the page in both
+ * directions: a logged-in page authenticates the API call, and a login
+ * through the API logs the page in.
+ *
+ * HTTP STEP:
+ *   { "action": "http", "method": "POST", "target": "/api/users",
+ *     "headers": { "X-Tenant": "acme" }, "data": { "email": "${email}" },
+ *     "auth": "${apiToken}", "expected": "201", "extract": { "userId": "$.id" } }
+ * - target: absolute URL, or relative to the page's current URL
+ * - data: object (sent as JSON) or text
+ * - auth: bearer token, or { type: "basic", username, password } / { type: "bearer", token }
+ * - expected: status the step requires: 201, "2xx", "200, 204" (default 2xx)
+ * - extract: variables taken from the JSON response by JSON path
+ *
+ * ASSERTIONS (checked against the latest matching response; "url" filters by URL):
+ * - response_status: target = URL filter (optional), expected = status
+ * - json_path_equals: target = JSON path, expected = value (JSON or text)
+ * - schema_match: expected = JSON Schema (object, JSON text or a file in phase2/schemas)
+ *
+ * JSON PATH: $.user.id, $.items[0].name, $.items[-1], $.items[*].id, $['odd key'], $.items.length
+ * JSON SCHEMA: type, enum, const, properties, required, additionalProperties, items,
+ *   minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ *   exclusiveMinimum, exclusiveMaximum, allOf, anyOf, oneOf
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (setupBrowser, http steps, response assertions),
+ *   backend/executor/actionRegistry.js (http)
+ * - Uses: networkMocker.js (urlMatcher for the "url" filter)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { urlMatcher } from './networkMocker.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// WHY: Schema paths come from test files, so they may only name files in this directory
+const SCHEMAS_DIR = path.join(__dirname, 'schemas');
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// WHY: Reports keep a preview; assertions use the full response held in memory
+const MAX_BODY_LENGTH = 2000;
+const MAX_SCHEMA_ERRORS = 20;
+
+function truncate(text) {
+  return text.length > MAX_BODY_LENGTH ? `${text.substring(0, MAX_BODY_LENGTH)}… (${text.length} chars)` : text;
+}
+
+/**
+ * Status expectation: 201, "2xx", "200, 204", "4xx, 500"
+ *
+ * @returns {Object} { label, check(status) }
+ * @throws {Error} - Unparseable expectation
+ */
+export function parseStatusExpectation(expected) {
+  if (expected === undefined || expected === null || expected === '') {
+    return { label: '2xx', check: status => status >= 200 && status < 300 };
+  }
+
+  const parts = String(expected).split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+  const checks = parts.map((part) => {
+    if (/^[1-5]xx$/.test(part)) {
+      const hundred = Number(part[0]) * 100;
+      return status => status >= hundred && status < hundred + 100;
+    }
+    if (/^[1-5]\d\d$/.test(part)) {
+      return status => status === Number(part);
+    }
+    throw new Error(`Invalid status "${part}" (examples: 201, 2xx, "200, 204")`);
+  });
+
+  return { label: parts.join(', '), check: status => checks.some(check => check(status)) };
+}
+
+/**
+ * Value at a JSON path, or undefined
+ *
+ * @param {*} value - Parsed JSON
+ * @param {string} jsonPathText - $.items[0].id (the leading "$" is optional)
+ * @returns {*} With [*] a list of the matched values
+ * @throws {Error} - Invalid path syntax
+ */
+export function jsonPath(value, jsonPathText) {
+  const text = String(jsonPathText ?? '').trim();
+  if (!text) {
+    throw new Error('JSON path is empty (example: $.user.id)');
+  }
+
+  let rest = text.startsWith('$') ? text.substring(1) : text;
+  if (rest && !rest.startsWith('.') && !rest.startsWith('[')) {
+    rest = `.${rest}`;
+  }
+
+  const token = /\.([A-Za-z_$][\w$-]*)|\.\*|\[\s*(-?\d+|\*)\s*\]|\[\s*(['"])(.*?)\3\s*\]/y;
+  let current = [value];
+  let multiple = false;
+
+  while (token.lastIndex < rest.length) {
+    const start = token.lastIndex;
+    const match = token.exec(rest);
+    if (!match) {
+      throw new Error(`Invalid JSON path "${text}" at "${rest.substring(start)}"`);
+    }
+
+    const [whole, name, index, , quoted] = match;
+    if (whole === '.*' || index === '*') {
+      current = current.flatMap(item => (item !== null && typeof item === 'object' ? Object.values(item) : []));
+      multiple = true;
+    } else if (index !== undefined) {
+      current = current.map(item => (Array.isArray(item) ? item.at(Number(index)) : undefined));
+    } else {
+      const key = name ?? quoted;
+      current = current.map(item => (
+        item !== null && item !== undefined && Object.prototype.hasOwnProperty.call(Object(item), key) ? item[key] : undefined
+      ));
+    }
+  }
+
+  return multiple ? current.filter(item => item !== undefined) : current[0];
+}
+
+/**
+ * Whether a JSON path value equals an assertion's expected value
+ *
+ * WHY: expected comes from a text field, so "42", "true" and '{"a":1}' compare as JSON;
+ * anything that is not JSON compares as text ("Alice" equals "Alice").
+ */
+export function jsonValueEquals(actual, expected) {
+  if (typeof expected !== 'string') {
+    return isDeepStrictEqual(actual, expected);
+  }
+  try {
+    if (isDeepStrictEqual(actual, JSON.parse(expected))) {
+      return true;
+    }
+  } catch {
+    // Not JSON: compare as text
+  }
+  return actual !== null && typeof actual !== 'object' && String(actual) === expected;
+}
+
+/**
+ * Schema from an assertion: an object, JSON text or a file path (relative to phase2/schemas)
+ *
+ * @throws {Error} - Invalid JSON, a missing file, or a path outside phase2/schemas
+ */
+export async function loadSchema(schema) {
+  if (schema && typeof schema === 'object') {
+    return schema;
+  }
+
+  const text = String(schema ?? '').trim();
+  if (!text) {
+    throw new Error('schema_match needs a JSON Schema in "expected"');
+  }
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Schema is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const file = path.resolve(SCHEMAS_DIR, text);
+  const relative = path.relative(SCHEMAS_DIR, file);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`Schema file must be inside phase2/schemas: ${text}`);
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf-8');
+  } catch {
+    throw new Error(`Schema file not found: ${text}`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch {
+    // Not the parser's message: it quotes the file's content
+    throw new Error(`Schema file is not valid JSON: ${text}`);
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+}
+
+/**
+ * Problems with a value against a JSON Schema (the subset in the header)
+ *
+ * @returns {Array<string>} "$.user.email: expected string, got null" (empty when valid)
+ */
+export function validateSchema(value, schema, at = '$', errors = []) {
+  if (schema === false) {
+    errors.push(`${at}: not allowed`);
+    return errors;
+  }
+  if (errors.length >= MAX_SCHEMA_ERRORS || !schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => isDeepStrictEqual(option, value))) {
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ('const' in schema && !isDeepStrictEqual(schema.const, value)) {
+    errors.push(`${at}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: "${value.substring(0, 50)}" does not match /${schema.pattern}/`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    const bounds = [
+      ['minimum', (v, b) => v >= b, '>='],
+      ['maximum', (v, b) => v <= b, '<='],
+      ['exclusiveMinimum', (v, b) => v > b, '>'],
+      ['exclusiveMaximum', (v, b) => v < b, '<']
+    ];
+    for (const [keyword, check, operator] of bounds) {
+      if (typeof schema[keyword] === 'number' && !check(value, schema[keyword])) {
+        errors.push(`${at}: ${value} is not ${operator} ${schema[keyword]}`);
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${at}: fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${at}: more than ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => validateSchema(item, schema.items, `${at}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${at}: missing required "${key}"`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateSchema(child, properties[key], `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateSchema(child, schema.additionalProperties, `${at}.${key}`, errors);
+      }
+    }
+  }
+
+  for (const child of schema.allOf || []) {
+    validateSchema(value, child, at, errors);
+  }
+  if (schema.anyOf && !schema.anyOf.some(child => validateSchema(value, child, at).length === 0)) {
+    errors.push(`${at}: matches none of anyOf`);
+  }
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(child => validateSchema(value, child, at).length === 0).length;
+    if (matching !== 1) {
+      errors.push(`${at}: matches ${matching} of oneOf (expected exactly 1)`);
+    }
+  }
+
+  return errors.slice(0, MAX_SCHEMA_ERRORS);
+}
+
+/**
+ * Authorization header from a step's auth
+ */
+function authorizationHeader(auth) {
+  if (!auth) {
+    return null;
+  }
+  if (typeof auth === 'string' && auth.trim().startsWith('{')) {
+    // Edited as text in the step editor
+    return authorizationHeader(JSON.parse(auth));
+  }
+  if (typeof auth === 'string') {
+    return /^(bearer|basic)\s/i.test(auth) ? auth : `Bearer ${auth}`;
+  }
+  const type = String(auth.type || (auth.username !== undefined ? 'basic' : 'bearer')).toLowerCase();
+  if (type === 'basic') {
+    return `Basic ${Buffer.from(`${auth.username ?? ''}:${auth.password ?? ''}`).toString('base64')}`;
+  }
+  if (type === 'bearer') {
+    if (!auth.token) {
+      throw new Error('Bearer auth needs "token"');
+    }
+    return `Bearer ${auth.token}`;
+  }
+  throw new Error(`Unknown auth type "${auth.type}" (use bearer or basic)`);
+}
+
+export class ApiClient {
+  /**
+   * @param {BrowserContext} context - Requests use its cookies (context.request)
+   * @param {Object} options - { redact(text), isSensitive(name) } masking for the report
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.redact = options.redact || (text => text);
+    this.isSensitive = options.isSensitive || (() => false);
+    this.responses = [];
+    // Response of the http step in progress (null until it answers)
+    this.current = null;
+  }
+
+  /**
+   * Send an http step's request
+   *
+   * @param {Page} page - Relative URLs resolve against its current URL
+   * @param {Object} step - See header
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<Object>} Report summary { method, url, status, ..., extracted: { name: value } }
+   * @throws {Error} - Unexpected status (error.http carries the summary), missing extract value
+   */
+  async send(page, step, timeout) {
+    this.current = null;
+    const method = String(step.method || 'GET').toUpperCase();
+    if (!HTTP_METHODS.includes(method)) {
+      throw new Error(`Unsupported HTTP method "${step.method}". Supported: ${HTTP_METHODS.join(', ')}`);
+    }
+    const expectation = parseStatusExpectation(step.expected);
+    const url = this.resolveUrl(step.target, page.url());
+
+    const headers = { ...(step.headers || {}) };
+    const authorization = authorizationHeader(step.auth);
+    if (authorization) {
+      headers.Authorization = authorization;
+    }
+
+    const options = { method, headers, timeout, failOnStatusCode: false };
+    const data = step.data;
+    if (data !== undefined && data !== null && data !== '') {
+      options.data = data;
+      // WHY: JSON typed into a text field should still go out as JSON
+      const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+      if (typeof data === 'string' && /^\s*[[{]/.test(data) && !hasContentType) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    console.log(`   🔗 ${method} ${url}`);
+    const startTime = Date.now();
+    const response = await this.context.request.fetch(url, options);
+    const text = method === 'HEAD' ? '' : await response.text();
+    const responseHeaders = response.headers();
+
+    let json;
+    try {
+      json = text ? JSON.parse(text) : undefined;
+    } catch {
+      // Not a JSON response: json_path_equals / schema_match / extract report it
+    }
+
+    const record = {
+      method,
+      url: response.url(),
+      status: response.status(),
+      statusText: response.statusText(),
+      duration: Date.now() - startTime,
+      contentType: responseHeaders['content-type'] || null,
+      json,
+      text
+    };
+    this.responses.push(record);
+    this.current = record;
+
+    const summary = this.summarize(record, { headers, data });
+    console.log(`   ↩️  ${record.status} ${record.statusText} (${record.duration}ms)`);
+
+    if (!expectation.check(record.status)) {
+      const error = new Error(`${method} ${url} answered ${record.status} ${record.statusText}, expected ${expectation.label}`);
+      error.http = summary;
+      throw error;
+    }
+
+    const extracted = {};
+    for (const [name, valuePath] of Object.entries(step.extract || {})) {
+      if (json === undefined) {
+        const error = new Error(`Cannot extract \${${name}}: the response is not JSON`);
+        error.http = summary;
+        throw error;
+      }
+      const value = jsonPath(json, valuePath);
+      if (value === undefined) {
+        const error = new Error(`Cannot extract \${${name}}: nothing at ${valuePath}`);
+        error.http = summary;
+        throw error;
+      }
+      extracted[name] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+
+    return { ...summary, extracted };
+  }
+
+  resolveUrl(target, pageUrl) {
+    try {
+      return new URL(target).href;
+    } catch {
+      // Relative: resolve against the page below
+    }
+    if (!/^https?:/.test(pageUrl)) {
+      throw new Error(`Relative URL "${target}" needs an open page; navigate first or use an absolute URL`);
+    }
+    return new URL(target, pageUrl).href;
+  }
+
+  /**
+   * Report view of a request / response pair (credentials masked, bodies shortened)
+   */
+  summarize(record, request) {
+    const mask = value => this.redact(String(value));
+    const requestHeaders = Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [
+      name,
+      ['authorization', 'cookie'].includes(name.toLowerCase()) || this.isSensitive(name)
+        ? `${String(value).split(' ')[0]} ********`
+        : mask(value)
+    ]));
+
+    const maskFields = value => {
+      if (Array.isArray(value)) {
+        return value.map(maskFields);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, this.isSensitive(key) ? '********' : maskFields(child)]));
+      }
+      return value;
+    };
+    const { data } = request;
+    const requestBody = data === undefined || data === null || data === ''
+      ? null
+      : truncate(mask(typeof data === 'object' ? JSON.stringify(maskFields(data)) : data));
+
+    return {
+      method: record.method,
+      url: record.url,
+      status: record.status,
+      statusText: record.statusText,
+      duration: record.duration,
+      requestHeaders,
+      requestBody,
+      contentType: record.contentType,
+      body: truncate(mask(record.json !== undefined ? JSON.stringify(maskFields(record.json), null, 2) : record.text))
+    };
+  }
+
+  /**
+   * Latest response whose URL matches the filter (glob or substring; empty = latest)
+   *
+   * @throws {Error} - No http step has run, or none matches
+   */
+  latest(filter) {
+    const matches = filter ? urlMatcher(filter) : () => true;
+    const response = [...this.responses].reverse().find(record => matches(record.url));
+    if (!response) {
+      throw new Error(this.responses.length === 0
+        ? 'No API response to check: the test has no http step that ran'
+        : `No API response from a URL matching "${filter}" (got: ${[...new Set(this.responses.map(record => record.url))].join(', ')})`);
+    }
+    return response;
+  }
+}
+
+export default ApiClient;
@@ -0,0 +1,160 @@
+/**
+ * Phase 2: Trace, Video and HAR Capture
+ *
+ * PURPOSE:
+ * A failure screenshot shows the end state; a Playwright trace, a video and a
+ * HAR file show how the page got there. Each is opt-in per execution, or kept
+ * only when the test fails.
+ *
+ * MODES (per artifact: trace, video, har):
+ * - off: not recorded (default)
+ * - on: always kept
+ * - on-failure: recorded, deleted again when every step passed
+ * Set with /api/execute options.capture ("on-failure" for all three, or
+ * { trace, video, har }); defaults come from config.json executor.capture.
+ *
+ * FILES (artifacts/<testId>/):
+ * - trace.zip    - open with `npx playwright show-trace trace.zip` or https://trace.playwright.dev
+ * - video.webm   - whole execution
+ * - network.har  - all requests (response bodies omitted to keep files small)
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (setupBrowser, finishCapture)
+ * - Cleaned up by: artifactRetention.js
+ */
+
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CAPTURE_MODES = ['off', 'on', 'on-failure'];
+export const CAPTURE_TYPES = ['trace', 'video', 'har'];
+
+const FILES = { trace: 'trace.zip', video: 'video.webm', har: 'network.har' };
+
+function loadCaptureDefaults() {
+  try {
+    const config = JSON.parse(fsSync.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf-8'));
+    return config.executor?.capture || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Capture mode per artifact type
+ *
+ * @param {string|Object} capture - "on" | "off" | "on-failure" for all, or { trace, video, har }
+ * @returns {Object} { trace, video, har }
+ * @throws {Error} - Unknown mode or artifact type
+ */
+export function resolveCaptureModes(capture) {
+  const defaults = loadCaptureDefaults();
+  const requested = typeof capture === 'string'
+    ? Object.fromEntries(CAPTURE_TYPES.map(type => [type, capture]))
+    : capture || {};
+
+  const unknown = Object.keys(requested).filter(type => !CAPTURE_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown capture type(s): ${unknown.join(', ')}. Supported: ${CAPTURE_TYPES.join(', ')}`);
+  }
+
+  return Object.fromEntries(CAPTURE_TYPES.map(type => {
+    const mode = requested[type] ?? defaults[type] ?? 'off';
+    if (!CAPTURE_MODES.includes(mode)) {
+      throw new Error(`Invalid ${type} capture mode "${mode}". Supported: ${CAPTURE_MODES.join(', ')}`);
+    }
+    return [type, mode];
+  }));
+}
+
+export class ArtifactCapture {
+  /**
+   * @param {Object} modes - resolveCaptureModes() output
+   * @param {string} testDir - artifacts/<testId>
+   */
+  constructor(modes, testDir) {
+    this.modes = modes;
+    this.testDir = testDir;
+    this.tracing = false;
+  }
+
+  enabled(type) {
+    return this.modes[type] !== 'off';
+  }
+
+  /**
+   * Extra browser.newContext() options (video / HAR recording)
+   */
+  contextOptions(viewport) {
+    const options = {};
+    if (this.enabled('video')) {
+      options.recordVideo = { dir: path.join(this.testDir, 'video'), size: viewport };
+    }
+    if (this.enabled('har')) {
+      options.recordHar = { path: path.join(this.testDir, FILES.har), content: 'omit' };
+    }
+    return options;
+  }
+
+  /**
+   * Start tracing on a new context
+   */
+  async start(context) {
+    await fs.mkdir(this.testDir, { recursive: true });
+    if (this.enabled('trace')) {
+      await context.tracing.start({ screenshots: true, snapshots: true, sources: false });
+      this.tracing = true;
+    }
+  }
+
+  /**
+   * Stop recording and keep what the modes ask for
+   *
+   * WHY: Video and HAR files are only complete once the context is closed,
+   * so this closes the context.
+   *
+   * @param {boolean} failed - Whether any step failed
+   * @returns {Promise<Array<Object>>} [{ type, file, path, size }]
+   */
+  async finish(context, page, failed) {
+    const keep = type => this.modes[type] === 'on' || (this.modes[type] === 'on-failure' && failed);
+    const artifacts = [];
+
+    if (this.tracing) {
+      await context.tracing.stop(keep('trace') ? { path: path.join(this.testDir, FILES.trace) } : {});
+      this.tracing = false;
+    }
+
+    const video = this.enabled('video') ? page?.video() : null;
+    await context.close();
+
+    if (video) {
+      const recorded = await video.path();
+      if (keep('video')) {
+        await fs.rename(recorded, path.join(this.testDir, FILES.video));
+      }
+      await fs.rm(path.join(this.testDir, 'video'), { recursive: true, force: true });
+    }
+    if (this.enabled('har') && !keep('har')) {
+      await fs.rm(path.join(this.testDir, FILES.har), { force: true });
+    }
+
+    for (const type of CAPTURE_TYPES.filter(keep)) {
+      const filePath = path.join(this.testDir, FILES[type]);
+      try {
+        const stat = await fs.stat(filePath);
+        artifacts.push({ type, file: FILES[type], path: filePath, size: stat.size });
+      } catch {
+        // Not written (e.g. the browser crashed before the context closed)
+      }
+    }
+
+    return artifacts;
+  }
+}
+
+export default ArtifactCapture;
@@ -0,0 +1,210 @@
+/**
+ * Phase 2: Artifact Retention
+ *
+ * PURPOSE:
+ * Keep artifacts/ from growing without bound once traces, videos and HAR
+ * files are recorded. Runs after every execution and at server start.
+ *
+ * RULES (config.json executor.retention):
+ * - maxAgeDays: test folders older than this are deleted (default 14)
+ * - maxTests: only the newest N test folders are kept (default 200)
+ * - maxTotalMB: above this, heavy files (trace, video, HAR) are removed oldest
+ *   first, then whole folders oldest first (default 2048)
+ * - heavyMaxAgeDays: trace / video / HAR files older than this are removed while
+ *   report.json and screenshots stay (default 3)
+ * A value of 0 disables that rule.
+ *
+ * CONNECTIONS:
+ * - Used by: server.js (after /api/execute, at startup, /api/artifacts/*)
+ * - Reads: artifacts/<testId>/ folders written by executor.js
+ */
+
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HEAVY_ARTIFACTS = /^(?:trace\.zip|video\.webm|network\.har)$/;
+
+const DEFAULT_RULES = { maxAgeDays: 14, maxTests: 200, maxTotalMB: 2048, heavyMaxAgeDays: 3 };
+
+/**
+ * Retention rules from config.json (executor.retention) over the defaults
+ */
+export function loadRetentionRules() {
+  try {
+    const config = JSON.parse(fsSync.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf-8'));
+    return { ...DEFAULT_RULES, ...(config.executor?.retention || {}) };
+  } catch {
+    return { ...DEFAULT_RULES };
+  }
+}
+
+export class ArtifactRetention {
+  /**
+   * @param {Object} options - { artifactsDir, rules }
+   */
+  constructor(options = {}) {
+    this.artifactsDir = options.artifactsDir || path.join(__dirname, 'artifacts');
+    this.rules = { ...loadRetentionRules(), ...(options.rules || {}) };
+    this.running = null;
+  }
+
+  /**
+   * Size and age of every test folder (oldest first)
+   *
+   * @returns {Promise<Array<Object>>} [{ testId, modified, size, heavy: [{ file, size }] }]
+   */
+  async scan() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.artifactsDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const folders = [];
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const folder = path.join(this.artifactsDir, entry.name);
+      const files = await this.listFiles(folder);
+      const stat = await fs.stat(folder);
+
+      folders.push({
+        testId: entry.name,
+        modified: Math.max(stat.mtimeMs, ...files.map(file => file.modified)),
+        size: files.reduce((sum, file) => sum + file.size, 0),
+        heavy: files.filter(file => HEAVY_ARTIFACTS.test(path.basename(file.path)))
+      });
+    }
+
+    return folders.sort((a, b) => a.modified - b.modified);
+  }
+
+  /**
+   * Disk usage summary (GET /api/artifacts/usage)
+   */
+  async usage() {
+    const folders = await this.scan();
+    const heavy = folders.flatMap(folder => folder.heavy);
+
+    return {
+      tests: folders.length,
+      totalMB: toMB(folders.reduce((sum, folder) => sum + folder.size, 0)),
+      heavyFiles: heavy.length,
+      heavyMB: toMB(heavy.reduce((sum, file) => sum + file.size, 0)),
+      rules: this.rules
+    };
+  }
+
+  /**
+   * Apply the retention rules
+   *
+   * WHY: Executions finish concurrently; overlapping cleanups would delete the
+   * same folders twice, so a cleanup in progress is shared.
+   *
+   * @param {Object} options - { protect: [testId] } folders that must stay (the run just saved)
+   * @returns {Promise<Object>} { removedTests: [testId], removedFiles, freedMB }
+   */
+  cleanup(options = {}) {
+    if (!this.running) {
+      this.running = this.applyRules(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async applyRules({ protect = [] } = {}) {
+    const { maxAgeDays, maxTests, maxTotalMB, heavyMaxAgeDays } = this.rules;
+    const now = Date.now();
+    const removedTests = [];
+    let removedFiles = 0;
+    let freed = 0;
+
+    let folders = (await this.scan()).filter(folder => !protect.includes(folder.testId));
+
+    const removeFolder = async (folder) => {
+      await fs.rm(path.join(this.artifactsDir, folder.testId), { recursive: true, force: true });
+      removedTests.push(folder.testId);
+      freed += folder.size;
+      folders = folders.filter(other => other !== folder);
+    };
+
+    const removeHeavy = async (folder) => {
+      for (const file of folder.heavy) {
+        await fs.rm(file.path, { force: true });
+        removedFiles++;
+        freed += file.size;
+        folder.size -= file.size;
+      }
+      folder.heavy = [];
+    };
+
+    // 1. Age
+    if (maxAgeDays > 0) {
+      for (const folder of folders.filter(item => now - item.modified > maxAgeDays * DAY_MS)) {
+        await removeFolder(folder);
+      }
+    }
+
+    // 2. Count (protected folders count too: they are the newest)
+    if (maxTests > 0) {
+      const excess = folders.length + protect.length - maxTests;
+      for (const folder of folders.slice(0, Math.max(0, excess))) {
+        await removeFolder(folder);
+      }
+    }
+
+    // 3. Heavy files age
+    if (heavyMaxAgeDays > 0) {
+      for (const folder of folders.filter(item => item.heavy.length > 0 && now - item.modified > heavyMaxAgeDays * DAY_MS)) {
+        await removeHeavy(folder);
+      }
+    }
+
+    // 4. Total size: heavy files first, then whole folders (oldest first)
+    if (maxTotalMB > 0) {
+      const limit = maxTotalMB * 1024 * 1024;
+      const total = () => folders.reduce((sum, folder) => sum + folder.size, 0);
+
+      for (const folder of [...folders]) {
+        if (total() <= limit) break;
+        await removeHeavy(folder);
+      }
+      for (const folder of [...folders]) {
+        if (total() <= limit) break;
+        await removeFolder(folder);
+      }
+    }
+
+    if (removedTests.length > 0 || removedFiles > 0) {
+      console.log(`🧹 Artifact retention: removed ${removedTests.length} test folder(s), ${removedFiles} trace/video/HAR file(s), ${toMB(freed)} MB`);
+    }
+
+    return { removedTests, removedFiles, freedMB: toMB(freed) };
+  }
+
+  async listFiles(folder) {
+    const files = [];
+    for (const entry of await fs.readdir(folder, { withFileTypes: true })) {
+      const filePath = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(filePath));
+      } else {
+        const stat = await fs.stat(filePath);
+        files.push({ path: filePath, size: stat.size, modified: stat.mtimeMs });
+      }
+    }
+    return files;
+  }
+}
+
+function toMB(bytes) {
+  return Math.round((bytes / (1024 * 1024)) * 100) / 100;
+}
+
+export default ArtifactRetention;
@@ -0,0 +1,456 @@
+/**
+ * Phase 2: Assertion Library
+ *
+ * PURPOSE:
+ * What a test checks about the page: text, element states, styles, URL,
+ * title, cookies, storage, table cells and requests. Every check waits: it
+ * reads the page again until it holds or its timeout passes, so a check right
+ * after a click does not fail while the page is still updating.
+ *
+ * ASSERTION FORMAT (assertions list, or an "assert" step between the steps):
+ *   { "type": "text_matches", "target": ".order-number", "expected": "/^#\\d{6}$/" }
+ *   { "type": "element_visible", "target": ".spinner", "not": true, "timeout": 15000 }
+ * - not: the check must NOT hold (element_visible + not = gone or hidden)
+ * - timeout: milliseconds to keep checking (default from config.json executor.assertions)
+ * - ignoreCase, normalizeWhitespace: for the text comparisons
+ *
+ * TARGET SYNTAX:
+ * - attribute_equals: "selector::attribute", css_property_equals: "selector::property"
+ * - table_cell_*: "table::row::column"; row = 1-based number or text in the row,
+ *   column = 1-based number or header text
+ * - request_made: "/api/orders" or "POST /api/orders" (glob or substring), expected = payload
+ * - numbers (element_count, number_compare): "3", "> 0", ">= 10.5", "!= 0"
+ * - regexes (text_matches, url_matches): "/pattern/flags" or a bare pattern
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (executeSingleAssertion, assert steps)
+ * - Uses: networkMocker.js (request log for request_made)
+ * - Other assertion types (visual_match, a11y_scan, perf_budget, API responses)
+ *   are checked once, by the executor
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULTS = { timeout: 5000 };
+
+// WHY: Quick first retries catch fast updates without hammering a slow page
+const POLL_INTERVALS = [100, 250, 500, 1000];
+
+const MAX_SHOWN_LENGTH = 200;
+
+const HTTP_METHOD_PREFIX = /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+/i;
+
+export function loadAssertionDefaults() {
+  try {
+    const config = JSON.parse(fsSync.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf-8'));
+    return { ...DEFAULTS, ...(config.executor?.assertions || {}) };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+/**
+ * "/pattern/flags" or a bare pattern
+ */
+export function parseRegex(text, ignoreCase = false) {
+  const source = String(text ?? '');
+  const literal = source.match(/^\/(.*)\/([a-z]*)$/s);
+  const [pattern, flags] = literal ? [literal[1], literal[2]] : [source, ''];
+  try {
+    return new RegExp(pattern, ignoreCase && !flags.includes('i') ? `${flags}i` : flags);
+  } catch (error) {
+    throw new Error(`Invalid regular expression "${source}": ${error.message}`);
+  }
+}
+
+/**
+ * Numeric expectation: "3", "> 0", ">= 10.5", "!= 0"
+ *
+ * @returns {Object} { label, check(number) }
+ */
+export function parseComparison(expected) {
+  const match = String(expected ?? '').trim().match(/^(==|=|!=|<=|<|>=|>)?\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) {
+    throw new Error(`Invalid number expectation "${expected}" (examples: 3, "> 0", ">= 10.5")`);
+  }
+  const [, rawOperator = '==', number] = match;
+  const operator = rawOperator === '=' ? '==' : rawOperator;
+  const limit = Number(number);
+  const compare = {
+    '==': value => value === limit,
+    '!=': value => value !== limit,
+    '<': value => value < limit,
+    '<=': value => value <= limit,
+    '>': value => value > limit,
+    '>=': value => value >= limit
+  }[operator];
+
+  return { label: operator === '==' ? String(limit) : `${operator} ${limit}`, check: value => value !== null && compare(value) };
+}
+
+/**
+ * First number in a text: "$1,234.50" -> 1234.5, "3 items" -> 3 (null when there is none)
+ */
+export function parseNumber(text) {
+  const match = String(text ?? '').match(/-?\d[\d,]*(?:\.\d+)?|-?\.\d+/);
+  return match ? Number(match[0].replace(/,/g, '')) : null;
+}
+
+/**
+ * Text as compared: trimmed, optionally whitespace-collapsed and lower-cased
+ */
+function normalize(text, assertion) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  let value = String(text);
+  value = assertion.normalizeWhitespace ? value.replace(/\s+/g, ' ').trim() : value.trim();
+  return assertion.ignoreCase ? value.toLowerCase() : value;
+}
+
+function show(value) {
+  if (value === null || value === undefined) {
+    return 'nothing found';
+  }
+  const text = typeof value === 'string' ? `"${value}"` : String(value);
+  return text.length > MAX_SHOWN_LENGTH ? `${text.substring(0, MAX_SHOWN_LENGTH)}…"` : text;
+}
+
+function splitTarget(target, parts, example) {
+  const values = String(target ?? '').split('::').map(part => part.trim());
+  if (values.length !== parts || values.some(part => !part)) {
+    throw new Error(`Target must be "${example}" (got "${target}")`);
+  }
+  return values;
+}
+
+/**
+ * First element matching the selector, or null when there is none (yet)
+ */
+async function findElement(page, selector) {
+  const locator = page.locator(selector);
+  return (await locator.count()) > 0 ? locator.first() : null;
+}
+
+// Shared comparisons: actual and expected are both normalized first
+const textEquals = (actual, a) => actual !== null && normalize(actual, a) === normalize(a.expected, a);
+const textContains = (actual, a) => actual !== null && normalize(actual, a).includes(normalize(a.expected, a));
+const textMatches = (actual, a) => actual !== null && parseRegex(a.expected, a.ignoreCase).test(normalize(actual, { ...a, ignoreCase: false }));
+const readText = async (page, a) => {
+  const element = await findElement(page, a.target);
+  return element ? element.textContent() : null;
+};
+
+/**
+ * Assertion types
+ *
+ * probe(page, assertion, services) reads the current value; matches(actual, assertion)
+ * decides; subject, expectation(assertion) and format(actual) word the report
+ * (subject defaults to the target).
+ */
+export const ASSERTION_TYPES = {
+  element_visible: {
+    description: 'Element is visible',
+    probe: (page, a) => page.locator(a.target).first().isVisible(),
+    matches: actual => actual === true,
+    expectation: () => 'be visible',
+    format: actual => (actual ? 'visible' : 'not visible')
+  },
+
+  element_hidden: {
+    description: 'Element is hidden or absent',
+    probe: (page, a) => page.locator(a.target).first().isVisible(),
+    matches: actual => actual === false,
+    expectation: () => 'be hidden',
+    format: actual => (actual ? 'visible' : 'hidden')
+  },
+
+  element_enabled: {
+    description: 'Element is enabled',
+    probe: async (page, a) => (await findElement(page, a.target))?.isEnabled() ?? null,
+    matches: actual => actual === true,
+    expectation: () => 'be enabled',
+    format: actual => (actual === null ? 'element not found' : actual ? 'enabled' : 'disabled')
+  },
+
+  element_disabled: {
+    description: 'Element is disabled',
+    probe: async (page, a) => (await findElement(page, a.target))?.isDisabled() ?? null,
+    matches: actual => actual === true,
+    expectation: () => 'be disabled',
+    format: actual => (actual === null ? 'element not found' : actual ? 'disabled' : 'enabled')
+  },
+
+  element_checked: {
+    description: 'Checkbox / radio is checked',
+    probe: async (page, a) => (await findElement(page, a.target))?.isChecked() ?? null,
+    matches: actual => actual === true,
+    expectation: () => 'be checked',
+    format: actual => (actual === null ? 'element not found' : actual ? 'checked' : 'not checked')
+  },
+
+  element_focused: {
+    description: 'Element has the keyboard focus',
+    probe: async (page, a) => {
+      const element = await findElement(page, a.target);
+      return element ? element.evaluate(node => node === document.activeElement) : null;
+    },
+    matches: actual => actual === true,
+    expectation: () => 'be focused',
+    format: actual => (actual === null ? 'element not found' : actual ? 'focused' : 'not focused')
+  },
+
+  element_count: {
+    description: 'Number of matching elements',
+    probe: (page, a) => page.locator(a.target).count(),
+    matches: (actual, a) => parseComparison(a.expected).check(actual),
+    expectation: a => `match ${parseComparison(a.expected).label} element(s)`,
+    format: actual => `${actual} element(s)`
+  },
+
+  text_equals: {
+    description: 'Element text equals',
+    probe: readText,
+    matches: textEquals,
+    expectation: a => `have text "${a.expected}"`
+  },
+
+  text_contains: {
+    description: 'Element text contains',
+    probe: readText,
+    matches: textContains,
+    expectation: a => `contain "${a.expected}"`
+  },
+
+  text_matches: {
+    description: 'Element text matches a regular expression',
+    probe: readText,
+    matches: textMatches,
+    expectation: a => `match ${parseRegex(a.expected, a.ignoreCase)}`
+  },
+
+  number_compare: {
+    description: 'Number in the element text compares to a value',
+    probe: async (page, a) => {
+      const text = await readText(page, a);
+      return text === null ? null : parseNumber(text);
+    },
+    matches: (actual, a) => parseComparison(a.expected).check(actual),
+    expectation: a => `show a number ${parseComparison(a.expected).label}`,
+    format: actual => (actual === null ? 'no number' : String(actual))
+  },
+
+  input_value_equals: {
+    description: 'Input / textarea / select value equals',
+    probe: async (page, a) => (await findElement(page, a.target))?.inputValue() ?? null,
+    matches: textEquals,
+    expectation: a => `have value "${a.expected}"`
+  },
+
+  attribute_equals: {
+    description: 'Attribute value equals (target: "selector::attribute")',
+    probe: async (page, a) => {
+      const [selector, attribute] = splitTarget(a.target, 2, 'selector::attribute');
+      return (await findElement(page, selector))?.getAttribute(attribute) ?? null;
+    },
+    matches: (actual, a) => actual !== null && actual === String(a.expected ?? ''),
+    expectation: a => `have ${String(a.target).split('::')[1]}="${a.expected}"`
+  },
+
+  css_property_equals: {
+    description: 'Computed CSS property equals (target: "selector::property")',
+    probe: async (page, a) => {
+      const [selector, property] = splitTarget(a.target, 2, 'selector::property');
+      const element = await findElement(page, selector);
+      return element ? element.evaluate((node, name) => getComputedStyle(node).getPropertyValue(name), property) : null;
+    },
+    matches: textEquals,
+    expectation: a => `have ${String(a.target).split('::')[1]}: ${a.expected}`
+  },
+
+  url_equals: {
+    description: 'Page URL equals (target)',
+    subject: () => 'URL',
+    probe: page => page.url(),
+    matches: (actual, a) => actual === a.target,
+    expectation: a => `be "${a.target}"`
+  },
+
+  url_contains: {
+    description: 'Page URL contains (target)',
+    subject: () => 'URL',
+    probe: page => page.url(),
+    matches: (actual, a) => actual.includes(a.target),
+    expectation: a => `contain "${a.target}"`
+  },
+
+  url_matches: {
+    description: 'Page URL matches a regular expression (target)',
+    subject: () => 'URL',
+    probe: page => page.url(),
+    matches: (actual, a) => parseRegex(a.target, a.ignoreCase).test(actual),
+    expectation: a => `match ${parseRegex(a.target, a.ignoreCase)}`
+  },
+
+  title_equals: {
+    description: 'Page title equals (expected)',
+    subject: () => 'Title',
+    probe: page => page.title(),
+    matches: textEquals,
+    expectation: a => `be "${a.expected}"`
+  },
+
+  title_contains: {
+    description: 'Page title contains (expected)',
+    subject: () => 'Title',
+    probe: page => page.title(),
+    matches: textContains,
+    expectation: a => `contain "${a.expected}"`
+  },
+
+  cookie_equals: {
+    description: 'Cookie (target: name) is set, with the expected value if given',
+    subject: a => `Cookie "${a.target}"`,
+    probe: async (page, a) => {
+      const cookies = await page.context().cookies(page.url());
+      return cookies.find(cookie => cookie.name === a.target)?.value ?? null;
+    },
+    matches: (actual, a) => actual !== null && (a.expected === undefined || a.expected === null || a.expected === '' || actual === String(a.expected)),
+    expectation: a => (a.expected ? `be "${a.expected}"` : 'be set')
+  },
+
+  local_storage_equals: {
+    description: 'localStorage key (target) is set, with the expected value if given',
+    subject: a => `localStorage "${a.target}"`,
+    probe: (page, a) => page.evaluate(key => window.localStorage.getItem(key), a.target),
+    matches: (actual, a) => actual !== null && (a.expected === undefined || a.expected === null || a.expected === '' || actual === String(a.expected)),
+    expectation: a => (a.expected ? `be "${a.expected}"` : 'be set')
+  },
+
+  table_cell_equals: {
+    description: 'Table cell text equals (target: "table::row::column")',
+    probe: readTableCell,
+    matches: textEquals,
+    expectation: a => `have text "${a.expected}"`
+  },
+
+  table_cell_contains: {
+    description: 'Table cell text contains (target: "table::row::column")',
+    probe: readTableCell,
+    matches: textContains,
+    expectation: a => `contain "${a.expected}"`
+  },
+
+  request_made: {
+    description: 'The page sent a matching request (target: "[METHOD] url", expected: payload)',
+    probe: (page, a, { network }) => {
+      if (!network) {
+        throw new Error('request_made needs the request log of the Phase 2 executor');
+      }
+      const method = String(a.target).match(HTTP_METHOD_PREFIX)?.[1];
+      const url = String(a.target).replace(HTTP_METHOD_PREFIX, '').trim();
+      return network.findRequests({ url, method: method || a.method, payload: a.expected }).length;
+    },
+    matches: actual => actual > 0,
+    expectation: a => `be requested${a.expected ? ` with ${typeof a.expected === 'string' ? a.expected : JSON.stringify(a.expected)}` : ''}`,
+    format: actual => `${actual} matching request(s)`
+  }
+};
+
+/**
+ * Text of a table cell, or null when the table, row or column is missing
+ */
+async function readTableCell(page, a) {
+  const [selector, row, column] = splitTarget(a.target, 3, 'table::row::column');
+  const table = await findElement(page, selector);
+  if (!table) {
+    return null;
+  }
+
+  return table.evaluate((node, { row, column }) => {
+    const rows = Array.from(node.rows || []);
+    const headerRow = node.tHead?.rows[0] || rows.find(candidate => candidate.querySelector('th'));
+    const bodyRows = rows.filter(candidate => candidate !== headerRow);
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+    const columnIndex = /^\d+$/.test(column)
+      ? Number(column) - 1
+      : Array.from(headerRow?.cells || []).findIndex(cell => clean(cell.textContent).toLowerCase() === column.toLowerCase());
+    const rowElement = /^\d+$/.test(row)
+      ? bodyRows[Number(row) - 1]
+      : bodyRows.find(candidate => clean(candidate.textContent).includes(row));
+
+    const cell = columnIndex >= 0 ? rowElement?.cells[columnIndex] : null;
+    return cell ? cell.textContent : null;
+  }, { row, column });
+}
+
+export function isLibraryAssertion(type) {
+  return Object.prototype.hasOwnProperty.call(ASSERTION_TYPES, type);
+}
+
+/**
+ * Check an assertion, re-reading the page until it holds or the timeout passes
+ *
+ * @param {Page} page - Playwright page
+ * @param {Object} assertion - { type, target, expected, not?, timeout?, ignoreCase?, normalizeWhitespace? } (variables resolved)
+ * @param {Object} services - { network } from the executor
+ * @returns {Promise<Object>} { passed, actualValue, expectedValue, error, attempts }
+ * @throws {Error} - Unknown type or an invalid expectation (a mistake in the test, not a failure)
+ */
+export async function checkAssertion(page, assertion, services = {}) {
+  const definition = ASSERTION_TYPES[assertion.type];
+  if (!definition) {
+    throw new Error(`Unknown assertion type: ${assertion.type}`);
+  }
+  const negate = assertion.not === true || assertion.not === 'true';
+  const timeout = Number(assertion.timeout ?? loadAssertionDefaults().timeout) || 0;
+
+  // WHY: A bad regex or number never starts to match; report it instead of waiting
+  const expectation = `${negate ? 'not ' : ''}${definition.expectation(assertion)}`;
+
+  const deadline = Date.now() + timeout;
+  let attempts = 0;
+  let actual;
+  let probeError = null;
+  let holds = false;
+
+  while (true) {
+    attempts++;
+    try {
+      actual = await definition.probe(page, assertion, services);
+      probeError = null;
+      holds = definition.matches(actual, assertion) !== negate;
+    } catch (error) {
+      // Navigation in progress, detached element, ...: read again
+      probeError = error;
+      holds = false;
+    }
+
+    if (holds || Date.now() >= deadline) {
+      break;
+    }
+    const interval = POLL_INTERVALS[Math.min(attempts - 1, POLL_INTERVALS.length - 1)];
+    await new Promise(resolve => setTimeout(resolve, Math.min(interval, Math.max(0, deadline - Date.now()))));
+  }
+
+  const actualValue = probeError ? null : (definition.format || show)(actual);
+  const subject = definition.subject ? definition.subject(assertion) : `"${assertion.target}"`;
+  const waited = timeout > 0 ? ` after ${timeout}ms` : '';
+
+  return {
+    passed: holds,
+    actualValue,
+    expectedValue: expectation,
+    attempts,
+    error: holds
+      ? null
+      : probeError
+        ? `Expected ${subject} to ${expectation}, but it could not be read${waited}: ${probeError.message}`
+        : `Expected ${subject} to ${expectation}, but got ${actualValue}${waited}`
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * Phase 2: Browser Environment
+ *
+ * PURPOSE:
+ * Turn execution options (browser, device, viewport, locale, ...) into
+ * Playwright launch and context options, so a test can run in Firefox, WebKit
+ * or an emulated phone instead of always Chromium at 1280x720.
+ *
+ * OPTIONS:
+ * - browser: chromium | firefox | webkit
+ *   (default: the device's browser, then config.json executor.browser)
+ * - device: Playwright device name ("iPhone 13", "Pixel 7", "iPad Mini", "Desktop Firefox");
+ *   case-insensitive, and "iphone" / "pixel" / "ipad" / "galaxy" pick a current model
+ * - viewport: { width, height } or "1920x1080" (overrides the device's)
+ * - locale: "de-DE"; timezone: "Europe/Berlin"
+ * - geolocation: { latitude, longitude, accuracy? } or "52.52,13.40" (grants the permission)
+ * - colorScheme: light | dark | no-preference
+ * - userAgent: custom user agent (overrides the device's)
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (setupBrowser), server.js (validation, GET /api/devices),
+ *   phase6/browserMatrix.js (validates suite run matrices)
+ */
+
+import { chromium, firefox, webkit, devices } from 'playwright';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BROWSERS = { chromium, firefox, webkit };
+
+export const ENVIRONMENT_OPTIONS = ['browser', 'device', 'viewport', 'locale', 'timezone', 'geolocation', 'colorScheme', 'userAgent'];
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+// Short names -> a current model
+const DEVICE_ALIASES = {
+  iphone: 'iPhone 15',
+  pixel: 'Pixel 7',
+  ipad: 'iPad (gen 7)',
+  galaxy: 'Galaxy S9+',
+  android: 'Pixel 7'
+};
+
+let executorConfig = null;
+
+/**
+ * config.json "executor" section (browser, headless, ...)
+ */
+function getExecutorConfig() {
+  if (!executorConfig) {
+    try {
+      executorConfig = JSON.parse(fsSync.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf-8')).executor || {};
+    } catch {
+      executorConfig = {};
+    }
+  }
+  return executorConfig;
+}
+
+/**
+ * Device descriptor name for a user-supplied device name, or null
+ */
+export function findDevice(name) {
+  if (!name) {
+    return null;
+  }
+  if (devices[name]) {
+    return name;
+  }
+
+  const wanted = String(name).toLowerCase().trim();
+  return Object.keys(devices).find(device => device.toLowerCase() === wanted)
+    || DEVICE_ALIASES[wanted]
+    || null;
+}
+
+function parseViewport(viewport) {
+  const value = typeof viewport === 'string'
+    ? (([width, height]) => ({ width, height }))(viewport.toLowerCase().split('x').map(Number))
+    : { width: Number(viewport?.width), height: Number(viewport?.height) };
+
+  if (!(value.width > 0) || !(value.height > 0)) {
+    throw new Error(`Invalid viewport "${typeof viewport === 'string' ? viewport : JSON.stringify(viewport)}" (use { width, height } or "1280x720")`);
+  }
+  return value;
+}
+
+function parseGeolocation(geolocation) {
+  const value = typeof geolocation === 'string'
+    ? (([latitude, longitude]) => ({ latitude, longitude }))(geolocation.split(',').map(part => Number(part.trim())))
+    : { ...geolocation, latitude: Number(geolocation?.latitude), longitude: Number(geolocation?.longitude) };
+
+  if (!(Math.abs(value.latitude) <= 90) || !(Math.abs(value.longitude) <= 180)) {
+    throw new Error(`Invalid geolocation "${typeof geolocation === 'string' ? geolocation : JSON.stringify(geolocation)}" (use { latitude, longitude } or "52.52,13.40")`);
+  }
+  return value;
+}
+
+/**
+ * Resolve execution options into Playwright settings
+ *
+ * @param {Object} options - Execution options (see header)
+ * @returns {Object} { browserName, browserType, launchOptions, contextOptions, summary }
+ * @throws {Error} - Unknown browser or device, invalid viewport / geolocation / color scheme,
+ *   or a mobile device in Firefox
+ */
+export function resolveEnvironment(options = {}) {
+  const config = getExecutorConfig();
+
+  let descriptor = {};
+  let deviceName = null;
+  if (options.device) {
+    deviceName = findDevice(options.device);
+    if (!deviceName) {
+      throw new Error(`Unknown device "${options.device}". Examples: iPhone 15, Pixel 7, iPad Mini, Desktop Firefox (GET /api/devices lists all)`);
+    }
+    descriptor = devices[deviceName];
+  }
+
+  const { defaultBrowserType, ...deviceOptions } = descriptor;
+  const browserName = String(options.browser || defaultBrowserType || config.browser || 'chromium').toLowerCase();
+  if (!BROWSERS[browserName]) {
+    throw new Error(`Unknown browser "${options.browser}". Supported: ${Object.keys(BROWSERS).join(', ')}`);
+  }
+  // WHY: Playwright rejects isMobile in Firefox; say so before a browser is launched
+  if (browserName === 'firefox' && deviceOptions.isMobile) {
+    throw new Error(`Firefox cannot emulate mobile device "${deviceName}"; use chromium or webkit`);
+  }
+
+  const contextOptions = { viewport: DEFAULT_VIEWPORT, ...deviceOptions };
+
+  if (options.viewport) {
+    contextOptions.viewport = parseViewport(options.viewport);
+  }
+  if (options.locale) {
+    contextOptions.locale = String(options.locale);
+  }
+  if (options.timezone) {
+    if (!isValidTimezone(options.timezone)) {
+      throw new Error(`Unknown timezone "${options.timezone}" (use an IANA name like "Europe/Berlin")`);
+    }
+    contextOptions.timezoneId = options.timezone;
+  }
+  if (options.geolocation) {
+    contextOptions.geolocation = parseGeolocation(options.geolocation);
+    contextOptions.permissions = ['geolocation'];
+  }
+  if (options.colorScheme) {
+    if (!COLOR_SCHEMES.includes(options.colorScheme)) {
+      throw new Error(`Invalid colorScheme "${options.colorScheme}". Supported: ${COLOR_SCHEMES.join(', ')}`);
+    }
+    contextOptions.colorScheme = options.colorScheme;
+  }
+  if (options.userAgent) {
+    contextOptions.userAgent = String(options.userAgent);
+  }
+
+  return {
+    browserName,
+    browserType: BROWSERS[browserName],
+    launchOptions: { headless: options.headless ?? config.headless ?? false },
+    contextOptions,
+    // For reports: what the test actually ran in
+    summary: {
+      browser: browserName,
+      device: deviceName,
+      viewport: contextOptions.viewport,
+      isMobile: Boolean(contextOptions.isMobile),
+      locale: contextOptions.locale || null,
+      timezone: contextOptions.timezoneId || null,
+      geolocation: contextOptions.geolocation || null,
+      colorScheme: contextOptions.colorScheme || null,
+      userAgent: options.userAgent || null
+    }
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Browsers and device names for UIs (GET /api/devices)
+ */
+export function listEnvironments() {
+  return {
+    browsers: Object.keys(BROWSERS),
+    devices: Object.entries(devices).map(([name, device]) => ({
+      name,
+      browser: device.defaultBrowserType,
+      viewport: device.viewport,
+      isMobile: device.isMobile
+    })),
+    aliases: DEVICE_ALIASES
+  };
+}
+
+export default resolveEnvironment;
@@ -7,18 +7,78 @@
  * 
  * CONNECTIONS:
  * - Input: Phase 1 test steps (JSON)
- * - Uses: Playwright for browser automation
+ * - Uses: Playwright for browser automation (browserEnvironment.js: browser, device, locale, ...)
+ * - Uses: backend/executor/actionRegistry.js (how each action is performed)
+ * - Uses: variableStore.js (extract steps and ${var} interpolation)
+ * - Uses: artifactCapture.js (trace / video / HAR per execution)
+ * - Uses: networkMocker.js (mock routes, request log for expect_request steps)
+ * - Uses: visualRegression.js (visual_match steps and assertions against stored baselines)
+ * - Uses: accessibilityAudit.js (a11y_scan steps and assertions)
+ * - Uses: perfMetrics.js (load timing, Web Vitals and traffic per navigate step, perf_budget assertions)
+ * - Uses: apiClient.js (http steps; response_status, json_path_equals, schema_match assertions)
+ * - Uses: assertionLibrary.js (page assertions with negation and waiting; assert steps)
+ * - Uses: backend/flows/flowStore.js (callFlow steps)
+ * - Uses: backend/auth/authProfileStore.js (useAuth: saved sessions, login steps)
  * - Output: Execution logs + screenshots + diff analysis
  * 
  * ARCHITECTURE:
  * Test Steps → For Each Step → Log Expected → Screenshot Before → Execute → 
  * Screenshot After → Log Actual → Compare → Generate Report
+ * 
+ * CONTROL FLOW:
+ * if / repeat / forEach / callFlow steps get their own result entry, then their
+ * nested steps run through the same loop. Nested results carry a "path"
+ * ("3 › then › 1", "4 › #2 › 1", "5 › login-as-admin › 2").
+ *
+ * FAILURE POLICY:
+ * onFailure on a step or assertion: stop (default for steps), continue (default
+ * for assertions, and for steps with options.continueOnFailure) or warn (soft:
+ * status "warning", the test still passes). Nested steps inherit their control
+ * step's policy. The report counts hard and soft failures apart.
  */
 
-import { chromium } from 'playwright';
 import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { createLLMClient, parseJSONResponse } from '../backend/llm/llmProvider.js';
+import {
+  runAction,
+  usesElement,
+  describeExpectedBehavior,
+  describeCondition,
+  isControlStep,
+  getFailurePolicy,
+  MAX_LOOP_ITERATIONS
+} from '../backend/executor/actionRegistry.js';
+import FlowStore from '../backend/flows/flowStore.js';
+import VariableStore from './variableStore.js';
+import { resolveEnvironment } from './browserEnvironment.js';
+import ArtifactCapture, { resolveCaptureModes } from './artifactCapture.js';
+import NetworkMocker from './networkMocker.js';
+import VisualComparator, { baselineTestKey } from './visualRegression.js';
+import AccessibilityAuditor from './accessibilityAudit.js';
+import PerfCollector, { loadPerfDefaults, parseBudget } from './perfMetrics.js';
+import { checkAssertion, isLibraryAssertion } from './assertionLibrary.js';
+import ApiClient, { jsonPath, jsonValueEquals, loadSchema, validateSchema, parseStatusExpectation } from './apiClient.js';
+import AuthProfileStore, { setupSteps } from '../backend/auth/authProfileStore.js';
+
+// How long an element_visible / element_hidden condition waits before deciding
+// WHY: Optional banners and dialogs often render a moment after the page loads
+const CONDITION_TIMEOUT = 2000;
+
+// callFlow nesting limit (a flow calling itself would never end)
+const MAX_FLOW_DEPTH = 10;
+
+/**
+ * onFailure of a step or assertion; an unknown value falls back (the item itself fails on it)
+ */
+function failurePolicyOf(item, fallback) {
+  try {
+    return getFailurePolicy(item, fallback);
+  } catch {
+    return fallback;
+  }
+}
 
 /**
  * Test Executor Class
@@ -30,12 +90,54 @@ class TestExecutor {
     this.page = null;
     this.context = null;
     
+    // LLM client for failure analysis (provider from config.json)
+    this.llm = createLLMClient('phase2');
+    
     // Execution state
     // WHY: Track current test execution for logging
     this.currentTestId = null;
     this.currentStepNumber = 0;
     this.testStartTime = null;
     
+    // Test variables
+    // WHY: extract steps store values that later steps and assertions reuse as ${name}
+    this.variables = new VariableStore();
+    
+    // Reusable flows for callFlow steps
+    this.flowStore = new FlowStore();
+    
+    // Browser / device the test ran in (for the report)
+    this.environment = null;
+    
+    // Trace / video / HAR recording and the files it kept
+    this.capture = null;
+    this.artifacts = [];
+    
+    // Mock routes and the request log (network steps, options.network.mocks)
+    this.network = null;
+    
+    // Baseline screenshots (visual_match) and the step they are keyed by
+    this.visual = null;
+    this.baselineTestKey = null;
+    this.currentStepPath = [];
+    
+    // Bundled accessibility rules (a11y_scan)
+    this.a11y = new AccessibilityAuditor();
+    
+    // Page performance per navigate step (null when options.perf is false)
+    this.perf = null;
+    
+    // API requests of http steps and their responses (response assertions)
+    this.api = null;
+    
+    // Result of the latest assert step (its actual behavior)
+    this.lastAssertion = null;
+    
+    // Auth profiles (options.auth): the profile in use and how its session was obtained
+    this.authStore = new AuthProfileStore();
+    this.authProfile = null;
+    this.auth = null;
+    
     // Results collection
     // STRUCTURE: Array of step results with screenshots and logs
     this.stepResults = [];
@@ -56,7 +158,14 @@ class TestExecutor {
    * 5. Generate comprehensive report
    * 
    * @param {Array} testSteps - Structured steps from Phase 1
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options (variables: initial ${name} values;
+   *   browser, device, viewport, locale, timezone, geolocation, colorScheme, userAgent: see browserEnvironment.js;
+   *   capture: trace / video / HAR modes, see artifactCapture.js;
+   *   continueOnFailure: failed steps without onFailure don't stop the test;
+   *   assertions: checked after the steps, while the page is still open;
+   *   baselineKey: test part of visual_match baseline keys, see visualRegression.js;
+   *   perf: false to skip performance metrics, see perfMetrics.js;
+   *   signal: AbortSignal - once aborted the remaining steps and assertions are skipped)
    * @returns {Promise<Object>} - Complete test results
    */
   async executeTest(testSteps, options = {}) {
@@ -68,35 +177,54 @@ class TestExecutor {
     this.currentTestId = uuidv4().substring(0, 8);
     this.testStartTime = Date.now();
     this.stepResults = [];
+    this.artifacts = [];
+    this.assertionResults = null;
+    this.cancelled = false;
+    this.baselineTestKey = baselineTestKey(options, testSteps);
+    
+    // Attribute LLM usage to this execution (and the caller's suite/run, if any)
+    // WHY: Without a runId the execution is its own run, so options.context.budget still caps it
+    const context = options.context || {};
+    this.llm = this.llm.withContext({
+      ...context,
+      testId: context.testId || this.currentTestId,
+      runId: context.runId || this.currentTestId,
+      reportId: this.currentTestId
+    });
     
     try {
+      this.variables = new VariableStore(options.variables);
+      
       // STEP 1: Setup browser
       await this.setupBrowser(options);
       
-      // STEP 2: Execute each step
-      for (let i = 0; i < testSteps.length; i++) {
-        const step = testSteps[i];
-        this.currentStepNumber = i + 1;
-        
-        console.log(`\n📍 Step ${this.currentStepNumber}/${testSteps.length}: ${step.description}`);
-        
-        // Execute step with full logging and screenshots
-        const stepResult = await this.executeStep(step);
-        this.stepResults.push(stepResult);
-        
-        // Stop on failure (configurable)
-        if (stepResult.status === 'failed' && !options.continueOnFailure) {
-          console.log('❌ Stopping execution due to failure');
-          break;
-        }
+      // STEP 2: Execute each step (control steps run their nested steps)
+      // WHY: A test with useAuth logs in first unless the saved session still works
+      if (await this.ensureAuthenticated(options)) {
+        await this.executeSteps(testSteps, options);
+      }
+      // A cancel during the last step is only seen here
+      if (options.signal?.aborted) {
+        this.cancelled = true;
       }
       
+      // WHY: Assertions inspect the page, so they run before the context closes
+      if (options.assertions?.length > 0 && !this.cancelled) {
+        this.assertionResults = await this.executeAssertions(options.assertions);
+      }
+      
+      // Trace / video / HAR are complete once the context closes; the report lists them
+      this.artifacts = await this.finishCapture();
+      
       // STEP 3: Generate final report
       const report = await this.generateReport();
       
       console.log('\n✅ Test execution complete');
       console.log(`   Duration: ${Date.now() - this.testStartTime}ms`);
       console.log(`   Passed: ${report.passedSteps}/${report.totalSteps}`);
+      if (report.failures.soft > 0) {
+        console.log(`   Warnings: ${report.failures.soft} soft failure(s)`);
+      }
       
       return report;
       
@@ -116,6 +244,465 @@ class TestExecutor {
     }
   }
 
+  /**
+   * Saved session for an auth profile, or null when the test has to log in
+   * 
+   * @param {string} name - Profile ID or name (options.auth)
+   * @returns {Promise<Object|null>} Playwright storageState
+   * @throws {Error} - Unknown profile
+   */
+  async loadAuthState(name) {
+    const profile = await this.authStore.get(name);
+    if (!profile) {
+      throw new Error(`Unknown auth profile "${name}"`);
+    }
+    
+    const { fresh, reason } = this.authStore.freshness(profile);
+    const storageState = fresh ? await this.authStore.loadState(profile.id) : null;
+    
+    this.authProfile = profile;
+    this.auth = {
+      profile: profile.id,
+      name: profile.name,
+      restored: Boolean(storageState),
+      refreshed: false,
+      savedAt: storageState ? profile.state.savedAt : null,
+      reason: storageState ? null : (fresh ? 'saved session could not be read' : reason)
+    };
+    
+    return storageState;
+  }
+  
+  /**
+   * Make sure the test starts logged in (options.auth)
+   * 
+   * WHY: A restored session can still have been revoked server-side, so the
+   * profile's check runs first; when it fails (or nothing was restored) the
+   * login steps run in this context and the new session is saved for the
+   * next tests. The lock keeps parallel tests from logging in at once.
+   * 
+   * @returns {Promise<boolean>} - false when the login steps failed
+   */
+  async ensureAuthenticated(options) {
+    if (!this.authProfile) {
+      return true;
+    }
+    const profile = this.authProfile;
+    
+    if (this.auth.restored) {
+      if (await this.checkSession(profile.check)) {
+        console.log(`\n🔐 Reusing session "${profile.name}" (saved ${this.auth.savedAt})`);
+        return true;
+      }
+      this.auth.restored = false;
+      this.auth.reason = 'session check failed';
+    }
+    
+    return this.authStore.withLock(profile.id, async () => {
+      // Another execution may have logged in while this one waited
+      const latest = await this.authStore.read(profile.id);
+      if (latest?.state?.savedAt && latest.state.savedAt !== this.auth.savedAt && this.authStore.freshness(latest).fresh) {
+        const storageState = await this.authStore.loadState(profile.id);
+        if (storageState && await this.applyStorageState(storageState) && await this.checkSession(profile.check)) {
+          Object.assign(this.auth, { restored: true, savedAt: latest.state.savedAt, reason: null });
+          console.log(`\n🔐 Reusing session "${profile.name}" saved by another execution`);
+          return true;
+        }
+      }
+      
+      console.log(`\n🔐 Logging in for "${profile.name}" (${this.auth.reason})`);
+      await this.context.clearCookies();
+      
+      const firstResult = this.stepResults.length;
+      await this.executeSteps(setupSteps(profile), options, { path: ['auth'], depth: 0 });
+      if (this.stepResults.slice(firstResult).some(result => result.status === 'failed')) {
+        this.auth.error = 'Login steps failed; the test steps did not run';
+        console.log(`   ❌ ${this.auth.error}`);
+        return false;
+      }
+      
+      const saved = await this.authStore.saveState(profile.id, await this.context.storageState());
+      Object.assign(this.auth, { refreshed: true, savedAt: saved.state.savedAt });
+      console.log(`   💾 Session saved for "${profile.name}" (${saved.state.cookies} cookie(s))`);
+      return true;
+    });
+  }
+  
+  /**
+   * Run an auth profile's check ({ url?, condition }); no check means the session is trusted
+   */
+  async checkSession(check) {
+    if (!check) {
+      return true;
+    }
+    try {
+      if (check.url) {
+        await this.page.goto(check.url, { waitUntil: 'domcontentloaded' });
+      }
+      return await this.evaluateCondition(check.condition);
+    } catch (error) {
+      console.log(`   ⚠️  Session check failed: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Load a storageState into the running context (cookies now, localStorage on
+   * the first load of each origin in this tab)
+   * 
+   * @returns {Promise<boolean>} true once applied
+   */
+  async applyStorageState(storageState) {
+    await this.context.clearCookies();
+    await this.context.addCookies(storageState.cookies || []);
+    await this.context.addInitScript(origins => {
+      const entry = origins.find(origin => origin.origin === window.location.origin);
+      if (!entry || window.sessionStorage.getItem('__authStateApplied')) {
+        return;
+      }
+      for (const { name, value } of entry.localStorage) {
+        window.localStorage.setItem(name, value);
+      }
+      window.sessionStorage.setItem('__authStateApplied', '1');
+    }, storageState.origins || []);
+    return true;
+  }
+  
+  /**
+   * Execute a list of steps: the test itself, or the body of an if / loop / flow
+   * 
+   * @param {Array} steps - Steps to run in order
+   * @param {Object} options - Execution options (continueOnFailure: default onFailure "continue")
+   * @param {Object} scope - { path: labels of the enclosing control steps, depth: callFlow nesting,
+   *   onFailure: policy of the enclosing control step }
+   * @returns {Promise<boolean>} - false when a failure stopped execution
+   */
+  async executeSteps(steps, options, scope = { path: [], depth: 0 }) {
+    const inheritedPolicy = scope.onFailure || (options.continueOnFailure ? 'continue' : 'stop');
+    
+    for (let i = 0; i < steps.length; i++) {
+      // WHY: The caller cancelled the run (or it timed out); nobody reads the remaining steps
+      if (options.signal?.aborted) {
+        console.log('\n🛑 Execution cancelled: remaining steps skipped');
+        this.cancelled = true;
+        return false;
+      }
+      
+      const step = steps[i];
+      const stepPath = [...scope.path, i + 1];
+      const policy = failurePolicyOf(step, inheritedPolicy);
+      this.currentStepNumber = this.stepResults.length + 1;
+      
+      console.log(`\n📍 Step ${stepPath.join(' › ')}${scope.path.length === 0 ? `/${steps.length}` : ''}: ${step.description || step.action}`);
+      
+      if (isControlStep(step)) {
+        const completed = await this.executeControlStep(step, options, { ...scope, path: stepPath, onFailure: policy });
+        if (!completed) {
+          return false;
+        }
+        continue;
+      }
+      
+      // Execute step with full logging and screenshots
+      this.currentStepPath = stepPath;
+      const stepResult = await this.executeStep(step);
+      if (scope.path.length > 0) {
+        stepResult.path = stepPath.join(' › ');
+      }
+      this.stepResults.push(stepResult);
+      
+      // Stop, go on, or downgrade to a warning (onFailure)
+      if (stepResult.status === 'failed' && !this.applyFailurePolicy(stepResult, policy)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Apply the onFailure policy to a failed step's result
+   * 
+   * @param {Object} result - Failed step result (status becomes "warning" for warn)
+   * @param {string} policy - stop | continue | warn
+   * @returns {boolean} - false when execution stops here
+   */
+  applyFailurePolicy(result, policy) {
+    result.onFailure = policy;
+    
+    if (policy === 'warn') {
+      result.status = 'warning';
+      console.log('   ⚠️  Soft failure (onFailure: warn): reported as a warning, continuing');
+      return true;
+    }
+    if (policy === 'continue') {
+      console.log('   ↪️  Continuing after the failure (onFailure: continue)');
+      return true;
+    }
+    
+    console.log('❌ Stopping execution due to failure');
+    return false;
+  }
+
+  /**
+   * Execute an if / repeat / forEach / callFlow step
+   * 
+   * WHY: The control step gets its own result (which branch ran, how many
+   * iterations, which flow) so reports show why nested steps did or did not run.
+   * It fails only when it cannot be evaluated (unknown flow, bad loop count);
+   * nested failures are reported on the nested steps.
+   * 
+   * @returns {Promise<boolean>} - false when a failure stopped execution
+   */
+  async executeControlStep(step, options, scope) {
+    const stepStartTime = Date.now();
+    const result = {
+      stepNumber: this.currentStepNumber,
+      path: scope.path.join(' › '),
+      description: step.description,
+      action: step.action,
+      control: true,
+      status: 'running',
+      startTime: new Date().toISOString(),
+      endTime: null,
+      duration: null,
+      expectedBehavior: this.getExpectedBehavior(step),
+      actualBehavior: '',
+      behaviorMatch: null,
+      error: null,
+      // WHY: The page listeners log into the latest result, which is this one while a condition waits
+      consoleErrors: [],
+      consoleWarnings: [],
+      networkErrors: [],
+      networkRequests: [],
+      pageErrors: []
+    };
+    // WHY: Pushed before its nested steps so the report reads top to bottom
+    this.stepResults.push(result);
+    
+    let completed = true;
+    try {
+      getFailurePolicy(step);
+      
+      switch (step.action) {
+        case 'if': {
+          const holds = await this.evaluateCondition(step.condition);
+          const branch = holds ? 'then' : 'else';
+          const body = step[branch] || [];
+          result.branch = branch;
+          result.actualBehavior = `Condition ${holds ? 'held' : 'did not hold'} (${describeCondition(step.condition)}): ` +
+            `${body.length} step(s) in "${branch}"`;
+          console.log(`   🔀 ${result.actualBehavior}`);
+          completed = await this.executeSteps(body, options, { ...scope, path: [...scope.path, branch] });
+          break;
+        }
+        
+        case 'repeat': {
+          const times = this.loopCount(this.variables.resolve(String(step.times)).value);
+          let iterations = 0;
+          for (let index = 1; index <= times && completed; index++) {
+            iterations = index;
+            const restore = this.variables.scoped({ index }, `repeat ${result.path}`);
+            try {
+              completed = await this.executeSteps(step.steps, options, { ...scope, path: [...scope.path, `#${index}`] });
+            } finally {
+              restore();
+            }
+            if (completed && step.until && await this.evaluateCondition(step.until)) {
+              console.log(`   🔁 Stopping: ${describeCondition(step.until)}`);
+              break;
+            }
+          }
+          result.iterations = iterations;
+          result.actualBehavior = `Repeated ${iterations} of ${times} time(s)${completed ? '' : ' (stopped by a failed step)'}`;
+          break;
+        }
+        
+        case 'forEach': {
+          const items = this.loopItems(step.items);
+          const variable = step.variable || 'item';
+          let iterations = 0;
+          for (let index = 1; index <= items.length && completed; index++) {
+            iterations = index;
+            const restore = this.variables.scoped({ [variable]: items[index - 1], index }, `forEach ${result.path}`);
+            try {
+              completed = await this.executeSteps(step.steps, options, { ...scope, path: [...scope.path, `#${index}`] });
+            } finally {
+              restore();
+            }
+          }
+          result.iterations = iterations;
+          result.actualBehavior = `Ran for ${iterations} of ${items.length} item(s)${completed ? '' : ' (stopped by a failed step)'}`;
+          break;
+        }
+        
+        case 'callFlow': {
+          completed = await this.executeFlow(step, options, scope, result);
+          break;
+        }
+        
+        default:
+          throw new Error(`Unsupported control step: ${step.action}`);
+      }
+      
+      result.status = 'passed';
+      result.behaviorMatch = true;
+      
+    } catch (error) {
+      result.status = 'failed';
+      result.behaviorMatch = false;
+      result.error = error.message;
+      result.actualBehavior = `Step not executed: ${error.message}`;
+      result.screenshot = await this.captureScreenshot('failure');
+      console.log(`   ❌ Step failed: ${error.message}`);
+      completed = this.applyFailurePolicy(result, scope.onFailure);
+    }
+    
+    result.actualBehavior = this.variables.redact(result.actualBehavior);
+    result.error = this.variables.redact(result.error);
+    result.endTime = new Date().toISOString();
+    result.duration = Date.now() - stepStartTime;
+    
+    return completed;
+  }
+
+  /**
+   * Run a callFlow step: look up the flow, bind its params, run its steps
+   * 
+   * @returns {Promise<boolean>} - false when a failure stopped execution
+   * @throws {Error} - Unknown flow, missing required param, nesting too deep
+   */
+  async executeFlow(step, options, scope, result) {
+    if (scope.depth >= MAX_FLOW_DEPTH) {
+      throw new Error(`Flows nested deeper than ${MAX_FLOW_DEPTH} (does "${step.flow}" call itself?)`);
+    }
+    
+    const flowName = this.variables.resolve(String(step.flow)).value;
+    const flow = await this.flowStore.get(flowName);
+    if (!flow) {
+      throw new Error(`Flow not found: "${flowName}"`);
+    }
+    
+    // Given params first, then the flow's defaults; null defaults are required
+    const bindings = {};
+    for (const [name, value] of Object.entries(step.params || {})) {
+      bindings[name] = this.variables.resolve(String(value ?? '')).value;
+    }
+    const missing = [];
+    for (const [name, defaultValue] of Object.entries(flow.params || {})) {
+      if (bindings[name] !== undefined) {
+        continue;
+      }
+      if (defaultValue === null || defaultValue === undefined) {
+        missing.push(name);
+      } else {
+        bindings[name] = this.variables.resolve(String(defaultValue)).value;
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`Flow "${flow.name}" requires param(s): ${missing.join(', ')}`);
+    }
+    
+    result.flow = flow.id;
+    console.log(`   🧩 Flow "${flow.name}" (${flow.steps.length} steps)`);
+    
+    const restore = this.variables.scoped(bindings, `flow ${flow.id}`);
+    let completed;
+    try {
+      completed = await this.executeSteps(flow.steps, options, {
+        path: [...scope.path, flow.id],
+        depth: scope.depth + 1,
+        onFailure: scope.onFailure
+      });
+    } finally {
+      restore();
+    }
+    
+    result.actualBehavior = completed
+      ? `Flow "${flow.name}" ran ${flow.steps.length} step(s)`
+      : `Flow "${flow.name}" stopped at a failed step`;
+    return completed;
+  }
+
+  /**
+   * Evaluate an if / until condition against the page and variables
+   * 
+   * @param {Object} condition - { type, target | variable + value | pattern, not?, timeout? }
+   * @returns {Promise<boolean>}
+   */
+  async evaluateCondition(condition) {
+    if (!condition || typeof condition !== 'object') {
+      throw new Error('Condition must be an object with a "type"');
+    }
+    
+    const { resolved } = this.variables.resolveFields(condition, ['target', 'value', 'pattern']);
+    const timeout = Number(condition.timeout) || CONDITION_TIMEOUT;
+    let holds;
+    
+    switch (condition.type) {
+      case 'element_visible':
+        holds = await this.waitForElementState(resolved.target, 'visible', timeout);
+        break;
+      case 'element_hidden':
+        holds = await this.waitForElementState(resolved.target, 'hidden', timeout);
+        break;
+      case 'variable_equals':
+        // An undefined variable equals nothing
+        holds = this.variables.has(condition.variable) && this.variables.get(condition.variable) === String(resolved.value ?? '');
+        break;
+      case 'url_matches':
+        holds = new RegExp(resolved.pattern).test(this.page.url());
+        break;
+      default:
+        throw new Error(`Unknown condition type "${condition.type}"`);
+    }
+    
+    return condition.not ? !holds : holds;
+  }
+
+  /**
+   * Whether the first matching element reaches a state within the timeout
+   */
+  async waitForElementState(target, state, timeout) {
+    if (!target) {
+      throw new Error(`Condition "element_${state}" requires a target`);
+    }
+    try {
+      await this.page.locator(target).first().waitFor({ state, timeout });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Validated repeat count
+   */
+  loopCount(value) {
+    const times = Number(value);
+    if (!Number.isInteger(times) || times < 0) {
+      throw new Error(`repeat "times" must be a whole number, got "${value}"`);
+    }
+    if (times > MAX_LOOP_ITERATIONS) {
+      throw new Error(`repeat "times" is limited to ${MAX_LOOP_ITERATIONS}, got ${times}`);
+    }
+    return times;
+  }
+
+  /**
+   * forEach items: an array, or a comma-separated string (${variables} allowed)
+   */
+  loopItems(items) {
+    const list = Array.isArray(items)
+      ? items.map(item => this.variables.resolve(String(item)).value)
+      : this.variables.resolve(String(items ?? '')).value.split(',').map(item => item.trim()).filter(Boolean);
+    
+    if (list.length > MAX_LOOP_ITERATIONS) {
+      throw new Error(`forEach is limited to ${MAX_LOOP_ITERATIONS} items, got ${list.length}`);
+    }
+    return list;
+  }
+
   /**
    * Execute a single test step with complete logging
    * 
@@ -179,30 +766,98 @@ class TestExecutor {
       pageErrors: []
     };
     
+    // The step as executed: ${var} placeholders replaced (null until resolved)
+    let runStep = null;
+    
     try {
+      // An unknown onFailure fails the step rather than being ignored
+      getFailurePolicy(step);
+      
+      // STEP 0: Resolve variables
+      // WHY: target/data/expected keep their templates; result.resolved shows what was used
+      const { resolved, display } = this.variables.resolveFields(step, ['target', 'data', 'expected', 'attribute', 'headers', 'auth']);
+      runStep = resolved;
+      if (Object.keys(display).length > 0) {
+        result.resolved = display;
+        console.log(`   🔤 Resolved: ${JSON.stringify(display)}`);
+      }
+      
       // STEP 1: Log expected behavior
       // WHY: Document what should happen for comparison
-      result.expectedBehavior = this.getExpectedBehavior(step);
+      // WHY: Built from the resolved step, so a typed ${password} would show in it
+      result.expectedBehavior = this.variables.redact(this.getExpectedBehavior(runStep));
       console.log(`   Expected: ${result.expectedBehavior}`);
       
       // STEP 2: Capture page state before action
       result.pageUrl = this.page.url();
       result.pageTitle = await this.page.title();
       
+      // Traffic of a page load counts from here
+      if (runStep.action === 'navigate') {
+        this.perf?.start();
+      }
+      
       // STEP 3: Execute the action with AI auto-adaptation tracking
-      const correctionDetails = await this.performAction(step);
+      const correctionDetails = await this.performAction(runStep);
+      
+      if (runStep.action === 'extract') {
+        this.variables.set(runStep.variable, correctionDetails.value, `step ${this.currentStepNumber}`);
+        result.extracted = {
+          variable: runStep.variable,
+          value: this.variables.display(runStep.variable)
+        };
+        console.log(`   📥 \${${runStep.variable}} = "${result.extracted.value}"`);
+      }
+      
+      if (runStep.action === 'expect_request') {
+        const { method, url, postData, mocked } = correctionDetails.value;
+        result.matchedRequest = { method, url, postData: this.variables.redact(postData), mocked };
+        console.log(`   🛰️  Request seen: ${method} ${url}`);
+      }
+      
+      if (runStep.action === 'visual_match') {
+        result.visual = correctionDetails.value;
+      }
+      
+      if (runStep.action === 'a11y_scan') {
+        result.a11y = correctionDetails.value;
+      }
+      
+      if (runStep.action === 'assert') {
+        result.assertion = this.assertionSummary(correctionDetails.value);
+      }
+      
+      if (runStep.action === 'http') {
+        const { extracted, ...http } = correctionDetails.value;
+        for (const [name, value] of Object.entries(extracted)) {
+          this.variables.set(name, value, `step ${this.currentStepNumber}`);
+          console.log(`   📥 \${${name}} = "${this.variables.display(name)}"`);
+        }
+        result.http = {
+          ...http,
+          extracted: Object.fromEntries(Object.keys(extracted).map(name => [name, this.variables.display(name)]))
+        };
+      }
       
       // Small delay to let page settle
       // WHY: Give dynamic content time to render
       await this.page.waitForTimeout(500);
       
+      // Load timing, Web Vitals and traffic of the page just loaded
+      if (runStep.action === 'navigate' && this.perf) {
+        result.perf = await this.perf.collect(this.page, {
+          stepNumber: this.currentStepNumber,
+          ...(this.currentStepPath.length > 1 ? { path: this.currentStepPath.join(' › ') } : {})
+        });
+      }
+      
       // STEP 4: No screenshot on success
       // WHY: Only capture failures to save resources and storage
       result.screenshot = null;
       console.log(`   ✅ Step passed (no screenshot needed)`);
       
       // STEP 5: Log actual behavior with AI correction details if used
-      let baseActualBehavior = await this.getActualBehavior(step);
+      let baseActualBehavior = await this.getActualBehavior(runStep);
       
       // If AI correction was used, enhance the actual behavior message
       if (correctionDetails.correctionUsed) {
@@ -255,14 +910,31 @@ class TestExecutor {
     } catch (error) {
       // FAILURE
       result.status = 'failed';
-      result.error = error.message;
+      result.error = this.variables.redact(error.message);
       result.errorDetails = {
         name: error.name,
-        message: error.message,
-        stack: error.stack
+        message: result.error,
+        stack: this.variables.redact(error.stack)
       };
       
-      console.log(`   ❌ Step failed: ${error.message}`);
+      console.log(`   ❌ Step failed: ${result.error}`);
+      
+      // Baseline / actual / diff images of a visual mismatch
+      if (error.visual) {
+        result.visual = error.visual;
+      }
+      // Violations with the offending selectors
+      if (error.a11y) {
+        result.a11y = error.a11y;
+      }
+      // Request and response of an http step that got an unexpected answer
+      if (error.http) {
+        result.http = error.http;
+      }
+      // Actual vs expected of a failed assert step
+      if (error.assertion) {
+        result.assertion = this.assertionSummary(error.assertion);
+      }
       
       // Capture failure screenshot
       // WHY: Critical for debugging - see exact state when test failed
@@ -272,12 +944,17 @@ class TestExecutor {
       // AI-powered failure analysis with live logging
       // WHY: Understand user intent and provide actionable insights
       console.log(`   🤖 Starting AI-powered failure analysis...`);
-      result.aiAnalysis = await this.analyzeFailureWithAI(step, error, result);
+      // WHY: The analysis goes into an LLM prompt and RAG; sensitive values stay masked there
+      const analyzedStep = runStep ? this.variables.redactDeep(runStep) : step;
+      const analyzedError = { name: error.name, message: result.error };
+      result.aiAnalysis = await this.analyzeFailureWithAI(analyzedStep, analyzedError, result);
       console.log(`   ${result.aiAnalysis.understood ? '✅' : '❌'} AI analysis: ${result.aiAnalysis.understanding}`);
       
       // Get actual behavior even on failure
       try {
-        result.actualBehavior = await this.getActualBehavior(step);
+        result.actualBehavior = runStep
+          ? await this.getActualBehavior(runStep)
+          : 'Step not executed: its variables could not be resolved';
       } catch {
         result.actualBehavior = 'Unable to capture (page may have crashed)';
       }
@@ -285,6 +962,10 @@ class TestExecutor {
       result.behaviorMatch = false;
     }
     
+    // Sensitive variable values must not appear in the report
+    result.actualBehavior = this.variables.redact(result.actualBehavior);
+    result.error = this.variables.redact(result.error);
+    
     // Finalize timing
     result.endTime = new Date().toISOString();
     result.duration = Date.now() - stepStartTime;
@@ -302,27 +983,8 @@ class TestExecutor {
    * @returns {string} - Expected behavior description
    */
   getExpectedBehavior(step) {
-    const { action, target, data, expected } = step;
-    
-    switch (action) {
-      case 'navigate':
-        return `Browser navigates to ${target}`;
-      
-      case 'click':
-        return `Element "${target}" is clicked`;
-      
-      case 'type':
-        return `Text "${data}" is entered in "${target}"`;
-      
-      case 'verify':
-        return expected || `Element "${target}" exists on page`;
-      
-      case 'wait':
-        return `Element "${target}" appears on page`;
-      
-      default:
-        return `Action "${action}" executes successfully`;
-    }
+    // CONNECTION: Each registry action describes its own expectation
+    return describeExpectedBehavior(step);
   }
 
   /**
@@ -358,11 +1020,35 @@ class TestExecutor {
           return `Element "${target}" is ${isVisible ? 'visible' : 'not visible'}`;
         
         case 'wait':
+          if (!target) {
+            return `Waited ${Number(step.data) || 1000}ms`;
+          }
           const appeared = await this.page.locator(target).isVisible().catch(() => false);
           return `Element "${target}" ${appeared ? 'appeared' : 'did not appear'}`;
         
+        case 'assert':
+          // WHY: Worded like the expected behavior so a passed check compares as a match
+          if (!this.lastAssertion) {
+            return `${step.type} was not checked`;
+          }
+          return `${this.lastAssertion.passed ? describeExpectedBehavior(step) : `${step.type} does not hold`}` +
+            `${this.lastAssertion.actualValue != null ? ` (actual: ${this.lastAssertion.actualValue})` : ''}`;
+        
+        case 'http': {
+          const response = this.api?.current;
+          return response
+            ? `${response.method} ${response.url} answered ${response.status} ${response.statusText}`
+            : `No response from ${target}`;
+        }
+        
+        case 'extract':
+          return this.variables.has(step.variable)
+            ? `Stored "${this.variables.display(step.variable)}" in \${${step.variable}}`
+            : `Nothing stored in \${${step.variable}}`;
+        
         default:
-          return `Action "${action}" completed`;
+          // The action resolved without error, so its expectation held
+          return `${describeExpectedBehavior(step)} (completed)`;
       }
     } catch (error) {
       return `Unable to verify: ${error.message}`;
@@ -403,21 +1089,21 @@ class TestExecutor {
    * WHY: Makes tests intent-based, not selector-based
    * 
    * @param {Object} step - Test step
-   * @returns {Promise<Object>} - Correction details if AI was used
+   * @returns {Promise<Object>} - Correction details if AI was used, plus the action's return value
    */
   async performAction(step) {
-    const { action, target, data, description } = step;
+    const { action, target, description } = step;
     
-    // Navigate doesn't need AI fallback
-    if (action === 'navigate') {
-      await this.page.goto(target, { waitUntil: 'domcontentloaded', timeout: 30000 });
-      return { correctionUsed: false };
+    // Actions without an element (navigate, key presses, waits for load) don't need AI fallback
+    if (!usesElement(step)) {
+      const value = await runAction(this.page, step, this.actionServices());
+      return { correctionUsed: false, value };
     }
     
     // Try original selector first
     try {
-      await this.performActionWithSelector(action, target, data);
-      return { correctionUsed: false };
+      const value = await this.performActionWithSelector(step, target);
+      return { correctionUsed: false, value };
     } catch (error) {
       // Selector failed - use INTELLIGENT fallback with RAG caching
       console.log(`   ⚠️  Selector failed: ${error.message.substring(0, 100)}...`);
@@ -436,14 +1122,14 @@ class TestExecutor {
         console.log(`   🤖 No cache found, using AI to find element...`);
         correctedSelector = await this.findElementWithAI(description, action);
         if (correctedSelector) {
-          correctionSource = 'AI Web Reader (GPT-4)';
+          correctionSource = 'AI Web Reader (LLM)';
         }
       }
       
       if (correctedSelector) {
         console.log(`   ✅ Using corrected selector: ${correctedSelector}`);
         // Retry with corrected selector
-        await this.performActionWithSelector(action, correctedSelector, data);
+        const value = await this.performActionWithSelector(step, correctedSelector);
         
         // Log correction for future learning (if not already cached)
         this.logCorrection(target, correctedSelector, description);
@@ -454,7 +1140,8 @@ class TestExecutor {
           originalSelector: target,
           correctedSelector: correctedSelector,
           correctionSource: correctionSource,
-          attempts: 2  // 1 original + 1 corrected
+          attempts: 2,  // 1 original + 1 corrected
+          value
         };
       } else {
         // If both RAG and AI fail, throw original error
@@ -463,41 +1150,73 @@ class TestExecutor {
     }
   }
   
+  /**
+   * Executor helpers the registry actions use (network, visual_match, a11y_scan, http and assert steps)
+   */
+  actionServices() {
+    return {
+      network: this.network,
+      a11y: this.a11y,
+      http: this.api,
+      // WHY: A step already has its ${var} placeholders replaced
+      assert: { check: step => this.assertStep(step) },
+      visual: this.visual && {
+        // WHY: Unnamed baselines are keyed by the step's position ("step-4-then-1")
+        match: (page, spec) => this.visual.match(page, spec, `step-${this.currentStepPath.join('-')}`)
+      }
+    };
+  }
+  
+  /**
+   * An assert step: the assertion checked now; the step fails when it does not hold
+   *
+   * @returns {Promise<Object>} The assertion result
+   * @throws {Error} - Failed assertion (error.assertion carries the result)
+   */
+  async assertStep(step) {
+    this.lastAssertion = null;
+    const result = await this.executeSingleAssertion(step, `step-${this.currentStepPath.join('-')}`, { resolve: false });
+    this.lastAssertion = result;
+    if (!result.passed) {
+      const error = new Error(result.error);
+      error.assertion = result;
+      error.visual = result.visual;
+      error.a11y = result.a11y;
+      throw error;
+    }
+    return result;
+  }
+  
+  /**
+   * Step report view of an assertion result
+   */
+  assertionSummary(result) {
+    return {
+      type: result.assertion.type,
+      not: result.assertion.not === true || result.assertion.not === 'true',
+      actualValue: result.actualValue,
+      expectedValue: result.expectedValue,
+      ...(result.attempts ? { attempts: result.attempts } : {})
+    };
+  }
+  
   /**
    * Perform action with a specific selector
    * 
-   * @param {string} action - Action type
-   * @param {string} selector - Element selector
-   * @param {string} data - Data for type actions
+   * @param {Object} step - Test step (action, data, expected)
+   * @param {string} selector - Element selector (original or corrected target)
+   * @returns {Promise<*>} - The action's return value (extract: captured string)
    */
-  async performActionWithSelector(action, selector, data) {
-    switch (action) {
-      case 'click':
-        await this.page.locator(selector).click({ timeout: 10000 });
-        break;
-      
-      case 'type':
-        await this.page.locator(selector).fill(data, { timeout: 10000 });
-        break;
-      
-      case 'verify':
-        await this.page.locator(selector).waitFor({ state: 'visible', timeout: 10000 });
-        break;
-      
-      case 'wait':
-        await this.page.locator(selector).waitFor({ state: 'visible', timeout: 10000 });
-        break;
-      
-      default:
-        throw new Error(`Unsupported action: ${action}`);
-    }
+  async performActionWithSelector(step, selector) {
+    // CONNECTION: The shared registry knows how to perform every action
+    return runAction(this.page, { ...step, target: selector }, this.actionServices());
   }
   
   /**
    * Query RAG for cached selector corrections - REAL LEARNING!
    * 
    * INTELLIGENCE: Check if we've seen this error before
-   * WHY: Reuse past corrections (fast, free) before calling OpenAI (slow, $$$)
+   * WHY: Reuse past corrections (fast, free) before calling the LLM (slow, $$$)
    * 
    * @param {string} originalSelector - The selector that failed
    * @param {string} description - Element description
@@ -535,7 +1254,7 @@ class TestExecutor {
             
             console.log(`   ✅ CACHE HIT! Exact selector match found`);
             console.log(`   💾 ${meta.originalSelector} → ${meta.correctedSelector}`);
-            console.log(`   ⚡ Saved $0.02 and ~5 seconds!`);
+            console.log(`   ⚡ Skipped an AI element lookup (see /api/llm-usage for real spend)`);
             
             return meta.correctedSelector;
           }
@@ -550,7 +1269,7 @@ class TestExecutor {
             
             console.log(`   ✅ CACHE HIT! Description match found`);
             console.log(`   💾 ${meta.originalSelector} → ${meta.correctedSelector}`);
-            console.log(`   ⚡ Saved $0.02 and ~5 seconds!`);
+            console.log(`   ⚡ Skipped an AI element lookup (see /api/llm-usage for real spend)`);
             
             return meta.correctedSelector;
           }
@@ -564,7 +1283,7 @@ class TestExecutor {
         }
       }
       
-      console.log(`   ℹ️  No cached correction found, will use AI (costs $0.02)`);
+      console.log(`   ℹ️  No cached correction found, will use AI`);
       return null;
       
     } catch (error) {
@@ -595,7 +1314,8 @@ class TestExecutor {
         body: JSON.stringify({
           url: url,
           description: description,
-          action: action
+          action: action,
+          context: this.llm.context
         })
       });
       
@@ -708,15 +1428,51 @@ class TestExecutor {
    * WHY: Network errors and console errors can break pages
    */
   async setupBrowser(options = {}) {
-    console.log('🌐 Launching browser...');
+    // CONNECTION: browser, device, viewport, locale, timezone, geolocation, colorScheme, userAgent
+    const environment = resolveEnvironment(options);
+    this.environment = environment.summary;
     
-    this.browser = await chromium.launch({
-      headless: options.headless || false
-    });
+    console.log(`🌐 Launching ${environment.browserName}${environment.summary.device ? ` (${environment.summary.device})` : ''}...`);
+    
+    this.browser = await environment.browserType.launch(environment.launchOptions);
+    
+    // CONNECTION: Trace / video / HAR go to artifacts/<testId>/ next to the screenshots
+    this.capture = new ArtifactCapture(
+      resolveCaptureModes(options.capture),
+      path.join(this.artifactsDir, this.currentTestId)
+    );
+    
+    // CONNECTION: useAuth starts from the profile's saved session while it is fresh
+    const storageState = options.auth ? await this.loadAuthState(options.auth) : null;
     
     this.context = await this.browser.newContext({
-      viewport: { width: 1280, height: 720 }
+      ...environment.contextOptions,
+      ...this.capture.contextOptions(environment.contextOptions.viewport),
+      ...(storageState ? { storageState } : {})
     });
+    await this.capture.start(this.context);
+    
+    // CONNECTION: Routes go on the context so popups are mocked too; steps add more
+    this.network = new NetworkMocker(this.context);
+    await this.network.install(options.network?.mocks);
+    
+    // CONNECTION: Baselines are keyed by test, step, browser and viewport
+    this.visual = new VisualComparator({
+      artifactsDir: this.artifactsDir,
+      testId: this.currentTestId,
+      testKey: this.baselineTestKey,
+      environment: this.environment
+    });
+    
+    // CONNECTION: context.request shares the page's cookies (either way)
+    this.api = new ApiClient(this.context, {
+      redact: text => this.variables.redact(text),
+      isSensitive: name => this.variables.isSensitive(name)
+    });
+    
+    // CONNECTION: Observers must exist before the page's own scripts run
+    this.perf = options.perf === false || !loadPerfDefaults().enabled ? null : new PerfCollector();
+    await this.perf?.attach(this.context);
     
     this.page = await this.context.newPage();
     
@@ -742,16 +1498,20 @@ class TestExecutor {
     });
     
     // ADVANCED LOGGING: Network requests
-    // WHY: Track all HTTP requests for debugging
+    // WHY: Track all HTTP requests for debugging; expect_request steps search the full log
     this.page.on('request', request => {
+      const entry = this.network.record(request);
+      this.perf?.recordRequest();
+      
       const currentStep = this.stepResults[this.stepResults.length - 1];
       if (!currentStep) return;
       
       currentStep.networkRequests.push({
-        url: request.url(),
-        method: request.method(),
-        resourceType: request.resourceType(),
-        timestamp: new Date().toISOString()
+        url: entry.url,
+        method: entry.method,
+        resourceType: entry.resourceType,
+        ...(entry.mocked ? { mocked: entry.mocked } : {}),
+        timestamp: entry.timestamp
       });
     });
     
@@ -778,9 +1538,13 @@ class TestExecutor {
       }
     });
     
+    // Transferred bytes are known once a request finished
+    this.page.on('requestfinished', request => this.perf?.recordFinished(request));
+    
     // ADVANCED LOGGING: Request failures
     // WHY: Timeouts and network failures can break pages
     this.page.on('requestfailed', request => {
+      this.perf?.recordFailed();
       const currentStep = this.stepResults[this.stepResults.length - 1];
       if (!currentStep) return;
       
@@ -814,10 +1578,45 @@ class TestExecutor {
     console.log('   ✓ Browser ready with advanced logging');
   }
 
+  /**
+   * Stop trace / video / HAR recording and close the context
+   * 
+   * @returns {Promise<Array>} - Kept artifacts [{ type, file, path, url, size }]
+   */
+  async finishCapture() {
+    if (!this.context || !this.capture) {
+      return [];
+    }
+    
+    const context = this.context;
+    this.context = null;
+    
+    try {
+      // WHY: Soft failures are worth a trace too
+      const failed = this.stepResults.some(result => result.status === 'failed' || result.status === 'warning');
+      const artifacts = await this.capture.finish(context, this.page, failed);
+      
+      artifacts.forEach(artifact => console.log(`   🎞️  ${artifact.type} saved: ${artifact.path}`));
+      
+      return artifacts.map(artifact => ({
+        ...artifact,
+        url: `/artifacts/${this.currentTestId}/${artifact.file}`
+      }));
+    } catch (error) {
+      console.error(`   ⚠️  Trace/video/HAR capture failed: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Teardown browser
    */
   async teardownBrowser() {
+    // An execution that errored out still saves what was recorded
+    if (this.context) {
+      await this.finishCapture();
+    }
+    
     if (this.browser) {
       await this.browser.close();
       console.log('🔒 Browser closed');
@@ -835,16 +1634,39 @@ class TestExecutor {
   async generateReport() {
     const passedSteps = this.stepResults.filter(r => r.status === 'passed').length;
     const failedSteps = this.stepResults.filter(r => r.status === 'failed').length;
+    const warningSteps = this.stepResults.filter(r => r.status === 'warning').length;
+    const assertionsFailed = this.assertionResults?.failed.length || 0;
+    const assertionsWarned = this.assertionResults?.warnings.length || 0;
+    
+    // Hard failures fail the test; soft ones (onFailure: warn) only make it a warning
+    const failures = { hard: failedSteps + assertionsFailed, soft: warningSteps + assertionsWarned };
     
     const report = {
-      success: failedSteps === 0,
+      success: failures.hard === 0 && !this.cancelled,
+      status: this.cancelled ? 'cancelled' : failures.hard > 0 ? 'failed' : failures.soft > 0 ? 'warning' : 'passed',
+      ...(this.cancelled ? { cancelled: true } : {}),
+      failures,
       testId: this.currentTestId,
       totalSteps: this.stepResults.length,
       passedSteps,
       failedSteps,
+      warningSteps,
       duration: Date.now() - this.testStartTime,
       timestamp: new Date().toISOString(),
-      steps: this.stepResults
+      steps: this.stepResults,
+      assertions: this.assertionResults,
+      ...(assertionsFailed > 0 ? { assertionsFailed } : {}),
+      environment: this.environment,
+      // Trace / video / HAR files kept for this execution
+      artifacts: this.artifacts,
+      // Mock routes (with hit counts) and how many requests the page sent
+      network: this.network?.summary() || null,
+      // Load timing, Web Vitals and traffic per navigate step
+      perf: this.perf?.navigations || [],
+      // Auth profile: session restored or logged in again (and why)
+      auth: this.auth,
+      // Final variable values (sensitive ones masked)
+      variables: this.variables.snapshot()
     };
     
     // Save report to disk
@@ -865,7 +1687,7 @@ class TestExecutor {
    * PROCESS:
    * 1. Analyze the failed step and error
    * 2. Query RAG for similar past failures
-   * 3. Use GPT-4 to understand user intent
+   * 3. Use the LLM to understand user intent
    * 4. Provide actionable insights
    * 5. If unable to understand, clearly state that
    * 
@@ -917,9 +1739,9 @@ class TestExecutor {
         console.log(`      📚 No similar failures found in knowledge base`);
       }
       
-      // Step 4: Use GPT-4 to understand intent and provide insights
+      // Step 4: Use the LLM to understand intent and provide insights
       analysis.liveLog.push('🤖 AI analyzing user intent and context...');
-      console.log(`      🤖 Calling GPT-4 for intelligent analysis...`);
+      console.log(`      🤖 Calling LLM for intelligent analysis...`);
       
       const aiInsights = await this.getAIInsights(step, error, result, ragResults);
       
@@ -1015,21 +1837,20 @@ class TestExecutor {
   }
   
   /**
-   * Get AI insights using GPT-4
+   * Get AI insights from the configured LLM
    */
   async getAIInsights(step, error, result, ragResults) {
     try {
-      // Check if OpenAI key is available
-      const openaiKey = process.env.OPENAI_API_KEY;
-      if (!openaiKey) {
+      // Check if an LLM provider is configured
+      if (!this.llm.isConfigured()) {
         return {
           success: false,
-          error: 'OpenAI API key not configured',
+          error: 'LLM provider not configured',
           understood: false
         };
       }
       
-      // Prepare context for GPT-4
+      // Prepare context for the LLM
       const context = {
         step: {
           action: step.action,
@@ -1048,7 +1869,7 @@ class TestExecutor {
         pastSimilarCases: ragResults.length
       };
       
-      // Create a structured prompt for GPT-4
+      // Create a structured prompt for the LLM
       const prompt = `You are an AI test automation expert analyzing a test failure.
 
 **Test Step That Failed:**
@@ -1085,45 +1906,19 @@ Respond in JSON format:
   "reasoning": "explanation of analysis"
 }`;
       
-      // Call OpenAI API
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${openaiKey}`
-        },
-        body: JSON.stringify({
-          model: 'gpt-4-turbo-preview',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert test automation analyst. Analyze test failures and provide actionable insights.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 1000
-        })
+      // Call the configured LLM (API errors fall through to the catch below)
+      const completion = await this.llm.complete({
+        system: 'You are an expert test automation analyst. Analyze test failures and provide actionable insights.',
+        prompt,
+        temperature: 0.3,
+        maxTokens: 1000,
+        feature: 'failure_analysis'
       });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        return {
-          success: false,
-          error: errorData.error?.message || 'OpenAI API call failed',
-          understood: false
-        };
-      }
-      
-      const data = await response.json();
-      const aiResponse = data.choices[0].message.content;
+      const aiResponse = completion.text;
       
       // Parse AI response
       try {
-        const parsed = JSON.parse(aiResponse);
+        const parsed = parseJSONResponse(aiResponse);
         return {
           success: true,
           ...parsed
@@ -1197,44 +1992,72 @@ Respond in JSON format:
   /**
    * Execute assertions after test steps
    * 
+   * WHY: Every assertion is checked by default (onFailure "continue"), so one
+   * failed check does not hide the others. "warn" makes a soft assertion;
+   * "stop" skips the remaining ones after it fails.
+   * 
    * @param {Array} assertions - Array of assertion objects
-   * @returns {Promise<Object>} - Assertion results
+   * @returns {Promise<Object>} - Assertion results { passed, failed, warnings, skipped, total, passRate }
    */
   async executeAssertions(assertions) {
     if (!assertions || assertions.length === 0) {
-      return { passed: [], failed: [], total: 0 };
+      return { passed: [], failed: [], warnings: [], skipped: [], total: 0 };
     }
     
     console.log(`\n🎯 Executing ${assertions.length} assertion(s)...`);
     
     const passed = [];
     const failed = [];
+    const warnings = [];
+    const skipped = [];
+    let stoppedBy = null;
     
-    for (const assertion of assertions) {
+    for (const [index, assertion] of assertions.entries()) {
+      if (stoppedBy) {
+        skipped.push({ assertion, passed: false, skipped: true, error: `Not checked: ${stoppedBy} failed with onFailure "stop"`, actualValue: null });
+        continue;
+      }
+      
+      let result;
       try {
-        const result = await this.executeSingleAssertion(assertion);
-        
-        if (result.passed) {
-          passed.push(result);
-          console.log(`   ✅ ${assertion.type}: ${assertion.description || assertion.target}`);
-        } else {
-          failed.push(result);
-          console.log(`   ❌ ${assertion.type}: ${result.error}`);
-        }
+        result = await this.executeSingleAssertion(assertion, `assertion-${index + 1}`);
       } catch (error) {
-        failed.push({
+        result = {
           assertion,
           passed: false,
           error: error.message,
           actualValue: null
-        });
-        console.log(`   ❌ ${assertion.type}: ${error.message}`);
+        };
+      }
+      
+      if (result.passed) {
+        passed.push(result);
+        console.log(`   ✅ ${assertion.type}: ${assertion.description || assertion.target}`);
+        continue;
+      }
+      
+      const policy = failurePolicyOf(assertion, 'continue');
+      if (policy === 'warn') {
+        warnings.push({ ...result, onFailure: policy });
+        console.log(`   ⚠️  ${assertion.type} (soft): ${result.error}`);
+      } else {
+        failed.push({ ...result, onFailure: policy });
+        console.log(`   ❌ ${assertion.type}: ${result.error}`);
+        if (policy === 'stop') {
+          stoppedBy = `assertion ${index + 1} (${assertion.type})`;
+        }
       }
     }
     
+    if (skipped.length > 0) {
+      console.log(`   ⏭️  ${skipped.length} assertion(s) skipped after ${stoppedBy}`);
+    }
+    
     return {
       passed,
       failed,
+      warnings,
+      skipped,
       total: assertions.length,
       passRate: Math.round((passed.length / assertions.length) * 100)
     };
@@ -1243,107 +2066,183 @@ Respond in JSON format:
   /**
    * Execute a single assertion
    * 
-   * @param {Object} assertion - Assertion object
+   * @param {Object} assertion - Assertion object ({ type, target, expected, not?, timeout?, ... })
+   * @param {string} key - visual_match baseline name when the assertion has none ("assertion-2", "step-4")
+   * @param {Object} options - { resolve: false } when ${var} placeholders are already replaced (assert steps)
    * @returns {Promise<Object>} - Assertion result
    */
-  async executeSingleAssertion(assertion) {
-    const { type, target, expected, description } = assertion;
+  async executeSingleAssertion(assertion, key = 'assertion-1', options = {}) {
+    const { type, description } = assertion;
+    let { target, expected } = assertion;
     
     try {
-      switch (type) {
-        case 'element_visible': {
-          const isVisible = await this.page.isVisible(target);
-          return {
-            assertion,
-            passed: isVisible,
-            actualValue: isVisible,
-            expectedValue: true,
-            error: isVisible ? null : `Element "${target}" is not visible`
-          };
+      getFailurePolicy(assertion);
+      
+      // ${var} placeholders resolve against the same variables as the steps
+      if (options.resolve !== false) {
+        const { resolved, display } = this.variables.resolveFields(assertion, ['target', 'expected']);
+        ({ target, expected } = resolved);
+        if (Object.keys(display).length > 0) {
+          assertion = { ...assertion, resolved: display };
         }
-        
-        case 'element_hidden': {
-          const isVisible = await this.page.isVisible(target).catch(() => false);
-          return {
-            assertion,
-            passed: !isVisible,
-            actualValue: isVisible,
-            expectedValue: false,
-            error: isVisible ? `Element "${target}" is visible but should be hidden` : null
-          };
-        }
-        
-        case 'text_equals': {
-          const actualText = await this.page.textContent(target);
-          const matches = actualText?.trim() === expected?.trim();
-          return {
-            assertion,
-            passed: matches,
-            actualValue: actualText,
-            expectedValue: expected,
-            error: matches ? null : `Expected "${expected}" but got "${actualText}"`
-          };
+      }
+      
+      // Page checks wait until they hold or time out (assertionLibrary.js); the types below are checked once
+      if (isLibraryAssertion(type)) {
+        const result = await checkAssertion(this.page, { ...assertion, target, expected }, { network: this.network });
+        return {
+          assertion,
+          ...result,
+          actualValue: this.variables.redact(result.actualValue),
+          error: this.variables.redact(result.error)
+        };
+      }
+      if (assertion.not === true || assertion.not === 'true') {
+        throw new Error(`"not" is not supported for ${type}`);
+      }
+      
+      switch (type) {
+        case 'visual_match': {
+          // target: element to capture (empty = viewport); expected: allowed share of differing pixels ("0.5%" or 0.005)
+          const threshold = expected === undefined || expected === null || expected === ''
+            ? assertion.threshold
+            : String(expected).trim().endsWith('%') ? parseFloat(expected) / 100 : Number(expected);
+          if (Number.isNaN(threshold)) {
+            throw new Error(`Invalid visual_match threshold "${expected}"`);
+          }
+          try {
+            const visual = await this.visual.match(
+              this.page,
+              { ...assertion, target: target || null, threshold },
+              key
+            );
+            return {
+              assertion,
+              passed: true,
+              actualValue: `${visual.diffPixels} pixel(s) differ`,
+              expectedValue: `matches ${visual.key}`,
+              visual,
+              error: null
+            };
+          } catch (error) {
+            if (!error.visual) {
+              throw error;
+            }
+            return {
+              assertion,
+              passed: false,
+              actualValue: `${error.visual.diffPixels} pixel(s) differ`,
+              expectedValue: `matches ${error.visual.key}`,
+              visual: error.visual,
+              error: error.message
+            };
+          }
         }
         
-        case 'text_contains': {
-          const actualText = await this.page.textContent(target);
-          const contains = actualText?.includes(expected);
+        case 'perf_budget': {
+          // target: metric (lcp, cls, jsBytes, ...); expected: limit ("< 2.5s", "500KB"); url?: only matching pages
+          const budget = parseBudget(target, expected);
+          const measured = (this.perf?.navigations || [])
+            .filter(navigation => !assertion.url || navigation.url.includes(assertion.url))
+            .filter(navigation => navigation[budget.metric] !== null && navigation[budget.metric] !== undefined);
+          const expectedValue = `${budget.metric} ${budget.operator} ${budget.format(budget.limit)}`;
+          
+          if (measured.length === 0) {
+            return {
+              assertion,
+              passed: false,
+              actualValue: null,
+              expectedValue,
+              error: `No ${budget.metric} measured${assertion.url ? ` for pages matching "${assertion.url}"` : ''} ` +
+                `(navigate steps record it${['lcp', 'cls', 'tbt', 'longTasks'].includes(budget.metric) ? '; this browser may not report it' : ''})`
+            };
+          }
+          
+          const over = measured.filter(navigation => !budget.check(navigation[budget.metric]));
+          const values = measured.map(navigation => `${budget.format(navigation[budget.metric])} (${navigation.url})`);
           return {
             assertion,
-            passed: contains,
-            actualValue: actualText,
-            expectedValue: `contains "${expected}"`,
-            error: contains ? null : `Text "${actualText}" does not contain "${expected}"`
+            passed: over.length === 0,
+            actualValue: values.join(', '),
+            expectedValue,
+            error: over.length === 0 ? null : `Over budget: ${over.map(navigation =>
+              `${budget.format(navigation[budget.metric])} on ${navigation.url}`).join(', ')} (budget ${expectedValue})`
           };
         }
         
-        case 'url_equals': {
-          const actualUrl = this.page.url();
-          const matches = actualUrl === target;
-          return {
-            assertion,
-            passed: matches,
-            actualValue: actualUrl,
-            expectedValue: target,
-            error: matches ? null : `Expected URL "${target}" but got "${actualUrl}"`
-          };
+        case 'a11y_scan': {
+          // target: element to scan (empty = page); expected: failOn impact (default from config)
+          try {
+            const a11y = await this.a11y.scan(this.page, { ...assertion, target: target || null, failOn: expected || assertion.failOn });
+            return {
+              assertion,
+              passed: true,
+              actualValue: `${a11y.violations.length} rule(s) with issues below "${a11y.failOn}"`,
+              expectedValue: `no violations at or above "${a11y.failOn}"`,
+              a11y,
+              error: null
+            };
+          } catch (error) {
+            if (!error.a11y) {
+              throw error;
+            }
+            return {
+              assertion,
+              passed: false,
+              actualValue: `${error.a11y.blocking} violation(s)`,
+              expectedValue: `no violations at or above "${error.a11y.failOn}"`,
+              a11y: error.a11y,
+              error: error.message
+            };
+          }
         }
         
-        case 'url_contains': {
-          const actualUrl = this.page.url();
-          const contains = actualUrl.includes(target);
+        case 'response_status': {
+          // target: URL filter of the http step's response (glob or substring; empty = latest); expected: 201, 2xx, "200, 204"
+          const response = this.api.latest(target || assertion.url);
+          const expectation = parseStatusExpectation(expected);
+          const passed = expectation.check(response.status);
           return {
             assertion,
-            passed: contains,
-            actualValue: actualUrl,
-            expectedValue: `contains "${target}"`,
-            error: contains ? null : `URL "${actualUrl}" does not contain "${target}"`
+            passed,
+            actualValue: `${response.status} ${response.statusText} (${response.method} ${response.url})`,
+            expectedValue: expectation.label,
+            error: passed ? null : `${response.method} ${response.url} answered ${response.status}, expected ${expectation.label}`
           };
         }
         
-        case 'element_count': {
-          const count = await this.page.locator(target).count();
-          const expectedCount = parseInt(expected);
-          const matches = count === expectedCount;
+        case 'json_path_equals': {
+          // target: JSON path ($.user.id); expected: value, compared as JSON when it parses; url?: which response
+          const response = this.api.latest(assertion.url);
+          if (response.json === undefined) {
+            throw new Error(`${response.method} ${response.url} did not answer JSON (${response.contentType || 'no content type'})`);
+          }
+          const actual = jsonPath(response.json, target);
+          const passed = actual !== undefined && jsonValueEquals(actual, expected);
+          const actualText = actual === undefined ? `nothing at ${target}` : this.variables.redact(JSON.stringify(actual));
           return {
             assertion,
-            passed: matches,
-            actualValue: count,
-            expectedValue: expectedCount,
-            error: matches ? null : `Expected ${expectedCount} element(s) but found ${count}`
+            passed,
+            actualValue: actualText,
+            expectedValue: expected,
+            error: passed ? null : `${target} is ${actual === undefined ? 'missing' : actualText}, expected ${expected}`
           };
         }
         
-        case 'attribute_equals': {
-          const [selector, attribute] = target.split('::');
-          const actualValue = await this.page.getAttribute(selector, attribute);
-          const matches = actualValue === expected;
+        case 'schema_match': {
+          // expected: JSON Schema (object, JSON text or file in phase2/schemas); target: JSON path of the part to check (empty = body); url?
+          const response = this.api.latest(assertion.url);
+          if (response.json === undefined) {
+            throw new Error(`${response.method} ${response.url} did not answer JSON (${response.contentType || 'no content type'})`);
+          }
+          const value = target ? jsonPath(response.json, target) : response.json;
+          const errors = validateSchema(value, await loadSchema(expected), target || '$');
           return {
             assertion,
-            passed: matches,
-            actualValue,
-            expectedValue: expected,
-            error: matches ? null : `Attribute "${attribute}" has value "${actualValue}" but expected "${expected}"`
+            passed: errors.length === 0,
+            actualValue: errors.length === 0 ? `${response.method} ${response.url} matches the schema` : this.variables.redact(errors.join('; ')),
+            expectedValue: 'matches schema',
+            error: errors.length === 0 ? null : `Schema mismatch: ${this.variables.redact(errors.join('; '))}`
           };
         }
         
@@ -0,0 +1,420 @@
+/**
+ * Phase 2: Network Mocking and Request Recording
+ *
+ * PURPOSE:
+ * Error states (a 500 from the orders API, a slow search, an offline checkout)
+ * can't be tested against the real backend. Routes answer matching requests
+ * with stubbed responses, delay them or abort them, and every request the page
+ * sends is recorded so a step can assert it was made with the expected payload.
+ *
+ * MOCK DEFINITION (options.network.mocks, or mock_route / delay_route / abort_route steps):
+ * - url: glob ("**\/api/orders*") or URL substring ("/api/orders")
+ * - method: GET | POST | ... (default: any method)
+ * - status (default 200), headers, contentType
+ * - json: response body as JSON; body: text (JSON text is served as application/json);
+ *   fixture: file to serve, relative to the Phase 2 working directory
+ * - delay: milliseconds before answering; on its own the real response is delayed
+ * - abort: true or a Playwright error code (failed, timedout, connectionrefused, ...)
+ * - times: only the first N matching requests
+ * Routes added later win over earlier ones (steps override options.network.mocks).
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (setupBrowser installs the mocks, the request listener records),
+ *   assertionLibrary.js (request_made),
+ *   backend/executor/actionRegistry.js (mock_route, delay_route, abort_route, unroute, expect_request),
+ *   server.js (validateNetworkOptions)
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+
+export const ABORT_CODES = [
+  'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+  'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused',
+  'connectionreset', 'internetdisconnected', 'namenotresolved', 'timedout', 'failed'
+];
+
+const MOCK_FIELDS = ['url', 'method', 'status', 'headers', 'contentType', 'json', 'body', 'fixture', 'delay', 'abort', 'times'];
+
+// WHY: Long-running pages poll; the log only needs recent requests
+const MAX_RECORDED_REQUESTS = 1000;
+const MAX_PAYLOAD_LENGTH = 2000;
+
+/**
+ * URL predicate for a glob ("**\/api/*") or, without "*", a URL substring
+ *
+ * WHY: Same rule as wait_for_navigation; Playwright treats a plain string as an
+ * exact URL, which "/api/orders" never is.
+ */
+export function urlMatcher(pattern) {
+  const text = String(pattern);
+  if (!text.includes('*')) {
+    return url => url.includes(text);
+  }
+
+  let source = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '*' && text[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '{') {
+      source += '(?:';
+    } else if (char === '}') {
+      source += ')';
+    } else if (char === ',' && source.lastIndexOf('(?:') > source.lastIndexOf(')')) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+?^$()|[\]\\/]/g, '\\$&');
+    }
+  }
+  const regex = new RegExp(`^${source}$`);
+  return url => regex.test(url);
+}
+
+/**
+ * Problems with one mock definition
+ *
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateMock(mock, label = 'mock') {
+  if (!mock || typeof mock !== 'object' || Array.isArray(mock)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  const unknown = Object.keys(mock).filter(field => !MOCK_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.push(`${label} has unknown field(s): ${unknown.join(', ')}. Supported: ${MOCK_FIELDS.join(', ')}`);
+  }
+  if (!mock.url) {
+    errors.push(`${label} requires 'url' (glob or URL substring)`);
+  }
+  if (mock.status != null && !(Number(mock.status) >= 100 && Number(mock.status) <= 599)) {
+    errors.push(`${label} status must be 100-599`);
+  }
+  for (const field of ['delay', 'times']) {
+    if (mock[field] != null && !(Number(mock[field]) >= 0)) {
+      errors.push(`${label} ${field} must be a number >= 0`);
+    }
+  }
+  if (mock.headers != null && typeof mock.headers !== 'object') {
+    errors.push(`${label} headers must be an object`);
+  }
+  if (mock.abort && mock.abort !== true && !ABORT_CODES.includes(mock.abort)) {
+    errors.push(`${label} abort must be true or one of: ${ABORT_CODES.join(', ')}`);
+  }
+  if ([mock.json, mock.body, mock.fixture].filter(value => value != null).length > 1) {
+    errors.push(`${label} takes only one of json, body, fixture`);
+  }
+  if (!mock.abort && mock.delay == null && [mock.status, mock.json, mock.body, mock.fixture].every(value => value == null)) {
+    errors.push(`${label} needs a response (status, json, body, fixture), a delay or abort`);
+  }
+
+  return errors;
+}
+
+/**
+ * Problems with /api/execute options.network ({ mocks: [...] })
+ */
+export function validateNetworkOptions(network) {
+  if (network == null) {
+    return [];
+  }
+  if (typeof network !== 'object' || (network.mocks != null && !Array.isArray(network.mocks))) {
+    return ['network must be { mocks: [...] }'];
+  }
+  return (network.mocks || []).flatMap((mock, index) => validateMock(mock, `network.mocks[${index + 1}]`));
+}
+
+export class NetworkMocker {
+  /**
+   * @param {BrowserContext} context - Routes apply to every page of the context
+   */
+  constructor(context) {
+    this.context = context;
+    this.routes = [];
+    this.requests = [];
+    this.waiters = new Set();
+
+    // Request -> mock label, whichever of route handler and 'request' event comes first
+    this.served = new WeakMap();
+    this.entries = new WeakMap();
+  }
+
+  /**
+   * Install the per-test mocks (options.network.mocks)
+   */
+  async install(mocks = []) {
+    for (const mock of mocks) {
+      await this.addRoute(mock, 'config');
+    }
+  }
+
+  /**
+   * Route matching requests to a stubbed response, a delay or an abort
+   *
+   * @param {Object} mock - Mock definition (see header)
+   * @param {string} source - 'config' or 'step <n>' (for the report)
+   * @returns {Promise<Object>} The route: { label, kind, source, hits }
+   * @throws {Error} - Invalid definition or missing fixture file
+   */
+  async addRoute(mock, source = 'step') {
+    const errors = validateMock(mock);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const fixture = mock.fixture ? path.resolve(mock.fixture) : null;
+    if (fixture && !fsSync.existsSync(fixture)) {
+      throw new Error(`Fixture file not found: ${fixture}`);
+    }
+
+    const method = mock.method ? String(mock.method).toUpperCase() : null;
+    const kind = mock.abort ? 'abort' : [mock.status, mock.json, mock.body, mock.fixture].every(value => value == null) ? 'delay' : 'fulfill';
+    const route = {
+      url: String(mock.url),
+      method,
+      kind,
+      label: `${method || 'ANY'} ${mock.url} → ${kind === 'fulfill' ? mock.status || 200 : kind === 'abort' ? `abort (${mock.abort === true ? 'failed' : mock.abort})` : `delay ${mock.delay}ms`}`,
+      source,
+      hits: 0,
+      active: true,
+      matcher: urlMatcher(mock.url)
+    };
+
+    route.predicate = url => route.matcher(url.href);
+    route.handler = async (playwrightRoute, request) => {
+      const times = Number(mock.times) || 0;
+      if ((method && request.method() !== method) || (times > 0 && route.hits >= times)) {
+        return playwrightRoute.fallback();
+      }
+
+      route.hits++;
+      this.markServed(request, route.label);
+
+      if (mock.delay) {
+        await new Promise(resolve => setTimeout(resolve, Number(mock.delay)));
+      }
+
+      if (kind === 'abort') {
+        return playwrightRoute.abort(mock.abort === true ? 'failed' : mock.abort);
+      }
+      if (kind === 'delay') {
+        return playwrightRoute.fallback();
+      }
+      return playwrightRoute.fulfill(this.buildResponse(mock, fixture));
+    };
+
+    await this.context.route(route.predicate, route.handler);
+    this.routes.push(route);
+    console.log(`   🛰️  Mock route: ${route.label}`);
+
+    return { label: route.label, kind, source, hits: 0 };
+  }
+
+  buildResponse(mock, fixture) {
+    const response = { status: Number(mock.status) || 200, headers: mock.headers || undefined };
+
+    if (fixture) {
+      response.path = fixture;
+    } else if (mock.json !== undefined) {
+      response.body = JSON.stringify(mock.json);
+      response.contentType = 'application/json';
+    } else if (mock.body != null) {
+      response.body = typeof mock.body === 'string' ? mock.body : JSON.stringify(mock.body);
+      response.contentType = parseJson(response.body) !== undefined ? 'application/json' : 'text/plain';
+    }
+    if (mock.contentType) {
+      response.contentType = mock.contentType;
+    }
+
+    return response;
+  }
+
+  /**
+   * Remove routes added for a URL pattern (all routes without one)
+   *
+   * @returns {Promise<number>} Routes removed
+   */
+  async removeRoutes(url) {
+    const removed = this.routes.filter(route => route.active && (!url || route.url === String(url)));
+    for (const route of removed) {
+      await this.context.unroute(route.predicate, route.handler);
+      route.active = false;
+    }
+    console.log(`   🛰️  Removed ${removed.length} mock route(s)${url ? ` for ${url}` : ''}`);
+    return removed.length;
+  }
+
+  markServed(request, label) {
+    this.served.set(request, label);
+    const entry = this.entries.get(request);
+    if (entry) {
+      entry.mocked = label;
+    }
+  }
+
+  /**
+   * Record a request (page 'request' event)
+   *
+   * @returns {Object} { url, method, resourceType, postData, mocked, timestamp }
+   */
+  record(request) {
+    let postData = null;
+    try {
+      postData = request.postData();
+    } catch {
+      // Binary bodies can't be read as text
+    }
+
+    const entry = {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      postData: postData && postData.length > MAX_PAYLOAD_LENGTH ? `${postData.substring(0, MAX_PAYLOAD_LENGTH)}…` : postData,
+      mocked: this.served.get(request) || null,
+      timestamp: new Date().toISOString()
+    };
+
+    this.entries.set(request, entry);
+    this.requests.push(entry);
+    if (this.requests.length > MAX_RECORDED_REQUESTS) {
+      this.requests.shift();
+    }
+
+    for (const waiter of this.waiters) {
+      if (waiter.matches(entry)) {
+        waiter.resolve(entry);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Wait for a request matching URL, method and payload (already sent ones count)
+   *
+   * @param {Object} expectation - { url, method?, payload? } payload: JSON (subset match) or text (contained)
+   * @param {number} timeout - Milliseconds to wait for it
+   * @returns {Promise<Object>} The matching request entry
+   * @throws {Error} - No match in time; lists the requests to that URL that were seen
+   */
+  expectRequest(expectation, timeout) {
+    const { matches, urlMatches, method } = requestMatcher(expectation);
+
+    const sent = this.requests.find(matches);
+    if (sent) {
+      return Promise.resolve(sent);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        matches,
+        resolve: entry => {
+          clearTimeout(timer);
+          this.waiters.delete(waiter);
+          resolve(entry);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.waiters.delete(waiter);
+        reject(new Error(this.describeMiss(expectation, method, urlMatches, timeout)));
+      }, timeout);
+      this.waiters.add(waiter);
+    });
+  }
+
+  /**
+   * Requests sent so far that match URL, method and payload (request_made assertions)
+   *
+   * @param {Object} expectation - { url, method?, payload? } as for expectRequest
+   * @returns {Array<Object>} Matching request entries
+   */
+  findRequests(expectation) {
+    return this.requests.filter(requestMatcher(expectation).matches);
+  }
+
+  describeMiss(expectation, method, urlMatches, timeout) {
+    const wanted = `${method || ''} request to "${expectation.url}"`.trim();
+    const payload = expectation.payload != null && expectation.payload !== ''
+      ? ` with payload ${typeof expectation.payload === 'string' ? expectation.payload : JSON.stringify(expectation.payload)}`
+      : '';
+    const seen = this.requests.filter(entry => urlMatches(entry.url));
+
+    if (seen.length === 0) {
+      return `No ${wanted}${payload} within ${timeout}ms (no request to a matching URL; ${this.requests.length} request(s) in total)`;
+    }
+    const examples = seen.slice(-3).map(entry => `${entry.method} ${entry.url}${entry.postData ? ` ${entry.postData.substring(0, 200)}` : ''}`);
+    return `No ${wanted}${payload} within ${timeout}ms. Seen: ${examples.join(' | ')}`;
+  }
+
+  /**
+   * Routes and request counts (for the report)
+   */
+  summary() {
+    return {
+      mocks: this.routes.map(({ label, kind, source, hits, active }) => ({ label, kind, source, hits, active })),
+      requests: this.requests.length,
+      mockedRequests: this.requests.filter(entry => entry.mocked).length
+    };
+  }
+}
+
+function requestMatcher(expectation) {
+  const urlMatches = urlMatcher(expectation.url);
+  const method = expectation.method ? String(expectation.method).toUpperCase() : null;
+  const matches = entry => urlMatches(entry.url)
+    && (!method || entry.method === method)
+    && matchesPayload(entry.postData, expectation.payload);
+  return { matches, urlMatches, method };
+}
+
+function parseJson(text) {
+  try {
+    const value = JSON.parse(text);
+    return value !== null && typeof value === 'object' ? value : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Whether a request body matches the expected payload
+ *
+ * WHY: Bodies carry timestamps and IDs the test can't know, so a JSON
+ * expectation only has to be contained in the body (form bodies compare as objects).
+ */
+export function matchesPayload(postData, expected) {
+  if (expected == null || expected === '') {
+    return true;
+  }
+
+  const wanted = typeof expected === 'object' ? expected : parseJson(expected);
+  if (wanted === undefined) {
+    return (postData || '').includes(String(expected));
+  }
+
+  let actual = parseJson(postData || '');
+  if (actual === undefined && postData && postData.includes('=')) {
+    actual = Object.fromEntries(new URLSearchParams(postData));
+  }
+  return actual !== undefined && isSubset(wanted, actual);
+}
+
+function isSubset(expected, actual) {
+  if (expected === null || typeof expected !== 'object') {
+    return expected === actual || (actual != null && typeof actual !== 'object' && String(expected) === String(actual));
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return false;
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every((item, index) => isSubset(item, actual[index]));
+  }
+  return Object.entries(expected).every(([key, value]) => isSubset(value, actual[key]));
+}
+
+export default NetworkMocker;
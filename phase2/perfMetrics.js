@@ -0,0 +1,283 @@
+/**
+ * Phase 2: Web Performance Metrics
+ *
+ * PURPOSE:
+ * Step durations say how long the test took, not how fast the page is. Each
+ * navigate step records the page's load timing, Web Vitals and traffic so
+ * reports (and Phase 6's history charts) show performance regressions, and
+ * perf_budget assertions can fail a test on them.
+ *
+ * METRICS (per navigate step, measured once the page fired "load"):
+ * - ttfb, fcp, domContentLoaded, load: navigation / paint timing (ms)
+ * - lcp, cls, tbt, longTasks: from PerformanceObserver entries. TBT is the
+ *   sum of long-task time above 50 ms until the step ends. Chromium reports
+ *   all of them; Firefox only LCP; WebKit none (null = not measured).
+ * - requests, failedRequests, transferBytes, jsBytes, cssBytes, imageBytes,
+ *   fontBytes: traffic from the navigate step until it is measured
+ *
+ * BUDGETS (perf_budget assertion): target = metric, expected = limit
+ *   { "type": "perf_budget", "target": "lcp", "expected": "< 2.5s" }
+ *   { "type": "perf_budget", "target": "jsBytes", "expected": "500KB", "url": "/checkout" }
+ * Every measured navigation (matching url, if given) must stay within the limit.
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (setupBrowser listeners, navigate steps, perf_budget assertions)
+ * - Read by: phase6 (GET /api/suites/:suiteId/tests/:testId/perf charts report.perf)
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PERF_METRICS = {
+  ttfb: { unit: 'ms', label: 'Time to first byte' },
+  fcp: { unit: 'ms', label: 'First contentful paint' },
+  domContentLoaded: { unit: 'ms', label: 'DOMContentLoaded' },
+  load: { unit: 'ms', label: 'Load event' },
+  lcp: { unit: 'ms', label: 'Largest contentful paint' },
+  cls: { unit: '', label: 'Cumulative layout shift' },
+  tbt: { unit: 'ms', label: 'Total blocking time' },
+  longTasks: { unit: '', label: 'Long tasks' },
+  requests: { unit: '', label: 'Requests' },
+  failedRequests: { unit: '', label: 'Failed requests' },
+  transferBytes: { unit: 'bytes', label: 'Transferred' },
+  jsBytes: { unit: 'bytes', label: 'JavaScript' },
+  cssBytes: { unit: 'bytes', label: 'CSS' },
+  imageBytes: { unit: 'bytes', label: 'Images' },
+  fontBytes: { unit: 'bytes', label: 'Fonts' }
+};
+
+// Playwright resource type -> byte metric
+const BYTE_METRICS = { script: 'jsBytes', stylesheet: 'cssBytes', image: 'imageBytes', font: 'fontBytes' };
+
+const UNIT_FACTORS = {
+  ms: { ms: 1, s: 1000 },
+  bytes: { b: 1, kb: 1024, mb: 1024 * 1024 }
+};
+
+const DEFAULTS = { enabled: true, loadTimeout: 10000 };
+
+export function loadPerfDefaults() {
+  try {
+    const config = JSON.parse(fsSync.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf-8'));
+    return { ...DEFAULTS, ...(config.executor?.perf || {}) };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+/**
+ * Parse a perf_budget assertion
+ *
+ * @param {string} metric - Metric name (case-insensitive): lcp, cls, jsBytes, ...
+ * @param {string|number} expected - "< 2.5s", "<= 500KB", "0.1", 1200 (ms / bytes / count)
+ * @returns {Object} { metric, operator, limit, check(value), format(value) }
+ * @throws {Error} - Unknown metric, unparseable limit or a unit that does not fit the metric
+ */
+export function parseBudget(metric, expected) {
+  const name = Object.keys(PERF_METRICS).find(key => key.toLowerCase() === String(metric || '').trim().toLowerCase());
+  if (!name) {
+    throw new Error(`Unknown performance metric "${metric}". Supported: ${Object.keys(PERF_METRICS).join(', ')}`);
+  }
+
+  const match = String(expected ?? '').trim().match(/^(<=|<|>=|>)?\s*(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  if (!match) {
+    throw new Error(`Invalid budget "${expected}" (examples: "< 2.5s", "500KB", "0.1")`);
+  }
+  const [, operator = '<=', number, rawUnit] = match;
+  const { unit } = PERF_METRICS[name];
+  const unitName = rawUnit.toLowerCase();
+  let factor = 1;
+  if (unitName) {
+    factor = UNIT_FACTORS[unit]?.[unitName];
+    if (!factor) {
+      throw new Error(`Unit "${rawUnit}" does not fit ${name}${unit ? ` (${Object.keys(UNIT_FACTORS[unit]).join(', ')})` : ' (no unit)'}`);
+    }
+  }
+
+  const limit = Number(number) * factor;
+  const compare = { '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b }[operator];
+  return {
+    metric: name,
+    operator,
+    limit,
+    check: value => compare(value, limit),
+    format: value => formatMetric(name, value)
+  };
+}
+
+/**
+ * "2.48s", "512.0KB", "0.12", "34"
+ */
+export function formatMetric(metric, value) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  const { unit } = PERF_METRICS[metric] || {};
+  if (unit === 'ms') {
+    return value >= 1000 ? `${(value / 1000).toFixed(2)}s` : `${Math.round(value)}ms`;
+  }
+  if (unit === 'bytes') {
+    return value >= 1024 * 1024 ? `${(value / 1024 / 1024).toFixed(2)}MB` : `${(value / 1024).toFixed(1)}KB`;
+  }
+  return String(value);
+}
+
+export class PerfCollector {
+  /**
+   * @param {Object} options - { loadTimeout } (default from config.json executor.perf)
+   */
+  constructor(options = {}) {
+    this.loadTimeout = options.loadTimeout ?? loadPerfDefaults().loadTimeout;
+    this.traffic = null;
+    this.pending = new Set();
+    this.navigations = [];
+  }
+
+  /**
+   * Observe LCP / CLS / long tasks in every document of the context
+   */
+  async attach(context) {
+    await context.addInitScript(observePerformance);
+  }
+
+  /**
+   * A navigate step starts: count traffic from here
+   */
+  start() {
+    this.traffic = { requests: 0, failedRequests: 0, transferBytes: 0, jsBytes: 0, cssBytes: 0, imageBytes: 0, fontBytes: 0 };
+  }
+
+  /**
+   * page "request" event
+   */
+  recordRequest() {
+    if (this.traffic) {
+      this.traffic.requests++;
+    }
+  }
+
+  /**
+   * page "requestfinished" event: add the transferred size
+   */
+  recordFinished(request) {
+    const traffic = this.traffic;
+    if (!traffic) {
+      return;
+    }
+
+    const pending = request.sizes()
+      .then((sizes) => {
+        const bytes = Math.max(0, sizes.responseBodySize) + Math.max(0, sizes.responseHeadersSize);
+        traffic.transferBytes += bytes;
+        const metric = BYTE_METRICS[request.resourceType()];
+        if (metric) {
+          traffic[metric] += bytes;
+        }
+      })
+      .catch(() => {
+        // Sizes are unavailable once the page is gone
+      })
+      .finally(() => this.pending.delete(pending));
+    this.pending.add(pending);
+  }
+
+  /**
+   * page "requestfailed" event
+   */
+  recordFailed() {
+    if (this.traffic) {
+      this.traffic.failedRequests++;
+    }
+  }
+
+  /**
+   * Measure the page the navigate step loaded
+   *
+   * @param {Page} page - Playwright page
+   * @param {Object} step - { stepNumber, path? } for the report
+   * @returns {Promise<Object>} { url, ttfb, fcp, ..., requests, transferBytes, ... }
+   */
+  async collect(page, step) {
+    // WHY: navigate only waits for DOMContentLoaded; load timing and most LCP candidates come later
+    await page.waitForLoadState('load', { timeout: this.loadTimeout }).catch(() => {});
+
+    const timing = await page.evaluate(readPerformance);
+    await Promise.all(this.pending);
+
+    const navigation = { ...step, ...timing, ...(this.traffic || {}) };
+    this.navigations.push(navigation);
+    this.traffic = null;
+
+    console.log(`   ⏱️  ${timing.url}: LCP ${formatMetric('lcp', timing.lcp)}, CLS ${formatMetric('cls', timing.cls)}, ` +
+      `${navigation.requests ?? 0} request(s), ${formatMetric('transferBytes', navigation.transferBytes ?? 0)}`);
+
+    const { stepNumber, path: stepPath, ...metrics } = navigation;
+    return metrics;
+  }
+}
+
+/**
+ * Init script (runs in the page before its own scripts; must not use outer variables)
+ */
+function observePerformance() {
+  if (window.__aiqaPerf) {
+    return;
+  }
+  const perf = { lcp: null, cls: null, tbt: null, longTasks: null };
+  window.__aiqaPerf = perf;
+
+  const observe = (type, onEntry) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(onEntry)).observe({ type, buffered: true });
+      return true;
+    } catch {
+      // Entry type not supported by this browser: the metric stays null
+      return false;
+    }
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    perf.lcp = entry.renderTime || entry.startTime;
+  });
+  if (observe('layout-shift', (entry) => {
+    if (!entry.hadRecentInput) {
+      perf.cls += entry.value;
+    }
+  })) {
+    perf.cls = 0;
+  }
+  if (observe('longtask', (entry) => {
+    perf.longTasks++;
+    perf.tbt += Math.max(0, entry.duration - 50);
+  })) {
+    perf.tbt = 0;
+    perf.longTasks = 0;
+  }
+}
+
+/**
+ * Runs in the page: navigation / paint timing plus the observed values
+ */
+function readPerformance() {
+  const round = value => (value === null || value === undefined ? null : Math.round(value));
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const paint = performance.getEntriesByName('first-contentful-paint')[0];
+  const observed = window.__aiqaPerf || {};
+
+  return {
+    url: location.href,
+    ttfb: navigation ? round(navigation.responseStart) : null,
+    fcp: paint ? round(paint.startTime) : null,
+    domContentLoaded: navigation ? round(navigation.domContentLoadedEventEnd) : null,
+    load: navigation && navigation.loadEventEnd > 0 ? round(navigation.loadEventEnd) : null,
+    lcp: round(observed.lcp),
+    cls: typeof observed.cls === 'number' ? Math.round(observed.cls * 1000) / 1000 : null,
+    tbt: round(observed.tbt),
+    longTasks: observed.longTasks ?? null
+  };
+}
+
+export default PerfCollector;
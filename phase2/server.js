@@ -20,6 +20,12 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import fs from 'fs/promises';
 import TestExecutor from './executor.js';
+import { resolveEnvironment, listEnvironments, ENVIRONMENT_OPTIONS } from './browserEnvironment.js';
+import { resolveCaptureModes } from './artifactCapture.js';
+import ArtifactRetention from './artifactRetention.js';
+import { validateNetworkOptions } from './networkMocker.js';
+import { BaselineStore, isValidBaselineKey } from './visualRegression.js';
+import AuthProfileStore from '../backend/auth/authProfileStore.js';
 
 // ES Module path helpers
 const __filename = fileURLToPath(import.meta.url);
@@ -34,15 +40,40 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(__dirname));
 
+// Auth profiles for options.auth (shared with Phase 6)
+const authStore = new AuthProfileStore();
+
+// Keeps artifacts/ within config.json executor.retention
+const retention = new ArtifactRetention({ artifactsDir: path.join(__dirname, 'artifacts') });
+
+// Approved screenshots for visual_match steps and assertions
+const baselines = new BaselineStore({ artifactsDir: path.join(__dirname, 'artifacts') });
+
 // Serve artifacts directory
 // WHY: Allow UI to display screenshots and reports
 app.use('/artifacts', express.static(path.join(__dirname, 'artifacts')));
+app.use('/baselines', express.static(baselines.dir));
 
 /**
  * API: Execute test steps with logging and screenshots
  * 
  * ENDPOINT: POST /api/execute
  * INPUT: { "steps": [...], "options": {...} }
+ *   options.context: { testId, suiteId, runId, budget } - LLM usage attribution and run budget
+ *   options.variables: { name: value } - initial values for ${name} placeholders in steps and assertions
+ *   options.browser / device / viewport / locale / timezone / geolocation / colorScheme / userAgent -
+ *     where the test runs (see browserEnvironment.js); default Chromium at 1280x720
+ *   options.capture: "on" | "off" | "on-failure" or { trace, video, har } - Playwright trace,
+ *     video and HAR files in artifacts/<testId>/ (see artifactCapture.js)
+ *   options.network: { mocks: [{ url, method?, status?, json? | body? | fixture?, headers?, delay?, abort?, times? }] } -
+ *     stubbed, delayed or aborted requests for the whole test (see networkMocker.js)
+ *   options.auth: auth profile ID or name - start from its saved session, logging in first
+ *     when it is stale (see backend/auth/authProfileStore.js)
+ *   options.baselineKey: test part of visual_match baseline keys (default: context.testId, else a
+ *     hash of the steps; see visualRegression.js)
+ *   options.perf: false - skip load timing / Web Vitals / traffic per navigate step (see perfMetrics.js)
+ * CANCELLATION: when the caller closes the connection before the response (Phase 6 cancelled or
+ *   timed out the run), the remaining steps and assertions are skipped and the browser closes
  * OUTPUT: { "success": true, "report": {...}, "testId": "..." }
  * 
  * PURPOSE: Main execution endpoint for Phase 2
@@ -59,6 +90,24 @@ app.post('/api/execute', async (req, res) => {
       });
     }
     
+    // Reject unknown browsers / devices before anything is launched
+    const environmentOptions = Object.fromEntries(
+      ENVIRONMENT_OPTIONS.filter(name => options[name] != null && options[name] !== '').map(name => [name, options[name]])
+    );
+    try {
+      resolveEnvironment(environmentOptions);
+      resolveCaptureModes(options.capture);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    const networkErrors = validateNetworkOptions(options.network);
+    if (networkErrors.length > 0) {
+      return res.status(400).json({ success: false, error: networkErrors.join('; ') });
+    }
+    if (options.auth && !await authStore.get(options.auth)) {
+      return res.status(400).json({ success: false, error: `Unknown auth profile "${options.auth}"` });
+    }
+    
     console.log('\n📥 Received test execution request');
     console.log(`   Steps: ${steps.length}`);
     console.log(`   Assertions: ${assertions.length}`);
@@ -67,29 +116,32 @@ app.post('/api/execute', async (req, res) => {
     // Create executor
     const executor = new TestExecutor();
     
+    // WHY: A closed connection means the run was cancelled; stop instead of finishing unseen
+    const cancellation = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        cancellation.abort();
+      }
+    });
+    
     // Execute test with logging and screenshots
     // CONNECTION: This is where Phase 2 magic happens
     const report = await executor.executeTest(steps, {
       headless: options.headless || false,
-      continueOnFailure: options.continueOnFailure || false
+      continueOnFailure: options.continueOnFailure || false,
+      context: options.context,
+      variables: options.variables,
+      capture: options.capture,
+      network: options.network,
+      auth: options.auth,
+      baselineKey: options.baselineKey,
+      perf: options.perf,
+      signal: cancellation.signal,
+      // WHY: Assertions need the page, which is closed once executeTest returns
+      assertions,
+      ...environmentOptions
     });
     
-    // Execute assertions if provided
-    let assertionResults = null;
-    if (assertions && assertions.length > 0) {
-      console.log(`\n🎯 Running ${assertions.length} assertion(s)...`);
-      assertionResults = await executor.executeAssertions(assertions);
-      
-      // Update report success based on assertions
-      if (assertionResults.failed.length > 0) {
-        report.success = false;
-        report.assertionsFailed = assertionResults.failed.length;
-      }
-    }
-    
-    // Add assertions to report
-    report.assertions = assertionResults;
-    
     // Return complete report
     res.json({
       success: report.success,
@@ -98,6 +150,10 @@ app.post('/api/execute', async (req, res) => {
       artifactsUrl: `/artifacts/${report.testId}`
     });
     
+    // Retention runs after the response; the report just written is kept
+    retention.cleanup({ protect: [report.testId] })
+      .catch(error => console.error(`⚠️  Artifact retention failed: ${error.message}`));
+    
   } catch (error) {
     console.error('Server error:', error);
     res.status(500).json({
@@ -164,7 +220,9 @@ app.get('/api/tests', async (req, res) => {
               passed: report.passedSteps,
               failed: report.failedSteps,
               success: report.success,
-              duration: report.duration
+              status: report.status || (report.success ? 'passed' : 'failed'),
+              duration: report.duration,
+              environment: report.environment || null
             };
           } catch {
             return null;
@@ -197,6 +255,101 @@ app.get('/api/tests', async (req, res) => {
   }
 });
 
+/**
+ * API: Artifact disk usage
+ * 
+ * ENDPOINT: GET /api/artifacts/usage
+ * OUTPUT: { tests, totalMB, heavyFiles, heavyMB, rules }
+ */
+app.get('/api/artifacts/usage', async (req, res) => {
+  try {
+    res.json({ success: true, ...await retention.usage() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * API: Apply the retention rules now
+ * 
+ * ENDPOINT: POST /api/artifacts/cleanup
+ * OUTPUT: { removedTests, removedFiles, freedMB }
+ */
+app.post('/api/artifacts/cleanup', async (req, res) => {
+  try {
+    res.json({ success: true, ...await retention.cleanup() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * API: Stored visual baselines
+ * 
+ * ENDPOINT: GET /api/baselines?prefix=<test key>
+ * OUTPUT: { baselines: [{ key, size, modified, url }] }
+ */
+app.get('/api/baselines', async (req, res) => {
+  try {
+    const list = await baselines.list(req.query.prefix || '');
+    res.json({ success: true, baselines: list.map(baseline => ({ ...baseline, url: `/baselines/${baseline.key}` })) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * API: Accept an execution's screenshot as the new baseline
+ * 
+ * ENDPOINT: POST /api/baselines/accept
+ * INPUT: { "testId": "<execution>", "key": "<test>/<step>/<browser>-<w>x<h>.png" }
+ * OUTPUT: { key, acceptedFrom, acceptedAt }
+ */
+app.post('/api/baselines/accept', async (req, res) => {
+  const { testId, key } = req.body || {};
+  if (!testId || !isValidBaselineKey(key)) {
+    return res.status(400).json({ success: false, error: 'testId and a valid baseline key are required' });
+  }
+  
+  try {
+    res.json({ success: true, ...await baselines.accept(testId, key) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * API: Delete a baseline (the next run stores a new one)
+ * 
+ * ENDPOINT: DELETE /api/baselines
+ * INPUT: { "key": "<test>/<step>/<browser>-<w>x<h>.png" }
+ */
+app.delete('/api/baselines', async (req, res) => {
+  const { key } = req.body || {};
+  if (!isValidBaselineKey(key)) {
+    return res.status(400).json({ success: false, error: 'A valid baseline key is required' });
+  }
+  
+  try {
+    if (!await baselines.delete(key)) {
+      return res.status(404).json({ success: false, error: `Baseline ${key} not found` });
+    }
+    res.json({ success: true, key });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * API: Browsers and emulated devices
+ * 
+ * ENDPOINT: GET /api/devices
+ * OUTPUT: { browsers: [...], devices: [{ name, browser, viewport, isMobile }], aliases }
+ */
+app.get('/api/devices', (req, res) => {
+  res.json({ success: true, ...listEnvironments() });
+});
+
 /**
  * Health check endpoint
  */
@@ -237,6 +390,9 @@ app.listen(PORT, () => {
 ║   POST /api/execute     - Execute test steps                  ║
 ║   GET  /api/report/:id  - Get test report                     ║
 ║   GET  /api/tests       - List all tests                      ║
+║   GET  /api/devices     - Browsers and emulated devices       ║
+║   GET  /api/artifacts/usage, POST /api/artifacts/cleanup      ║
+║   GET  /api/baselines, POST /api/baselines/accept             ║
 ║                                                                ║
 ║  Integration:                                                  ║
 ║   → Takes Phase 1 test steps as input                         ║
@@ -247,6 +403,10 @@ app.listen(PORT, () => {
 ║                                                                ║
 ╚════════════════════════════════════════════════════════════════╝
   `);
+  
+  // Apply retention to whatever accumulated while the server was down
+  retention.cleanup()
+    .catch(error => console.error(`⚠️  Artifact retention failed: ${error.message}`));
 });
 
 export default app;
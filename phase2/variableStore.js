@@ -0,0 +1,275 @@
+/**
+ * Phase 2: Test Variables
+ *
+ * PURPOSE:
+ * Let steps capture values (an order number, a generated email) and reuse
+ * them later in the same test execution through ${name} placeholders.
+ *
+ * FEATURES:
+ * - Run-scoped variable map: seeded from options.variables, filled by extract steps
+ * - ${name} interpolation in step target / data / expected and assertion fields,
+ *   including the strings inside objects (http step data, headers, auth)
+ * - Built-in generators when no variable of that name exists:
+ *   ${uuid}, ${timestamp}, ${isoDate}, ${date}, ${email}, ${firstName}, ${lastName},
+ *   ${fullName}, ${phone}, ${randomInt(min,max)}, ${randomString(length)}
+ *   Each occurrence generates a new value; store it with an extract step
+ *   (from: literal) to reuse it
+ * - \${...} escapes a literal "${...}"
+ * - Scoped bindings for loops and flows (${item}, ${index}, flow params)
+ * - Values of sensitive variables (config.json security.sensitiveFields, e.g.
+ *   password, token) are masked in reports
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (executeStep, executeSingleAssertion, generateReport)
+ */
+
+import crypto from 'crypto';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PLACEHOLDER = /(\\?)\$\{\s*([A-Za-z_][\w.-]*)\s*(?:\(([^)]*)\))?\s*\}/g;
+
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn', 'Priya', 'Kenji', 'Lucia', 'Omar', 'Ingrid', 'Mateo'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Patel', 'Okafor', 'Muller', 'Rossi', 'Kim', 'Novak', 'Silva', 'Haddad', 'Larsen', 'Tanaka', 'Walker', 'Ivanova', 'Reyes'];
+
+let sensitiveFields = null;
+
+/**
+ * Sensitive field names from config.json (security.sensitiveFields)
+ */
+function getSensitiveFields() {
+  if (!sensitiveFields) {
+    try {
+      const config = JSON.parse(fsSync.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf-8'));
+      sensitiveFields = config.security?.sensitiveFields || [];
+    } catch {
+      sensitiveFields = ['password', 'token', 'apiKey', 'secret'];
+    }
+  }
+  return sensitiveFields;
+}
+
+function pick(list) {
+  return list[crypto.randomInt(list.length)];
+}
+
+function randomString(length = 8) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from({ length }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+}
+
+/**
+ * Built-in value generators
+ */
+export const GENERATORS = {
+  uuid: () => crypto.randomUUID(),
+  timestamp: () => String(Date.now()),
+  isoDate: () => new Date().toISOString(),
+  date: () => new Date().toISOString().substring(0, 10),
+  email: () => `test.${randomString(8)}@example.com`,
+  firstName: () => pick(FIRST_NAMES),
+  lastName: () => pick(LAST_NAMES),
+  fullName: () => `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+  phone: () => `555-${String(crypto.randomInt(1000000)).padStart(7, '0').replace(/^(\d{3})/, '$1-')}`,
+  randomInt: (min = '0', max = '1000') => String(crypto.randomInt(Number(min), Number(max) + 1)),
+  randomString: (length = '8') => randomString(Number(length))
+};
+
+export class VariableStore {
+  /**
+   * @param {Object} initial - Seed values { name: value }
+   */
+  constructor(initial = {}) {
+    this.values = new Map();
+    this.sources = new Map();
+
+    for (const [name, value] of Object.entries(initial || {})) {
+      this.set(name, value, 'input');
+    }
+  }
+
+  /**
+   * Store a value
+   *
+   * @param {string} source - Where it came from (input, step 3, ...)
+   */
+  set(name, value, source = 'step') {
+    if (!/^[A-Za-z_][\w.-]*$/.test(name || '')) {
+      throw new Error(`Invalid variable name "${name}" (letters, digits, _ . - ; must not start with a digit)`);
+    }
+    this.values.set(name, value == null ? '' : String(value));
+    this.sources.set(name, source);
+  }
+
+  get(name) {
+    return this.values.get(name);
+  }
+
+  /**
+   * Bind values for a nested block (loop item, flow params)
+   *
+   * Shadowed values come back when the returned restore function is called;
+   * variables extracted inside the block are kept.
+   *
+   * @param {Object} bindings - { name: value }
+   * @returns {Function} restore()
+   */
+  scoped(bindings, source) {
+    const saved = Object.keys(bindings).map(name => ({
+      name,
+      existed: this.values.has(name),
+      value: this.values.get(name),
+      source: this.sources.get(name)
+    }));
+
+    for (const [name, value] of Object.entries(bindings)) {
+      this.set(name, value, source);
+    }
+
+    return () => {
+      for (const entry of saved) {
+        if (entry.existed) {
+          this.values.set(entry.name, entry.value);
+          this.sources.set(entry.name, entry.source);
+        } else {
+          this.values.delete(entry.name);
+          this.sources.delete(entry.name);
+        }
+      }
+    };
+  }
+
+  has(name) {
+    return this.values.has(name);
+  }
+
+  /**
+   * Replace ${...} placeholders in a value (strings inside objects and arrays too)
+   *
+   * @returns {Object} { value, references: [names], changed }
+   * @throws {Error} - Unknown variable or generator
+   */
+  resolve(template) {
+    if (template !== null && typeof template === 'object') {
+      const references = [];
+      let changed = false;
+      const resolveEntry = (entry) => {
+        const result = this.resolve(entry);
+        references.push(...result.references);
+        changed = changed || result.changed;
+        return result.value;
+      };
+      const value = Array.isArray(template)
+        ? template.map(resolveEntry)
+        : Object.fromEntries(Object.entries(template).map(([key, entry]) => [key, resolveEntry(entry)]));
+      return { value: changed ? value : template, references, changed };
+    }
+
+    if (typeof template !== 'string' || !template.includes('${')) {
+      return { value: template, references: [], changed: false };
+    }
+
+    const references = [];
+    const value = template.replace(PLACEHOLDER, (match, escape, name, args) => {
+      if (escape) {
+        return match.substring(1);
+      }
+
+      references.push(name);
+
+      if (args === undefined && this.values.has(name)) {
+        return this.values.get(name);
+      }
+
+      const generator = Object.prototype.hasOwnProperty.call(GENERATORS, name) ? GENERATORS[name] : null;
+      if (generator) {
+        const parsedArgs = args ? args.split(',').map(arg => arg.trim()).filter(Boolean) : [];
+        return generator(...parsedArgs);
+      }
+
+      throw new Error(`Undefined variable "\${${name}}". Defined: ${[...this.values.keys()].join(', ') || 'none'}`);
+    });
+
+    return { value, references, changed: value !== template };
+  }
+
+  /**
+   * Interpolate the given fields of an object
+   *
+   * @returns {Object} { resolved: copy with values replaced, display: { field: masked value } for changed fields }
+   */
+  resolveFields(object, fields) {
+    const resolved = { ...object };
+    const display = {};
+
+    for (const field of fields) {
+      const { value, references, changed } = this.resolve(object[field]);
+      resolved[field] = value;
+      if (changed) {
+        display[field] = references.some(name => this.isSensitive(name)) ? this.mask(value) : value;
+      }
+    }
+
+    return { resolved, display };
+  }
+
+  isSensitive(name) {
+    const lower = name.toLowerCase();
+    return getSensitiveFields().some(field => lower.includes(field.toLowerCase()));
+  }
+
+  mask(value) {
+    return value ? '*'.repeat(Math.min(String(value).length, 8)) : value;
+  }
+
+  /**
+   * Mask every sensitive variable's value inside free text (actual behavior, errors)
+   */
+  redact(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    return [...this.values.entries()]
+      .filter(([name, value]) => value && this.isSensitive(name))
+      .reduce((redacted, [, value]) => redacted.split(value).join(this.mask(value)), text);
+  }
+
+  /**
+   * redact() applied to every string inside a value (step fields like headers / auth objects)
+   */
+  redactDeep(value) {
+    if (typeof value === 'string') {
+      return this.redact(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactDeep(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactDeep(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Value for reports (masked when sensitive)
+   */
+  display(name) {
+    const value = this.values.get(name);
+    return this.isSensitive(name) ? this.mask(value) : value;
+  }
+
+  /**
+   * Report snapshot: { name: { value, source } }, sensitive values masked
+   */
+  snapshot() {
+    return Object.fromEntries([...this.values.keys()].map(name => [
+      name,
+      { value: this.display(name), source: this.sources.get(name) }
+    ]));
+  }
+}
+
+export default VariableStore;
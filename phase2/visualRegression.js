@@ -0,0 +1,368 @@
+/**
+ * Phase 2: Visual Regression
+ *
+ * PURPOSE:
+ * Catch layout and styling regressions that functional steps pass straight
+ * through. A visual_match step or assertion screenshots the page (or one
+ * element) and compares it pixel by pixel with a stored baseline.
+ *
+ * BASELINES (baselines/ or BASELINES_DIR):
+ *   <test>/<step>/<browser>-<width>x<height>.png
+ * - test: options.baselineKey, else the Phase 6 test ID (without the matrix
+ *   suffix), else a hash of the test's steps
+ * - step: the step's "name", else its position ("step-3", "step-4-then-1", "assertion-2")
+ * - The first run of a key stores its screenshot as the baseline and passes
+ *
+ * OPTIONS (step / assertion fields; defaults from config.json executor.visual):
+ * - threshold: share of pixels that may differ (default 0.001 = 0.1%)
+ * - pixelThreshold: per-pixel color sensitivity 0-1 (default 0.1, pixelmatch)
+ * - mask: selectors and/or { x, y, width, height } regions ignored in the comparison
+ * - fullPage: whole scrollable page instead of the viewport (page screenshots only)
+ *
+ * FILES (artifacts/<testId>/visual/): <key>-actual.png, <key>-baseline.png, <key>-diff.png
+ *
+ * CONNECTIONS:
+ * - Used by: executor.js (visual_match steps and assertions), server.js (/api/baselines)
+ * - Uses: pixelmatch + pngjs
+ */
+
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULTS = { threshold: 0.001, pixelThreshold: 0.1 };
+
+// <segment>/<segment>/<browser>-<w>x<h>.png, no "..": keys arrive through the API
+const KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*(\/[a-z0-9][a-z0-9._-]*)*\.png$/i;
+
+function loadVisualDefaults() {
+  try {
+    const config = JSON.parse(fsSync.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf-8'));
+    return { ...DEFAULTS, ...(config.executor?.visual || {}) };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+/**
+ * "Checkout Page" -> "checkout-page"
+ */
+function segment(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-.]+|-+$/g, '') || 'default';
+}
+
+/**
+ * Test part of baseline keys for an execution
+ *
+ * @param {Object} options - Execution options (baselineKey, context.testId)
+ * @param {Array} steps - Test steps (fallback: hash of them)
+ */
+export function baselineTestKey(options = {}, steps = []) {
+  if (options.baselineKey) {
+    return segment(options.baselineKey);
+  }
+  // WHY: Browser and viewport are already part of the key; "t1@webkit-iphone-15" shares "t1"
+  const suiteTestId = options.context?.testId && String(options.context.testId).split('@')[0];
+  if (suiteTestId) {
+    return segment(suiteTestId);
+  }
+  return `steps-${crypto.createHash('sha1').update(JSON.stringify(steps)).digest('hex').substring(0, 12)}`;
+}
+
+/**
+ * Baseline key: <test>/<step>/<browser>-<width>x<height>.png
+ */
+export function baselineKey({ test, step, browser, viewport }) {
+  const size = viewport ? `${viewport.width}x${viewport.height}` : 'default';
+  return `${segment(test)}/${segment(step)}/${segment(browser || 'chromium')}-${size}.png`;
+}
+
+export function isValidBaselineKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key) && !key.split('/').includes('..');
+}
+
+/**
+ * Compare two PNGs
+ *
+ * @param {Buffer} actualBuffer
+ * @param {Buffer} baselineBuffer
+ * @param {Object} options - { pixelThreshold, regions: [{ x, y, width, height }] }
+ * @returns {Object} { width, height, diffPixels, diffRatio, diffImage (Buffer), sizeMismatch }
+ */
+export function compareImages(actualBuffer, baselineBuffer, options = {}) {
+  const actual = PNG.sync.read(actualBuffer);
+  const baseline = PNG.sync.read(baselineBuffer);
+
+  if (actual.width !== baseline.width || actual.height !== baseline.height) {
+    return {
+      width: actual.width,
+      height: actual.height,
+      diffPixels: actual.width * actual.height,
+      diffRatio: 1,
+      diffImage: null,
+      sizeMismatch: `Screenshot is ${actual.width}x${actual.height}, baseline is ${baseline.width}x${baseline.height}`
+    };
+  }
+
+  for (const region of options.regions || []) {
+    blankRegion(actual, region);
+    blankRegion(baseline, region);
+  }
+
+  const { width, height } = actual;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, {
+    threshold: options.pixelThreshold ?? DEFAULTS.pixelThreshold
+  });
+
+  return {
+    width,
+    height,
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    diffImage: PNG.sync.write(diff),
+    sizeMismatch: null
+  };
+}
+
+function blankRegion(png, { x = 0, y = 0, width = 0, height = 0 }) {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const right = Math.min(png.width, Math.ceil(x + width));
+  const bottom = Math.min(png.height, Math.ceil(y + height));
+
+  for (let row = top; row < bottom; row++) {
+    for (let column = left; column < right; column++) {
+      png.data.fill(0, (row * png.width + column) * 4, (row * png.width + column) * 4 + 4);
+    }
+  }
+}
+
+export class VisualComparator {
+  /**
+   * @param {Object} options - { baselinesDir, artifactsDir, testId (execution), testKey, environment }
+   */
+  constructor(options) {
+    this.store = new BaselineStore({ baselinesDir: options.baselinesDir, artifactsDir: options.artifactsDir });
+    this.testId = options.testId;
+    this.testKey = options.testKey;
+    this.environment = options.environment || {};
+    this.defaults = loadVisualDefaults();
+  }
+
+  /**
+   * Screenshot and compare with the baseline (stored on first run)
+   *
+   * @param {Page} page - Playwright page
+   * @param {Object} spec - { target?, mask?, threshold?, pixelThreshold?, fullPage? }
+   * @param {string} stepKey - "step-3", "assertion-1" or the spec's name
+   * @returns {Promise<Object>} { key, status: matched | created, diffPixels, diffRatio, threshold, baseline, actual, diff }
+   * @throws {Error} - Mismatch (error.visual holds the same details with status "mismatch")
+   */
+  async match(page, spec, stepKey) {
+    const key = baselineKey({
+      test: this.testKey,
+      step: spec.name || stepKey,
+      browser: this.environment.browser,
+      viewport: this.environment.viewport
+    });
+    const threshold = Number(spec.threshold ?? this.defaults.threshold);
+    const pixelThreshold = Number(spec.pixelThreshold ?? this.defaults.pixelThreshold);
+
+    const masks = toList(spec.mask);
+    const screenshotOptions = {
+      animations: 'disabled',
+      mask: masks.filter(mask => typeof mask === 'string').map(selector => page.locator(selector))
+    };
+    const actual = spec.target
+      ? await page.locator(spec.target).screenshot(screenshotOptions)
+      : await page.screenshot({ ...screenshotOptions, fullPage: Boolean(spec.fullPage) });
+
+    const files = this.store.executionFiles(this.testId, key);
+    await fs.mkdir(path.dirname(files.actual), { recursive: true });
+    await fs.writeFile(files.actual, actual);
+
+    const baseline = await this.store.read(key);
+    const visual = { key, threshold, baseline: files.urls.baseline, actual: files.urls.actual, diff: null };
+
+    if (!baseline) {
+      await this.store.write(key, actual);
+      await fs.writeFile(files.baseline, actual);
+      console.log(`   🖼️  New baseline stored: ${key}`);
+      return { ...visual, status: 'created', diffPixels: 0, diffRatio: 0 };
+    }
+
+    await fs.writeFile(files.baseline, baseline);
+    const comparison = compareImages(actual, baseline, {
+      pixelThreshold,
+      regions: masks.filter(mask => typeof mask === 'object')
+    });
+    if (comparison.diffImage) {
+      await fs.writeFile(files.diff, comparison.diffImage);
+      visual.diff = files.urls.diff;
+    }
+
+    const result = {
+      ...visual,
+      diffPixels: comparison.diffPixels,
+      diffRatio: Math.round(comparison.diffRatio * 1e6) / 1e6
+    };
+
+    if (comparison.sizeMismatch || comparison.diffRatio > threshold) {
+      const error = new Error(comparison.sizeMismatch
+        ? `Visual mismatch for ${key}: ${comparison.sizeMismatch}`
+        : `Visual mismatch for ${key}: ${comparison.diffPixels} pixel(s) differ ` +
+          `(${(comparison.diffRatio * 100).toFixed(3)}%, allowed ${(threshold * 100).toFixed(3)}%)`);
+      error.visual = { ...result, status: 'mismatch' };
+      throw error;
+    }
+
+    console.log(`   🖼️  Matches baseline ${key} (${comparison.diffPixels} pixel(s) differ)`);
+    return { ...result, status: 'matched' };
+  }
+}
+
+export class BaselineStore {
+  /**
+   * @param {Object} options - { baselinesDir, artifactsDir }
+   */
+  constructor(options = {}) {
+    this.dir = options.baselinesDir || process.env.BASELINES_DIR || path.join(__dirname, 'baselines');
+    this.artifactsDir = options.artifactsDir || path.join(__dirname, 'artifacts');
+  }
+
+  path(key) {
+    if (!isValidBaselineKey(key)) {
+      throw new Error(`Invalid baseline key "${key}"`);
+    }
+    return path.join(this.dir, key);
+  }
+
+  async read(key) {
+    try {
+      return await fs.readFile(this.path(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(key, buffer) {
+    const filePath = this.path(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Paths and URLs of an execution's copies (artifacts/<testId>/visual/)
+   */
+  executionFiles(testId, key) {
+    const base = key.replace(/\.png$/, '').replace(/\//g, '__');
+    const names = { actual: `${base}-actual.png`, baseline: `${base}-baseline.png`, diff: `${base}-diff.png` };
+    const dir = path.join(this.artifactsDir, testId, 'visual');
+
+    return {
+      actual: path.join(dir, names.actual),
+      baseline: path.join(dir, names.baseline),
+      diff: path.join(dir, names.diff),
+      urls: Object.fromEntries(Object.entries(names).map(([type, name]) => [type, `/artifacts/${testId}/visual/${name}`]))
+    };
+  }
+
+  /**
+   * Make an execution's screenshot the new baseline for its key
+   *
+   * @param {string} testId - Execution (artifact folder) the screenshot came from
+   * @param {string} key - Baseline key
+   * @throws {Error} - Invalid key / test ID, or no screenshot for that key in the execution
+   */
+  async accept(testId, key) {
+    if (!/^[a-z0-9-]+$/i.test(String(testId))) {
+      throw new Error(`Invalid test ID "${testId}"`);
+    }
+    this.path(key);
+
+    const { actual } = this.executionFiles(testId, key);
+    let screenshot;
+    try {
+      screenshot = await fs.readFile(actual);
+    } catch {
+      throw new Error(`No screenshot for ${key} in execution ${testId}`);
+    }
+
+    await this.write(key, screenshot);
+    console.log(`🖼️  Baseline accepted: ${key} (from ${testId})`);
+    return { key, acceptedFrom: testId, acceptedAt: new Date().toISOString() };
+  }
+
+  /**
+   * All baselines (optionally under a test key)
+   *
+   * @returns {Promise<Array<Object>>} [{ key, size, modified }]
+   */
+  async list(prefix = '') {
+    const baselines = [];
+    const walk = async (dir) => {
+      let entries = [];
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(filePath);
+        } else if (entry.name.endsWith('.png')) {
+          const stat = await fs.stat(filePath);
+          baselines.push({
+            key: path.relative(this.dir, filePath).split(path.sep).join('/'),
+            size: stat.size,
+            modified: stat.mtime.toISOString()
+          });
+        }
+      }
+    };
+
+    await walk(this.dir);
+    return baselines.filter(baseline => baseline.key.startsWith(prefix)).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Delete a baseline (the next run stores a new one)
+   *
+   * @returns {Promise<boolean>} false if it did not exist
+   */
+  async delete(key) {
+    try {
+      await fs.unlink(this.path(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  // "header .clock, .ad-banner" from text fields
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [value];
+}
+
+export default VisualComparator;
@@ -32,12 +32,12 @@ app.use(express.static(__dirname));
  * API: Test AI element finding
  * 
  * ENDPOINT: POST /api/find-element
- * INPUT: { "url": "...", "description": "the login button", "action": "click" }
+ * INPUT: { "url": "...", "description": "the login button", "action": "click", "context": {...} (optional LLM usage attribution) }
  * OUTPUT: { "success": true, "selector": "...", "strategy": "..." }
  */
 app.post('/api/find-element', async (req, res) => {
   try {
-    const { url, description, action = 'click' } = req.body;
+    const { url, description, action = 'click', context = {} } = req.body;
     
     if (!url || !description) {
       return res.status(400).json({
@@ -61,7 +61,7 @@ app.post('/api/find-element', async (req, res) => {
       await page.waitForTimeout(1000); // Let page settle
       
       // Use AI Web Reader
-      const webReader = new AIWebReader();
+      const webReader = new AIWebReader({ context });
       const result = await webReader.findElement(page, description, action);
       
       // Highlight the found element (visual feedback)
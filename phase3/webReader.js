@@ -9,15 +9,17 @@
  * 
  * CONNECTIONS:
  * - Input: Natural language element description ("the login button")
- * - Uses: Playwright for DOM access, OpenAI for AI understanding
+ * - Uses: Playwright for DOM access, shared LLM provider layer for AI understanding
+ * - Uses: backend/executor/actionRegistry.js (which elements suit an action)
  * - Output: Precise element locator that Phase 2 can use
  * 
  * ARCHITECTURE:
  * Natural Description → Page Analysis → AI Matching → Robust Selector
  */
 
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { createLLMClient } from '../backend/llm/llmProvider.js';
+import { getAction } from '../backend/executor/actionRegistry.js';
 
 dotenv.config({ path: '../.env' });
 
@@ -26,11 +28,13 @@ dotenv.config({ path: '../.env' });
  * Reads web pages and finds elements intelligently
  */
 class AIWebReader {
-  constructor() {
-    // Initialize OpenAI for AI-powered element finding
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+  /**
+   * @param {Object} options
+   * @param {Object} options.context - LLM usage attribution from the caller { testId, suiteId, runId, budget }
+   */
+  constructor(options = {}) {
+    // LLM client for AI-powered element finding (provider from config.json)
+    this.llm = createLLMClient('phase3', { context: options.context || {} });
   }
 
   /**
@@ -217,7 +221,7 @@ class AIWebReader {
     }
     
     // STRATEGY 4: Placeholder match (for inputs)
-    if (action === 'type') {
+    if (getAction(action)?.element === 'input') {
       const placeholderMatch = pageInfo.inputs.find(el =>
         el.placeholder && el.placeholder.toLowerCase().includes(descLower)
       );
@@ -309,14 +313,12 @@ class AIWebReader {
    * WHY: Filter elements by what makes sense for the action
    */
   getRelevantElements(pageInfo, action) {
-    switch (action) {
-      case 'click':
+    // CONNECTION: Each registry action declares the kind of element it acts on
+    switch (getAction(action)?.element) {
+      case 'clickable':
         return [...pageInfo.buttons, ...pageInfo.links];
-      case 'type':
+      case 'input':
         return pageInfo.inputs;
-      case 'verify':
-      case 'wait':
-        return [...pageInfo.buttons, ...pageInfo.links, ...pageInfo.inputs];
       default:
         return [...pageInfo.buttons, ...pageInfo.links, ...pageInfo.inputs];
     }
@@ -360,26 +362,18 @@ Output only valid JSON, no other text.`;
   }
 
   /**
-   * Call OpenAI API for AI matching
+   * Call the configured LLM for AI matching
    */
   async callAI(prompt) {
-    const completion = await this.client.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a web automation expert. Output only valid JSON.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
+    const completion = await this.llm.complete({
+      system: 'You are a web automation expert. Output only valid JSON.',
+      prompt,
       temperature: 0.3,
-      max_tokens: 500
+      maxTokens: 500,
+      feature: 'element_finding'
     });
     
-    return completion.choices[0].message.content;
+    return completion.text;
   }
 
   /**
@@ -12,7 +12,7 @@
  * 
  * ARCHITECTURE:
  * 1. ChromaDB - Vector database for semantic search
- * 2. OpenAI Embeddings - Convert text to vectors
+ * 2. Embeddings (OpenAI or OpenAI-compatible, via the LLM provider layer) - Convert text to vectors
  * 3. Semantic Search - Find similar tests by meaning
  * 4. LLM Synthesis - Generate answers with retrieved context
  * 
@@ -22,12 +22,12 @@
  * - Phase 6 UI displays RAG insights
  */
 
-import { OpenAI } from 'openai';
 import { ChromaClient } from 'chromadb';
+import { createLLMClient } from '../backend/llm/llmProvider.js';
 
 export class RAGEngine {
   constructor() {
-    this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    this.llm = createLLMClient('phase4.5');
     // Use ChromaDB with default local server (http://localhost:8000)
     // If server isn't running, ChromaDB will auto-start in embedded mode
     this.chroma = new ChromaClient({
@@ -245,12 +245,8 @@ export class RAGEngine {
       
       // Use LLM for deep analysis
       console.log('   🤖 AI analyzing impact...');
-      const analysis = await this.openai.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          {
-            role: 'system',
-            content: `You are an AI test analyst. Analyze git changes and recommend which tests to run.
+      const analysis = await this.llm.completeJSON({
+        system: `You are an AI test analyst. Analyze git changes and recommend which tests to run.
             
             Output format:
             {
@@ -258,11 +254,8 @@ export class RAGEngine {
               "recommendedTests": [{"testId": "...", "priority": "critical|high|medium", "reason": "..."}],
               "riskLevel": "critical|high|medium|low",
               "recommendation": "Run full suite | Run affected tests | Smoke test only"
-            }`
-          },
-          {
-            role: 'user',
-            content: `
+            }`,
+        prompt: `
               Git Changes:
               ${JSON.stringify(gitChange, null, 2)}
               
@@ -270,14 +263,13 @@ export class RAGEngine {
               ${JSON.stringify(relatedTests.results.slice(0, 5), null, 2)}
               
               Analyze the impact and recommend tests.
-            `
-          }
-        ],
+            `,
         temperature: 0.3,
-        response_format: { type: "json_object" }
+        expect: 'object',
+        feature: 'rag'
       });
       
-      const aiAnalysis = JSON.parse(analysis.choices[0].message.content);
+      const aiAnalysis = analysis.data;
       
       console.log(`   ✓ Risk level: ${aiAnalysis.riskLevel}`);
       console.log(`   ✓ Recommended: ${aiAnalysis.recommendedTests.length} tests`);
@@ -388,14 +380,10 @@ export class RAGEngine {
   }
 
   /**
-   * Create embedding using OpenAI
+   * Create embedding (provider and model from config.json llm.embeddings)
    */
   async createEmbedding(text) {
-    const response = await this.openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text
-    });
-    return response.data[0].embedding;
+    return this.llm.embed(text);
   }
 
   /**
@@ -456,30 +444,22 @@ export class RAGEngine {
       return 'No relevant tests found in the knowledge base.';
     }
     
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are AIQA assistant. Answer questions about test executions using the provided context. Be concise and actionable.'
-        },
-        {
-          role: 'user',
-          content: `
+    const response = await this.llm.complete({
+      system: 'You are AIQA assistant. Answer questions about test executions using the provided context. Be concise and actionable.',
+      prompt: `
             Question: ${query}
             
             Context from knowledge base:
             ${JSON.stringify(results, null, 2)}
             
             Provide a helpful answer summarizing the findings.
-          `
-        }
-      ],
+          `,
       temperature: 0.5,
-      max_tokens: 500
+      maxTokens: 500,
+      feature: 'rag'
     });
     
-    return response.choices[0].message.content;
+    return response.text;
   }
 
   /**
@@ -71,7 +71,7 @@ async function initializeServices() {
     return true;
   } catch (error) {
     console.error('❌ Service initialization failed:', error.message);
-    console.error('   Make sure ChromaDB is accessible and OpenAI API key is set');
+    console.error('   Make sure ChromaDB is accessible and an LLM provider is configured');
     return false;
   }
 }
@@ -21,8 +21,8 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { createLLMClient } from '../backend/llm/llmProvider.js';
 
 dotenv.config({ path: '../.env' });
 
@@ -32,10 +32,8 @@ dotenv.config({ path: '../.env' });
  */
 class LearningEngine {
   constructor() {
-    // AI client for advanced analysis
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    // AI client for advanced analysis (provider from config.json)
+    this.llm = createLLMClient('phase4');
     
     // Knowledge base path
     // WHY: Store learnings persistently
@@ -377,25 +375,17 @@ Output as JSON array of insights:
   }
 ]`;
 
-      const completion = await this.client.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          { role: 'system', content: 'You are a test automation expert. Analyze errors and provide actionable insights. Output only valid JSON.' },
-          { role: 'user', content: prompt }
-        ],
+      const completion = await this.llm.completeJSON({
+        system: 'You are a test automation expert. Analyze errors and provide actionable insights. Output only valid JSON.',
+        prompt,
         temperature: 0.3,
-        max_tokens: 1000
+        maxTokens: 1000,
+        expect: 'array',
+        feature: 'failure_analysis',
+        context: { reportId: testReport.testId }
       });
       
-      let response = completion.choices[0].message.content;
-      
-      // Parse JSON
-      if (response.startsWith('```')) {
-        response = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      }
-      
-      const insights = JSON.parse(response);
-      return insights;
+      return completion.data;
       
     } catch (error) {
       console.error(`   ⚠️  AI insights error: ${error.message}`);
@@ -428,22 +418,16 @@ Output as JSON array:
   }
 ]`;
 
-      const completion = await this.client.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          { role: 'system', content: 'You are a QA expert. Analyze user feedback and extract actionable insights. Output only valid JSON.' },
-          { role: 'user', content: prompt }
-        ],
+      const completion = await this.llm.completeJSON({
+        system: 'You are a QA expert. Analyze user feedback and extract actionable insights. Output only valid JSON.',
+        prompt,
         temperature: 0.3,
-        max_tokens: 500
+        maxTokens: 500,
+        expect: 'array',
+        feature: 'feedback_analysis'
       });
       
-      let response = completion.choices[0].message.content;
-      if (response.startsWith('```')) {
-        response = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      }
-      
-      return JSON.parse(response);
+      return completion.data;
       
     } catch (error) {
       console.error(`   ⚠️  AI feedback analysis error: ${error.message}`);
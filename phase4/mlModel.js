@@ -12,7 +12,7 @@
  * FEATURES:
  * 1. Selector reliability scoring (learns which selectors are stable)
  * 2. Failure prediction (predicts which steps will likely fail)
- * 3. Auto-correction suggestion (suggests fixes before calling OpenAI)
+ * 3. Auto-correction suggestion (suggests fixes before calling the LLM)
  * 4. Pattern generalization (applies learnings to new scenarios)
  * 5. Continuous model improvement (updates with each run)
  */
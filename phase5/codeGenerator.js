@@ -2,7 +2,7 @@
  * AIQA Phase 5: Code Generator
  * 
  * PURPOSE:
- * Generates code patches using AI (GPT-4) based on error analysis.
+ * Generates code patches using AI based on error analysis.
  * Creates production-ready fixes with proper context and best practices.
  * 
  * GENERATION STRATEGIES:
@@ -15,18 +15,18 @@
  * CONNECTIONS:
  * - Input: Error analysis from Error Analyzer
  * - Uses: RAG (Phase 4.5) for similar fixes
- * - Uses: OpenAI GPT-4 for code generation
+ * - Uses: Shared LLM provider layer (backend/llm/llmProvider.js) for code generation
  * - Output: Code patches for Patch Applier
  */
 
-import { OpenAI } from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import { createTwoFilesPatch } from 'diff';
+import { createLLMClient } from '../backend/llm/llmProvider.js';
 
 export class CodeGenerator {
   constructor() {
-    this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    this.llm = createLLMClient('phase5');
     this.ragServiceUrl = 'http://localhost:3005';
   }
 
@@ -136,13 +136,9 @@ export class CodeGenerator {
     // Build context for AI
     const contextMessage = this.buildAIContext(analysis, similarFixes);
 
-    // Call GPT-4 to generate patch
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      messages: [
-        {
-          role: 'system',
-          content: `You are an expert software engineer specializing in test automation. 
+    // Ask the configured LLM to generate the patch
+    const response = await this.llm.completeJSON({
+      system: `You are an expert software engineer specializing in test automation. 
           Your task is to fix test code based on error analysis.
           
           Rules:
@@ -165,11 +161,8 @@ export class CodeGenerator {
             ],
             "explanation": "Brief explanation of all changes",
             "confidence": 0.95
-          }`
-        },
-        {
-          role: 'user',
-          content: `
+          }`,
+      prompt: `
 File: ${file}
 
 Error Analysis:
@@ -183,14 +176,14 @@ ${currentContent}
 ${contextMessage}
 
 Please generate a fix for this error. Return only valid JSON.
-          `
-        }
-      ],
+          `,
       temperature: 0.2, // Low temperature for consistent, focused fixes
-      response_format: { type: "json_object" }
+      maxTokens: 4000, // Room for the full fixed file
+      expect: 'object',
+      feature: 'auto_fix'
     });
 
-    const fix = JSON.parse(response.choices[0].message.content);
+    const fix = response.data;
 
     console.log(`   ✓ AI generated ${fix.changes?.length || 0} changes`);
 
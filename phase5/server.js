@@ -406,7 +406,7 @@ app.listen(PORT, () => {
   console.log('║                                                                ║');
   console.log('║  Features:                                                     ║');
   console.log('║   ✅ Intelligent error analysis                                ║');
-  console.log('║   ✅ AI-powered code generation (GPT-4)                        ║');
+  console.log('║   ✅ AI-powered code generation (LLM)                          ║');
   console.log('║   ✅ Safe patch application                                    ║');
   console.log('║   ✅ Automatic rollback on failure                             ║');
   console.log('║   ✅ Learning from RAG history                                 ║');
@@ -18,19 +18,60 @@
  * 
  * TRIGGER TYPES:
  * - Code push to specific branches
+ * - Pull/merge requests (opened, synchronized, merged...) into specific branches
+ * - Tag pushes and releases matching tag patterns (e.g. 'v*')
  * - Scheduled (cron-like)
  * - Manual webhook
  * - On-demand API call
+ * 
+ * EXECUTION:
+ * Suites run through the SuiteRunQueue (runQueue.js) like any other suite run,
+ * so they show up in /api/runs and the live suite status while they execute.
+ * Executions started by a repository event post a pending commit status at
+ * start and the result (with a link to the execution) at the end.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import * as suitesAPI from './testSuitesAPI.js';
+import NotificationService from './notificationService.js';
+import { REPOSITORY_EVENT_TYPES } from './cloudIntegrations.js';
+import { getNextRun, validateSchedule } from './cronSchedule.js';
+
+// Pull request actions that start a run unless conditions.pullRequestActions says otherwise
+const DEFAULT_PR_ACTIONS = ['opened', 'synchronized', 'reopened'];
+
+// Suite test a run result belongs to: dataset rows run as <id>::row-<n>, matrix runs as <id>@<key>
+function suiteTestId(result) {
+  return result.iteration?.testId || result.testId.split('@')[0];
+}
+
+function describeTestResult(test, result) {
+  const failedStep = result.report?.steps?.find(step => step.status === 'failed');
+
+  return {
+    testId: result.testId,
+    testName: result.testName || test.name,
+    status: result.success ? 'passed' : 'failed',
+    // Soft failures (onFailure: warn) don't fail the test
+    softFailures: result.report?.failures?.soft || 0,
+    attempts: result.attempts || 1,
+    duration: result.report?.duration ?? null,
+    error: result.success ? null : (result.error || failedStep?.error || 'Test failed'),
+    reportId: result.reportId || null,
+    artifactsUrl: result.artifactsUrl || null
+  };
+}
 
 export class AutomatedTestTrigger {
-  constructor() {
+  constructor(options = {}) {
     this.triggersPath = './config/triggers';
     this.executionHistoryPath = './config/execution-history';
+    this.runQueue = options.runQueue || null;
+    this.notifier = options.notifier || new NotificationService();
+    this.cloudIntegrations = options.cloudIntegrations || null; // Posts commit statuses
+    this.publicUrl = (options.publicUrl || process.env.AIQA_PUBLIC_URL || 'http://localhost:6969').replace(/\/$/, '');
   }
 
   /**
@@ -63,20 +104,29 @@ export class AutomatedTestTrigger {
       testSuiteIds: config.testSuiteIds || [],
       
       // When to run
-      triggerType: config.triggerType, // 'push', 'schedule', 'webhook', 'manual'
+      triggerType: config.triggerType, // 'push', 'pull_request', 'tag', 'release', 'schedule', 'webhook', 'manual'
       
       // Trigger conditions
       conditions: {
-        // For 'push' type
+        // For 'push', 'pull_request', 'tag' and 'release' types
         cloudProvider: config.conditions?.cloudProvider || null, // 'github', 'gitlab', 'azure', 'aws'
         repository: config.conditions?.repository || null,
-        branches: config.conditions?.branches || ['main', 'master'], // ['main', 'develop', 'feature/*']
+        branches: config.conditions?.branches || ['main', 'master'], // ['main', 'develop', 'feature/*'] (PRs: target branch)
+        
+        // For 'pull_request' type
+        sourceBranches: config.conditions?.sourceBranches || [], // PR source branch filter, e.g. ['feature/*']
+        pullRequestActions: config.conditions?.pullRequestActions || DEFAULT_PR_ACTIONS, // + 'merged', 'closed', 'updated'
+        
+        // For 'tag' and 'release' types
+        tags: config.conditions?.tags || ['*'], // e.g. ['v*']
+        releaseActions: config.conditions?.releaseActions || ['published'],
         
         // For 'schedule' type
         schedule: config.conditions?.schedule || null, // Cron expression: '0 0 * * *'
         timezone: config.conditions?.timezone || 'UTC',
+        catchUp: config.conditions?.catchUp || false, // Run once after downtime if a run was missed
         
-        // For 'webhook' type
+        // For 'webhook' type (and optionally 'push'): deliveries must be signed with this secret
         webhookSecret: config.conditions?.webhookSecret || null,
         
         // Additional filters
@@ -91,18 +141,29 @@ export class AutomatedTestTrigger {
         maxConcurrent: config.execution?.maxConcurrent || 1,
         timeout: config.execution?.timeout || 3600000, // 1 hour default
         retryOnFailure: config.execution?.retryOnFailure || false,
-        maxRetries: config.execution?.maxRetries || 0
+        maxRetries: config.execution?.maxRetries || 0,
+        budget: config.execution?.budget || null // LLM spend cap per suite run { maxCostUsd, maxTokens }
       },
       
       // Notifications
       notifications: {
         onSuccess: config.notifications?.onSuccess || false,
-        onFailure: config.notifications?.onFailure || true,
+        onFailure: config.notifications?.onFailure !== false,
         email: config.notifications?.email || [],
-        slack: config.notifications?.slack || null,
-        webhook: config.notifications?.webhook || null
+        slack: config.notifications?.slack || null, // Slack incoming-webhook URL
+        webhook: config.notifications?.webhook || null, // Generic JSON webhook URL
+        webhookSecret: config.notifications?.webhookSecret || null // Signs the generic webhook (default: NOTIFICATION_WEBHOOK_SECRET)
       },
       
+      // Commit status reporting for push / PR / tag / release executions
+      commitStatus: {
+        enabled: config.commitStatus?.enabled !== false,
+        context: config.commitStatus?.context || null // Default: 'aiqa/<trigger name>'
+      },
+      
+      // Scheduler state for 'schedule' triggers (nextRun, lastRunAt, missedRuns)
+      scheduleState: null,
+      
       // Statistics
       stats: {
         totalRuns: 0,
@@ -116,6 +177,14 @@ export class AutomatedTestTrigger {
     // Validate trigger
     this.validateTrigger(trigger);
 
+    if (trigger.triggerType === 'schedule') {
+      trigger.scheduleState = {
+        expression: trigger.conditions.schedule,
+        timezone: trigger.conditions.timezone,
+        nextRun: getNextRun({ type: 'cron', expression: trigger.conditions.schedule, timezone: trigger.conditions.timezone })
+      };
+    }
+
     // Save trigger
     const filePath = path.join(this.triggersPath, `${trigger.id}.json`);
     await fs.writeFile(filePath, JSON.stringify(trigger, null, 2));
@@ -129,7 +198,7 @@ export class AutomatedTestTrigger {
    * Validate trigger configuration
    */
   validateTrigger(trigger) {
-    const validTypes = ['push', 'schedule', 'webhook', 'manual'];
+    const validTypes = [...REPOSITORY_EVENT_TYPES, 'schedule', 'webhook', 'manual'];
     
     if (!validTypes.includes(trigger.triggerType)) {
       throw new Error(`Invalid trigger type: ${trigger.triggerType}. Must be one of: ${validTypes.join(', ')}`);
@@ -139,13 +208,21 @@ export class AutomatedTestTrigger {
       throw new Error('At least one test suite must be specified');
     }
 
-    if (trigger.triggerType === 'push' && !trigger.conditions.cloudProvider) {
-      throw new Error('Cloud provider must be specified for push triggers');
+    if (REPOSITORY_EVENT_TYPES.includes(trigger.triggerType) && !trigger.conditions.cloudProvider) {
+      throw new Error(`Cloud provider must be specified for ${trigger.triggerType} triggers`);
     }
 
     if (trigger.triggerType === 'schedule' && !trigger.conditions.schedule) {
       throw new Error('Schedule (cron expression) must be specified for scheduled triggers');
     }
+
+    if (trigger.triggerType === 'schedule') {
+      validateSchedule({
+        type: 'cron',
+        expression: trigger.conditions.schedule,
+        timezone: trigger.conditions.timezone || 'UTC'
+      });
+    }
   }
 
   /**
@@ -157,8 +234,8 @@ export class AutomatedTestTrigger {
     }
 
     // Check trigger type matches event
-    if (trigger.triggerType === 'push' && event.type === 'push') {
-      return this.evaluatePushTrigger(trigger, event);
+    if (REPOSITORY_EVENT_TYPES.includes(trigger.triggerType) && event.type === trigger.triggerType) {
+      return this.evaluateRepositoryTrigger(trigger, event);
     } else if (trigger.triggerType === 'schedule' && event.type === 'schedule') {
       return { shouldTrigger: true, reason: 'Scheduled execution' };
     } else if (trigger.triggerType === 'webhook' && event.type === 'webhook') {
@@ -171,11 +248,20 @@ export class AutomatedTestTrigger {
   }
 
   /**
-   * Evaluate push trigger conditions
+   * Evaluate push, pull request, tag and release trigger conditions
+   * 
+   * Events are normalized by cloudIntegrations.js (type, action, branch,
+   * targetBranch, tag, pullRequest).
    */
-  evaluatePushTrigger(trigger, event) {
+  evaluateRepositoryTrigger(trigger, event) {
     const conditions = trigger.conditions;
     
+    // Check authenticity (event.authenticatedBy is set by webhook verification)
+    const authCheck = this.checkWebhookAuthentication(trigger, event);
+    if (!authCheck.shouldTrigger) {
+      return authCheck;
+    }
+    
     // Check provider
     if (conditions.cloudProvider && conditions.cloudProvider !== event.provider) {
       return { shouldTrigger: false, reason: `Provider mismatch (expected ${conditions.cloudProvider})` };
@@ -186,19 +272,54 @@ export class AutomatedTestTrigger {
       return { shouldTrigger: false, reason: 'Repository does not match' };
     }
 
-    // Check branch
-    if (conditions.branches && conditions.branches.length > 0) {
-      const branchMatch = conditions.branches.some(pattern => {
-        if (pattern.includes('*')) {
-          const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-          return regex.test(event.branch);
-        }
-        return pattern === event.branch;
-      });
+    let reason;
 
-      if (!branchMatch) {
+    if (event.type === 'push') {
+      if (event.action === 'deleted') {
+        return { shouldTrigger: false, reason: `Branch '${event.branch}' was deleted` };
+      }
+
+      if (!this.matchesAny(event.branch, conditions.branches)) {
         return { shouldTrigger: false, reason: `Branch '${event.branch}' does not match filters` };
       }
+
+      reason = `Push to ${event.branch} in ${event.repository}`;
+
+    } else if (event.type === 'pull_request') {
+      const actions = conditions.pullRequestActions || DEFAULT_PR_ACTIONS;
+      if (!actions.includes(event.action)) {
+        return { shouldTrigger: false, reason: `Pull request action '${event.action}' not in ${actions.join(', ')}` };
+      }
+
+      // Branch filters match the branch the PR merges into
+      if (!this.matchesAny(event.targetBranch, conditions.branches)) {
+        return { shouldTrigger: false, reason: `Target branch '${event.targetBranch}' does not match filters` };
+      }
+
+      if (!this.matchesAny(event.branch, conditions.sourceBranches)) {
+        return { shouldTrigger: false, reason: `Source branch '${event.branch}' does not match filters` };
+      }
+
+      reason = `Pull request #${event.pullRequest?.number} ${event.action}: ${event.branch} → ${event.targetBranch} in ${event.repository}`;
+
+    } else {
+      // tag / release
+      if (event.type === 'tag' && event.action === 'deleted') {
+        return { shouldTrigger: false, reason: `Tag '${event.tag}' was deleted` };
+      }
+
+      if (event.type === 'release') {
+        const actions = conditions.releaseActions || ['published'];
+        if (!actions.includes(event.action)) {
+          return { shouldTrigger: false, reason: `Release action '${event.action}' not in ${actions.join(', ')}` };
+        }
+      }
+
+      if (!this.matchesAny(event.tag, conditions.tags)) {
+        return { shouldTrigger: false, reason: `Tag '${event.tag}' does not match patterns` };
+      }
+
+      reason = `${event.type === 'tag' ? 'Tag' : 'Release'} ${event.tag} in ${event.repository}`;
     }
 
     // Check file patterns (if provided in event)
@@ -233,7 +354,7 @@ export class AutomatedTestTrigger {
 
     return { 
       shouldTrigger: true, 
-      reason: `Push to ${event.branch} in ${event.repository}` 
+      reason
     };
   }
 
@@ -241,16 +362,42 @@ export class AutomatedTestTrigger {
    * Evaluate webhook trigger
    */
   evaluateWebhookTrigger(trigger, event) {
-    // Validate webhook secret if configured
-    if (trigger.conditions.webhookSecret) {
-      if (event.secret !== trigger.conditions.webhookSecret) {
-        return { shouldTrigger: false, reason: 'Invalid webhook secret' };
-      }
+    if (!event.authenticatedBy) {
+      return { shouldTrigger: false, reason: 'Webhook delivery was not verified' };
+    }
+
+    const authCheck = this.checkWebhookAuthentication(trigger, event);
+    if (!authCheck.shouldTrigger) {
+      return authCheck;
     }
 
     return { shouldTrigger: true, reason: 'Webhook triggered' };
   }
 
+  /**
+   * Check that a webhook event was signed with a secret this trigger trusts
+   * 
+   * - Trigger has its own webhookSecret: the delivery must match it
+   * - Otherwise: the delivery must match the integration secret
+   *   (or unsigned webhooks are explicitly allowed)
+   * Events that did not come through a webhook (no authenticatedBy) pass.
+   */
+  checkWebhookAuthentication(trigger, event) {
+    if (!event.authenticatedBy || event.unsigned) {
+      return { shouldTrigger: true };
+    }
+
+    if (trigger.conditions.webhookSecret) {
+      return event.authenticatedBy.includes(trigger.id)
+        ? { shouldTrigger: true }
+        : { shouldTrigger: false, reason: 'Delivery not signed with this trigger\'s webhook secret' };
+    }
+
+    return event.authenticatedBy.includes('integration')
+      ? { shouldTrigger: true }
+      : { shouldTrigger: false, reason: 'Delivery not signed with the integration webhook secret' };
+  }
+
   /**
    * Execute trigger (run test suites)
    */
@@ -274,30 +421,41 @@ export class AutomatedTestTrigger {
       errors: []
     };
 
+    // Record the execution up front so history shows it while suites run
+    await this.saveExecutionHistory(execution);
+
+    await this.reportCommitStatus(trigger, execution, 'pending');
+
     try {
       // Execute each test suite
       for (const suiteId of trigger.testSuiteIds) {
         console.log(`   📋 Running test suite: ${suiteId}`);
         
-        const suiteResult = await this.executeTestSuite(suiteId, trigger.execution);
+        const suiteResult = await this.executeTestSuite(suiteId, trigger.execution, {
+          triggerId: trigger.id,
+          executionId
+        });
         execution.results.push(suiteResult);
         
-        console.log(`      ${suiteResult.status === 'passed' ? '✅' : '❌'} ${suiteResult.status.toUpperCase()}`);
+        console.log(`      ${suiteResult.status === 'passed' ? '✅' : '❌'} ${suiteResult.status.toUpperCase()} (${suiteResult.passedTests}/${suiteResult.totalTests} passed)`);
       }
 
       // Determine overall status
-      const hasFailures = execution.results.some(r => r.status === 'failed');
+      const hasFailures = execution.results.some(r => r.status !== 'passed');
       execution.status = hasFailures ? 'failed' : 'passed';
       execution.endTime = new Date().toISOString();
 
       // Update trigger stats
       await this.updateTriggerStats(trigger.id, execution.status);
 
+      await this.reportCommitStatus(trigger, execution, execution.status === 'passed' ? 'success' : 'failure');
+
       // Save execution history
       await this.saveExecutionHistory(execution);
 
-      // Send notifications
+      // Send notifications (delivery log is stored with the execution)
       await this.sendNotifications(trigger, execution);
+      await this.saveExecutionHistory(execution);
 
       console.log(`\n✅ Trigger execution complete: ${execution.status.toUpperCase()}`);
 
@@ -309,6 +467,8 @@ export class AutomatedTestTrigger {
       execution.errors.push(error.message);
 
       await this.updateTriggerStats(trigger.id, 'failed');
+      await this.reportCommitStatus(trigger, execution, 'error');
+      await this.sendNotifications(trigger, execution);
       await this.saveExecutionHistory(execution);
 
       console.error(`❌ Trigger execution failed: ${error.message}`);
@@ -318,22 +478,161 @@ export class AutomatedTestTrigger {
 
   /**
    * Execute a single test suite
-   * (This would call the actual test execution engine)
+   * 
+   * Queues the suite on the run queue with the trigger's execution settings
+   * and waits for it to finish. A suite only passes if every enabled test ran
+   * and passed - missing suites, timeouts and skipped tests count as failures.
+   * 
+   * @param {string} suiteId - Suite to run
+   * @param {Object} executionSettings - trigger.execution
+   * @param {Object} context - { triggerId, executionId }
+   * @returns {Promise<Object>} Suite result with per-test results
    */
-  async executeTestSuite(suiteId, executionSettings) {
-    // In production, this would call the Phase 2 test executor
-    // For now, return a mock result
-    
-    return {
+  async executeTestSuite(suiteId, executionSettings = {}, context = {}) {
+    const startTime = new Date();
+
+    const suiteResult = {
       suiteId: suiteId,
-      startTime: new Date().toISOString(),
-      endTime: new Date().toISOString(),
-      status: 'passed', // or 'failed'
+      suiteName: null,
+      runId: null,
+      startTime: startTime.toISOString(),
+      endTime: null,
+      status: 'failed',
       totalTests: 0,
       passedTests: 0,
       failedTests: 0,
-      duration: 0
+      skippedTests: 0,
+      warningTests: 0,
+      duration: 0,
+      error: null,
+      tests: []
     };
+
+    const finish = () => {
+      const endTime = new Date();
+      suiteResult.endTime = endTime.toISOString();
+      suiteResult.duration = endTime - startTime;
+      return suiteResult;
+    };
+
+    if (!this.runQueue) {
+      suiteResult.error = 'Run queue not configured';
+      return finish();
+    }
+
+    const suite = await suitesAPI.getSuite(suiteId);
+    if (!suite) {
+      suiteResult.error = 'Suite not found';
+      return finish();
+    }
+
+    suiteResult.suiteName = suite.name;
+
+    const enabledTests = suite.tests.filter(test => test.enabled !== false);
+    if (enabledTests.length === 0) {
+      // WHY: Push triggers gate merges - an empty suite must not report green
+      suiteResult.error = 'Suite has no enabled tests';
+      return finish();
+    }
+
+    const queuedRun = await this.runQueue.enqueue(suiteId, {
+      mode: executionSettings.parallel ? 'parallel' : 'sequential',
+      maxConcurrent: executionSettings.maxConcurrent,
+      timeout: executionSettings.timeout,
+      retryOnFailure: executionSettings.retryOnFailure,
+      maxRetries: executionSettings.maxRetries,
+      budget: executionSettings.budget,
+      continueOnFailure: true,
+      executionOptions: { headless: true }
+    }, {
+      source: 'trigger',
+      triggeredBy: context.triggerId ? `${context.triggerId}:${context.executionId}` : null
+    });
+
+    suiteResult.runId = queuedRun.id;
+
+    const run = await this.runQueue.waitForRun(queuedRun.id);
+    // WHY: Dataset rows and matrix combinations are separate results of one suite test
+    const resultsByTest = new Map();
+    for (const result of run.results) {
+      const testId = suiteTestId(result);
+      resultsByTest.set(testId, [...(resultsByTest.get(testId) || []), result]);
+    }
+
+    suiteResult.tests = enabledTests.flatMap(test => {
+      const results = resultsByTest.get(test.id);
+
+      if (!results) {
+        return [{ testId: test.id, testName: test.name, status: 'skipped', error: null }];
+      }
+
+      return results.map(result => describeTestResult(test, result));
+    });
+
+    suiteResult.totalTests = suiteResult.tests.length;
+    suiteResult.passedTests = suiteResult.tests.filter(t => t.status === 'passed').length;
+    suiteResult.failedTests = suiteResult.tests.filter(t => t.status === 'failed').length;
+    suiteResult.skippedTests = suiteResult.tests.filter(t => t.status === 'skipped').length;
+    suiteResult.warningTests = suiteResult.tests.filter(t => t.status === 'passed' && t.softFailures > 0).length;
+    suiteResult.error = run.error || (run.status === 'cancelled' ? 'Run cancelled' : null);
+    suiteResult.llmUsage = run.llmUsage || null;
+    suiteResult.status = run.status === 'completed' && suiteResult.passedTests === suiteResult.totalTests
+      ? 'passed'
+      : 'failed';
+
+    return finish();
+  }
+
+  /**
+   * Post a commit status for executions started by a repository event
+   * 
+   * Results are recorded on execution.commitStatuses. Never throws - a Git
+   * provider outage must not fail the test run.
+   * 
+   * @param {string} state - 'pending' | 'success' | 'failure' | 'error'
+   */
+  async reportCommitStatus(trigger, execution, state) {
+    const event = execution.event || {};
+
+    if (!this.cloudIntegrations || trigger.commitStatus?.enabled === false || !event.provider || !event.commit) {
+      return;
+    }
+
+    const totals = execution.results.reduce((sum, r) => ({
+      total: sum.total + (r.totalTests || 0),
+      passed: sum.passed + (r.passedTests || 0)
+    }), { total: 0, passed: 0 });
+
+    const descriptions = {
+      pending: `Running ${execution.testSuiteIds.length} test suite(s)...`,
+      success: `All ${totals.total} tests passed`,
+      failure: `${totals.passed}/${totals.total} tests passed${execution.results.find(r => r.error)?.error ? ` - ${execution.results.find(r => r.error).error}` : ''}`,
+      error: `Execution error: ${execution.errors[0] || 'unknown'}`
+    };
+
+    let result;
+    try {
+      result = await this.cloudIntegrations.reportCommitStatus(event.provider, event, {
+        state,
+        description: descriptions[state],
+        targetUrl: this.getExecutionUrl(execution.id),
+        context: trigger.commitStatus?.context || `aiqa/${trigger.name}`
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    execution.commitStatuses = [
+      ...(execution.commitStatuses || []),
+      { state, at: new Date().toISOString(), ...result }
+    ];
+  }
+
+  /**
+   * Link to an execution summary (used as the commit status target URL)
+   */
+  getExecutionUrl(executionId) {
+    return `${this.publicUrl}/api/triggers/executions/${executionId}`;
   }
 
   /**
@@ -358,6 +657,18 @@ export class AutomatedTestTrigger {
     await fs.writeFile(filePath, JSON.stringify(trigger, null, 2));
   }
 
+  /**
+   * Save scheduler state for a 'schedule' trigger
+   * (does not touch updatedAt - this is bookkeeping, not a user edit)
+   */
+  async saveScheduleState(triggerId, scheduleState) {
+    const trigger = await this.getTrigger(triggerId);
+    trigger.scheduleState = scheduleState;
+
+    const filePath = path.join(this.triggersPath, `${triggerId}.json`);
+    await fs.writeFile(filePath, JSON.stringify(trigger, null, 2));
+  }
+
   /**
    * Save execution history
    */
@@ -368,9 +679,13 @@ export class AutomatedTestTrigger {
 
   /**
    * Send notifications
+   * 
+   * Delivers to every configured channel (see notificationService.js) and
+   * records the delivery log on execution.notifications. Never throws -
+   * a broken Slack hook must not fail the execution.
    */
   async sendNotifications(trigger, execution) {
-    const notifications = trigger.notifications;
+    const notifications = trigger.notifications || {};
     
     const shouldNotify = 
       (execution.status === 'passed' && notifications.onSuccess) ||
@@ -382,22 +697,11 @@ export class AutomatedTestTrigger {
 
     console.log(`   📧 Sending notifications...`);
 
-    // Email notifications
-    if (notifications.email && notifications.email.length > 0) {
-      // In production, send actual emails
-      console.log(`      Email: ${notifications.email.join(', ')}`);
-    }
-
-    // Slack notifications
-    if (notifications.slack) {
-      // In production, call Slack webhook
-      console.log(`      Slack: ${notifications.slack}`);
-    }
-
-    // Custom webhook
-    if (notifications.webhook) {
-      // In production, POST to webhook
-      console.log(`      Webhook: ${notifications.webhook}`);
+    try {
+      execution.notifications = await this.notifier.deliver(trigger, execution);
+    } catch (error) {
+      console.error(`   ❌ Notification delivery error: ${error.message}`);
+      execution.notifications = [{ channel: 'all', status: 'failed', error: error.message }];
     }
   }
 
@@ -467,6 +771,15 @@ export class AutomatedTestTrigger {
     return { success: true };
   }
 
+  /**
+   * Get a single execution
+   */
+  async getExecution(executionId) {
+    const filePath = path.join(this.executionHistoryPath, `${path.basename(executionId)}.json`);
+    const content = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(content);
+  }
+
   /**
    * Get execution history
    */
@@ -502,6 +815,17 @@ export class AutomatedTestTrigger {
     return executions;
   }
 
+  /**
+   * Helper: Match a branch/tag name against patterns (empty list matches everything)
+   */
+  matchesAny(value, patterns) {
+    if (!patterns || patterns.length === 0) {
+      return true;
+    }
+
+    return patterns.some(pattern => this.matchPattern(value || '', pattern));
+  }
+
   /**
    * Helper: Match file pattern
    */
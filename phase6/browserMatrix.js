@@ -0,0 +1,119 @@
+/**
+ * Browser Matrix - Run a suite across browsers and devices
+ *
+ * PURPOSE:
+ * One suite run fans every test out over a list of browser/device
+ * combinations, so "works in Chrome, broken in Safari on iPhone" shows up in
+ * a single run with results grouped per combination.
+ *
+ * MATRIX FORMATS (run option "matrix"):
+ * - Axes (cartesian product):
+ *   { "browsers": ["chromium", "firefox"], "devices": [null, "iPhone 15"], "locale": "de-DE" }
+ *   Other keys (viewport, locale, timezone, geolocation, colorScheme, userAgent) apply to every combination.
+ *   Combinations Playwright can't run (a mobile device in Firefox) are skipped.
+ * - Explicit list:
+ *   [{ "browser": "webkit", "device": "iPhone 15" }, { "browser": "firefox", "viewport": "1920x1080" }]
+ *
+ * FEATURES:
+ * - Stable combination keys ("webkit-iphone-15") and labels ("webkit · iPhone 15")
+ * - Test IDs per combination (<testId>@<key>) so a single combination can be re-run
+ *
+ * CONNECTIONS:
+ * - Uses: phase2/browserEnvironment.js (validates browsers, devices and options)
+ * - Used by: runQueue.js (expands tests per run)
+ */
+
+import { resolveEnvironment, ENVIRONMENT_OPTIONS } from '../phase2/browserEnvironment.js';
+
+const COMBINATION_SEPARATOR = '@';
+
+// WHY: A matrix multiplies run time; keep typos like 10 browsers x 20 devices out
+const MAX_COMBINATIONS = 25;
+
+/**
+ * Combinations of a matrix definition
+ *
+ * @param {Object|Array} matrix - Axes object or explicit list (see header)
+ * @returns {Array<Object>} [{ key, label, options }] (options: Phase 2 execution options)
+ * @throws {Error} - Unknown browser/device, invalid options, empty or oversized matrix
+ */
+export function expandMatrix(matrix) {
+  let combinations;
+  let skipUnsupported = false;
+
+  if (Array.isArray(matrix)) {
+    combinations = matrix;
+  } else if (matrix && typeof matrix === 'object') {
+    const { browsers, devices, ...shared } = matrix;
+    const browserAxis = Array.isArray(browsers) && browsers.length > 0 ? browsers : [null];
+    const deviceAxis = Array.isArray(devices) && devices.length > 0 ? devices : [null];
+
+    combinations = browserAxis.flatMap(browser => deviceAxis.map(device => ({ ...shared, browser, device })));
+    skipUnsupported = browserAxis.length > 1 && deviceAxis.length > 1;
+  } else {
+    throw new Error('Matrix must be { browsers, devices, ... } or a list of combinations');
+  }
+
+  const expanded = [];
+  for (const combination of combinations) {
+    const options = Object.fromEntries(
+      ENVIRONMENT_OPTIONS.filter(name => combination?.[name] != null && combination[name] !== '').map(name => [name, combination[name]])
+    );
+
+    let environment;
+    try {
+      environment = resolveEnvironment(options);
+    } catch (error) {
+      // A product of axes may pair Firefox with a phone; an explicit list may not
+      if (skipUnsupported && /cannot emulate/.test(error.message)) {
+        continue;
+      }
+      throw new Error(`Matrix combination ${JSON.stringify(combination)}: ${error.message}`);
+    }
+
+    const { summary } = environment;
+    const label = [summary.browser, summary.device, describeExtras(options)].filter(Boolean).join(' · ');
+    const key = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+    if (!expanded.some(existing => existing.key === key)) {
+      expanded.push({ key, label, options: { ...options, browser: summary.browser, ...(summary.device ? { device: summary.device } : {}) } });
+    }
+  }
+
+  if (expanded.length === 0) {
+    throw new Error('Matrix has no runnable combinations');
+  }
+  if (expanded.length > MAX_COMBINATIONS) {
+    throw new Error(`Matrix has ${expanded.length} combinations (max ${MAX_COMBINATIONS})`);
+  }
+
+  return expanded;
+}
+
+/**
+ * "1920x1080 · de-DE · dark" for the options that tell combinations apart
+ */
+function describeExtras(options) {
+  const viewport = options.viewport && (typeof options.viewport === 'string'
+    ? options.viewport
+    : `${options.viewport.width}x${options.viewport.height}`);
+
+  return [viewport, options.locale, options.timezone, options.colorScheme].filter(Boolean).join(' · ');
+}
+
+/**
+ * One test per combination
+ *
+ * @param {Array<Object>} tests - Tests (dataset iterations already expanded)
+ * @param {Array<Object>} combinations - expandMatrix() output
+ */
+export function applyMatrix(tests, combinations) {
+  return tests.flatMap(test => combinations.map(combination => ({
+    ...test,
+    id: `${test.id}${COMBINATION_SEPARATOR}${combination.key}`,
+    name: `${test.name} (${combination.label})`,
+    environment: { testId: test.id, key: combination.key, label: combination.label, options: combination.options }
+  })));
+}
+
+export default expandMatrix;
@@ -15,16 +15,31 @@
  * - GitLab integration (repos, CI/CD)
  * - AWS integration (CodeCommit, CodePipeline, Lambda)
  * - Webhook management for automated triggers
+ * - Webhook authentication (signatures, replay protection, audit) via webhookSecurity.js
+ * - Commit status reporting (GitHub statuses, GitLab commit status,
+ *   Bitbucket build status, Azure DevOps commit status)
  * - Secure credential storage
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import WebhookSecurity from './webhookSecurity.js';
+
+// Normalized event types that can start test runs
+export const REPOSITORY_EVENT_TYPES = ['push', 'pull_request', 'tag', 'release'];
+
+/**
+ * Strip refs/heads/ or refs/tags/ from a git ref
+ */
+function shortRef(ref) {
+  return (ref || '').replace(/^refs\/(heads|tags)\//, '');
+}
 
 export class CloudIntegrationsManager {
-  constructor() {
+  constructor(options = {}) {
     this.configurationsPath = './config/integrations';
+    this.webhookSecurity = options.webhookSecurity || new WebhookSecurity();
     this.encryptionKey = process.env.ENCRYPTION_KEY || 'default-key-change-in-production';
     
     this.supportedIntegrations = {
@@ -173,15 +188,60 @@ export class CloudIntegrationsManager {
 
   /**
    * Handle webhook from cloud provider
+   * 
+   * Deliveries must be signed with the integration's webhookSecret (stored
+   * encrypted with the credentials) or with the webhookSecret of a push
+   * trigger for this provider. Unsigned, badly signed and replayed deliveries
+   * are rejected and recorded for auditing.
+   * 
+   * @param {string} provider - Provider key
+   * @param {Object} payload - Parsed JSON body
+   * @param {Object} headers - Request headers
+   * @param {Object} context - { rawBody, ip, triggerSecrets: [{ id, secret }] }
+   * @returns {Object} { rejected, reason } or { triggerRegression, event }
    */
-  async handleWebhook(provider, payload, headers) {
+  async handleWebhook(provider, payload, headers, context = {}) {
     console.log(`📥 Webhook received from ${provider}`);
 
+    const rawBody = context.rawBody ?? JSON.stringify(payload);
+    const deliveryId = this.webhookSecurity.getDeliveryId(provider, headers, payload, rawBody);
+
+    const reject = async (reason) => {
+      await this.webhookSecurity.recordRejection({
+        source: `provider:${provider}`,
+        provider,
+        deliveryId,
+        reason,
+        ip: context.ip,
+        headers,
+        event: headers['x-github-event'] || headers['x-gitlab-event'] || headers['x-event-key'] || payload?.eventType || null
+      });
+      return { rejected: true, reason, triggerRegression: false };
+    };
+
     // Get integration configuration
     const config = await this.getIntegration(provider);
     
     if (!config.isConfigured || !config.enabled) {
-      throw new Error(`${provider} integration is not configured or disabled`);
+      return reject(`${provider} integration is not configured or disabled`);
+    }
+
+    // Verify authenticity before looking at the payload
+    const verification = this.webhookSecurity.verifySignature(provider, { rawBody, headers }, [
+      {
+        id: 'integration',
+        secret: config.credentials.webhookSecret || null,
+        username: config.credentials.webhookUsername || null
+      },
+      ...(context.triggerSecrets || [])
+    ]);
+
+    if (!verification.valid) {
+      return reject(verification.reason);
+    }
+
+    if (!(await this.webhookSecurity.registerDelivery(provider, deliveryId))) {
+      return reject(`Duplicate delivery ${deliveryId} (replay)`);
     }
 
     // Parse webhook based on provider
@@ -207,13 +267,21 @@ export class CloudIntegrationsManager {
         throw new Error(`Webhook handler not implemented for ${provider}`);
     }
 
-    console.log(`   Event Type: ${event.type}`);
-    console.log(`   Branch: ${event.branch}`);
+    event.deliveryId = deliveryId;
+    event.authenticatedBy = verification.matched; // 'integration' and/or trigger IDs whose secret matched
+    event.unsigned = verification.unsigned || false;
+
+    console.log(`   Event Type: ${event.type}${event.action ? ` (${event.action})` : ''}`);
+    console.log(`   ${event.tag ? `Tag: ${event.tag}` : `Branch: ${event.branch}${event.targetBranch ? ` → ${event.targetBranch}` : ''}`}`);
     console.log(`   Repository: ${event.repository}`);
 
     // Check if we should trigger regression
-    if (event.type === 'push' && config.autoTriggerRegression) {
-      if (this.shouldTriggerRegression(event.branch, config.branchFilters)) {
+    // Branch filters apply to the pushed branch, or the target branch of a PR; tags are filtered per trigger
+    if (REPOSITORY_EVENT_TYPES.includes(event.type) && config.autoTriggerRegression) {
+      const filterBranch = event.type === 'pull_request' ? event.targetBranch : event.branch;
+      const branchless = event.type === 'tag' || event.type === 'release';
+
+      if (branchless || this.shouldTriggerRegression(filterBranch, config.branchFilters)) {
         console.log(`   🚀 Triggering automated regression...`);
         return {
           triggerRegression: true,
@@ -256,48 +324,234 @@ export class CloudIntegrationsManager {
   }
 
   // ========== Webhook Parsers ==========
+  //
+  // All parsers return the same normalized event:
+  // {
+  //   type:         'push' | 'pull_request' | 'tag' | 'release' | <provider event name>
+  //   action:       push/tag: 'created' | 'deleted'
+  //                 pull_request: 'opened' | 'synchronized' | 'reopened' | 'merged' | 'closed' | 'updated'
+  //                 release: 'published' | 'created' | 'updated' | ...
+  //   provider, repository,
+  //   branch:       pushed branch, or the PR source branch
+  //   targetBranch: PR target branch (null otherwise)
+  //   tag:          tag name for tag/release events (null otherwise)
+  //   pullRequest:  { number, title, url, sourceBranch, targetBranch } (null otherwise)
+  //   commit, author, message, timestamp
+  // }
 
-  parseGitHubWebhook(payload, headers) {
-    const event = headers['x-github-event'] || 'unknown';
-    
+  /**
+   * Build a normalized event with defaults
+   */
+  normalizeEvent(fields) {
     return {
-      type: event,
-      provider: 'github',
-      repository: payload.repository?.full_name || '',
-      branch: payload.ref?.replace('refs/heads/', '') || '',
-      commit: payload.head_commit?.id || '',
-      author: payload.head_commit?.author?.name || '',
-      message: payload.head_commit?.message || '',
-      timestamp: payload.head_commit?.timestamp || new Date().toISOString()
+      type: 'unknown',
+      action: null,
+      provider: null,
+      repository: '',
+      branch: '',
+      targetBranch: null,
+      tag: null,
+      pullRequest: null,
+      commit: '',
+      author: '',
+      message: '',
+      timestamp: new Date().toISOString(),
+      ...fields
     };
   }
 
+  parseGitHubWebhook(payload, headers) {
+    const event = headers['x-github-event'] || 'unknown';
+    const repository = payload.repository?.full_name || '';
+
+    if (event === 'pull_request') {
+      const pr = payload.pull_request || {};
+      const merged = payload.action === 'closed' && pr.merged;
+      const actions = { opened: 'opened', synchronize: 'synchronized', reopened: 'reopened', closed: 'closed' };
+
+      return this.normalizeEvent({
+        type: 'pull_request',
+        action: merged ? 'merged' : (actions[payload.action] || payload.action),
+        provider: 'github',
+        repository,
+        branch: pr.head?.ref || '',
+        targetBranch: pr.base?.ref || '',
+        pullRequest: {
+          number: pr.number,
+          title: pr.title || '',
+          url: pr.html_url || '',
+          sourceBranch: pr.head?.ref || '',
+          targetBranch: pr.base?.ref || ''
+        },
+        commit: (merged ? pr.merge_commit_sha : pr.head?.sha) || '',
+        author: pr.user?.login || payload.sender?.login || '',
+        message: pr.title || '',
+        timestamp: pr.updated_at || new Date().toISOString()
+      });
+    }
+
+    if (event === 'release') {
+      const release = payload.release || {};
+
+      return this.normalizeEvent({
+        type: 'release',
+        action: payload.action || null,
+        provider: 'github',
+        repository,
+        tag: release.tag_name || '',
+        commit: release.target_commitish || '',
+        author: release.author?.login || '',
+        message: release.name || release.tag_name || '',
+        timestamp: release.published_at || release.created_at || new Date().toISOString()
+      });
+    }
+
+    if (event === 'push') {
+      const isTag = (payload.ref || '').startsWith('refs/tags/');
+
+      return this.normalizeEvent({
+        type: isTag ? 'tag' : 'push',
+        action: payload.deleted ? 'deleted' : 'created',
+        provider: 'github',
+        repository,
+        branch: isTag ? '' : shortRef(payload.ref),
+        tag: isTag ? shortRef(payload.ref) : null,
+        commit: payload.head_commit?.id || payload.after || '',
+        author: payload.head_commit?.author?.name || payload.pusher?.name || '',
+        message: payload.head_commit?.message || '',
+        timestamp: payload.head_commit?.timestamp || new Date().toISOString()
+      });
+    }
+
+    return this.normalizeEvent({ type: event, provider: 'github', repository });
+  }
+
   parseGitLabWebhook(payload, headers) {
-    const event = headers['x-gitlab-event'] || 'unknown';
-    
-    return {
-      type: event.toLowerCase().replace(' hook', ''),
-      provider: 'gitlab',
-      repository: payload.project?.path_with_namespace || '',
-      branch: payload.ref?.replace('refs/heads/', '') || '',
-      commit: payload.checkout_sha || '',
-      author: payload.user_name || '',
-      message: payload.commits?.[0]?.message || '',
-      timestamp: payload.commits?.[0]?.timestamp || new Date().toISOString()
-    };
+    const event = (headers['x-gitlab-event'] || 'unknown').toLowerCase().replace(' hook', '');
+    const repository = payload.project?.path_with_namespace || '';
+
+    if (event === 'merge request') {
+      const mr = payload.object_attributes || {};
+      // 'update' without oldrev is a title/label edit, not new commits
+      const actions = { open: 'opened', reopen: 'reopened', merge: 'merged', close: 'closed' };
+      const action = mr.action === 'update'
+        ? (mr.oldrev ? 'synchronized' : 'updated')
+        : (actions[mr.action] || mr.action || null);
+
+      return this.normalizeEvent({
+        type: 'pull_request',
+        action,
+        provider: 'gitlab',
+        repository,
+        branch: mr.source_branch || '',
+        targetBranch: mr.target_branch || '',
+        pullRequest: {
+          number: mr.iid,
+          title: mr.title || '',
+          url: mr.url || '',
+          sourceBranch: mr.source_branch || '',
+          targetBranch: mr.target_branch || ''
+        },
+        commit: (action === 'merged' ? mr.merge_commit_sha : mr.last_commit?.id) || mr.last_commit?.id || '',
+        author: payload.user?.username || payload.user?.name || '',
+        message: mr.title || '',
+        timestamp: mr.updated_at || new Date().toISOString()
+      });
+    }
+
+    if (event === 'release') {
+      return this.normalizeEvent({
+        type: 'release',
+        action: payload.action === 'create' ? 'published' : (payload.action || null),
+        provider: 'gitlab',
+        repository,
+        tag: payload.tag || '',
+        commit: payload.commit?.id || '',
+        message: payload.name || payload.tag || '',
+        timestamp: payload.released_at || payload.created_at || new Date().toISOString()
+      });
+    }
+
+    if (event === 'push' || event === 'tag push') {
+      const isTag = event === 'tag push';
+      // GitLab sends checkout_sha null (and after = 000...) when a ref is deleted
+      const deleted = !payload.checkout_sha && /^0+$/.test(payload.after || '');
+
+      return this.normalizeEvent({
+        type: isTag ? 'tag' : 'push',
+        action: deleted ? 'deleted' : 'created',
+        provider: 'gitlab',
+        repository,
+        branch: isTag ? '' : shortRef(payload.ref),
+        tag: isTag ? shortRef(payload.ref) : null,
+        commit: payload.checkout_sha || '',
+        author: payload.user_name || '',
+        message: payload.message || payload.commits?.[0]?.message || '',
+        timestamp: payload.commits?.[0]?.timestamp || new Date().toISOString()
+      });
+    }
+
+    return this.normalizeEvent({ type: event, provider: 'gitlab', repository });
   }
 
   parseAzureWebhook(payload, headers) {
-    return {
-      type: payload.eventType || 'unknown',
-      provider: 'azure',
-      repository: payload.resource?.repository?.name || '',
-      branch: payload.resource?.refUpdates?.[0]?.name?.replace('refs/heads/', '') || '',
-      commit: payload.resource?.refUpdates?.[0]?.newObjectId || '',
-      author: payload.resource?.pushedBy?.displayName || '',
-      message: 'Azure DevOps push',
-      timestamp: payload.createdDate || new Date().toISOString()
-    };
+    const eventType = payload.eventType || 'unknown';
+    const resource = payload.resource || {};
+    const repository = resource.repository?.name || '';
+
+    if (eventType.startsWith('git.pullrequest.')) {
+      let action;
+      if (eventType === 'git.pullrequest.created') {
+        action = 'opened';
+      } else if (resource.status === 'completed' || (eventType === 'git.pullrequest.merged' && resource.mergeStatus === 'succeeded')) {
+        action = 'merged';
+      } else if (resource.status === 'abandoned') {
+        action = 'closed';
+      } else {
+        // WHY: 'updated' fires for source pushes and for edits; Azure only tells them apart in the message text
+        action = /source branch/i.test(payload.message?.text || '') ? 'synchronized' : 'updated';
+      }
+
+      return this.normalizeEvent({
+        type: 'pull_request',
+        action,
+        provider: 'azure',
+        repository,
+        branch: shortRef(resource.sourceRefName),
+        targetBranch: shortRef(resource.targetRefName),
+        pullRequest: {
+          number: resource.pullRequestId,
+          title: resource.title || '',
+          url: resource._links?.web?.href || resource.url || '',
+          sourceBranch: shortRef(resource.sourceRefName),
+          targetBranch: shortRef(resource.targetRefName)
+        },
+        commit: (action === 'merged' ? resource.lastMergeCommit?.commitId : resource.lastMergeSourceCommit?.commitId) || '',
+        author: resource.createdBy?.displayName || '',
+        message: resource.title || '',
+        timestamp: payload.createdDate || new Date().toISOString()
+      });
+    }
+
+    if (eventType === 'git.push') {
+      const refUpdate = resource.refUpdates?.[0] || {};
+      const isTag = (refUpdate.name || '').startsWith('refs/tags/');
+
+      return this.normalizeEvent({
+        type: isTag ? 'tag' : 'push',
+        action: /^0+$/.test(refUpdate.newObjectId || '') ? 'deleted' : 'created',
+        provider: 'azure',
+        repository,
+        branch: isTag ? '' : shortRef(refUpdate.name),
+        tag: isTag ? shortRef(refUpdate.name) : null,
+        commit: refUpdate.newObjectId || '',
+        author: resource.pushedBy?.displayName || '',
+        message: resource.commits?.[0]?.comment || 'Azure DevOps push',
+        timestamp: payload.createdDate || new Date().toISOString()
+      });
+    }
+
+    return this.normalizeEvent({ type: eventType, provider: 'azure', repository });
   }
 
   parseAWSWebhook(payload, headers) {
@@ -305,32 +559,78 @@ export class CloudIntegrationsManager {
     const message = typeof payload.Message === 'string' 
       ? JSON.parse(payload.Message) 
       : payload.Message;
+    const reference = message.detail?.referenceName || '';
+    const isTag = message.detail?.referenceType === 'tag';
     
-    return {
-      type: 'push',
+    return this.normalizeEvent({
+      type: isTag ? 'tag' : 'push',
+      action: message.detail?.event === 'referenceDeleted' ? 'deleted' : 'created',
       provider: 'aws',
       repository: message.detail?.repositoryName || '',
-      branch: message.detail?.referenceName || '',
+      branch: isTag ? '' : reference,
+      tag: isTag ? reference : null,
       commit: message.detail?.commitId || '',
       author: message.detail?.callerUserArn || '',
       message: 'AWS CodeCommit push',
       timestamp: message.time || new Date().toISOString()
-    };
+    });
   }
 
   parseBitbucketWebhook(payload, headers) {
     const event = headers['x-event-key'] || 'unknown';
-    
-    return {
-      type: event.includes('push') ? 'push' : event,
-      provider: 'bitbucket',
-      repository: payload.repository?.full_name || '',
-      branch: payload.push?.changes?.[0]?.new?.name || '',
-      commit: payload.push?.changes?.[0]?.new?.target?.hash || '',
-      author: payload.actor?.display_name || '',
-      message: payload.push?.changes?.[0]?.new?.target?.message || '',
-      timestamp: payload.push?.changes?.[0]?.new?.target?.date || new Date().toISOString()
-    };
+    const repository = payload.repository?.full_name || '';
+
+    if (event.startsWith('pullrequest:')) {
+      const pr = payload.pullrequest || {};
+      const actions = {
+        'pullrequest:created': 'opened',
+        // WHY: Bitbucket has no separate "new commits" event; updated covers both
+        'pullrequest:updated': 'synchronized',
+        'pullrequest:fulfilled': 'merged',
+        'pullrequest:rejected': 'closed'
+      };
+
+      return this.normalizeEvent({
+        type: 'pull_request',
+        action: actions[event] || event.replace('pullrequest:', ''),
+        provider: 'bitbucket',
+        repository,
+        branch: pr.source?.branch?.name || '',
+        targetBranch: pr.destination?.branch?.name || '',
+        pullRequest: {
+          number: pr.id,
+          title: pr.title || '',
+          url: pr.links?.html?.href || '',
+          sourceBranch: pr.source?.branch?.name || '',
+          targetBranch: pr.destination?.branch?.name || ''
+        },
+        commit: (event === 'pullrequest:fulfilled' ? pr.merge_commit?.hash : pr.source?.commit?.hash) || '',
+        author: pr.author?.display_name || payload.actor?.display_name || '',
+        message: pr.title || '',
+        timestamp: pr.updated_on || new Date().toISOString()
+      });
+    }
+
+    if (event === 'repo:push') {
+      const change = payload.push?.changes?.[0] || {};
+      const ref = change.new || change.old || {};
+      const isTag = ref.type === 'tag';
+
+      return this.normalizeEvent({
+        type: isTag ? 'tag' : 'push',
+        action: change.new ? 'created' : 'deleted',
+        provider: 'bitbucket',
+        repository,
+        branch: isTag ? '' : ref.name || '',
+        tag: isTag ? ref.name || '' : null,
+        commit: change.new?.target?.hash || '',
+        author: payload.actor?.display_name || '',
+        message: change.new?.target?.message || '',
+        timestamp: change.new?.target?.date || new Date().toISOString()
+      });
+    }
+
+    return this.normalizeEvent({ type: event, provider: 'bitbucket', repository });
   }
 
   // ========== Encryption ==========
@@ -440,6 +740,161 @@ export class CloudIntegrationsManager {
     }
   }
 
+  // ========== Commit Status Reporting ==========
+  //
+  // API base URLs can be overridden per integration with credentials.apiUrl
+  // (GitHub Enterprise, self-hosted Bitbucket/Azure, or a local mock server).
+  // GitLab uses credentials.url like the connection test.
+
+  /**
+   * Post a commit status for the commit an event refers to
+   * 
+   * @param {string} provider - github | gitlab | bitbucket | azure
+   * @param {Object} event - Normalized webhook event (uses repository, commit, branch)
+   * @param {Object} status - { state: 'pending'|'success'|'failure'|'error', description, targetUrl, context }
+   * @returns {Promise<Object>} { success, skipped?, error? }
+   */
+  async reportCommitStatus(provider, event, status) {
+    // WHY: Release events may carry a branch name in 'commit'; statuses need a SHA
+    if (!/^[0-9a-f]{7,64}$/i.test(event.commit || '')) {
+      return { success: false, skipped: true, error: 'Event has no commit SHA' };
+    }
+
+    const config = await this.getIntegration(provider);
+    if (!config.isConfigured || !config.enabled) {
+      return { success: false, skipped: true, error: `${provider} integration is not configured or disabled` };
+    }
+
+    const credentials = config.credentials;
+    const description = (status.description || '').substring(0, 140);
+
+    try {
+      switch (provider) {
+        case 'github':
+          await this.postGitHubStatus(credentials, event, { ...status, description });
+          break;
+        case 'gitlab':
+          await this.postGitLabStatus(credentials, event, { ...status, description });
+          break;
+        case 'bitbucket':
+          await this.postBitbucketStatus(credentials, event, { ...status, description });
+          break;
+        case 'azure':
+          await this.postAzureStatus(credentials, event, { ...status, description });
+          break;
+        default:
+          return { success: false, skipped: true, error: `Commit status not supported for ${provider}` };
+      }
+
+      console.log(`   🏷️  ${provider} commit status: ${status.state} (${event.commit.substring(0, 7)})`);
+      return { success: true };
+    } catch (error) {
+      console.error(`   ⚠️ Failed to post ${provider} commit status: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async postGitHubStatus(credentials, event, status) {
+    const apiUrl = credentials.apiUrl || 'https://api.github.com';
+    const repository = event.repository || credentials.repository;
+
+    const response = await fetch(`${apiUrl}/repos/${repository}/statuses/${event.commit}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `token ${credentials.token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        state: status.state, // pending | success | failure | error
+        target_url: status.targetUrl,
+        description: status.description,
+        context: status.context
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API returned ${response.status}`);
+    }
+  }
+
+  async postGitLabStatus(credentials, event, status) {
+    const url = credentials.url || 'https://gitlab.com';
+    const project = credentials.projectId || encodeURIComponent(event.repository);
+    const states = { pending: 'running', success: 'success', failure: 'failed', error: 'failed' };
+
+    const response = await fetch(`${url}/api/v4/projects/${project}/statuses/${event.commit}`, {
+      method: 'POST',
+      headers: {
+        'PRIVATE-TOKEN': credentials.token,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        state: states[status.state],
+        ref: event.branch || undefined,
+        name: status.context,
+        target_url: status.targetUrl,
+        description: status.description
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitLab API returned ${response.status}`);
+    }
+  }
+
+  async postBitbucketStatus(credentials, event, status) {
+    const apiUrl = credentials.apiUrl || 'https://api.bitbucket.org/2.0';
+    const repository = event.repository || `${credentials.workspace}/${credentials.repository}`;
+    const states = { pending: 'INPROGRESS', success: 'SUCCESSFUL', failure: 'FAILED', error: 'FAILED' };
+    const authToken = Buffer.from(`${credentials.username}:${credentials.appPassword}`).toString('base64');
+
+    const response = await fetch(`${apiUrl}/repositories/${repository}/commit/${event.commit}/statuses/build`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${authToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        state: states[status.state],
+        key: status.context.substring(0, 40), // Bitbucket limits keys to 40 characters
+        name: status.context,
+        url: status.targetUrl,
+        description: status.description
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Bitbucket API returned ${response.status}`);
+    }
+  }
+
+  async postAzureStatus(credentials, event, status) {
+    const apiUrl = credentials.apiUrl || 'https://dev.azure.com';
+    const repository = encodeURIComponent(event.repository || credentials.repository);
+    const states = { pending: 'pending', success: 'succeeded', failure: 'failed', error: 'error' };
+    const authToken = Buffer.from(`:${credentials.token}`).toString('base64');
+    const url = `${apiUrl}/${credentials.organization}/${credentials.project}/_apis/git/repositories/${repository}/commits/${event.commit}/statuses?api-version=7.1`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${authToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        state: states[status.state],
+        description: status.description,
+        targetUrl: status.targetUrl,
+        context: { name: status.context, genre: 'aiqa' }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Azure DevOps API returned ${response.status}`);
+    }
+  }
+
   async testAWSConnection(credentials) {
     // AWS SDK would be used here in production
     // For now, just validate credentials format
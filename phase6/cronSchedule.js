@@ -0,0 +1,96 @@
+/**
+ * Schedule Calculation Helpers
+ *
+ * PURPOSE:
+ * Compute run times for suite schedules and scheduled triggers.
+ *
+ * SCHEDULE TYPES:
+ * - cron:     Five-field cron expression (minute hour day-of-month month day-of-week),
+ *             evaluated in the schedule's IANA timezone (DST aware)
+ * - interval: Every N minutes
+ * - once:     Single ISO date
+ *
+ * CONNECTIONS:
+ * - Used by: testSuitesAPI.js (scheduleSuite), automatedTestTrigger.js (validation),
+ *   scheduler.js (firing and missed-run detection)
+ */
+
+import cronParser from 'cron-parser';
+
+/**
+ * Check that a timezone name is known to the runtime
+ */
+function validateTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+}
+
+/**
+ * Parse a five-field cron expression
+ *
+ * @param {string} expression - Cron expression, e.g. '0 2 * * 1-5'
+ * @param {string} timezone - IANA timezone, e.g. 'Europe/Berlin'
+ * @param {Date} currentDate - Point to iterate from
+ * @returns {Object} cron-parser iterator
+ */
+function parseCron(expression, timezone = 'UTC', currentDate = new Date()) {
+  const fields = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+
+  // WHY: cron-parser also accepts 6-field (seconds) expressions; we only schedule to the minute
+  if (fields.length !== 5) {
+    throw new Error(
+      `Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`
+    );
+  }
+
+  validateTimezone(timezone);
+
+  try {
+    return cronParser.parseExpression(fields.join(' '), { currentDate, tz: timezone });
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+  }
+}
+
+/**
+ * Get the next run strictly after a given time
+ *
+ * @param {Object} schedule - { type, expression, timezone }
+ * @param {Date} fromDate - Reference time (default: now)
+ * @returns {Date|null} Next run, or null if the schedule will not run again
+ */
+export function getNextRun(schedule, fromDate = new Date()) {
+  switch (schedule.type || 'cron') {
+    case 'once': {
+      const runAt = new Date(schedule.expression);
+      if (isNaN(runAt.getTime())) {
+        throw new Error(`Invalid date for one-time schedule: ${schedule.expression}`);
+      }
+      return runAt > fromDate ? runAt : null;
+    }
+
+    case 'interval': {
+      const minutes = parseInt(schedule.expression, 10);
+      if (!minutes || minutes <= 0) {
+        throw new Error(`Invalid interval: ${schedule.expression} (expected minutes > 0)`);
+      }
+      return new Date(fromDate.getTime() + minutes * 60000);
+    }
+
+    case 'cron':
+      return parseCron(schedule.expression, schedule.timezone || 'UTC', fromDate).next().toDate();
+
+    default:
+      throw new Error(`Unsupported schedule type: ${schedule.type}. Must be one of: cron, interval, once`);
+  }
+}
+
+/**
+ * Validate a schedule definition (throws with a readable message)
+ */
+export function validateSchedule(schedule) {
+  getNextRun(schedule, new Date(0));
+}
@@ -17,17 +17,19 @@
  * - Extract test steps column (natural language)
  * - Convert each row to separate test case JSON
  * - Store in test-suites folder
- * - Auto-convert to executable format
+ * - Auto-convert to executable format (Phase 1 rule parser, no LLM calls)
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import RuleBasedStepParser from '../phase1/ruleParser.js';
 
 export class CSVTestSuiteHandler {
   constructor() {
     this.testSuitesPath = './test-suites';
     this.uploadedCSVPath = './test-suites/uploaded-csv';
+    this.stepParser = new RuleBasedStepParser();
   }
 
   /**
@@ -39,15 +41,7 @@ export class CSVTestSuiteHandler {
   async parseCSV(csvContent, filename) {
     console.log(`📄 Parsing CSV file: ${filename}`);
 
-    // Split into lines
-    const lines = csvContent.split('\n').filter(line => line.trim());
-    
-    if (lines.length < 2) {
-      throw new Error('CSV must have at least header and one data row');
-    }
-
-    // Parse header
-    const headers = this.parseCSVLine(lines[0]);
+    const { headers, rows } = this.parseCSVTable(csvContent);
     console.log(`   Headers found: ${headers.join(', ')}`);
 
     // Validate required columns
@@ -62,14 +56,8 @@ export class CSVTestSuiteHandler {
 
     // Parse data rows
     const testCases = [];
-    for (let i = 1; i < lines.length; i++) {
-      const values = this.parseCSVLine(lines[i]);
-      
-      if (values.length === 0 || values.every(v => !v)) {
-        continue; // Skip empty rows
-      }
-
-      const testCase = this.createTestCaseFromRow(headers, values, i);
+    for (let i = 0; i < rows.length; i++) {
+      const testCase = this.createTestCaseFromRow(headers, rows[i], i + 1);
       if (testCase) {
         testCases.push(testCase);
       }
@@ -92,7 +80,42 @@ export class CSVTestSuiteHandler {
   }
 
   /**
-   * Parse a single CSV line handling quoted values
+   * Split CSV content into a header and data rows
+   *
+   * CONNECTION: Also used by datasetManager.js for data-driven test datasets
+   * @param {string} csvContent - Raw CSV content
+   * @returns {Object} { headers: [names], rows: [[values]] } - empty rows skipped
+   */
+  parseCSVTable(csvContent) {
+    // Join physical lines while a quoted value is still open (multi-line cells)
+    const records = [];
+    let pending = null;
+    for (const line of String(csvContent).replace(/^\uFEFF/, '').split(/\r?\n/)) {
+      pending = pending === null ? line : `${pending}\n${line}`;
+      if ((pending.match(/"/g) || []).length % 2 === 0) {
+        records.push(pending);
+        pending = null;
+      }
+    }
+    if (pending !== null) {
+      records.push(pending);
+    }
+
+    const lines = records.filter(line => line.trim());
+    if (lines.length < 2) {
+      throw new Error('CSV must have at least header and one data row');
+    }
+
+    const headers = this.parseCSVLine(lines[0]);
+    const rows = lines.slice(1)
+      .map(line => this.parseCSVLine(line))
+      .filter(values => values.length > 0 && values.some(value => value)); // Skip empty rows
+
+    return { headers, rows };
+  }
+
+  /**
+   * Parse a single CSV line handling quoted values ("" is an escaped quote)
    */
   parseCSVLine(line) {
     const values = [];
@@ -102,7 +125,10 @@ export class CSVTestSuiteHandler {
     for (let i = 0; i < line.length; i++) {
       const char = line[i];
 
-      if (char === '"') {
+      if (char === '"' && inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
         inQuotes = !inQuotes;
       } else if (char === ',' && !inQuotes) {
         values.push(current.trim());
@@ -171,130 +197,36 @@ export class CSVTestSuiteHandler {
   async convertTestStepsToJSON(testCase) {
     console.log(`   🔄 Converting test steps for: ${testCase.name}`);
 
-    // Split test steps by line breaks or numbered lists
-    const steps = this.extractIndividualSteps(testCase.testSteps);
-
-    // Convert to JSON format
-    const jsonSteps = steps.map((step, index) => ({
-      stepNumber: index + 1,
-      description: step,
-      action: this.inferAction(step),
-      target: this.inferTarget(step),
-      value: this.inferValue(step)
-    }));
+    // WHY: Same grammar as Phase 1, so CSV and typed descriptions convert identically
+    const { clauses } = this.stepParser.parse(testCase.testSteps);
+
+    // Every clause becomes a step; ones the parser can't read stay 'custom' for review
+    const jsonSteps = clauses.map((clause, index) => {
+      const step = clause.step;
+      // Action-specific params (extract: variable, from, attribute) pass through
+      const { action, target, data, expected, description, confidence, source, ...params } = step || {};
+      return {
+        ...params,
+        stepNumber: index + 1,
+        description: step?.description || clause.text,
+        action: step?.action || 'custom',
+        target: step?.target || '',
+        value: step?.data || '',
+        data: step?.data ?? null,
+        expected: step?.expected ?? null,
+        confidence: step?.confidence ?? 0
+      };
+    });
 
     testCase.convertedSteps = jsonSteps;
     testCase.totalSteps = jsonSteps.length;
+    testCase.unparsedSteps = jsonSteps.filter(step => step.action === 'custom').length;
 
-    return testCase;
-  }
-
-  /**
-   * Extract individual steps from natural language
-   */
-  extractIndividualSteps(stepsText) {
-    // Try to split by common patterns
-    let steps = [];
-
-    // Pattern 1: Numbered list (1. Step 1\n2. Step 2)
-    if (/^\d+\./.test(stepsText)) {
-      steps = stepsText
-        .split(/\n?\d+\.\s*/)
-        .filter(s => s.trim())
-        .map(s => s.trim());
-    }
-    // Pattern 2: Line breaks
-    else if (stepsText.includes('\n')) {
-      steps = stepsText
-        .split('\n')
-        .filter(s => s.trim())
-        .map(s => s.trim());
-    }
-    // Pattern 3: Sentences with periods
-    else if (stepsText.includes('.')) {
-      steps = stepsText
-        .split(/\.\s+/)
-        .filter(s => s.trim())
-        .map(s => s.trim() + (s.endsWith('.') ? '' : '.'));
-    }
-    // Pattern 4: Single step
-    else {
-      steps = [stepsText.trim()];
-    }
-
-    return steps;
-  }
-
-  /**
-   * Infer action type from natural language
-   */
-  inferAction(stepDescription) {
-    const step = stepDescription.toLowerCase();
-
-    if (step.includes('navigate') || step.includes('go to') || step.includes('open')) {
-      return 'navigate';
-    } else if (step.includes('click')) {
-      return 'click';
-    } else if (step.includes('type') || step.includes('enter') || step.includes('fill')) {
-      return 'fill';
-    } else if (step.includes('select') || step.includes('choose')) {
-      return 'select';
-    } else if (step.includes('verify') || step.includes('check') || step.includes('assert')) {
-      return 'verify';
-    } else if (step.includes('wait')) {
-      return 'wait';
-    } else {
-      return 'custom';
+    if (testCase.unparsedSteps > 0) {
+      console.warn(`   ⚠️ ${testCase.unparsedSteps} step(s) need manual review`);
     }
-  }
 
-  /**
-   * Infer target element from natural language
-   */
-  inferTarget(stepDescription) {
-    // Extract quoted strings
-    const quotedMatch = stepDescription.match(/["']([^"']+)["']/);
-    if (quotedMatch) {
-      return quotedMatch[1];
-    }
-
-    // Extract common patterns
-    const patterns = [
-      /button\s+["']?([^"'\n]+)["']?/i,
-      /field\s+["']?([^"'\n]+)["']?/i,
-      /link\s+["']?([^"'\n]+)["']?/i,
-      /input\s+["']?([^"'\n]+)["']?/i,
-    ];
-
-    for (const pattern of patterns) {
-      const match = stepDescription.match(pattern);
-      if (match) {
-        return match[1].trim();
-      }
-    }
-
-    return '';
-  }
-
-  /**
-   * Infer value from natural language
-   */
-  inferValue(stepDescription) {
-    // Extract value after "with", "as", "to"
-    const valuePatterns = [
-      /with\s+["']?([^"'\n]+)["']?/i,
-      /as\s+["']?([^"'\n]+)["']?/i,
-      /to\s+["']?([^"'\n]+)["']?$/i,
-    ];
-
-    for (const pattern of valuePatterns) {
-      const match = stepDescription.match(pattern);
-      if (match) {
-        return match[1].trim();
-      }
-    }
-
-    return '';
+    return testCase;
   }
 
   /**
@@ -0,0 +1,278 @@
+/**
+ * Dataset Manager - Data-driven test parameterization
+ *
+ * PURPOSE:
+ * Run one test against many rows of data (account types, locales, products)
+ * instead of copying the test per row. A test references a dataset; suite runs
+ * expand it into one iteration per row with the row bound as test variables.
+ *
+ * DATASET SOURCES (test.dataset):
+ * - Inline table:  { "type": "inline", "rows": [{ "username": "admin", "role": "Admin" }] }
+ *                  { "type": "inline", "columns": ["username", "role"], "rows": [["admin", "Admin"]] }
+ * - CSV / JSON:    { "type": "csv", "content": "username,role\nadmin,Admin" }
+ *                  { "type": "json", "content": "[{\"username\": \"admin\"}]" }
+ * - Uploaded file: { "datasetId": "ds_..." } (POST /api/datasets, CSV or JSON)
+ * Optional: "labelColumn" names the column shown in iteration names (default: name / label)
+ *
+ * FEATURES:
+ * - Row values become ${column} variables in Phase 2 (steps and assertions)
+ * - Nested JSON objects flatten to dotted names (${user.email})
+ * - Stable iteration IDs (<testId>::row-<n>) so a single row can be re-run
+ *
+ * CONNECTIONS:
+ * - Uses: csvTestSuiteHandler.js CSV parsing
+ * - Used by: runQueue.js (expands tests per run), server.js (/api/datasets)
+ * - Storage: ./test-suites/datasets/<datasetId>.json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import CSVTestSuiteHandler from './csvTestSuiteHandler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ITERATION_SEPARATOR = '::row-';
+
+export class DatasetManager {
+  constructor(options = {}) {
+    this.datasetsPath = options.datasetsPath || path.join(__dirname, 'test-suites', 'datasets');
+    this.csvHandler = options.csvHandler || new CSVTestSuiteHandler();
+  }
+
+  /**
+   * Store an uploaded CSV or JSON dataset
+   *
+   * @param {string} content - File content
+   * @param {string} filename - Original filename (format is taken from the extension)
+   * @param {string} format - 'csv' | 'json' (overrides the extension)
+   * @returns {Promise<Object>} Dataset summary (without rows)
+   */
+  async saveDataset(content, filename, format = null) {
+    const resolvedFormat = (format || path.extname(filename || '').substring(1) || 'csv').toLowerCase();
+    const rows = this.parseContent(content, resolvedFormat);
+
+    const dataset = {
+      id: `ds_${Date.now()}_${uuidv4().substring(0, 8)}`,
+      name: (filename || 'dataset').replace(/\.(csv|json)$/i, ''),
+      format: resolvedFormat,
+      originalFile: filename || null,
+      uploadedAt: new Date().toISOString(),
+      columns: this.columnsOf(rows),
+      totalRows: rows.length,
+      rows
+    };
+
+    await fs.mkdir(this.datasetsPath, { recursive: true });
+    await fs.writeFile(path.join(this.datasetsPath, `${dataset.id}.json`), JSON.stringify(dataset, null, 2));
+
+    console.log(`🗂️  Saved dataset: ${dataset.name} (${rows.length} rows)`);
+
+    return this.summarize(dataset);
+  }
+
+  /**
+   * Get a stored dataset (with rows), or null
+   */
+  async getDataset(datasetId) {
+    // WHY: IDs come from URLs; never let them escape the datasets folder
+    if (!/^[\w-]+$/.test(datasetId || '')) {
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(path.join(this.datasetsPath, `${datasetId}.json`), 'utf-8');
+      return JSON.parse(content);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List stored datasets (newest first, without rows)
+   */
+  async listDatasets() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.datasetsPath);
+    } catch {
+      return [];
+    }
+
+    const datasets = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const dataset = await this.getDataset(file.replace(/\.json$/, ''));
+      if (dataset) {
+        datasets.push(this.summarize(dataset));
+      }
+    }
+
+    return datasets.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+  }
+
+  /**
+   * Delete a stored dataset
+   *
+   * @returns {Promise<boolean>} false if it did not exist
+   */
+  async deleteDataset(datasetId) {
+    if (!await this.getDataset(datasetId)) {
+      return false;
+    }
+    await fs.unlink(path.join(this.datasetsPath, `${datasetId}.json`));
+    return true;
+  }
+
+  /**
+   * Rows of a test's dataset definition
+   *
+   * @param {Object} definition - test.dataset
+   * @returns {Promise<Array<Object>>} Row objects ({ column: value })
+   * @throws {Error} - Unknown dataset, unreadable content
+   */
+  async resolveRows(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Dataset definition must be an object');
+    }
+
+    let rows;
+    if (definition.datasetId) {
+      const dataset = await this.getDataset(definition.datasetId);
+      if (!dataset) {
+        throw new Error(`Dataset not found: ${definition.datasetId}`);
+      }
+      rows = dataset.rows;
+    } else if (definition.content !== undefined) {
+      rows = this.parseContent(definition.content, definition.type || 'csv');
+    } else if (Array.isArray(definition.rows)) {
+      rows = this.normalizeRows(definition.rows, definition.columns);
+    } else {
+      throw new Error('Dataset needs "rows", "content" or "datasetId"');
+    }
+
+    return rows.map(row => this.flatten(row));
+  }
+
+  /**
+   * Expand a test into one iteration per dataset row
+   *
+   * Tests without a dataset are returned unchanged (as a single-item list).
+   *
+   * @returns {Promise<Array<Object>>} Tests to execute
+   */
+  async expandTest(test) {
+    if (!test.dataset) {
+      return [test];
+    }
+
+    const rows = await this.resolveRows(test.dataset);
+    if (rows.length === 0) {
+      throw new Error(`Dataset for test "${test.name}" has no rows`);
+    }
+
+    const labelColumn = test.dataset.labelColumn
+      || ['name', 'label'].find(column => rows[0][column] !== undefined);
+
+    return rows.map((row, index) => {
+      const rowNumber = index + 1;
+      const label = labelColumn && row[labelColumn] ? `${row[labelColumn]}` : `row ${rowNumber}`;
+      const { dataset, ...iteration } = test;
+
+      return {
+        ...iteration,
+        id: `${test.id}${ITERATION_SEPARATOR}${rowNumber}`,
+        name: `${test.name} [${label}]`,
+        variables: { ...(test.variables || {}), ...row },
+        iteration: { testId: test.id, testName: test.name, row: rowNumber, label, totalRows: rows.length }
+      };
+    });
+  }
+
+  /**
+   * Parse CSV / JSON content into row objects
+   */
+  parseContent(content, format) {
+    if (format === 'json') {
+      let data;
+      try {
+        data = typeof content === 'string' ? JSON.parse(content) : content;
+      } catch (error) {
+        throw new Error(`Invalid JSON dataset: ${error.message}`);
+      }
+
+      // Accept a plain array or { columns?, rows }
+      const rows = Array.isArray(data) ? data : data?.rows;
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON dataset must be an array of rows or { "rows": [...] }');
+      }
+      return this.normalizeRows(rows, data.columns);
+    }
+
+    if (format === 'csv') {
+      // CONNECTION: Same CSV parsing as test suite uploads
+      const { headers, rows } = this.csvHandler.parseCSVTable(String(content));
+      return rows.map(values => Object.fromEntries(headers.map((header, index) => [header, values[index] ?? ''])));
+    }
+
+    throw new Error(`Unsupported dataset format "${format}" (use csv or json)`);
+  }
+
+  /**
+   * Rows as objects: arrays are mapped onto columns
+   */
+  normalizeRows(rows, columns) {
+    return rows.map((row, index) => {
+      if (Array.isArray(row)) {
+        if (!Array.isArray(columns)) {
+          throw new Error('Array rows need "columns"');
+        }
+        return Object.fromEntries(columns.map((column, position) => [column, row[position] ?? '']));
+      }
+      if (!row || typeof row !== 'object') {
+        throw new Error(`Row ${index + 1} must be an object or array`);
+      }
+      return row;
+    });
+  }
+
+  /**
+   * { user: { email } } -> { "user.email": ... }; values become strings
+   */
+  flatten(row, prefix = '') {
+    return Object.entries(row).reduce((flat, [key, value]) => {
+      const name = `${prefix}${key}`.trim();
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return { ...flat, ...this.flatten(value, `${name}.`) };
+      }
+      flat[name] = Array.isArray(value) ? value.join(',') : value == null ? '' : String(value);
+      return flat;
+    }, {});
+  }
+
+  columnsOf(rows) {
+    return [...new Set(rows.flatMap(row => Object.keys(this.flatten(row))))];
+  }
+
+  summarize(dataset) {
+    const { rows, ...summary } = dataset;
+    return { ...summary, preview: rows.slice(0, 5) };
+  }
+}
+
+/**
+ * Whether a run's "only" list selects this (possibly expanded) test
+ *
+ * @param {Array<string>} only - Test IDs (all rows), iteration IDs (<testId>::row-<n>)
+ *   or matrix IDs (<id>@<combination>, see browserMatrix.js)
+ */
+export function isSelected(test, only) {
+  if (!Array.isArray(only) || only.length === 0) {
+    return true;
+  }
+  return only.includes(test.id)
+    || Boolean(test.iteration && only.includes(test.iteration.testId))
+    || Boolean(test.environment && only.includes(test.environment.testId));
+}
+
+export default DatasetManager;
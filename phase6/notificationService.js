@@ -0,0 +1,402 @@
+/**
+ * Notification Service
+ *
+ * PURPOSE:
+ * Deliver trigger execution results to email, Slack and generic webhooks.
+ *
+ * FEATURES:
+ * - SMTP email (nodemailer) for notifications.email
+ * - Slack incoming-webhook payload for notifications.slack
+ * - Signed generic JSON webhook for notifications.webhook
+ *   (HMAC-SHA256 over "<timestamp>.<body>" in X-AIQA-Signature)
+ * - Retry with exponential backoff; permanent errors (4xx, 5xx SMTP replies) are not retried
+ * - Delivery log per execution (returned to the caller and stored with the execution)
+ * - Message templates with failed test names, first error and report link
+ *
+ * CONFIGURATION (environment):
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+ * - NOTIFICATION_WEBHOOK_SECRET  (default signing secret for generic webhooks)
+ * - NOTIFICATION_MAX_ATTEMPTS    (default 3)
+ * - AIQA_PUBLIC_URL              (base for report links, default http://localhost:6969)
+ *
+ * CONNECTIONS:
+ * - Used by: automatedTestTrigger.js (sendNotifications)
+ */
+
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+
+// Failed tests listed in a message before it is truncated
+const MAX_LISTED_FAILURES = 10;
+
+// Test statuses that fail the run (and are listed in the message)
+const FAILED_STATUSES = ['failed', 'error', 'cancelled'];
+
+export class NotificationService {
+  constructor(options = {}) {
+    this.publicUrl = (options.publicUrl || process.env.AIQA_PUBLIC_URL || 'http://localhost:6969').replace(/\/$/, '');
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3;
+    this.baseDelay = options.baseDelay ?? 1000; // ms, doubled after every failed attempt
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.webhookSecret = options.webhookSecret || process.env.NOTIFICATION_WEBHOOK_SECRET || null;
+
+    this.smtp = options.smtp || {
+      host: process.env.SMTP_HOST || null,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null,
+      from: process.env.SMTP_FROM || 'AIQA <aiqa@localhost>'
+    };
+
+    this.transport = null;
+  }
+
+  /**
+   * Deliver an execution result to every configured channel
+   *
+   * @param {Object} trigger - Trigger (uses trigger.notifications)
+   * @param {Object} execution - Finished execution record
+   * @returns {Promise<Object[]>} Delivery log entries, one per target
+   */
+  async deliver(trigger, execution) {
+    const notifications = trigger.notifications || {};
+    const message = this.buildMessage(trigger, execution);
+    const deliveries = [];
+
+    if (notifications.email && notifications.email.length > 0) {
+      deliveries.push(this.deliverWithRetry('email', notifications.email.join(', '), () =>
+        this.sendEmail(notifications.email, message)
+      ));
+    }
+
+    if (notifications.slack) {
+      deliveries.push(this.deliverWithRetry('slack', notifications.slack, () =>
+        this.postJson(notifications.slack, this.buildSlackPayload(message))
+      ));
+    }
+
+    if (notifications.webhook) {
+      const secret = notifications.webhookSecret || this.webhookSecret;
+      // WHY: Built once so retries reuse the same deliveryId (receivers can dedupe)
+      const payload = this.buildWebhookPayload(message);
+      deliveries.push(this.deliverWithRetry('webhook', notifications.webhook, () =>
+        this.sendSignedWebhook(notifications.webhook, payload, secret)
+      ));
+    }
+
+    return Promise.all(deliveries);
+  }
+
+  /**
+   * Run a send function with retry/backoff and record every attempt
+   *
+   * @param {string} channel - 'email' | 'slack' | 'webhook'
+   * @param {string} target - Recipient(s) or URL (for the log)
+   * @param {Function} send - Async function; throws on failure (error.retryable = false to stop)
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async deliverWithRetry(channel, target, send) {
+    const entry = {
+      channel,
+      target: this.redactTarget(channel, target),
+      status: 'pending',
+      attempts: [],
+      deliveredAt: null
+    };
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const startedAt = new Date().toISOString();
+
+      try {
+        const detail = await send();
+        entry.attempts.push({ attempt, at: startedAt, success: true, ...detail });
+        entry.status = 'delivered';
+        entry.deliveredAt = new Date().toISOString();
+        console.log(`      ✅ ${channel} delivered (attempt ${attempt})`);
+        return entry;
+      } catch (error) {
+        entry.attempts.push({
+          attempt,
+          at: startedAt,
+          success: false,
+          error: error.message,
+          statusCode: error.statusCode || null
+        });
+
+        if (error.retryable === false || attempt === this.maxAttempts) {
+          break;
+        }
+
+        const delay = this.baseDelay * 2 ** (attempt - 1);
+        console.log(`      ⚠️  ${channel} delivery failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    entry.status = 'failed';
+    console.error(`      ❌ ${channel} delivery failed after ${entry.attempts.length} attempt(s): ${entry.attempts.at(-1).error}`);
+    return entry;
+  }
+
+  /**
+   * Send an email through the configured SMTP server
+   */
+  async sendEmail(recipients, message) {
+    if (!this.smtp.host) {
+      throw Object.assign(new Error('SMTP not configured (set SMTP_HOST)'), { retryable: false });
+    }
+
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.smtp.host,
+        port: this.smtp.port,
+        secure: this.smtp.secure,
+        auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.pass } : undefined,
+        connectionTimeout: this.requestTimeout
+      });
+    }
+
+    try {
+      const info = await this.transport.sendMail({
+        from: this.smtp.from,
+        to: recipients.join(', '),
+        subject: message.subject,
+        text: message.text
+      });
+
+      return { messageId: info.messageId };
+    } catch (error) {
+      // WHY: 5xx SMTP replies (unknown mailbox, rejected sender) will not succeed on retry
+      if (error.responseCode >= 500) {
+        error.retryable = false;
+      }
+      error.statusCode = error.responseCode || null;
+      throw error;
+    }
+  }
+
+  /**
+   * POST a signed JSON payload
+   *
+   * Receivers verify: HMAC-SHA256(secret, `${X-AIQA-Timestamp}.${rawBody}`) === X-AIQA-Signature
+   */
+  async sendSignedWebhook(url, payload, secret) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'X-AIQA-Event': payload.event,
+      'X-AIQA-Delivery': payload.deliveryId,
+      'X-AIQA-Timestamp': timestamp
+    };
+
+    if (secret) {
+      const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-AIQA-Signature'] = `sha256=${signature}`;
+    } else {
+      console.warn('      ⚠️  No webhook secret configured - sending unsigned webhook');
+    }
+
+    return this.postJson(url, body, headers);
+  }
+
+  /**
+   * POST JSON and classify failures (network/5xx/429 retryable, other 4xx not)
+   */
+  async postJson(url, payload, extraHeaders = {}) {
+    try {
+      new URL(url);
+    } catch {
+      throw Object.assign(new Error(`Invalid URL: ${url}`), { retryable: false });
+    }
+
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...extraHeaders },
+        body: typeof payload === 'string' ? payload : JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.requestTimeout)
+      });
+    } catch (error) {
+      throw new Error(`Request failed: ${error.cause?.message || error.message}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      const error = new Error(`HTTP ${response.status}${text ? `: ${text.substring(0, 200)}` : ''}`);
+      error.statusCode = response.status;
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    return { statusCode: response.status };
+  }
+
+  /**
+   * Build the channel-independent message from an execution
+   */
+  buildMessage(trigger, execution) {
+    const results = execution.results || [];
+    const failedTests = [];
+
+    for (const suite of results) {
+      for (const test of suite.tests || []) {
+        if (FAILED_STATUSES.includes(test.status)) {
+          failedTests.push({
+            suiteId: suite.suiteId,
+            suiteName: suite.suiteName || suite.suiteId,
+            testId: test.testId,
+            testName: test.testName,
+            error: test.error || null,
+            reportUrl: test.reportId ? `${this.publicUrl}/artifacts/${test.reportId}/report.json` : null
+          });
+        }
+      }
+    }
+
+    // Suite-level problems (missing suite, timeout) count as the first error if no test failed
+    const firstError = failedTests.find(t => t.error)?.error
+      || results.find(r => r.error)?.error
+      || execution.errors?.[0]
+      || null;
+
+    const totals = results.reduce((sum, r) => ({
+      total: sum.total + (r.totalTests || 0),
+      passed: sum.passed + (r.passedTests || 0),
+      failed: sum.failed + (r.failedTests || 0),
+      skipped: sum.skipped + (r.skippedTests || 0),
+      warnings: sum.warnings + (r.warningTests || 0)
+    }), { total: 0, passed: 0, failed: 0, skipped: 0, warnings: 0 });
+
+    const failedRun = results.find(r => r.status !== 'passed' && r.runId);
+    const reportUrl = failedTests.find(t => t.reportUrl)?.reportUrl
+      || (failedRun ? `${this.publicUrl}/api/runs/${failedRun.runId}` : null)
+      || `${this.publicUrl}/api/triggers/executions/history?triggerId=${trigger.id}`;
+
+    const passed = execution.status === 'passed';
+    const icon = passed ? '✅' : '❌';
+    const subject = `[AIQA] ${icon} ${execution.status.toUpperCase()}: ${trigger.name} (${totals.passed}/${totals.total} tests passed)`;
+
+    const lines = [
+      `Trigger: ${trigger.name}`,
+      `Status: ${execution.status.toUpperCase()}`,
+      `Reason: ${execution.event?.reason || 'n/a'}`,
+      `Tests: ${totals.passed} passed${totals.warnings > 0 ? ` (${totals.warnings} with warnings)` : ''}, ${totals.failed} failed, ${totals.skipped} skipped`,
+      '',
+      'Suites:',
+      ...results.map(r => `  ${r.status === 'passed' ? '✅' : '❌'} ${r.suiteName || r.suiteId}: ${r.passedTests}/${r.totalTests} passed${r.error ? ` (${r.error})` : ''}`)
+    ];
+
+    if (failedTests.length > 0) {
+      lines.push('', 'Failed tests:');
+      failedTests.slice(0, MAX_LISTED_FAILURES).forEach(t => lines.push(`  - ${t.suiteName} › ${t.testName}`));
+      if (failedTests.length > MAX_LISTED_FAILURES) {
+        lines.push(`  ... and ${failedTests.length - MAX_LISTED_FAILURES} more`);
+      }
+    }
+
+    if (firstError) {
+      lines.push('', `First error: ${firstError}`);
+    }
+
+    lines.push('', `Report: ${reportUrl}`);
+
+    return {
+      subject,
+      text: lines.join('\n'),
+      trigger: { id: trigger.id, name: trigger.name },
+      execution,
+      totals,
+      failedTests,
+      firstError,
+      reportUrl
+    };
+  }
+
+  /**
+   * Slack incoming-webhook payload (text fallback + blocks)
+   */
+  buildSlackPayload(message) {
+    const { execution, totals, failedTests, firstError, reportUrl } = message;
+    const icon = execution.status === 'passed' ? ':white_check_mark:' : ':x:';
+
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `${icon} *${message.trigger.name}* ${execution.status.toUpperCase()}\n${totals.passed}/${totals.total} tests passed, ${totals.failed} failed, ${totals.skipped} skipped`
+        }
+      }
+    ];
+
+    if (failedTests.length > 0) {
+      const listed = failedTests.slice(0, MAX_LISTED_FAILURES).map(t => `• ${t.suiteName} › ${t.testName}`);
+      if (failedTests.length > MAX_LISTED_FAILURES) {
+        listed.push(`… and ${failedTests.length - MAX_LISTED_FAILURES} more`);
+      }
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Failed tests*\n${listed.join('\n')}` } });
+    }
+
+    if (firstError) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*First error*\n\`\`\`${firstError.substring(0, 500)}\`\`\`` } });
+    }
+
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${reportUrl}|View report>` }] });
+
+    return { text: message.subject, blocks };
+  }
+
+  /**
+   * Generic webhook payload
+   */
+  buildWebhookPayload(message) {
+    const { execution } = message;
+
+    return {
+      event: 'trigger.execution.completed',
+      deliveryId: uuidv4(),
+      timestamp: new Date().toISOString(),
+      trigger: message.trigger,
+      execution: {
+        id: execution.id,
+        status: execution.status,
+        reason: execution.event?.reason || null,
+        startTime: execution.startTime,
+        endTime: execution.endTime
+      },
+      summary: message.totals,
+      suites: (execution.results || []).map(r => ({
+        suiteId: r.suiteId,
+        suiteName: r.suiteName,
+        runId: r.runId,
+        status: r.status,
+        error: r.error
+      })),
+      failedTests: message.failedTests,
+      firstError: message.firstError,
+      reportUrl: message.reportUrl
+    };
+  }
+
+  /**
+   * Hide secrets embedded in webhook URLs (Slack URLs are credentials)
+   */
+  redactTarget(channel, target) {
+    if (channel === 'email') {
+      return target;
+    }
+
+    try {
+      const url = new URL(target);
+      return `${url.origin}${url.pathname.length > 1 ? '/…' : ''}`;
+    } catch {
+      return '(invalid URL)';
+    }
+  }
+}
+
+export default NotificationService;
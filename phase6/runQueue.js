@@ -0,0 +1,728 @@
+/**
+ * Suite Run Queue
+ *
+ * PURPOSE:
+ * Run test suites in the background instead of holding the HTTP request open.
+ * POST /api/suites/:suiteId/run enqueues a run job and returns a run ID
+ * immediately; a small worker pool drains the queue.
+ *
+ * FEATURES:
+ * - Durable run jobs (one JSON file per run in ./config/runs)
+ * - Worker pool with configurable concurrency
+ * - Never runs two jobs for the same suite at once (live status is per suite)
+ * - Restart recovery: queued jobs are re-queued, running jobs are resumed
+ *   from the tests that had not finished (or marked interrupted)
+ * - Cancellation of queued and running jobs
+ * - Per-run options: parallel mode with maxConcurrent, overall timeout,
+ *   retrying failed tests (retryOnFailure / maxRetries)
+ * - LLM budget (budget: { maxCostUsd, maxTokens }): a hard cap on model spend;
+ *   the run stops once it is reached. Spend is recorded per run and per test.
+ * - Data-driven tests: a test with a dataset runs once per row (iteration ID
+ *   <testId>::row-<n>, row bound as Phase 2 variables); only: [ids] re-runs
+ *   selected tests or rows
+ * - Browser matrix (matrix: { browsers, devices, ... } or a list): every test runs
+ *   once per browser/device combination (test ID <testId>@<key>); summary.environments
+ *   groups results per combination
+ * - Network mocks: a test's network.mocks are sent after the run's
+ *   executionOptions.network.mocks, so the test's own routes take precedence
+ * - Auth profiles: a test's useAuth is sent as Phase 2's auth option
+ * - Performance history: report.perf of a test across runs (perfHistory) for the charts
+ * - Failure rollup: summary.warnings counts tests that passed with soft failures;
+ *   summary.failures separates hard from soft failed steps/assertions (onFailure)
+ *
+ * CONNECTIONS:
+ * - Uses: testSuitesAPI.js live execution bookkeeping (initExecutionState,
+ *   updateTestStatus, completeExecution) so /api/suites/:suiteId/status keeps working
+ * - Calls: Phase 2 /api/execute for every test (with LLM usage context)
+ * - Uses: backend/llm/usageLedger.js for run spend
+ * - Uses: datasetManager.js to expand dataset rows into iterations
+ * - Uses: browserMatrix.js to fan tests out over browsers and devices
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import * as suitesAPI from './testSuitesAPI.js';
+import { UsageLedger } from '../backend/llm/usageLedger.js';
+import { DatasetManager, isSelected } from './datasetManager.js';
+import { expandMatrix, applyMatrix } from './browserMatrix.js';
+
+// Run statuses after which a job never changes again
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+export class SuiteRunQueue {
+  constructor(options = {}) {
+    this.runsPath = options.runsPath || './config/runs';
+    this.executorUrl = options.executorUrl || 'http://localhost:3002';
+    this.concurrency = options.concurrency || parseInt(process.env.RUN_QUEUE_CONCURRENCY, 10) || 2;
+    this.usageLedger = options.usageLedger || new UsageLedger();
+    this.datasetManager = options.datasetManager || new DatasetManager();
+
+    // WHY: A restart should not silently drop half-finished runs
+    this.resumeInterrupted = options.resumeInterrupted !== false;
+
+    this.runs = new Map();          // runId -> run record
+    this.pending = [];              // runIds waiting for a worker (FIFO)
+    this.active = new Map();        // runId -> AbortController
+    this.waiters = new Map();       // runId -> [resolve callbacks]
+    this.writeChains = new Map();   // runId -> last pending write (keeps writes ordered)
+  }
+
+  /**
+   * Initialize the queue and recover runs left over from the last process
+   */
+  async initialize() {
+    await fs.mkdir(this.runsPath, { recursive: true });
+
+    const files = await fs.readdir(this.runsPath);
+    const recovered = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+
+      try {
+        const content = await fs.readFile(path.join(this.runsPath, file), 'utf-8');
+        const run = JSON.parse(content);
+        this.runs.set(run.id, run);
+
+        if (run.status === 'running') {
+          // Server stopped mid-run
+          run.interruptedAt = new Date().toISOString();
+
+          if (this.resumeInterrupted) {
+            run.status = 'queued';
+            run.resumeCount = (run.resumeCount || 0) + 1;
+            recovered.push(run);
+          } else {
+            run.status = 'interrupted';
+            run.finishedAt = run.interruptedAt;
+          }
+
+          await this.saveRun(run);
+        } else if (run.status === 'queued') {
+          recovered.push(run);
+        }
+      } catch (error) {
+        console.error(`   ⚠️ Could not load run file ${file}: ${error.message}`);
+      }
+    }
+
+    recovered
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .forEach(run => this.pending.push(run.id));
+
+    console.log(`📬 Suite Run Queue initialized (concurrency: ${this.concurrency}, recovered: ${recovered.length})`);
+
+    this.drain();
+  }
+
+  /**
+   * Enqueue a suite run
+   *
+   * @param {string} suiteId - Suite to run
+   * @param {Object} options - Run options (mode, maxConcurrent, continueOnFailure,
+   *   timeout, retryOnFailure, maxRetries, budget, executionOptions,
+   *   only: test or iteration IDs to run instead of the whole suite)
+   * @param {Object} meta - Who/what requested the run (source, triggeredBy)
+   * @returns {Promise<Object>} Queued run record
+   */
+  async enqueue(suiteId, options = {}, meta = {}) {
+    const suite = await suitesAPI.getSuite(suiteId);
+    if (!suite) {
+      throw new Error('Suite not found');
+    }
+
+    const run = {
+      id: `run_${Date.now()}_${uuidv4().substring(0, 8)}`,
+      suiteId: suite.id,
+      suiteName: suite.name,
+      status: 'queued',
+      source: meta.source || 'api',
+      triggeredBy: meta.triggeredBy || null,
+      options,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      interruptedAt: null,
+      cancelRequestedAt: null,
+      results: [],
+      summary: null,
+      error: null
+    };
+
+    this.runs.set(run.id, run);
+    await this.saveRun(run);
+
+    this.pending.push(run.id);
+    console.log(`📬 Queued run ${run.id} for suite: ${suite.name} (${this.pending.length} waiting)`);
+
+    this.drain();
+
+    return run;
+  }
+
+  /**
+   * Get run by ID
+   */
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * List runs (newest first)
+   */
+  listRuns(filters = {}) {
+    let runs = Array.from(this.runs.values());
+
+    if (filters.suiteId) {
+      runs = runs.filter(run => run.suiteId === filters.suiteId);
+    }
+    if (filters.status) {
+      runs = runs.filter(run => run.status === filters.status);
+    }
+
+    runs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    if (filters.limit) {
+      return runs.slice(0, parseInt(filters.limit, 10));
+    }
+
+    return runs;
+  }
+
+  /**
+   * Page performance of a test across runs, oldest first
+   *
+   * WHY: A regression shows as a trend over runs, not in one report. Dataset rows
+   * and matrix combinations count as the test they came from.
+   *
+   * @returns {Array<Object>} [{ runId, at, resultId, environment, row, success, navigations: report.perf }]
+   */
+  perfHistory(suiteId, testId, limit = 30) {
+    const points = [];
+
+    for (const run of this.listRuns({ suiteId })) {
+      for (const result of run.results) {
+        const baseId = result.iteration?.testId || String(result.testId).split('@')[0];
+        if (baseId !== testId || !result.report?.perf?.length) {
+          continue;
+        }
+        points.push({
+          runId: run.id,
+          at: run.startedAt || run.createdAt,
+          resultId: result.testId,
+          environment: result.environment?.label || null,
+          row: result.iteration?.row || null,
+          success: result.success,
+          navigations: result.report.perf
+        });
+      }
+      if (points.length >= limit) {
+        break;
+      }
+    }
+
+    return points.slice(0, limit).reverse();
+  }
+
+  /**
+   * Check if a suite has a run that is queued or running
+   */
+  hasOpenRun(suiteId) {
+    return Array.from(this.runs.values()).some(run =>
+      run.suiteId === suiteId && !FINAL_STATUSES.includes(run.status)
+    );
+  }
+
+  /**
+   * Cancel a queued or running run
+   *
+   * Queued runs are cancelled immediately. Running runs abort the test in
+   * flight (Phase 2 sees the closed request and skips its remaining steps)
+   * and skip the remaining tests; the worker finalizes the record.
+   *
+   * @returns {Object|null} Run record, or null if not found
+   */
+  async cancelRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      return null;
+    }
+
+    if (FINAL_STATUSES.includes(run.status)) {
+      return run;
+    }
+
+    run.cancelRequestedAt = new Date().toISOString();
+
+    if (run.status === 'queued') {
+      this.pending = this.pending.filter(id => id !== runId);
+      run.status = 'cancelled';
+      run.finishedAt = run.cancelRequestedAt;
+      await this.saveRun(run);
+      this.notifyWaiters(run);
+      console.log(`🛑 Cancelled queued run: ${runId}`);
+    } else {
+      this.active.get(runId)?.abort();
+      console.log(`🛑 Cancelling running run: ${runId}`);
+    }
+
+    return run;
+  }
+
+  /**
+   * Wait until a run reaches a final status
+   *
+   * @returns {Promise<Object>} Final run record
+   */
+  waitForRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      return Promise.reject(new Error(`Run not found: ${runId}`));
+    }
+
+    if (FINAL_STATUSES.includes(run.status)) {
+      return Promise.resolve(run);
+    }
+
+    return new Promise(resolve => {
+      const callbacks = this.waiters.get(runId) || [];
+      callbacks.push(resolve);
+      this.waiters.set(runId, callbacks);
+    });
+  }
+
+  /**
+   * Start workers for pending runs while there is free capacity
+   */
+  drain() {
+    while (this.active.size < this.concurrency) {
+      // Skip runs whose suite is already being executed
+      const index = this.pending.findIndex(runId => {
+        const run = this.runs.get(runId);
+        return !Array.from(this.active.keys()).some(activeId => this.runs.get(activeId).suiteId === run.suiteId);
+      });
+
+      if (index === -1) {
+        return;
+      }
+
+      const [runId] = this.pending.splice(index, 1);
+      const run = this.runs.get(runId);
+      const controller = new AbortController();
+      this.active.set(runId, controller);
+
+      this.processRun(run, controller.signal)
+        .catch(error => console.error(`❌ Run worker error (${runId}):`, error))
+        .finally(() => {
+          this.active.delete(runId);
+          this.notifyWaiters(run);
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Execute a single run job
+   */
+  async processRun(run, signal) {
+    const suite = await suitesAPI.getSuite(run.suiteId);
+
+    if (!suite) {
+      run.status = 'failed';
+      run.error = 'Suite not found';
+      run.finishedAt = new Date().toISOString();
+      await this.saveRun(run);
+      return;
+    }
+
+    const options = run.options || {};
+    const mode = options.mode || 'sequential'; // 'sequential' or 'parallel'
+    const continueOnFailure = options.continueOnFailure !== false;
+
+    // WHY: retryOnFailure without an explicit maxRetries still means "retry once"; 0 means no retry
+    const maxRetries = parseInt(options.maxRetries, 10);
+    const maxAttempts = options.retryOnFailure ? 1 + (Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : 1) : 1;
+
+    // Dataset tests become one iteration per row, then one test per matrix combination
+    let enabledTests;
+    try {
+      enabledTests = await this.expandTests(suite.tests.filter(test => test.enabled !== false), options.only, options.matrix);
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      run.finishedAt = new Date().toISOString();
+      await this.saveRun(run);
+      console.error(`❌ Run ${run.id} failed: ${error.message}`);
+      return;
+    }
+
+    // RESUME: Tests finished before a restart keep their results
+    const finishedIds = new Set(run.results.map(result => result.testId));
+    const remainingTests = enabledTests.filter(test => !finishedIds.has(test.id));
+
+    console.log(`\n▶️  Starting run ${run.id}: ${suite.name} (${remainingTests.length}/${enabledTests.length} tests, ${mode})`);
+
+    run.status = 'running';
+    run.startedAt = run.startedAt || new Date().toISOString();
+    await this.saveRun(run);
+
+    // Live status bookkeeping (polled by the UI)
+    suitesAPI.initExecutionState(suite.id, enabledTests.length);
+    suitesAPI.queueTests(suite.id, remainingTests.map(t => t.id));
+    run.results.forEach(result => {
+      suitesAPI.updateTestStatus(suite.id, result.testId, testStatus(result));
+    });
+
+    // LLM budget: checked before and after every test; stops the run like a timeout
+    let budgetError = null;
+    const checkBudget = async () => {
+      const exceeded = await this.checkBudget(run, options.budget);
+      if (exceeded && !budgetError) {
+        budgetError = exceeded;
+        console.log(`   💸 Run ${run.id}: ${exceeded}`);
+        this.active.get(run.id)?.abort();
+      }
+      return Boolean(budgetError);
+    };
+
+    // Overall run timeout: abort like a cancel, but finish as failed
+    let timedOut = false;
+    const timeoutTimer = options.timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        console.log(`   ⏱️  Run ${run.id} exceeded timeout (${options.timeout}ms)`);
+        this.active.get(run.id)?.abort();
+      }, options.timeout)
+      : null;
+
+    try {
+      const runTest = async (test) => {
+        if (signal.aborted || await checkBudget()) {
+          return null;
+        }
+
+        suitesAPI.updateTestStatus(suite.id, test.id, 'running', {
+          totalSteps: test.steps?.length || 0
+        });
+
+        let result;
+        let attempt = 0;
+
+        do {
+          attempt++;
+          if (attempt > 1) {
+            console.log(`   🔁 Retrying ${test.name} (attempt ${attempt}/${maxAttempts})`);
+          }
+          result = await this.executeTest(test, options, signal, run);
+        } while (!result.success && !result.cancelled && attempt < maxAttempts && !await checkBudget());
+
+        result.attempts = attempt;
+        result.llmUsage = await this.usageLedger.getRunTotals(run.id, test.id);
+
+        if (result.cancelled) {
+          suitesAPI.updateTestStatus(suite.id, test.id, 'cancelled');
+          return null;
+        }
+
+        suitesAPI.updateTestStatus(suite.id, test.id, testStatus(result), {
+          error: result.error || null
+        });
+
+        run.results.push(result);
+        await this.saveRun(run);
+        await checkBudget();
+
+        return result;
+      };
+
+      if (mode === 'parallel') {
+        // Worker pool: at most maxConcurrent tests in flight (default: all)
+        const waiting = [...remainingTests];
+        const limit = parseInt(options.maxConcurrent, 10) || waiting.length;
+
+        const worker = async () => {
+          while (waiting.length > 0 && !signal.aborted) {
+            await runTest(waiting.shift());
+          }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(limit, waiting.length) }, worker));
+      } else {
+        for (const test of remainingTests) {
+          const result = await runTest(test);
+
+          // Stop if cancelled, or test failed and continueOnFailure is false
+          if (!result || (!result.success && !continueOnFailure)) {
+            break;
+          }
+        }
+      }
+
+      if (signal.aborted) {
+        // Tests that never started are reported as cancelled
+        const recordedIds = new Set(run.results.map(result => result.testId));
+        remainingTests
+          .filter(test => !recordedIds.has(test.id))
+          .forEach(test => suitesAPI.updateTestStatus(suite.id, test.id, 'cancelled'));
+      }
+
+      if (timedOut) {
+        run.status = 'failed';
+        run.error = `Run timed out after ${options.timeout}ms`;
+      } else if (budgetError) {
+        run.status = 'failed';
+        run.error = budgetError;
+      } else {
+        run.status = signal.aborted ? 'cancelled' : 'completed';
+      }
+
+    } catch (error) {
+      console.error(`❌ Run ${run.id} failed: ${error.message}`);
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      clearTimeout(timeoutTimer);
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.llmUsage = await this.usageLedger.getRunTotals(run.id);
+    this.usageLedger.forgetRun(run.id);
+    run.summary = {
+      total: run.results.length,
+      passed: run.results.filter(r => r.success).length,
+      failed: run.results.filter(r => !r.success).length,
+      // Passed, but with soft failures (onFailure: warn)
+      warnings: run.results.filter(r => testStatus(r) === 'warning').length,
+      failures: summarizeFailures(run.results)
+    };
+    const datasets = this.summarizeIterations(run.results);
+    if (datasets.length > 0) {
+      run.summary.datasets = datasets;
+    }
+    const environments = this.summarizeEnvironments(run.results);
+    if (environments.length > 0) {
+      run.summary.environments = environments;
+    }
+
+    suitesAPI.completeExecution(suite.id, run.status === 'cancelled' ? 'cancelled' : 'completed');
+
+    // Update suite stats
+    if (run.results.length > 0) {
+      await suitesAPI.updateSuiteStats(suite.id, { results: run.results });
+    }
+
+    await this.saveRun(run);
+
+    console.log(`⏹️  Run ${run.id} ${run.status}: ${run.summary.passed}/${run.summary.total} passed` +
+      `${run.summary.warnings > 0 ? ` (${run.summary.warnings} with warnings)` : ''}`);
+  }
+
+  /**
+   * Expand dataset tests into iterations, fan out over the browser matrix
+   * and apply the run's "only" filter
+   *
+   * @throws {Error} - A dataset can't be loaded, the matrix is invalid, or "only" matches nothing
+   */
+  async expandTests(tests, only, matrix = null) {
+    let expanded = [];
+    for (const test of tests) {
+      expanded.push(...await this.datasetManager.expandTest(test));
+    }
+
+    if (matrix) {
+      expanded = applyMatrix(expanded, expandMatrix(matrix));
+    }
+
+    const selected = expanded.filter(test => isSelected(test, only));
+    if (selected.length === 0 && expanded.length > 0) {
+      throw new Error(`No tests match: ${only.join(', ')}`);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Per-test rollup of dataset iterations
+   *
+   * @returns {Array<Object>} [{ testId, testName, total, passed, failed, failedRows }]
+   */
+  summarizeIterations(results) {
+    const byTest = new Map();
+
+    for (const result of results.filter(r => r.iteration)) {
+      const { testId, testName } = result.iteration;
+      const entry = byTest.get(testId) || { testId, testName, total: 0, passed: 0, failed: 0, failedRows: [] };
+      entry.total++;
+      if (result.success) {
+        entry.passed++;
+      } else {
+        entry.failed++;
+        entry.failedRows.push({ row: result.iteration.row, label: result.iteration.label, iterationId: result.testId });
+      }
+      byTest.set(testId, entry);
+    }
+
+    return Array.from(byTest.values());
+  }
+
+  /**
+   * Results per browser/device combination
+   *
+   * @returns {Array<Object>} [{ key, label, total, passed, failed, failedTests: [testId] }]
+   */
+  summarizeEnvironments(results) {
+    const byKey = new Map();
+
+    for (const result of results.filter(r => r.environment)) {
+      const { key, label } = result.environment;
+      const entry = byKey.get(key) || { key, label, total: 0, passed: 0, failed: 0, failedTests: [] };
+      entry.total++;
+      if (result.success) {
+        entry.passed++;
+      } else {
+        entry.failed++;
+        entry.failedTests.push(result.testId);
+      }
+      byKey.set(key, entry);
+    }
+
+    return Array.from(byKey.values());
+  }
+
+  /**
+   * Reason the run's LLM budget is used up, or null
+   */
+  async checkBudget(run, budget) {
+    if (!budget || (budget.maxCostUsd == null && budget.maxTokens == null)) {
+      return null;
+    }
+
+    const spent = await this.usageLedger.getRunTotals(run.id);
+
+    if (budget.maxCostUsd != null && spent.cost >= budget.maxCostUsd) {
+      return `LLM budget exceeded ($${spent.cost.toFixed(4)} of $${budget.maxCostUsd})`;
+    }
+    if (budget.maxTokens != null && spent.totalTokens >= budget.maxTokens) {
+      return `LLM budget exceeded (${spent.totalTokens} of ${budget.maxTokens} tokens)`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Execute one test through the Phase 2 executor
+   *
+   * @returns {Promise<Object>} Test result (cancelled: true if aborted)
+   */
+  async executeTest(test, options, signal, run) {
+    const identity = {
+      testId: test.id,
+      testName: test.name,
+      ...(test.iteration ? { iteration: test.iteration } : {}),
+      ...(test.environment ? { environment: { key: test.environment.key, label: test.environment.label } } : {})
+    };
+
+    try {
+      const response = await fetch(`${this.executorUrl}/api/execute`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          steps: test.steps,
+          assertions: test.assertions || [],
+          options: {
+            ...(options.executionOptions || {}),
+            // Matrix combination: browser, device, viewport, locale, ...
+            ...(test.environment?.options || {}),
+            // Dataset row values (${column} in steps and assertions)
+            variables: test.variables,
+            // Run-wide mocks first, so the test's own mocks win for the same URL
+            ...mergeNetworkMocks(options.executionOptions?.network, test.network),
+            // Logged-in session from the test's auth profile
+            ...(test.useAuth ? { auth: test.useAuth } : {}),
+            // WHY: Phase 2/3 attribute LLM calls to this run and enforce the budget per call
+            context: { testId: test.id, suiteId: run.suiteId, runId: run.id, budget: options.budget || null }
+          }
+        }),
+        signal
+      });
+      const result = await response.json();
+
+      // Phase 2 returns its own testId (artifact folder) - keep it as reportId
+      return { ...result, ...identity, reportId: result.testId || null };
+    } catch (error) {
+      if (signal.aborted) {
+        return { ...identity, success: false, cancelled: true, error: 'Run cancelled' };
+      }
+
+      return { ...identity, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Persist run record
+   *
+   * WHY: Parallel tests finish concurrently; chaining keeps the file consistent
+   */
+  saveRun(run) {
+    const filePath = path.join(this.runsPath, `${run.id}.json`);
+    const previous = this.writeChains.get(run.id) || Promise.resolve();
+
+    const write = previous
+      .then(() => fs.writeFile(filePath, JSON.stringify(run, null, 2)))
+      .catch(error => console.error(`   ⚠️ Failed to save run ${run.id}: ${error.message}`));
+
+    this.writeChains.set(run.id, write);
+    return write;
+  }
+
+  /**
+   * Resolve everyone waiting on a finished run
+   */
+  notifyWaiters(run) {
+    if (!FINAL_STATUSES.includes(run.status)) {
+      return;
+    }
+
+    const callbacks = this.waiters.get(run.id) || [];
+    this.waiters.delete(run.id);
+    callbacks.forEach(resolve => resolve(run));
+  }
+}
+
+/**
+ * Live status of a finished test: passed, warning (only soft failures) or failed
+ */
+function testStatus(result) {
+  if (!result.success) {
+    return 'failed';
+  }
+  return result.report?.status === 'warning' ? 'warning' : 'passed';
+}
+
+/**
+ * Failed steps and assertions over all tests: hard ones fail their test, soft ones
+ * (onFailure: warn) don't. A test without a report (executor error) is one hard failure.
+ *
+ * @returns {Object} { hard, soft }
+ */
+function summarizeFailures(results) {
+  return results.reduce((totals, result) => {
+    const failures = result.report?.failures;
+    totals.hard += failures ? failures.hard : (result.success ? 0 : 1);
+    totals.soft += failures?.soft || 0;
+    return totals;
+  }, { hard: 0, soft: 0 });
+}
+
+/**
+ * { network: { mocks } } from run-wide and per-test mocks ({} when neither has any)
+ */
+function mergeNetworkMocks(runNetwork, testNetwork) {
+  const mocks = [...(runNetwork?.mocks || []), ...(testNetwork?.mocks || [])];
+  return mocks.length > 0 ? { network: { mocks } } : {};
+}
+
+export default SuiteRunQueue;
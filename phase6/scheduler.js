@@ -0,0 +1,313 @@
+/**
+ * Test Scheduler
+ *
+ * PURPOSE:
+ * Fire scheduled suite runs and scheduled triggers at the right time.
+ * Runs in-process on a fixed tick and compares each schedule's nextRun with the clock.
+ *
+ * FEATURES:
+ * - Suite schedules (testSuitesAPI.scheduleSuite) → queued through SuiteRunQueue
+ * - Triggers with triggerType 'schedule' → AutomatedTestTrigger.executeTrigger
+ * - Cron expressions evaluated in the configured timezone (see cronSchedule.js)
+ * - No overlapping runs: a schedule that fires while its previous run is still
+ *   queued/running is skipped and recorded
+ * - Missed runs after downtime are recorded; with options.catchUp (suites) or
+ *   conditions.catchUp (triggers) the latest missed run is executed once
+ */
+
+import * as suitesAPI from './testSuitesAPI.js';
+import { getNextRun } from './cronSchedule.js';
+
+// Stop scanning after this many past occurrences (e.g. '* * * * *' after a week offline)
+const MAX_SCANNED_OCCURRENCES = 1000;
+
+// Missed-run records kept per schedule
+const MAX_MISSED_RECORDS = 50;
+
+export class TestScheduler {
+  constructor(options = {}) {
+    this.runQueue = options.runQueue;
+    this.testTriggers = options.testTriggers;
+    this.tickInterval = options.tickInterval || 30000;
+
+    // Occurrences we notice later than this are treated as missed (server was down)
+    this.gracePeriod = options.gracePeriod || Math.max(2 * this.tickInterval, 60000);
+
+    this.timer = null;
+    this.ticking = false;
+    this.runningTriggers = new Set(); // triggerIds with an execution in flight
+  }
+
+  /**
+   * Start the scheduler loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.tick();
+
+    console.log(`⏰ Test Scheduler started (tick: ${this.tickInterval / 1000}s)`);
+  }
+
+  /**
+   * Stop the scheduler loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check all schedules once
+   *
+   * @param {Date} now - Current time (injectable for testing)
+   */
+  async tick(now = new Date()) {
+    // WHY: A slow tick (many suites on disk) must not overlap the next one
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      await this.checkSuiteSchedules(now);
+      await this.checkTriggerSchedules(now);
+    } catch (error) {
+      console.error(`❌ Scheduler tick failed: ${error.message}`);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Fire due suite schedules
+   */
+  async checkSuiteSchedules(now) {
+    const suites = await suitesAPI.getAllSuites();
+
+    for (const suite of suites) {
+      const schedule = suite.schedule;
+
+      if (!schedule?.enabled || !schedule.nextRun || new Date(schedule.nextRun) > now) {
+        continue;
+      }
+
+      try {
+        await this.fireSuiteSchedule(suite, now);
+      } catch (error) {
+        console.error(`   ❌ Scheduled run of suite ${suite.name} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Handle a due suite schedule: record missed runs, enqueue, advance nextRun
+   */
+  async fireSuiteSchedule(suite, now) {
+    const schedule = suite.schedule;
+    const due = this.collectDueRuns(schedule, new Date(schedule.nextRun), now);
+
+    // Run state only; the definition is written back from a fresh read below
+    const state = { missedRuns: schedule.missedRuns, missedCount: schedule.missedCount };
+    this.recordMissedRuns(state, due.missed, 'downtime');
+
+    if (due.fire) {
+      if (this.runQueue.hasOpenRun(suite.id)) {
+        console.log(`   ⏭️  Skipping scheduled run of ${suite.name}: previous run still in progress`);
+        this.recordMissedRuns(state, [due.fire], 'overlap');
+      } else {
+        console.log(`\n⏰ Scheduled run due: ${suite.name} (${due.fire.toISOString()})`);
+
+        const run = await this.runQueue.enqueue(suite.id, schedule.options || {}, {
+          source: 'schedule',
+          triggeredBy: `schedule:${due.fire.toISOString()}`
+        });
+
+        state.lastRunAt = now.toISOString();
+        state.lastRunId = run.id;
+      }
+    }
+
+    // WHY: The schedule may have been edited or removed while the run was queued
+    const latest = (await suitesAPI.getSuite(suite.id))?.schedule;
+    if (!latest) {
+      return;
+    }
+    if (latest.nextRun === schedule.nextRun) {
+      state.nextRun = due.nextRun;
+    }
+    await suitesAPI.updateSuite(suite.id, { schedule: { ...latest, ...state } });
+  }
+
+  /**
+   * Fire due scheduled triggers
+   */
+  async checkTriggerSchedules(now) {
+    const triggers = await this.testTriggers.listTriggers({ enabled: true, triggerType: 'schedule' });
+
+    for (const trigger of triggers) {
+      try {
+        await this.fireTriggerSchedule(trigger, now);
+      } catch (error) {
+        console.error(`   ❌ Scheduled trigger ${trigger.name} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Handle a scheduled trigger
+   *
+   * State (nextRun, lastRunAt, missedRuns) lives in trigger.scheduleState
+   */
+  async fireTriggerSchedule(trigger, now) {
+    const schedule = {
+      type: 'cron',
+      expression: trigger.conditions.schedule,
+      timezone: trigger.conditions.timezone || 'UTC',
+      options: { catchUp: trigger.conditions.catchUp || false }
+    };
+    const state = { ...(trigger.scheduleState || {}) };
+
+    // New trigger, or its cron/timezone was edited: (re)compute the next run
+    if (!state.nextRun || state.expression !== schedule.expression || state.timezone !== schedule.timezone) {
+      state.expression = schedule.expression;
+      state.timezone = schedule.timezone;
+      state.nextRun = getNextRun(schedule, now);
+      await this.testTriggers.saveScheduleState(trigger.id, state);
+      return;
+    }
+
+    if (new Date(state.nextRun) > now) {
+      return;
+    }
+
+    const due = this.collectDueRuns(schedule, new Date(state.nextRun), now);
+    this.recordMissedRuns(state, due.missed, 'downtime');
+
+    let fire = null;
+    if (due.fire) {
+      if (this.runningTriggers.has(trigger.id)) {
+        console.log(`   ⏭️  Skipping scheduled trigger ${trigger.name}: previous execution still running`);
+        this.recordMissedRuns(state, [due.fire], 'overlap');
+      } else {
+        fire = due.fire;
+        state.lastRunAt = now.toISOString();
+      }
+    }
+
+    state.nextRun = due.nextRun;
+
+    // WHY: Save before executing - executeTrigger rewrites the trigger file when it finishes
+    await this.testTriggers.saveScheduleState(trigger.id, state);
+
+    if (fire) {
+      console.log(`\n⏰ Scheduled trigger due: ${trigger.name} (${fire.toISOString()})`);
+      this.runningTriggers.add(trigger.id);
+
+      this.testTriggers.executeTrigger(trigger, {
+        type: 'schedule',
+        reason: `Scheduled execution (${schedule.expression} ${schedule.timezone})`,
+        scheduledFor: fire.toISOString()
+      })
+        .catch(error => console.error('Scheduled trigger execution error:', error))
+        .finally(() => this.runningTriggers.delete(trigger.id));
+    }
+  }
+
+  /**
+   * Work out which occurrences between the stored nextRun and now are due
+   *
+   * The latest occurrence fires if it is within the grace period; anything
+   * older was missed (server down or busy). With catchUp the latest missed
+   * occurrence still fires once.
+   *
+   * @returns {Object} { fire: Date|null, missed: Date[], nextRun: Date|null }
+   */
+  collectDueRuns(schedule, nextRun, now) {
+    const occurrences = [];
+    let occurrence = nextRun;
+
+    while (occurrence && occurrence <= now && occurrences.length < MAX_SCANNED_OCCURRENCES) {
+      occurrences.push(occurrence);
+      occurrence = getNextRun(schedule, occurrence);
+    }
+
+    const latest = occurrences[occurrences.length - 1] || null;
+    const onTime = latest && now - latest <= this.gracePeriod;
+    const fire = (onTime || (latest && schedule.options?.catchUp)) ? latest : null;
+
+    return {
+      fire,
+      missed: occurrences.filter(o => o !== fire),
+      nextRun: getNextRun(schedule, now)
+    };
+  }
+
+  /**
+   * Append missed-run records to a schedule/state object
+   *
+   * @param {Object} target - Suite schedule or trigger scheduleState
+   * @param {Date[]} dates - Scheduled times that did not run
+   * @param {string} reason - 'downtime' | 'overlap'
+   */
+  recordMissedRuns(target, dates, reason) {
+    if (dates.length === 0) {
+      return;
+    }
+
+    const detectedAt = new Date().toISOString();
+    const records = dates.map(date => ({ scheduledFor: date.toISOString(), detectedAt, reason }));
+
+    target.missedRuns = [...(target.missedRuns || []), ...records].slice(-MAX_MISSED_RECORDS);
+    target.missedCount = (target.missedCount || 0) + dates.length;
+
+    console.log(`   ⚠️  Recorded ${dates.length} missed run(s) (${reason})`);
+  }
+
+  /**
+   * Upcoming runs across suites and triggers (for the dashboard)
+   */
+  async getUpcoming() {
+    const suites = await suitesAPI.getAllSuites();
+    const triggers = await this.testTriggers.listTriggers({ enabled: true, triggerType: 'schedule' });
+
+    const upcoming = [
+      ...suites
+        .filter(suite => suite.schedule?.enabled && suite.schedule.nextRun)
+        .map(suite => ({
+          kind: 'suite',
+          id: suite.id,
+          name: suite.name,
+          type: suite.schedule.type,
+          expression: suite.schedule.expression,
+          timezone: suite.schedule.timezone || 'UTC',
+          nextRun: suite.schedule.nextRun,
+          lastRunAt: suite.schedule.lastRunAt || null,
+          missedCount: suite.schedule.missedCount || 0
+        })),
+      ...triggers
+        .filter(trigger => trigger.scheduleState?.nextRun)
+        .map(trigger => ({
+          kind: 'trigger',
+          id: trigger.id,
+          name: trigger.name,
+          type: 'cron',
+          expression: trigger.conditions.schedule,
+          timezone: trigger.conditions.timezone || 'UTC',
+          nextRun: trigger.scheduleState.nextRun,
+          lastRunAt: trigger.scheduleState.lastRunAt || null,
+          missedCount: trigger.scheduleState.missedCount || 0
+        }))
+    ];
+
+    return upcoming.sort((a, b) => new Date(a.nextRun) - new Date(b.nextRun));
+  }
+}
+
+export default TestScheduler;
@@ -34,16 +34,18 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import multer from 'multer';
 import CSVTestSuiteHandler from './csvTestSuiteHandler.js';
-import CloudIntegrationsManager from './cloudIntegrations.js';
+import CloudIntegrationsManager, { REPOSITORY_EVENT_TYPES } from './cloudIntegrations.js';
 import AutomatedTestTrigger from './automatedTestTrigger.js';
+import WebhookSecurity from './webhookSecurity.js';
 
 // Load environment variables
 dotenv.config({ path: '../.env' });
 
 // Initialize new modules
 const csvHandler = new CSVTestSuiteHandler();
-const cloudIntegrations = new CloudIntegrationsManager();
-const testTriggers = new AutomatedTestTrigger();
+const webhookSecurity = new WebhookSecurity();
+const cloudIntegrations = new CloudIntegrationsManager({ webhookSecurity });
+// testTriggers is created with the suite run queue (see TEST SUITES API below)
 
 // Configure multer for file uploads
 const upload = multer({ 
@@ -56,7 +58,15 @@ const PORT = 6969;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // WHY: Webhook signatures are computed over the exact bytes the provider sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/') || /^\/api\/triggers\/[^/]+\/webhook/.test(req.originalUrl)) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.static('public')); // Serve static files from public directory
 
 // Service URLs
@@ -490,6 +500,36 @@ async function proxyRequest(req, res, serviceUrl) {
 // ==================== TEST SUITES API ====================
 
 import * as suitesAPI from './testSuitesAPI.js';
+import SuiteRunQueue from './runQueue.js';
+import TestScheduler from './scheduler.js';
+import { UsageLedger } from '../backend/llm/usageLedger.js';
+import DatasetManager from './datasetManager.js';
+import FlowStore from '../backend/flows/flowStore.js';
+import { expandMatrix } from './browserMatrix.js';
+import { validateNetworkOptions } from '../phase2/networkMocker.js';
+import { PERF_METRICS } from '../phase2/perfMetrics.js';
+import AuthProfileStore from '../backend/auth/authProfileStore.js';
+
+// LLM spend recorded by every phase (logs/llm-usage)
+const usageLedger = new UsageLedger();
+
+// Datasets for data-driven tests (one iteration per row)
+const datasetManager = new DatasetManager({ csvHandler });
+
+// Reusable flows for callFlow steps (Phase 2 reads the same folder)
+const flowStore = new FlowStore();
+
+// Auth profiles for useAuth tests (Phase 2 logs in and saves sessions in the same folder)
+const authStore = new AuthProfileStore();
+
+// Background run queue for suite executions
+const runQueue = new SuiteRunQueue({ executorUrl: SERVICES.phase2, usageLedger, datasetManager });
+
+// Triggers run their suites through the same queue
+const testTriggers = new AutomatedTestTrigger({ runQueue, cloudIntegrations });
+
+// Fires suite schedules and 'schedule' triggers (started after initialization below)
+const scheduler = new TestScheduler({ runQueue, testTriggers });
 
 // Get all suites (tree structure)
 app.get('/api/suites', async (req, res) => {
@@ -547,6 +587,14 @@ app.delete('/api/suites/:suiteId', async (req, res) => {
 // Add test to suite
 app.post('/api/suites/:suiteId/tests', async (req, res) => {
   try {
+    const networkErrors = validateNetworkOptions(req.body.network);
+    if (networkErrors.length > 0) {
+      return res.status(400).json({ success: false, error: networkErrors.join('; ') });
+    }
+    if (req.body.useAuth && !await authStore.get(req.body.useAuth)) {
+      return res.status(400).json({ success: false, error: `Unknown auth profile "${req.body.useAuth}"` });
+    }
+    
     const suite = await suitesAPI.addTestToSuite(req.params.suiteId, req.body);
     res.json({ success: true, suite });
   } catch (error) {
@@ -557,6 +605,14 @@ app.post('/api/suites/:suiteId/tests', async (req, res) => {
 // Update test in suite
 app.put('/api/suites/:suiteId/tests/:testId', async (req, res) => {
   try {
+    const networkErrors = validateNetworkOptions(req.body.network);
+    if (networkErrors.length > 0) {
+      return res.status(400).json({ success: false, error: networkErrors.join('; ') });
+    }
+    if (req.body.useAuth && !await authStore.get(req.body.useAuth)) {
+      return res.status(400).json({ success: false, error: `Unknown auth profile "${req.body.useAuth}"` });
+    }
+    
     const suite = await suitesAPI.updateTestInSuite(
       req.params.suiteId,
       req.params.testId,
@@ -621,7 +677,7 @@ app.post('/api/suites/:suiteId/schedule', async (req, res) => {
   }
 });
 
-// Execute suite
+// Execute suite (asynchronous - enqueues a run job and returns its ID)
 app.post('/api/suites/:suiteId/run', async (req, res) => {
   try {
     const suite = await suitesAPI.getSuite(req.params.suiteId);
@@ -629,126 +685,43 @@ app.post('/api/suites/:suiteId/run', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Suite not found' });
     }
     
-    const options = req.body.options || {};
-    const mode = options.mode || 'sequential'; // 'sequential' or 'parallel'
-    const continueOnFailure = options.continueOnFailure !== false;
-    
-    const results = [];
-    const enabledTests = suite.tests.filter(test => test.enabled !== false);
-    
-    // Initialize execution state
-    suitesAPI.initExecutionState(suite.id, enabledTests.length);
-    
-    // Queue all tests
-    suitesAPI.queueTests(suite.id, enabledTests.map(t => t.id));
-    
-    if (mode === 'parallel') {
-      // Execute all tests in parallel
-      const promises = enabledTests
-        .map(async (test) => {
-          // Mark test as running
-          suitesAPI.updateTestStatus(suite.id, test.id, 'running', {
-            totalSteps: test.steps?.length || 0
-          });
-          
-          try {
-            const response = await fetch(`${SERVICES.phase2}/api/execute`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                steps: test.steps,
-                assertions: test.assertions || [],
-                options: options.executionOptions || {}
-              })
-            });
-            const result = await response.json();
-            
-            // Update test status based on result
-            suitesAPI.updateTestStatus(suite.id, test.id, result.success ? 'passed' : 'failed', {
-              error: result.error || null
-            });
-            
-            return { testId: test.id, testName: test.name, ...result };
-          } catch (error) {
-            // Mark test as failed
-            suitesAPI.updateTestStatus(suite.id, test.id, 'failed', {
-              error: error.message
-            });
-            return { testId: test.id, testName: test.name, success: false, error: error.message };
-          }
-        });
-      
-      const parallelResults = await Promise.all(promises);
-      results.push(...parallelResults);
-      
-    } else {
-      // Execute tests sequentially
-      for (const test of enabledTests) {
-        // Mark test as running
-        suitesAPI.updateTestStatus(suite.id, test.id, 'running', {
-          totalSteps: test.steps?.length || 0
-        });
-        
-        try {
-          const response = await fetch(`${SERVICES.phase2}/api/execute`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              steps: test.steps,
-              assertions: test.assertions || [],
-              options: options.executionOptions || {}
-            })
-          });
-          const result = await response.json();
-          
-          // Update test status based on result
-          suitesAPI.updateTestStatus(suite.id, test.id, result.success ? 'passed' : 'failed', {
-            error: result.error || null
-          });
-          
-          results.push({ testId: test.id, testName: test.name, ...result });
-          
-          // Stop if test failed and continueOnFailure is false
-          if (!result.success && !continueOnFailure) {
-            break;
-          }
-        } catch (error) {
-          // Mark test as failed
-          suitesAPI.updateTestStatus(suite.id, test.id, 'failed', {
-            error: error.message
-          });
-          
-          results.push({ testId: test.id, testName: test.name, success: false, error: error.message });
-          if (!continueOnFailure) {
-            break;
-          }
-        }
+    // Unknown browsers / devices are the caller's mistake; reject before queueing
+    if (req.body.options?.matrix) {
+      try {
+        expandMatrix(req.body.options.matrix);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
       }
     }
     
-    // Complete execution
-    suitesAPI.completeExecution(suite.id);
-    
-    // Update suite stats
-    await suitesAPI.updateSuiteStats(req.params.suiteId, { results });
+    const run = await runQueue.enqueue(suite.id, req.body.options || {}, {
+      source: 'api',
+      triggeredBy: req.body.userId || null
+    });
     
-    res.json({
+    res.status(202).json({
       success: true,
+      runId: run.id,
       suiteId: suite.id,
       suiteName: suite.name,
-      mode,
-      results,
-      summary: {
-        total: results.length,
-        passed: results.filter(r => r.success).length,
-        failed: results.filter(r => !r.success).length
-      }
+      status: run.status,
+      statusUrl: `/api/runs/${run.id}`
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Upcoming scheduled runs (suites and 'schedule' triggers)
+app.get('/api/schedules/upcoming', async (req, res) => {
+  try {
+    const upcoming = await scheduler.getUpcoming();
+    res.json({ success: true, upcoming });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get suite execution status (for live polling)
 app.get('/api/suites/:suiteId/status', async (req, res) => {
   try {
@@ -804,6 +777,342 @@ app.get('/api/suites/tag/:tag', async (req, res) => {
   }
 });
 
+// ==================== SUITE RUNS ====================
+
+// List runs (optional filters: suiteId, status, limit)
+app.get('/api/runs', async (req, res) => {
+  try {
+    const runs = runQueue.listRuns(req.query);
+    res.json({ success: true, runs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get run by ID
+app.get('/api/runs/:runId', async (req, res) => {
+  try {
+    const run = runQueue.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel a queued or running run
+app.post('/api/runs/:runId/cancel', async (req, res) => {
+  try {
+    const run = runQueue.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    if (['completed', 'failed', 'cancelled', 'interrupted'].includes(run.status)) {
+      return res.status(409).json({ success: false, error: `Run already ${run.status}` });
+    }
+    
+    await runQueue.cancelRun(run.id);
+    res.json({ success: true, run });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Page performance of a test over its last runs (charts in the suite view)
+// Query: limit (default 30 runs)
+app.get('/api/suites/:suiteId/tests/:testId/perf', async (req, res) => {
+  try {
+    const suite = await suitesAPI.getSuite(req.params.suiteId);
+    if (!suite) {
+      return res.status(404).json({ success: false, error: 'Suite not found' });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit, 10) || 30, 200);
+    const history = runQueue.perfHistory(suite.id, req.params.testId, limit);
+    res.json({ success: true, testId: req.params.testId, metrics: PERF_METRICS, history });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-run tests of a finished run (default: its failed tests and dataset rows)
+// Body: { only: [testId | iterationId] } (optional)
+app.post('/api/runs/:runId/rerun', async (req, res) => {
+  try {
+    const run = runQueue.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    
+    if (req.body.only !== undefined && (!Array.isArray(req.body.only) || !req.body.only.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ success: false, error: 'only must be an array of test or iteration IDs' });
+    }
+    
+    const only = req.body.only || run.results.filter(result => !result.success).map(result => result.testId);
+    if (only.length === 0) {
+      return res.status(400).json({ success: false, error: 'Run has no failed tests to re-run' });
+    }
+    
+    const rerun = await runQueue.enqueue(run.suiteId, { ...run.options, only }, {
+      source: 'rerun',
+      triggeredBy: req.body.userId || run.id
+    });
+    
+    res.status(202).json({
+      success: true,
+      runId: rerun.id,
+      suiteId: rerun.suiteId,
+      only,
+      status: rerun.status,
+      statusUrl: `/api/runs/${rerun.id}`
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== DATASETS ====================
+
+// List uploaded datasets (summary and first rows)
+app.get('/api/datasets', async (req, res) => {
+  try {
+    const datasets = await datasetManager.listDatasets();
+    res.json({ success: true, datasets });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Upload a CSV or JSON dataset (multipart "datasetFile", or JSON body { name, format, content })
+app.post('/api/datasets', upload.single('datasetFile'), async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf-8') : req.body.content;
+    const filename = req.file ? req.file.originalname : req.body.name;
+    
+    if (!content) {
+      return res.status(400).json({ success: false, error: 'No dataset file or content provided' });
+    }
+    
+    const dataset = await datasetManager.saveDataset(content, filename, req.body.format);
+    res.json({ success: true, dataset });
+  } catch (error) {
+    // Parse errors are the caller's data, not a server fault
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Preview the rows a test's dataset definition expands to
+// Body: { dataset: { type, rows | content | datasetId, ... } }
+app.post('/api/datasets/preview', async (req, res) => {
+  try {
+    const rows = await datasetManager.resolveRows(req.body.dataset);
+    res.json({ success: true, totalRows: rows.length, columns: datasetManager.columnsOf(rows), rows });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Get dataset with all rows
+app.get('/api/datasets/:datasetId', async (req, res) => {
+  try {
+    const dataset = await datasetManager.getDataset(req.params.datasetId);
+    if (!dataset) {
+      return res.status(404).json({ success: false, error: 'Dataset not found' });
+    }
+    res.json({ success: true, dataset });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete dataset
+app.delete('/api/datasets/:datasetId', async (req, res) => {
+  try {
+    const deleted = await datasetManager.deleteDataset(req.params.datasetId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Dataset not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== FLOWS ====================
+
+// List reusable flows
+app.get('/api/flows', async (req, res) => {
+  try {
+    const flows = await flowStore.list();
+    res.json({ success: true, flows });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get flow by ID or name
+app.get('/api/flows/:flowId', async (req, res) => {
+  try {
+    const flow = await flowStore.get(req.params.flowId);
+    if (!flow) {
+      return res.status(404).json({ success: false, error: 'Flow not found' });
+    }
+    res.json({ success: true, flow });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create or replace a flow
+// Body: { name, description?, params?: { name: default | null }, steps: [...] }
+app.post('/api/flows', async (req, res) => {
+  try {
+    const flow = await flowStore.save(req.body);
+    res.json({ success: true, flow });
+  } catch (error) {
+    // Missing name / invalid steps
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update a flow (the ID in the URL wins over the body)
+app.put('/api/flows/:flowId', async (req, res) => {
+  try {
+    if (!await flowStore.get(req.params.flowId)) {
+      return res.status(404).json({ success: false, error: 'Flow not found' });
+    }
+    const flow = await flowStore.save({ ...req.body, id: req.params.flowId });
+    res.json({ success: true, flow });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a flow
+app.delete('/api/flows/:flowId', async (req, res) => {
+  try {
+    const deleted = await flowStore.delete(req.params.flowId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Flow not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== AUTH PROFILES ====================
+
+// List auth profiles (session metadata and freshness, never the session itself)
+app.get('/api/auth-profiles', async (req, res) => {
+  try {
+    const profiles = await authStore.list();
+    res.json({ success: true, profiles });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get auth profile by ID or name
+app.get('/api/auth-profiles/:profileId', async (req, res) => {
+  try {
+    const profile = await authStore.get(req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Auth profile not found' });
+    }
+    res.json({ success: true, profile: { ...profile, freshness: authStore.freshness(profile) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create or replace an auth profile
+// Body: { name, steps | flow + params, check?: { url?, condition }, sessionCookie?, maxAgeMinutes? }
+app.post('/api/auth-profiles', async (req, res) => {
+  try {
+    const profile = await authStore.save(req.body);
+    res.json({ success: true, profile });
+  } catch (error) {
+    // Missing name / login steps, invalid check
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update an auth profile (the ID in the URL wins over the body)
+app.put('/api/auth-profiles/:profileId', async (req, res) => {
+  try {
+    const existing = await authStore.get(req.params.profileId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Auth profile not found' });
+    }
+    const profile = await authStore.save({ ...req.body, id: existing.id });
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an auth profile and its saved session
+app.delete('/api/auth-profiles/:profileId', async (req, res) => {
+  try {
+    const deleted = await authStore.delete(req.params.profileId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Auth profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Forget the saved session: the next test using the profile logs in again
+app.delete('/api/auth-profiles/:profileId/session', async (req, res) => {
+  try {
+    const existing = await authStore.get(req.params.profileId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Auth profile not found' });
+    }
+    const profile = await authStore.clearState(existing.id);
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== LLM USAGE ====================
+
+// Spend summary per day, suite, feature, phase and model
+// Query filters: from, to (YYYY-MM-DD), suiteId, runId, testId, phase, feature; days (default 30 when no from)
+app.get('/api/llm-usage', async (req, res) => {
+  try {
+    const filters = { ...req.query };
+    if (!filters.from) {
+      const days = parseInt(filters.days, 10) || 30;
+      filters.from = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    }
+
+    const summary = await usageLedger.summarize(filters);
+    const suiteNames = Object.fromEntries((await suitesAPI.getAllSuites()).map(suite => [suite.id, suite.name]));
+
+    res.json({ success: true, from: filters.from, to: filters.to || null, ...summary, suiteNames });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Individual usage records (newest first), same filters plus limit (default 100)
+app.get('/api/llm-usage/records', async (req, res) => {
+  try {
+    const records = await usageLedger.query(req.query);
+    const limit = parseInt(req.query.limit, 10) || 100;
+    res.json({ success: true, total: records.length, records: records.reverse().slice(0, limit) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==================== CSV UPLOAD & TEST SUITE IMPORT ====================
 
 // Upload CSV file and convert to test suite
@@ -831,10 +1140,12 @@ app.post('/api/csv/upload', upload.single('csvFile'), async (req, res) => {
 
 // ==================== CLOUD INTEGRATIONS ====================
 
-// Initialize cloud integrations
+// Initialize cloud integrations, triggers, run queue and scheduler
 (async () => {
   await cloudIntegrations.initialize();
   await testTriggers.initialize();
+  await runQueue.initialize();
+  scheduler.start();
 })();
 
 // Add/Update cloud integration
@@ -904,23 +1215,33 @@ app.post('/api/webhooks/:provider', async (req, res) => {
     const { provider } = req.params;
     console.log(`\n📥 Webhook received from ${provider}`);
 
-    // Handle webhook from cloud provider
+    // Push / PR / tag / release triggers for this provider (their webhookSecrets may also sign deliveries)
+    const triggers = (await testTriggers.listTriggers({ enabled: true }))
+      .filter(trigger => REPOSITORY_EVENT_TYPES.includes(trigger.triggerType))
+      .filter(trigger => !trigger.conditions.cloudProvider || trigger.conditions.cloudProvider === provider);
+
+    // Handle webhook from cloud provider (verifies signature and replay first)
     const webhookResult = await cloudIntegrations.handleWebhook(
       provider, 
       req.body, 
-      req.headers
+      req.headers,
+      {
+        rawBody: req.rawBody,
+        ip: req.ip,
+        triggerSecrets: triggers
+          .filter(trigger => trigger.conditions.webhookSecret)
+          .map(trigger => ({ id: trigger.id, secret: trigger.conditions.webhookSecret }))
+      }
     );
 
+    if (webhookResult.rejected) {
+      return res.status(401).json({ success: false, error: webhookResult.reason });
+    }
+
     // Check if we should trigger test execution
     if (webhookResult.triggerRegression) {
       console.log('🎯 Triggering automated test execution...');
 
-      // Find matching triggers
-      const triggers = await testTriggers.listTriggers({ 
-        enabled: true, 
-        triggerType: 'push' 
-      });
-
       for (const trigger of triggers) {
         const shouldTrigger = await testTriggers.shouldTrigger(trigger, webhookResult.event);
         
@@ -948,6 +1269,17 @@ app.post('/api/webhooks/:provider', async (req, res) => {
   }
 });
 
+// Rejected webhook deliveries (audit log)
+app.get('/api/webhooks/rejections', async (req, res) => {
+  try {
+    const rejections = await webhookSecurity.listRejections(req.query);
+    res.json({ success: true, rejections });
+  } catch (error) {
+    console.error('List webhook rejections error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==================== AUTOMATED TEST TRIGGERS ====================
 
 // Create new trigger
@@ -1027,6 +1359,67 @@ app.post('/api/triggers/:triggerId/execute', async (req, res) => {
   }
 });
 
+// Webhook for 'webhook' triggers
+// Signed like our outgoing notifications: X-AIQA-Signature = sha256=HMAC(webhookSecret, "<X-AIQA-Timestamp>.<body>")
+app.post('/api/triggers/:triggerId/webhook', async (req, res) => {
+  const { triggerId } = req.params;
+  const deliveryId = webhookSecurity.getDeliveryId('aiqa', req.headers, req.body, req.rawBody);
+
+  const reject = async (reason) => {
+    await webhookSecurity.recordRejection({
+      source: `trigger:${triggerId}`,
+      provider: 'aiqa',
+      deliveryId,
+      reason,
+      ip: req.ip,
+      headers: req.headers
+    });
+    return res.status(401).json({ success: false, error: reason });
+  };
+
+  try {
+    // WHY: Unknown triggers get the same 401 as bad signatures (no trigger ID probing)
+    const trigger = await testTriggers.getTrigger(triggerId).catch(() => null);
+    if (!trigger || trigger.triggerType !== 'webhook') {
+      return reject('Unknown webhook trigger');
+    }
+
+    const verification = webhookSecurity.verifySignature('aiqa', { rawBody: req.rawBody, headers: req.headers }, [
+      { id: trigger.id, secret: trigger.conditions.webhookSecret }
+    ]);
+
+    if (!verification.valid) {
+      return reject(verification.reason);
+    }
+
+    if (!(await webhookSecurity.registerDelivery(`trigger:${trigger.id}`, deliveryId))) {
+      return reject(`Duplicate delivery ${deliveryId} (replay)`);
+    }
+
+    const event = {
+      type: 'webhook',
+      provider: 'aiqa',
+      deliveryId,
+      authenticatedBy: verification.matched,
+      unsigned: verification.unsigned || false
+    };
+
+    const decision = await testTriggers.shouldTrigger(trigger, event);
+    if (!decision.shouldTrigger) {
+      return res.json({ success: true, triggered: false, reason: decision.reason });
+    }
+
+    // Execute trigger asynchronously
+    testTriggers.executeTrigger(trigger, { ...event, reason: decision.reason })
+      .catch(err => console.error('Trigger execution error:', err));
+
+    res.status(202).json({ success: true, triggered: true, deliveryId });
+  } catch (error) {
+    console.error('Trigger webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get execution history
 app.get('/api/triggers/executions/history', async (req, res) => {
   try {
@@ -1038,6 +1431,20 @@ app.get('/api/triggers/executions/history', async (req, res) => {
   }
 });
 
+// Get a single execution (commit status links point here)
+app.get('/api/triggers/executions/:executionId', async (req, res) => {
+  try {
+    const execution = await testTriggers.getExecution(req.params.executionId);
+    res.json({ success: true, execution });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ success: false, error: 'Execution not found' });
+    }
+    console.error('Get execution error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==================== HEALTH CHECK ====================
 
 app.get('/health', (req, res) => {
@@ -1074,10 +1481,14 @@ if (!process.env.UNIFIED_MODE) {
   console.log('║   GET  /api/dashboard/stats              - Aggregated stats   ║');
   console.log('║   GET  /api/dashboard/recent-tests       - Recent tests       ║');
   console.log('║   GET  /api/services/health              - Service health     ║');
+  console.log('║   POST /api/suites/:id/run               - Queue suite run    ║');
+  console.log('║   GET  /api/runs/:runId                  - Run status/results ║');
+  console.log('║   GET  /api/llm-usage                    - LLM spend summary  ║');
   console.log('║   POST /api/csv/upload                   - CSV test import    ║');
   console.log('║   POST /api/integrations/:provider       - Cloud integration  ║');
   console.log('║   POST /api/triggers                     - Auto test triggers ║');
   console.log('║   POST /api/webhooks/:provider           - Webhook handler    ║');
+  console.log('║   POST /api/triggers/:id/webhook         - Signed trigger hook║');
   console.log('║   *    /api/phase[1-5]/*                 - Proxy to phases    ║');
   console.log('║   GET  /health                            - Health check      ║');
   console.log('║                                                                ║');
@@ -17,6 +17,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getNextRun } from './cronSchedule.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,13 +32,13 @@ const SUITES_DIR = path.join(__dirname, 'test-suites');
  */
 const executionState = {
   // suiteId: {
-  //   status: 'running' | 'completed' | 'idle',
+  //   status: 'running' | 'completed' | 'cancelled' | 'idle',
   //   startTime: timestamp,
   //   endTime: timestamp,
   //   progress: { completed: 2, total: 5, percentage: 40 },
   //   tests: {
   //     testId: {
-  //       status: 'queued' | 'running' | 'passed' | 'failed',
+  //       status: 'queued' | 'running' | 'passed' | 'warning' | 'failed' | 'cancelled',
   //       currentStep: 3,
   //       totalSteps: 10,
   //       startTime: timestamp,
@@ -199,6 +200,12 @@ async function addTestToSuite(suiteId, test) {
     description: test.description || '',
     steps: test.steps || [],
     tags: test.tags || [],
+    // Data-driven tests: { type, rows | content | datasetId } (see datasetManager.js)
+    dataset: test.dataset || null,
+    // Network mocks for every execution: { mocks: [...] } (see phase2/networkMocker.js)
+    network: test.network || null,
+    // Auth profile whose saved session the test starts from (see backend/auth/authProfileStore.js)
+    useAuth: test.useAuth || null,
     enabled: true,
     createdAt: new Date().toISOString(),
     lastRun: null,
@@ -384,6 +391,8 @@ async function updateSuiteStats(suiteId, runResult) {
 
 /**
  * Schedule suite run
+ * 
+ * Runs are fired by scheduler.js; this only stores the definition and next run.
  */
 async function scheduleSuite(suiteId, scheduleData) {
   const suite = await getSuite(suiteId);
@@ -395,31 +404,35 @@ async function scheduleSuite(suiteId, scheduleData) {
     enabled: scheduleData.enabled !== false,
     type: scheduleData.type || 'cron', // 'cron', 'interval', 'once'
     expression: scheduleData.expression, // Cron expression or interval
-    nextRun: calculateNextRun(scheduleData),
-    options: scheduleData.options || {}
+    timezone: scheduleData.timezone || 'UTC', // IANA timezone for cron expressions
+    nextRun: null,
+    options: scheduleData.options || {},
+    
+    // Keep run history across edits
+    lastRunAt: suite.schedule?.lastRunAt || null,
+    lastRunId: suite.schedule?.lastRunId || null,
+    missedRuns: suite.schedule?.missedRuns || [],
+    missedCount: suite.schedule?.missedCount || 0
   };
   
+  schedule.nextRun = calculateNextRun(schedule);
+  
+  if (schedule.type === 'once' && !schedule.nextRun) {
+    throw new Error('One-time schedule must be in the future');
+  }
+  
   return await updateSuite(suiteId, { schedule });
 }
 
 /**
  * Calculate next run time
+ * 
+ * @param {object} scheduleData - { type, expression, timezone }
+ * @param {Date} fromDate - Reference time (default: now)
+ * @returns {Date|null} - Next run, or null if it will not run again
  */
-function calculateNextRun(scheduleData) {
-  // Simplified - in production, use a cron library
-  const now = new Date();
-  
-  if (scheduleData.type === 'once') {
-    return new Date(scheduleData.expression);
-  }
-  
-  if (scheduleData.type === 'interval') {
-    const interval = parseInt(scheduleData.expression);
-    return new Date(now.getTime() + interval * 60000); // minutes
-  }
-  
-  // For cron, return approximate next run
-  return new Date(now.getTime() + 86400000); // 24 hours
+function calculateNextRun(scheduleData, fromDate = new Date()) {
+  return getNextRun(scheduleData, fromDate);
 }
 
 /**
@@ -480,7 +493,8 @@ function initExecutionState(suiteId, totalTests) {
  * 
  * @param {string} suiteId - Suite ID
  * @param {string} testId - Test ID
- * @param {string} status - Test status (queued|running|passed|failed)
+ * @param {string} status - Test status (queued|running|passed|warning|failed|cancelled);
+ *   warning = passed with soft failures
  * @param {object} details - Additional details (currentStep, totalSteps, etc.)
  */
 function updateTestStatus(suiteId, testId, status, details = {}) {
@@ -507,7 +521,7 @@ function updateTestStatus(suiteId, testId, status, details = {}) {
     test.startTime = Date.now();
   }
   
-  if (status === 'passed' || status === 'failed') {
+  if (['passed', 'warning', 'failed', 'cancelled'].includes(status)) {
     test.duration = test.startTime ? Date.now() - test.startTime : 0;
     
     // Update suite progress
@@ -547,20 +561,26 @@ function queueTests(suiteId, testIds) {
  * Complete suite execution
  * 
  * @param {string} suiteId - Suite ID
+ * @param {string} status - Final status (completed|cancelled)
  */
-function completeExecution(suiteId) {
+function completeExecution(suiteId, status = 'completed') {
   if (!executionState[suiteId]) {
     console.warn(`⚠️ No execution state for suite: ${suiteId}`);
     return;
   }
   
-  executionState[suiteId].status = 'completed';
+  executionState[suiteId].status = status;
   executionState[suiteId].endTime = Date.now();
   
-  console.log(`📊 Completed execution for suite: ${suiteId}`);
+  console.log(`📊 Completed execution for suite: ${suiteId} (${status})`);
   
-  // Clean up after 5 minutes
+  // Clean up after 5 minutes (unless a newer run has replaced the state)
+  const finishedState = executionState[suiteId];
   setTimeout(() => {
+    if (executionState[suiteId] !== finishedState) {
+      return;
+    }
+    
     delete executionState[suiteId];
     console.log(`🧹 Cleaned up execution state for suite: ${suiteId}`);
   }, 5 * 60 * 1000);
@@ -588,7 +608,9 @@ function getExecutionStatus(suiteId) {
     queued: testStatuses.filter(t => t.status === 'queued').length,
     running: testStatuses.filter(t => t.status === 'running').length,
     passed: testStatuses.filter(t => t.status === 'passed').length,
-    failed: testStatuses.filter(t => t.status === 'failed').length
+    warning: testStatuses.filter(t => t.status === 'warning').length,
+    failed: testStatuses.filter(t => t.status === 'failed').length,
+    cancelled: testStatuses.filter(t => t.status === 'cancelled').length
   };
   
   return {
@@ -651,6 +673,7 @@ export {
   getSuiteTree,
   updateSuiteStats,
   scheduleSuite,
+  calculateNextRun,
   getSuitesByTag,
   searchSuites,
   // Live execution tracking
@@ -0,0 +1,305 @@
+/**
+ * Webhook Security
+ *
+ * PURPOSE:
+ * Authenticate incoming webhooks before they can start test runs.
+ *
+ * FEATURES:
+ * - Provider signature checks:
+ *   - GitHub:       X-Hub-Signature-256 (HMAC-SHA256 of the raw body)
+ *   - GitLab:       X-Gitlab-Token (shared secret)
+ *   - Bitbucket:    X-Hub-Signature (HMAC-SHA256 of the raw body)
+ *   - Azure DevOps: Basic auth on the service hook (password = secret)
+ *   - AWS (SNS):    Basic auth in the subscription URL (password = secret)
+ *   - AIQA:         X-AIQA-Signature over "<X-AIQA-Timestamp>.<raw body>"
+ *                   (trigger webhooks, same scheme as our outgoing notifications)
+ * - Replay protection: delivery IDs are remembered for REPLAY_WINDOW_MS
+ * - Audit log of rejected deliveries (./config/webhook-rejections)
+ *
+ * CONNECTIONS:
+ * - Used by: cloudIntegrations.js (handleWebhook), server.js (trigger webhooks)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+// How long a delivery ID is remembered (providers retry within hours, not days)
+const REPLAY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Allowed clock skew for timestamped (AIQA) signatures
+const MAX_TIMESTAMP_SKEW_MS = 5 * 60 * 1000;
+
+// Rejection records kept on disk
+const MAX_REJECTION_RECORDS = 1000;
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Compare a "sha256=<hex>" header with the HMAC of a payload
+ */
+function verifyHmacHeader(header, secret, payload) {
+  if (!header) {
+    return false;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+  return safeEqual(header.trim().toLowerCase(), expected);
+}
+
+/**
+ * Check a Basic auth header against a secret (and optional username)
+ */
+function verifyBasicAuth(header, secret, username = null) {
+  if (!header || !header.startsWith('Basic ')) {
+    return false;
+  }
+
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf-8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    return false;
+  }
+
+  const user = decoded.slice(0, separator);
+  const password = decoded.slice(separator + 1);
+
+  return safeEqual(password, secret) && (!username || safeEqual(user, username));
+}
+
+export class WebhookSecurity {
+  constructor(options = {}) {
+    this.deliveriesFile = options.deliveriesFile || './config/webhook-deliveries.json';
+    this.rejectionsPath = options.rejectionsPath || './config/webhook-rejections';
+
+    // WHY: Opt-in escape hatch for local experiments; never enable in production
+    this.allowUnsigned = options.allowUnsigned ?? process.env.ALLOW_UNSIGNED_WEBHOOKS === 'true';
+
+    this.deliveries = null; // deliveryKey -> receivedAt (ms), loaded lazily
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Check a provider webhook against one or more candidate secrets
+   *
+   * @param {string} provider - github | gitlab | bitbucket | azure | aws | aiqa
+   * @param {Object} request - { rawBody: Buffer|string, headers }
+   * @param {Object[]} secrets - [{ id, secret, username? }]
+   * @returns {Object} { valid, matched: [ids], reason }
+   */
+  verifySignature(provider, request, secrets) {
+    const candidates = secrets.filter(entry => entry.secret);
+
+    if (candidates.length === 0) {
+      return this.allowUnsigned
+        ? { valid: true, matched: [], unsigned: true, reason: 'Unsigned webhooks allowed (ALLOW_UNSIGNED_WEBHOOKS)' }
+        : { valid: false, matched: [], reason: `No webhook secret configured for ${provider}` };
+    }
+
+    const headers = request.headers || {};
+    const rawBody = request.rawBody ?? '';
+
+    let check;
+    switch (provider) {
+      case 'github':
+        if (!headers['x-hub-signature-256']) {
+          return { valid: false, matched: [], reason: 'Missing X-Hub-Signature-256 header' };
+        }
+        check = entry => verifyHmacHeader(headers['x-hub-signature-256'], entry.secret, rawBody);
+        break;
+
+      case 'gitlab':
+        if (!headers['x-gitlab-token']) {
+          return { valid: false, matched: [], reason: 'Missing X-Gitlab-Token header' };
+        }
+        check = entry => safeEqual(headers['x-gitlab-token'], entry.secret);
+        break;
+
+      case 'bitbucket':
+        if (!headers['x-hub-signature']) {
+          return { valid: false, matched: [], reason: 'Missing X-Hub-Signature header' };
+        }
+        check = entry => verifyHmacHeader(headers['x-hub-signature'], entry.secret, rawBody);
+        break;
+
+      case 'azure':
+      case 'aws':
+        if (!headers.authorization) {
+          return { valid: false, matched: [], reason: 'Missing Basic authorization header' };
+        }
+        check = entry => verifyBasicAuth(headers.authorization, entry.secret, entry.username);
+        break;
+
+      case 'aiqa': {
+        const timestamp = parseInt(headers['x-aiqa-timestamp'], 10);
+        if (!headers['x-aiqa-signature'] || !timestamp) {
+          return { valid: false, matched: [], reason: 'Missing X-AIQA-Signature or X-AIQA-Timestamp header' };
+        }
+        if (Math.abs(Date.now() - timestamp * 1000) > MAX_TIMESTAMP_SKEW_MS) {
+          return { valid: false, matched: [], reason: 'X-AIQA-Timestamp outside the allowed window' };
+        }
+        check = entry => verifyHmacHeader(headers['x-aiqa-signature'], entry.secret, `${timestamp}.${rawBody}`);
+        break;
+      }
+
+      default:
+        return { valid: false, matched: [], reason: `Signature verification not implemented for ${provider}` };
+    }
+
+    const matched = candidates.filter(check).map(entry => entry.id);
+
+    return matched.length > 0
+      ? { valid: true, matched, reason: null }
+      : { valid: false, matched, reason: 'Invalid webhook signature' };
+  }
+
+  /**
+   * Delivery ID used for replay protection
+   *
+   * Falls back to a hash of the body when the provider sends no ID.
+   */
+  getDeliveryId(provider, headers = {}, payload = {}, rawBody = '') {
+    const id = {
+      github: headers['x-github-delivery'],
+      gitlab: headers['x-gitlab-event-uuid'] || headers['idempotency-key'],
+      bitbucket: headers['x-request-uuid'],
+      azure: payload?.id,
+      aws: payload?.MessageId,
+      aiqa: headers['x-aiqa-delivery']
+    }[provider];
+
+    return id || `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+  }
+
+  /**
+   * Remember a delivery; returns false if it was already seen (replay)
+   */
+  async registerDelivery(source, deliveryId) {
+    await this.loadDeliveries();
+
+    const key = `${source}:${deliveryId}`;
+    const now = Date.now();
+
+    // Prune expired IDs
+    for (const [storedKey, receivedAt] of this.deliveries) {
+      if (now - receivedAt > REPLAY_WINDOW_MS) {
+        this.deliveries.delete(storedKey);
+      }
+    }
+
+    if (this.deliveries.has(key)) {
+      return false;
+    }
+
+    this.deliveries.set(key, now);
+    await this.saveDeliveries();
+
+    return true;
+  }
+
+  /**
+   * Record a rejected delivery for auditing
+   */
+  async recordRejection(details) {
+    await fs.mkdir(this.rejectionsPath, { recursive: true });
+
+    const record = {
+      id: `rej_${Date.now()}_${uuidv4().substring(0, 8)}`,
+      receivedAt: new Date().toISOString(),
+      source: details.source,
+      provider: details.provider,
+      deliveryId: details.deliveryId || null,
+      reason: details.reason,
+      ip: details.ip || null,
+      userAgent: details.headers?.['user-agent'] || null,
+      event: details.event || null
+    };
+
+    await fs.writeFile(path.join(this.rejectionsPath, `${record.id}.json`), JSON.stringify(record, null, 2));
+    console.warn(`   🚫 Webhook rejected (${record.source}): ${record.reason}`);
+
+    await this.pruneRejections();
+
+    return record;
+  }
+
+  /**
+   * List rejected deliveries (newest first)
+   */
+  async listRejections(filters = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.rejectionsPath);
+    } catch {
+      return [];
+    }
+
+    const records = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const content = await fs.readFile(path.join(this.rejectionsPath, file), 'utf-8');
+      const record = JSON.parse(content);
+
+      if (filters.provider && record.provider !== filters.provider) {
+        continue;
+      }
+
+      records.push(record);
+    }
+
+    records.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+
+    return filters.limit ? records.slice(0, parseInt(filters.limit, 10)) : records;
+  }
+
+  /**
+   * Keep the audit directory bounded (a flood of bad requests must not fill the disk)
+   */
+  async pruneRejections() {
+    const files = (await fs.readdir(this.rejectionsPath)).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files.slice(0, Math.max(0, files.length - MAX_REJECTION_RECORDS))) {
+      await fs.unlink(path.join(this.rejectionsPath, file)).catch(() => {});
+    }
+  }
+
+  async loadDeliveries() {
+    if (this.deliveries) {
+      return;
+    }
+
+    try {
+      const content = await fs.readFile(this.deliveriesFile, 'utf-8');
+      this.deliveries = new Map(Object.entries(JSON.parse(content)));
+    } catch {
+      this.deliveries = new Map();
+    }
+  }
+
+  saveDeliveries() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.deliveries), null, 2);
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.deliveriesFile), { recursive: true });
+        await fs.writeFile(this.deliveriesFile, snapshot);
+      })
+      .catch(error => console.error(`   ⚠️ Failed to save webhook deliveries: ${error.message}`));
+
+    return this.writeChain;
+  }
+}
+
+export default WebhookSecurity;
@@ -162,7 +162,15 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // WHY: Phase 6 checks webhook signatures over the exact bytes the provider sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/') || /^\/api\/triggers\/[^/]+\/webhook/.test(req.originalUrl)) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Service URLs (pointing to internal ports)
 const SERVICES = {
@@ -228,13 +236,16 @@ async function proxyRequest(req, res, baseUrl) {
     const fetchOptions = {
       method: req.method,
       headers: {
-        'Content-Type': 'application/json',
+        // Lowercase so the client's own content-type replaces it instead of being merged into it
+        'content-type': 'application/json',
         ...req.headers
       }
     };
     
-    // Add body for non-GET requests
-    if (req.method !== 'GET' && req.method !== 'HEAD' && req.body) {
+    // Add body for non-GET requests (webhooks keep their raw bytes so signatures still verify)
+    if (req.method !== 'GET' && req.method !== 'HEAD' && req.rawBody) {
+      fetchOptions.body = req.rawBody;
+    } else if (req.method !== 'GET' && req.method !== 'HEAD' && req.body) {
       fetchOptions.body = JSON.stringify(req.body);
     }
     